@@ -285,6 +285,32 @@ class SoundManager {
         osc.stop(now + 0.15);
     }
 
+    // Stamp press sound
+    playStamp() {
+        if (!this.sfxEnabled || !this.audioContext) return;
+
+        this.resume();
+
+        const now = this.audioContext.currentTime;
+
+        // Soft rubbery "thunk"
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(220, now);
+        osc.frequency.exponentialRampToValueAtTime(90, now + 0.12);
+
+        gain.gain.setValueAtTime(0.3, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.18);
+
+        osc.connect(gain);
+        gain.connect(this.audioContext.destination);
+
+        osc.start(now);
+        osc.stop(now + 0.18);
+    }
+
     // Sparkle/glitter sound
     playSparkle() {
         if (!this.sfxEnabled || !this.audioContext) return;
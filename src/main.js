@@ -3,23 +3,105 @@
  * Application entry point - initializes scene, nail, and UI
  */
 import { NailScene } from './scene/NailScene.js';
-import { HandModel, FINGERS, NAIL_SHAPES } from './scene/HandModel.js';
+import { HandModel, FINGERS, NAIL_SHAPES, NAIL_LENGTHS } from './scene/HandModel.js';
+import { FINISHES } from './scene/NailPolishMaterial.js';
 import { nailDesignStore } from './state/NailDesignStore.js';
+import { commandHistory } from './state/CommandHistory.js';
 import { FileTool } from './tools/FileTool.js';
-import { StickerTool, STICKERS } from './tools/StickerTool.js';
+import { StickerTool } from './tools/StickerTool.js';
+import { stickerLibrary } from './tools/StickerLibrary.js';
 import { GemTool, GEM_TYPES } from './tools/GemTool.js';
+import { GEM_STONES, GEM_SETTINGS, GEM_METALS, getStone, getCutIconSvg } from './tools/GemLibrary.js';
+import { GlitterTool, FLAKE_SHAPES, GLITTER_COLORS } from './tools/GlitterTool.js';
 import { BrushTool, PEN_MATERIALS, PEN_COLORS } from './tools/BrushTool.js';
 import { PolishTool } from './tools/PolishTool.js';
+import { PatternTool, PATTERNS } from './tools/PatternTool.js';
+import { StampTool } from './tools/StampTool.js';
+import { MagnetTool } from './tools/MagnetTool.js';
+import { QuickDryTool } from './tools/QuickDryTool.js';
+import { SkinPolishTool } from './tools/SkinPolishTool.js';
+import { MirrorTool } from './tools/MirrorTool.js';
+import { STAMP_DESIGNS, getStampIconSvg } from './tools/StampLibrary.js';
 import { PolishBrush3D } from './tools/PolishBrush3D/index.js';
-import { POLISH_LAYERS, LAYER_ORDER } from './state/PolishLayerState.js';
+import { LAYER_KINDS, BLEND_MODES, MAX_LAYERS } from './state/PolishLayerState.js';
 import { soundManager } from './audio/SoundManager.js';
+import { Gallery } from './ui/Gallery.js';
+import { captureThumbnail } from './utils/Screenshot.js';
+import { canvasToBlob, StorageQuotaError } from './utils/Storage.js';
+import { downloadProject, downloadStrokes, readProjectFile, ProjectFileError } from './utils/ProjectFile.js';
 import * as THREE from 'three';
 
+// Glam color palette - bright, fun, K-pop vibes
+const POLISH_COLORS = [
+  // Hot Pinks & Reds
+  '#ff2a6d', '#ff6b9d', '#ff1493', '#ff6b6b',
+  // Pretty Purples
+  '#9d4edd', '#c77dff', '#e0aaff', '#dda0dd',
+  // Sky Blues
+  '#00b4d8', '#48cae4', '#90e0ef', '#7b68ee',
+  // Fresh Greens & Teals
+  '#00f5d4', '#00cec9', '#55efc4', '#81ecec',
+  // Sunset & Gold
+  '#ffd700', '#ffb347', '#ff9ff3', '#fd79a8',
+  // Basics
+  '#ffffff', '#ffeef8', '#2d1f3d', '#000000',
+];
+
+// Layers that can be added to a nail's polish stack
+const NEW_LAYERS = [
+  { kind: LAYER_KINDS.BASE, label: '+ Base' },
+  { kind: LAYER_KINDS.COLOR, label: '+ Color' },
+  { kind: LAYER_KINDS.ART, label: '+ Art' },
+  { kind: LAYER_KINDS.TOP, label: '+ Top' },
+];
+
+// What the clear button can wipe off the active nail (see clearNail)
+const CLEAR_TARGETS = [
+  { id: 'all', icon: '🗑️', name: 'Everything' },
+  { id: 'polish', icon: '💅', name: 'Polish' },
+  { id: 'art', icon: '✏️', name: 'Art' },
+  { id: 'stickers', icon: '🦄', name: 'Stickers' },
+  { id: 'gems', icon: '💎', name: 'Gems' },
+  { id: 'glitter', icon: '✨', name: 'Glitter' },
+];
+
+// Which nails the "All Nails" actions reach (see getBulkNails)
+const BULK_MODES = [
+  { id: 'all', name: 'All' },
+  { id: 'accent', name: 'All but ⭐' },
+  { id: 'pick', name: 'Pick' },
+];
+
+// "All Nails" actions offered in each panel (see runBulkAction)
+const BULK_ACTIONS = {
+  polish: [
+    { id: 'color', name: '🎨 Color', title: 'Fill this layer with the color on every nail' },
+    { id: 'finish', name: '✨ Finish', title: 'Give this layer the finish on every nail' },
+  ],
+  pattern: [
+    { id: 'pattern', name: '✨ Pattern', title: 'Paint the pattern on every nail' },
+  ],
+  bling: [
+    { id: 'bling', name: '💎 Copy Bling', title: "Copy this nail's stickers, gems and glitter to every nail" },
+  ],
+};
+
+/**
+ * Escape text for an HTML template (e.g. layer names from imported projects)
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
 class NailArtistApp {
   constructor() {
     this.currentTool = 'shape';
     this.selectedShape = NAIL_SHAPES.ROUND;
     this.selectedColor = '#ff2a6d'; // Default neon demon pink
+    this.patternSlot = 0; // Which pattern color the palette sets
+
+    // Nails the "All Nails" actions reach (see getBulkNails)
+    this.bulkNails = { mode: 'all', accent: FINGERS.RING, picked: new Set() };
 
     // Track time for animation
     this.lastTime = 0;
@@ -35,6 +117,10 @@ class NailArtistApp {
     // Create scene
     this.scene = new NailScene(container);
 
+    // Fetch sticker packs while the hand loads, so saved pack stickers
+    // don't fall back to the default emoji
+    const stickerPacks = stickerLibrary.load();
+
     // Create hand model (async load)
     this.nail = new HandModel();
     await this.nail.load();
@@ -53,6 +139,9 @@ class NailArtistApp {
     this.renderPolishOptions(); // Start with polish instead of shape
     this.startAnimationLoop();
 
+    // Redraw any stickers restored before the packs arrived
+    stickerPacks.then(() => this.stickerTool.renderAll());
+
     console.log('💅 NAIL ICON initialized // Glam Studio ready!');
   }
 
@@ -64,7 +153,11 @@ class NailArtistApp {
 
     canvas.addEventListener('click', (event) => {
       // Don't select nails while using decoration/painting tools
-      if (this.currentTool === 'brush' || this.currentTool === 'bling' || this.currentTool === 'polish') {
+      if (['brush', 'bling', 'polish', 'stamp'].includes(this.currentTool)) {
+        return;
+      }
+      // A filing stroke ends with a click on the nail; it isn't a selection
+      if (this.fileTool?.wasFiling()) {
         return;
       }
 
@@ -86,6 +179,7 @@ class NailArtistApp {
 
           // Update UI to reflect new selection
           this.updateFingerSelectorUI();
+          this.onActiveNailChange();
         }
       }
     });
@@ -121,9 +215,8 @@ class NailArtistApp {
     // Initialize sound manager
     soundManager.init();
 
-    // Create filing tool
-    // this.fileTool = new FileTool(this.scene.scene, this.nail);
-    // this.fileTool.activate(); // Start with filing active when shape tool selected
+    // Create filing tool (active while the shape tool is selected)
+    this.fileTool = new FileTool(this.scene.scene, this.scene.camera, this.nail);
 
     // Create sticker tool
     this.stickerTool = new StickerTool(this.scene.scene, this.scene.camera, this.nail);
@@ -131,32 +224,125 @@ class NailArtistApp {
     // Create gem tool
     this.gemTool = new GemTool(this.scene.scene, this.scene.camera, this.nail);
 
+    // Create glitter tool (3D flakes)
+    this.glitterTool = new GlitterTool(this.scene.scene, this.scene.camera, this.nail);
+
     // Create brush tool
     this.brushTool = new BrushTool(this.scene.scene, this.scene.camera, this.nail);
+    this.brushTool.onStrokesChange = () => {
+      this.updateStrokeListUI();
+    };
+
+    // Create stamping plate tool
+    this.stampTool = new StampTool(this.scene.scene, this.scene.camera, this.nail);
 
     // Create polish tool (realistic painting)
     this.polishTool = new PolishTool(this.scene.scene, this.scene.camera, this.nail);
 
+    // Create cat-eye magnet (shown with the polish tool on cat-eye nails)
+    this.magnetTool = new MagnetTool(this.scene.scene, this.scene.camera, this.nail);
+
+    // Create UV lamp and fan (dry polish on every tool)
+    this.quickDryTool = new QuickDryTool(this.scene.scene, this.scene.camera, this.nail, this.polishTool);
+
+    // Create polish-on-skin marks and the acetone pen that cleans them
+    this.skinPolishTool = new SkinPolishTool(this.scene.scene, this.scene.camera, this.nail);
+
+    // Create mirror mode (replays strokes, stickers and gems onto other nails)
+    this.mirrorTool = new MirrorTool(this.nail, this.brushTool, this.stickerTool, this.gemTool, this.glitterTool, this.stampTool);
+    this.mirrorTool.onChange = () => {
+      this.updateMirrorUI();
+    };
+    this.brushTool.onStrokeEnd = (hand, finger, stroke) => {
+      this.mirrorTool.mirrorStroke(hand, finger, stroke);
+    };
+    this.gemTool.onPlace = (hand, finger, gem) => {
+      this.mirrorTool.mirrorGem(hand, finger, gem);
+    };
+
+    // Create pattern tool (paints into the polish tool's layers)
+    this.patternTool = new PatternTool(this.nail, this.polishTool);
+
     // Create 3D brush for polish (bristle physics + fluid simulation)
     this.polishBrush3D = new PolishBrush3D(
       this.scene.scene,
       this.scene.camera,
       this.nail,
+      this.polishTool,     // Paints into the polish tool's layers
       this.scene.renderer  // Pass renderer for fluid simulation
     );
 
     // Set up polish tool callbacks
-    this.polishTool.onCoverageChange = (coverage) => {
-      this.updateCoverageUI(coverage);
+    this.polishTool.onCoverageChange = (coverage, quality) => {
+      this.updateCoverageUI(coverage, quality);
     };
     this.polishTool.onDryStateChange = (isDry) => {
       this.updateDryButtonUI(isDry);
     };
+    this.quickDryTool.onChange = () => {
+      this.updateDryButtonUI(this.polishTool.isLayerDry());
+    };
+
+    // Strokes that slip off the nail mark the skin around it
+    const paintSlip = (raycaster, color) => this.skinPolishTool.paintSlip(raycaster, color);
+    this.polishTool.onSlip = paintSlip;
+    this.polishBrush3D.onSlip = paintSlip;
+    this.skinPolishTool.onChange = () => {
+      this.updateNailTechScoreUI();
+    };
+    this.skinPolishTool.onGestureChange = (isCleaning) => {
+      this.scene.controls.enabled = !isCleaning && !this.scene.isCameraLockedState();
+    };
+
+    // Sticker editing: keep the panel in sync and stop the camera orbiting mid-drag
+    this.stickerTool.onSelectionChange = (sticker) => {
+      this.updateStickerActionsUI(sticker);
+    };
+    this.stickerTool.onGestureChange = (isEditing) => {
+      this.scene.controls.enabled = !isEditing && !this.scene.isCameraLockedState();
+    };
+    // A sticker pressed onto wet polish pushes it aside
+    this.stickerTool.onPlace = (hand, finger, sticker, radius) => {
+      this.polishTool.smearAt(hand, finger, sticker.u, sticker.v, radius);
+      this.mirrorTool.mirrorSticker(hand, finger, sticker);
+    };
+
+    // Same for dragging and pinching placed gems
+    this.gemTool.onSelectionChange = (gem) => {
+      this.updateGemActionsUI(gem);
+    };
+    this.gemTool.onGestureChange = (isEditing) => {
+      this.scene.controls.enabled = !isEditing && !this.scene.isCameraLockedState();
+    };
+    this.glitterTool.onGestureChange = (isSpraying) => {
+      this.scene.controls.enabled = !isSpraying && !this.scene.isCameraLockedState();
+    };
+    this.magnetTool.onGestureChange = (isDragging) => {
+      this.scene.controls.enabled = !isDragging && !this.scene.isCameraLockedState();
+    };
 
-    // Set up 3D brush callbacks
-    this.polishBrush3D.onCoverageChange = (coverage) => {
-      this.updateCoverageUI(coverage);
+    // Filing: hold the camera still mid-stroke and keep gems on the moving tip
+    this.fileTool.onGestureChange = (isFiling) => {
+      this.scene.controls.enabled = !isFiling && !this.scene.isCameraLockedState();
+    };
+    this.fileTool.onProgressChange = () => {
+      this.gemTool?.reseatAll();
+      this.glitterTool?.reseatAll();
+    };
+    this.fileTool.onShapeFiled = async (shape) => {
+      await this.changeShape(shape);
+      if (this.currentTool === 'shape') {
+        this.renderShapeOptions();
+      }
     };
+
+    // Undo history snapshots the whole nail across every tool
+    commandHistory.setSnapshotter({
+      capture: (hand, finger) => this.captureNailSnapshot(hand, finger),
+      restore: (hand, finger, snapshot) => this.restoreNailSnapshot(hand, finger, snapshot),
+    });
+    commandHistory.onChange = () => this.updateHistoryUI();
+    this.updateHistoryUI();
   }
 
   startAnimationLoop() {
@@ -169,6 +355,18 @@ class NailArtistApp {
         this.fileTool.update(deltaTime);
       }
 
+      // Twinkle gem sparkles
+      this.gemTool?.update(time);
+
+      // Keep a held glitter spray going
+      this.glitterTool?.update(time);
+
+      // Keep the cat-eye magnet over the active nail
+      this.magnetTool?.update();
+
+      // Dry polish (faster under the UV lamp or fan)
+      this.quickDryTool?.update(deltaTime);
+
       // Update 3D polish brush (bristle physics)
       if (this.polishBrush3D?.isActive) {
         this.polishBrush3D.update(time);
@@ -199,9 +397,14 @@ class NailArtistApp {
         this.fileTool?.deactivate();
         this.stickerTool?.deactivate();
         this.gemTool?.deactivate();
+        this.glitterTool?.deactivate();
         this.brushTool?.deactivate();
+        this.stampTool?.deactivate();
         this.polishTool?.deactivate();
         this.polishBrush3D?.deactivate();
+        this.magnetTool?.deactivate();
+        this.skinPolishTool?.deactivate();
+        this.updateAcetoneButtonUI();
 
         // Activate the selected tool
         switch (this.currentTool) {
@@ -211,15 +414,17 @@ class NailArtistApp {
           case 'polish':
             // Use 3D brush with bristle physics
             this.polishBrush3D?.activate();
+            this.magnetTool?.activate();
             break;
           case 'bling':
-            // Both sticker and gem tools listen, UI determines which is active
-            this.stickerTool?.activate();
-            this.gemTool?.activate();
+            this.activateBlingTool();
             break;
           case 'brush':
             this.brushTool?.activate();
             break;
+          case 'stamp':
+            this.stampTool?.activate();
+            break;
         }
 
         // Satisfying click animation
@@ -230,19 +435,73 @@ class NailArtistApp {
     });
 
     // Action buttons
+    // Clear: pick what to wipe from a menu over the button
+    const clearMenu = document.getElementById('clear-menu');
+    if (clearMenu) {
+      clearMenu.innerHTML = CLEAR_TARGETS.map(target => `
+        <button class="action-menu-option" data-target="${target.id}">${target.icon} ${target.name}</button>
+      `).join('');
+      clearMenu.querySelectorAll('.action-menu-option').forEach(btn => {
+        btn.addEventListener('click', () => {
+          clearMenu.hidden = true;
+          this.clearNail(btn.dataset.target);
+        });
+      });
+    }
     document.getElementById('btn-clear')?.addEventListener('click', () => {
-      this.clearNail();
+      if (clearMenu) {
+        clearMenu.hidden = !clearMenu.hidden;
+        soundManager.playClick();
+      } else {
+        this.clearNail();
+      }
+    });
+
+    // Copy and paste whole nail designs; paste straight or mirrored
+    const pasteMenu = document.getElementById('paste-menu');
+    if (pasteMenu) {
+      pasteMenu.innerHTML = `
+        <button class="action-menu-option" data-mirrored="false">📥 Paste</button>
+        <button class="action-menu-option" data-mirrored="true">🪞 Paste mirrored</button>
+      `;
+      pasteMenu.querySelectorAll('.action-menu-option').forEach(btn => {
+        btn.addEventListener('click', () => {
+          pasteMenu.hidden = true;
+          this.pasteNail(btn.dataset.mirrored === 'true');
+        });
+      });
+    }
+    document.getElementById('btn-copy')?.addEventListener('click', () => {
+      this.copyNail();
+    });
+    document.getElementById('btn-paste')?.addEventListener('click', () => {
+      if (pasteMenu) {
+        pasteMenu.hidden = !pasteMenu.hidden;
+        soundManager.playClick();
+      } else {
+        this.pasteNail();
+      }
+    });
+
+    document.addEventListener('pointerdown', (e) => {
+      const wrap = e.target.closest('.menu-wrap');
+      document.querySelectorAll('.action-menu').forEach(menu => {
+        if (!wrap?.contains(menu)) menu.hidden = true;
+      });
     });
 
     document.getElementById('btn-undo')?.addEventListener('click', () => {
-      // TODO: Implement undo
-      console.log('Undo clicked');
+      this.undo();
+    });
+
+    document.getElementById('btn-redo')?.addEventListener('click', () => {
+      this.redo();
     });
 
+    this.setupHistoryShortcuts();
+
     document.getElementById('btn-done')?.addEventListener('click', () => {
-      // TODO: Screenshot functionality
-      console.log('Done clicked - screenshot!');
-      this.showCelebration();
+      this.saveLook();
     });
 
     document.getElementById('btn-gallery')?.addEventListener('click', () => {
@@ -253,6 +512,8 @@ class NailArtistApp {
       this.toggleGallery(false);
     });
 
+    this.setupGallery();
+
     // Finger selector
     this.setupFingerSelector();
 
@@ -286,6 +547,11 @@ class NailArtistApp {
       this.toggleCameraLock();
     });
 
+    // Lights off/on button
+    document.getElementById('btn-lights')?.addEventListener('click', () => {
+      this.toggleLights();
+    });
+
     // Hand toggle button
     const handToggleBtn = document.getElementById('hand-toggle');
     handToggleBtn?.addEventListener('click', () => {
@@ -351,6 +617,7 @@ class NailArtistApp {
     // Update UI
     this.updateFingerSelectorUI();
     this.updateHandToggleUI();
+    this.onActiveNailChange();
 
     // Zoom to the active nail on the new hand
     this.zoomToFinger(this.nail.activeNail);
@@ -365,9 +632,31 @@ class NailArtistApp {
 
     // Update UI
     this.updateFingerSelectorUI();
+    this.onActiveNailChange();
     this.updateOptionsPanel();
   }
 
+  /**
+   * Reset per-nail UI state after the active nail or hand changes
+   */
+  onActiveNailChange() {
+    // Sticker handles and gem selection belong to the nail they were selected on
+    this.stickerTool?.select(null);
+    this.gemTool?.select(null);
+    this.stampTool?.hidePreview();
+    this.updateFinishUI();
+    this.updateStrokeListUI();
+    this.updateMirrorUI();
+    this.updateNailTechScoreUI();
+    // Filing starts over on the new nail; a half-filed one goes back
+    if (this.fileTool?.filingNail) {
+      this.fileTool.resetMorph();
+      this.gemTool?.reseatAll();
+      this.glitterTool?.reseatAll();
+    }
+    this.updateHistoryUI();
+  }
+
   saveCurrentFingerDesign() {
     // Design state is now per-nail in HandModel, no need to save externally
   }
@@ -393,6 +682,12 @@ class NailArtistApp {
       case 'brush':
         this.renderBrushOptions();
         break;
+      case 'pattern':
+        this.renderPatternOptions();
+        break;
+      case 'stamp':
+        this.renderStampOptions();
+        break;
       default:
         panel.innerHTML = '<p>Select a tool to begin!</p>';
     }
@@ -410,19 +705,33 @@ class NailArtistApp {
       { id: 'coffin', label: 'Coffin', icon: '⬡' }
     ];
 
+    const lengths = [
+      { id: NAIL_LENGTHS.SHORT, label: 'Short' },
+      { id: NAIL_LENGTHS.MEDIUM, label: 'Medium' },
+      { id: NAIL_LENGTHS.LONG, label: 'Long' },
+      { id: NAIL_LENGTHS.EXTRA_LONG, label: 'Extra Long' }
+    ];
+
     const currentShape = this.nail.getShape();
+    const currentLength = this.nail.getLength();
+    const isAcrylic = this.nail.isAcrylic();
+    const targetShape = this.fileTool?.getTargetShape();
+    const targetLabel = shapes.find(s => s.id === targetShape)?.label;
 
     panel.innerHTML = `
       <h3>Shape</h3>
       <p style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 12px;">
-        Choose your nail shape!
+        ${targetShape
+          ? `File the tip of the nail back and forth to make it ${targetLabel}!`
+          : 'Choose your nail shape, then file it in!'}
       </p>
       <div class="shape-grid">
         ${shapes.map(s => {
           const isAvailable = this.nail.isShapeAvailable(s.id);
           const isActive = s.id === currentShape;
+          const isTarget = s.id === targetShape;
           return `
-            <button class="shape-btn shape-select-btn ${isActive ? 'active' : ''} ${!isAvailable ? 'unavailable' : ''}"
+            <button class="shape-btn shape-select-btn ${isActive ? 'active' : ''} ${isTarget ? 'filing-target' : ''} ${!isAvailable ? 'unavailable' : ''}"
                     data-shape="${s.id}"
                     ${!isAvailable ? 'disabled' : ''}>
               <span class="shape-icon">${s.icon}</span>
@@ -432,84 +741,161 @@ class NailArtistApp {
           `;
         }).join('')}
       </div>
+      ${targetShape ? `
+        <div class="polish-actions" style="margin-top: 12px;">
+          <button class="polish-action-btn" id="skip-filing-btn">⚡ Skip Filing</button>
+          <button class="polish-action-btn undo-btn" id="stop-filing-btn">✖ Stop</button>
+        </div>
+      ` : ''}
+
+      <h4 style="margin-top: 16px;">Length</h4>
+      <div class="length-grid">
+        ${lengths.map(l => `
+          <button class="shape-btn length-btn ${l.id === currentLength ? 'active' : ''}" data-length="${l.id}">
+            <span class="shape-label">${l.label}</span>
+          </button>
+        `).join('')}
+      </div>
+      <button class="polish-action-btn acrylic-btn ${isAcrylic ? 'active' : ''}" id="acrylic-btn" style="width: 100%; margin-top: 8px;">
+        ${isAcrylic ? '💎 Acrylic Extensions On' : '💎 Add Acrylic Extensions'}
+      </button>
     `;
 
-    // Add click handlers for available shapes
+    // Picking a shape sets what the file works toward; the current one stops filing
     panel.querySelectorAll('.shape-select-btn:not([disabled])').forEach(btn => {
-      btn.addEventListener('click', async () => {
+      btn.addEventListener('click', () => {
         const shape = btn.dataset.shape;
-        if (shape === currentShape) return;
-
-        // Show loading state
-        btn.classList.add('loading');
-
-        try {
-          const changed = await this.nail.setShape(shape);
-          if (changed) {
-            soundManager.playClick();
-          }
-          // Re-render to update active state
-          this.renderShapeOptions();
-        } catch (error) {
-          console.error('Failed to change shape:', error);
-          btn.classList.remove('loading');
+        if (shape === targetShape) return;
+
+        this.fileTool?.setTargetShape(shape === currentShape ? null : shape);
+        soundManager.playClick();
+        this.renderShapeOptions();
+      });
+    });
+
+    document.getElementById('skip-filing-btn')?.addEventListener('click', async (e) => {
+      const btn = e.currentTarget;
+      btn.classList.add('loading');
+
+      try {
+        const changed = await this.changeShape(targetShape);
+        if (changed) {
+          soundManager.playClick();
+        }
+        // Re-render to update active state
+        this.renderShapeOptions();
+      } catch (error) {
+        console.error('Failed to change shape:', error);
+        btn.classList.remove('loading');
+      }
+    });
+
+    document.getElementById('stop-filing-btn')?.addEventListener('click', () => {
+      this.fileTool?.setTargetShape(null);
+      soundManager.playClick();
+      this.renderShapeOptions();
+    });
+
+    panel.querySelectorAll('.length-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (this.changeLength(btn.dataset.length, isAcrylic)) {
+          soundManager.playClick();
         }
+        this.renderShapeOptions();
       });
     });
+
+    document.getElementById('acrylic-btn')?.addEventListener('click', () => {
+      this.changeLength(currentLength, !isAcrylic);
+      soundManager.playClick();
+      this.renderShapeOptions();
+    });
+  }
+
+  /**
+   * Switch the nail shape on both hands
+   * @returns {Promise<boolean>} Whether the shape changed
+   */
+  async changeShape(shape) {
+    this.fileTool?.setTargetShape(null);
+    const changed = await this.nail.setShape(shape);
+    if (changed) {
+      // Gems and glitter sit on the nail surface, which has just moved
+      this.gemTool?.reseatAll();
+      this.glitterTool?.reseatAll();
+    }
+    return changed;
+  }
+
+  /**
+   * Lengthen or trim the nails on both hands
+   * @param {string} length - One of NAIL_LENGTHS values
+   * @param {boolean} acrylic - Acrylic extensions on or off
+   * @returns {boolean} Whether anything changed
+   */
+  changeLength(length, acrylic) {
+    // A half-filed nail would be reshaped from under the file
+    this.fileTool?.resetMorph();
+    const changed = this.nail.setLength(length, acrylic);
+    if (changed) {
+      this.gemTool?.reseatAll();
+      this.glitterTool?.reseatAll();
+    }
+    return changed;
   }
 
   renderPolishOptions() {
     const panel = document.getElementById('options-panel');
     if (!panel) return;
 
-    // Glam color palette - bright, fun, K-pop vibes
-    const colors = [
-      // Hot Pinks & Reds
-      '#ff2a6d', '#ff6b9d', '#ff1493', '#ff6b6b',
-      // Pretty Purples
-      '#9d4edd', '#c77dff', '#e0aaff', '#dda0dd',
-      // Sky Blues
-      '#00b4d8', '#48cae4', '#90e0ef', '#7b68ee',
-      // Fresh Greens & Teals
-      '#00f5d4', '#00cec9', '#55efc4', '#81ecec',
-      // Sunset & Gold
-      '#ffd700', '#ffb347', '#ff9ff3', '#fd79a8',
-      // Basics
-      '#ffffff', '#ffeef8', '#2d1f3d', '#000000',
-    ];
-
-    const finishes = [
-      { id: 'glossy', name: 'Glossy' },
-      { id: 'matte', name: 'Matte' },
-      { id: 'shimmer', name: 'Shimmer' },
-      { id: 'chrome', name: 'Chrome' },
-    ];
-
     // Get polish tool state
     const polishState = this.polishTool?.getState();
-    const activeLayer = polishState?.activeLayer || POLISH_LAYERS.COLOR_1;
+    const layers = polishState?.getLayers() || [];
+    const activeLayer = polishState?.getActiveLayer();
     const coverage = this.polishTool?.getCoverage() || 0;
     const isLayerDry = this.polishTool?.isLayerDry() ?? true;
 
-    // Layer display names
-    const layerNames = {
-      [POLISH_LAYERS.BASE_COAT]: 'Base Coat',
-      [POLISH_LAYERS.COLOR_1]: 'Color 1',
-      [POLISH_LAYERS.COLOR_2]: 'Color 2',
-      [POLISH_LAYERS.TOP_COAT]: 'Top Coat',
-    };
+    // Top coats only decide gloss or matte
+    const finishes = Object.entries(FINISHES)
+      .filter(([, finish]) => activeLayer?.kind !== LAYER_KINDS.TOP || finish.topCoat)
+      .map(([id, finish]) => ({ id, name: finish.name }));
+    const activeFinish = this.polishTool?.getLayerFinish();
+    const nailFinish = this.nail.nails[this.nail.getActiveNail()]?.finish;
 
     panel.innerHTML = `
       <h3>Polish</h3>
 
-      <!-- Layer Tabs -->
-      <div class="polish-layer-tabs">
-        ${LAYER_ORDER.map(layer => `
-          <button
-            class="layer-tab ${activeLayer === layer ? 'active' : ''}"
-            data-layer="${layer}"
-          >
-            ${layerNames[layer]}
+      <!-- Layer Stack (top first) -->
+      <div class="layer-stack">
+        ${layers.map((layer, index) => `
+          <div class="layer-row ${layer === activeLayer ? 'active' : ''} ${layer.visible ? '' : 'hidden-layer'}">
+            <button class="layer-icon-btn layer-visibility" data-layer="${layer.type}" title="${layer.visible ? 'Hide' : 'Show'} layer">
+              ${layer.visible ? '👁' : '◌'}
+            </button>
+            <button class="layer-name" data-layer="${layer.type}">
+              <span class="layer-dot" style="background: ${layer.color || 'rgba(255, 255, 255, 0.6)'}"></span>
+              ${escapeHtml(layer.name)}
+            </button>
+            <button class="layer-icon-btn layer-move" data-layer="${layer.type}" data-direction="1" title="Move up" ${index === layers.length - 1 ? 'disabled' : ''}>▲</button>
+            <button class="layer-icon-btn layer-move" data-layer="${layer.type}" data-direction="-1" title="Move down" ${index === 0 ? 'disabled' : ''}>▼</button>
+            <button class="layer-icon-btn layer-remove" data-layer="${layer.type}" title="Remove layer" ${layers.length <= 1 ? 'disabled' : ''}>✕</button>
+          </div>
+        `).reverse().join('')}
+      </div>
+      <div class="layer-add">
+        ${NEW_LAYERS.map(l => `
+          <button class="shape-btn layer-add-btn" data-kind="${l.kind}" ${layers.length >= MAX_LAYERS ? 'disabled' : ''}>${l.label}</button>
+        `).join('')}
+      </div>
+
+      <!-- Active Layer Opacity & Blend -->
+      <h4>Opacity <span id="layer-opacity-value">${Math.round((activeLayer?.opacity ?? 1) * 100)}%</span></h4>
+      <input type="range" id="layer-opacity" min="0" max="100" value="${Math.round((activeLayer?.opacity ?? 1) * 100)}" style="width: 100%;">
+      <h4 style="margin-top: 8px;">Blend</h4>
+      <div class="layer-blend">
+        ${BLEND_MODES.map(mode => `
+          <button class="shape-btn blend-btn ${activeLayer?.blendMode === mode.id ? 'active' : ''}" data-blend="${mode.id}">
+            ${mode.name}
           </button>
         `).join('')}
       </div>
@@ -521,14 +907,22 @@ class NailArtistApp {
         </div>
         <span class="coverage-text">${Math.round(coverage)}%</span>
       </div>
+      <p id="coat-quality" class="coat-quality">${this.getCoatQualityText(this.polishTool?.getCoatQuality())}</p>
+      <p id="nail-tech-score" class="coat-quality">${this.getNailTechScoreText()}</p>
 
       <!-- Action Buttons -->
       <div class="polish-actions">
         <button class="polish-action-btn fill-btn" id="quick-fill-btn">
           <span>Fill</span>
         </button>
-        <button class="polish-action-btn dry-btn ${isLayerDry ? 'dried' : 'pulse'}" id="dry-btn">
-          <span>${isLayerDry ? 'Dry!' : 'Dry!'}</span>
+        <button class="polish-action-btn dry-btn ${isLayerDry ? 'dried' : 'pulse'}" id="dry-btn" title="Cure this nail under the UV lamp">
+          <span>💡 UV</span>
+        </button>
+        <button class="polish-action-btn fan-btn ${this.quickDryTool?.isFanOn() ? 'active' : ''}" id="fan-btn" title="Fan-dry the whole hand">
+          <span><span class="fan-icon">🌀</span> Fan</span>
+        </button>
+        <button class="polish-action-btn acetone-btn ${this.skinPolishTool?.isActive ? 'active' : ''}" id="acetone-btn" title="Clean polish off the skin">
+          <span>🧴 Acetone</span>
         </button>
         <button class="polish-action-btn undo-btn" id="polish-undo-btn">
           <span>Undo</span>
@@ -538,7 +932,7 @@ class NailArtistApp {
       <!-- Color Palette (only show for color layers) -->
       <h4 style="margin-top: 12px;">Color</h4>
       <div class="color-grid">
-        ${colors.map(c => `
+        ${POLISH_COLORS.map(c => `
           <button
             class="color-swatch ${this.selectedColor === c ? 'active' : ''}"
             data-color="${c}"
@@ -548,11 +942,11 @@ class NailArtistApp {
         `).join('')}
       </div>
 
-      <h4 style="margin-top: 16px;">Finish</h4>
+      <h4 style="margin-top: 16px;">${escapeHtml(activeLayer?.name || 'Layer')} Finish</h4>
       <div style="display: flex; flex-wrap: wrap; gap: 6px;">
         ${finishes.map(f => `
           <button
-            class="shape-btn finish-btn"
+            class="shape-btn finish-btn ${activeFinish === f.id ? 'active' : ''}"
             data-finish="${f.id}"
             style="flex: 1; min-width: 80px; font-size: 0.7rem;"
           >
@@ -560,23 +954,69 @@ class NailArtistApp {
           </button>
         `).join('')}
       </div>
+      <p id="finish-hint" style="font-size: 0.75rem; color: var(--text-muted); margin-top: 8px;">
+        ${this.getFinishHint(nailFinish)}
+      </p>
+
+      ${this.renderBulkOptions()}
 
       <p style="font-size: 0.7rem; color: var(--text-muted); margin-top: 12px; text-align: center;">
         Paint on the nail to apply polish!
       </p>
     `;
 
-    // Layer tab selection
-    panel.querySelectorAll('.layer-tab').forEach(btn => {
+    // Layer selection (each layer has its own finish choices)
+    panel.querySelectorAll('.layer-name').forEach(btn => {
       btn.addEventListener('click', () => {
-        panel.querySelectorAll('.layer-tab').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-
         this.polishTool?.setActiveLayer(btn.dataset.layer);
         soundManager.playClick();
+        this.renderPolishOptions();
+      });
+    });
+
+    // Layer stack editing
+    panel.querySelectorAll('.layer-visibility').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.polishTool?.toggleLayerVisible(btn.dataset.layer);
+        this.renderPolishOptions();
+      });
+    });
+
+    panel.querySelectorAll('.layer-move').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.polishTool?.moveLayer(btn.dataset.layer, Number(btn.dataset.direction));
+        this.renderPolishOptions();
+      });
+    });
+
+    panel.querySelectorAll('.layer-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.polishTool?.removeLayer(btn.dataset.layer);
+        this.renderPolishOptions();
+      });
+    });
+
+    panel.querySelectorAll('.layer-add-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.polishTool?.addLayer(btn.dataset.kind);
+        this.renderPolishOptions();
+      });
+    });
 
-        // Update coverage display for new layer
-        this.updateCoverageUI(this.polishTool?.getCoverage() || 0);
+    // Opacity previews while sliding, one undo step on release
+    const opacitySlider = document.getElementById('layer-opacity');
+    opacitySlider?.addEventListener('input', () => {
+      document.getElementById('layer-opacity-value').textContent = `${opacitySlider.value}%`;
+    });
+    opacitySlider?.addEventListener('change', () => {
+      this.polishTool?.setLayerOpacity(activeLayer.type, opacitySlider.value / 100);
+    });
+
+    panel.querySelectorAll('.blend-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        panel.querySelectorAll('.blend-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.polishTool?.setLayerBlendMode(activeLayer.type, btn.dataset.blend);
       });
     });
 
@@ -587,13 +1027,22 @@ class NailArtistApp {
 
     // Dry button
     document.getElementById('dry-btn')?.addEventListener('click', () => {
-      this.polishTool?.instantDry();
-      this.updateDryButtonUI(true);
+      this.quickDryTool?.startLamp();
+    });
+
+    // Fan button
+    document.getElementById('fan-btn')?.addEventListener('click', () => {
+      this.quickDryTool?.toggleFan();
+    });
+
+    // Acetone pen: swaps with the polish brush until switched off
+    document.getElementById('acetone-btn')?.addEventListener('click', () => {
+      this.toggleAcetonePen();
     });
 
     // Undo button
     document.getElementById('polish-undo-btn')?.addEventListener('click', () => {
-      this.polishTool?.undo();
+      this.undo();
     });
 
     // Color selection
@@ -624,15 +1073,69 @@ class NailArtistApp {
 
         this.polishTool?.setFinish(btn.dataset.finish);
         this.polishBrush3D?.setFinish(btn.dataset.finish);
+        this.updateFinishUI();
         soundManager.playClick();
       });
     });
+
+    this.updateBulkUI();
+    this.updateHistoryUI();
+  }
+
+  /**
+   * Tip shown under the finish buttons
+   */
+  getFinishHint(finish) {
+    switch (finish) {
+      case 'catEye':
+        return '🧲 Drag the magnet along the nail to move the shine';
+      case 'glow':
+        return this.scene.isLightsOff()
+          ? '✨ Glowing! Turn the lights back on with 💡'
+          : '🌙 Turn the lights off to see it glow';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Show the active layer's finish in the polish panel
+   */
+  updateFinishUI() {
+    const panel = document.getElementById('options-panel');
+    const layerFinish = this.polishTool?.getLayerFinish();
+
+    panel?.querySelectorAll('.finish-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.finish === layerFinish);
+    });
+    const hint = document.getElementById('finish-hint');
+    if (hint) hint.textContent = this.getFinishHint(this.nail.nails[this.nail.getActiveNail()]?.finish);
+  }
+
+  /**
+   * Switch the studio lights off and on (glow-in-the-dark polish)
+   */
+  toggleLights() {
+    const off = !this.scene.isLightsOff();
+    this.scene.setLightsOff(off);
+
+    const btn = document.getElementById('btn-lights');
+    if (btn) {
+      const icon = btn.querySelector('span:first-child');
+      const label = btn.querySelector('span:last-child');
+      if (icon) icon.textContent = off ? '💡' : '🌙';
+      if (label) label.textContent = off ? 'Lights' : 'Dark';
+      btn.classList.toggle('active', off);
+    }
+
+    this.updateFinishUI();
+    soundManager.playClick();
   }
 
   /**
    * Update the coverage progress UI
    */
-  updateCoverageUI(coverage) {
+  updateCoverageUI(coverage, quality) {
     const progressFill = document.querySelector('.polish-progress .progress-fill');
     const coverageText = document.querySelector('.polish-progress .coverage-text');
 
@@ -642,6 +1145,76 @@ class NailArtistApp {
     if (coverageText) {
       coverageText.textContent = `${Math.round(coverage)}%`;
     }
+
+    // The 3D brush reports coverage only
+    const qualityText = document.getElementById('coat-quality');
+    if (qualityText && quality !== undefined) {
+      qualityText.textContent = this.getCoatQualityText(quality);
+    }
+    this.updateNailTechScoreUI();
+  }
+
+  /**
+   * Coat quality score with a tip on its biggest problem
+   * @param {Object|null} quality - From PolishTool.getCoatQuality()
+   */
+  getCoatQualityText(quality) {
+    if (!quality) return 'Coat quality: paint a color coat to get a score';
+
+    const problems = [
+      { share: 1 - quality.covered, tip: 'some bare spots left' },
+      { share: quality.streaky, tip: 'a bit streaky - add another coat' },
+      { share: quality.pooled, tip: 'pooling - use thinner coats' },
+      { share: quality.bubbled * 2, tip: 'bubbles - too thick!' },
+    ].sort((a, b) => b.share - a.share);
+    const tip = problems[0].share > 0.05 ? problems[0].tip : 'smooth and even!';
+
+    return `Coat quality: ${quality.score} - ${tip}`;
+  }
+
+  /**
+   * Nail-tech score for the active nail: coat quality counts most, and
+   * polish left on the skin around the nail takes points off
+   */
+  getNailTechScoreText() {
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+    const clean = this.skinPolishTool?.getCleanliness(hand, finger) ?? 100;
+    const tip = clean < 95 ? 'polish on the skin - use the acetone pen' : 'clean edges!';
+
+    const quality = this.polishTool?.getCoatQuality();
+    if (!quality) return `Cleanliness: ${clean} - ${tip}`;
+
+    const score = Math.round(quality.score * 0.7 + clean * 0.3);
+    return `Nail-tech score: ${score} (cleanliness ${clean}) - ${tip}`;
+  }
+
+  updateNailTechScoreUI() {
+    const scoreText = document.getElementById('nail-tech-score');
+    if (scoreText) {
+      scoreText.textContent = this.getNailTechScoreText();
+    }
+  }
+
+  /**
+   * Switch between the polish brush and the acetone pen
+   */
+  toggleAcetonePen() {
+    if (this.skinPolishTool.isActive) {
+      this.skinPolishTool.deactivate();
+      this.polishBrush3D?.activate();
+      this.magnetTool?.activate();
+    } else {
+      this.polishBrush3D?.deactivate();
+      this.magnetTool?.deactivate();
+      this.skinPolishTool.activate();
+    }
+    soundManager.playClick();
+    this.updateAcetoneButtonUI();
+  }
+
+  updateAcetoneButtonUI() {
+    document.getElementById('acetone-btn')?.classList.toggle('active', this.skinPolishTool?.isActive ?? false);
   }
 
   /**
@@ -657,16 +1230,32 @@ class NailArtistApp {
         dryBtn.classList.remove('dried');
         dryBtn.classList.add('pulse');
       }
+      dryBtn.classList.toggle('curing', this.quickDryTool?.isLampOn() ?? false);
     }
+    document.getElementById('fan-btn')?.classList.toggle('active', this.quickDryTool?.isFanOn() ?? false);
   }
 
   renderBlingOptions() {
     const panel = document.getElementById('options-panel');
     if (!panel) return;
 
-    // Track which category is selected (stickers or gems)
+    // Track which category is selected (stickers, gems or glitter)
     const activeCategory = this.blingCategory || 'stickers';
 
+    // Sticker packs come from a manifest; re-render once it has loaded
+    if (!stickerLibrary.isLoaded) {
+      stickerLibrary.load().then(() => {
+        if (this.currentTool === 'bling') this.renderBlingOptions();
+      });
+    }
+    const stickerCategories = stickerLibrary.getCategories();
+    const stickerCategory = stickerCategories.find(c => c.id === this.stickerCategory) || stickerCategories[0];
+
+    // Faceted cuts take the chosen stone/setting; charms are fixed designs
+    const gemStyle = this.gemTool?.getGemStyle() || {};
+    const gemCuts = GEM_TYPES.filter(g => g.shape === 'cut');
+    const gemCharms = GEM_TYPES.filter(g => g.shape !== 'cut' && !g.hidden);
+
     panel.innerHTML = `
       <h3>Bling</h3>
       <p style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 12px;">
@@ -680,28 +1269,117 @@ class NailArtistApp {
         <button class="bling-tab ${activeCategory === 'gems' ? 'active' : ''}" data-category="gems">
           💎 Gems
         </button>
+        <button class="bling-tab ${activeCategory === 'glitter' ? 'active' : ''}" data-category="glitter">
+          ✨ Glitter
+        </button>
       </div>
 
       <div class="bling-items">
         ${activeCategory === 'stickers' ? `
+          <div class="sticker-categories">
+            ${stickerCategories.map(c => `
+              <button class="sticker-category-btn ${c.id === stickerCategory.id ? 'active' : ''}" data-category="${c.id}">
+                ${c.icon} ${c.name}
+              </button>
+            `).join('')}
+          </div>
+          <div class="bling-grid">
+            ${stickerLibrary.getStickers(stickerCategory.id).map(s => `
+              <button class="shape-btn bling-btn ${this.stickerTool?.selectedSticker === s.id ? 'active' : ''}"
+                      data-type="sticker" data-id="${s.id}" title="${s.name}">
+                ${s.src
+                  ? `<img class="sticker-thumb" src="${s.src}" alt="${s.name}" loading="lazy" data-emoji="${s.emoji || ''}">`
+                  : s.emoji}
+              </button>
+            `).join('')}
+          </div>
+          <p style="font-size: 0.7rem; color: var(--text-muted); margin-top: 12px; text-align: center;">
+            Tap a sticker on the nail to move it. Drag the handles (or pinch and twist) to resize and rotate!
+          </p>
+          <div class="polish-actions">
+            <button class="polish-action-btn undo-btn" id="sticker-delete-btn" disabled>
+              <span>🗑️ Remove Sticker</span>
+            </button>
+          </div>
+          ${this.renderMirrorOptions()}
+        ` : activeCategory === 'glitter' ? this.renderGlitterOptions() : `
+          <h4>Cuts</h4>
           <div class="bling-grid">
-            ${STICKERS.map(s => `
-              <button class="shape-btn bling-btn" data-type="sticker" data-id="${s.id}">
-                ${s.emoji}
+            ${gemCuts.map(g => `
+              <button class="shape-btn bling-btn gem-cut-btn ${this.gemTool?.selectedGem === g.id ? 'active' : ''}"
+                      data-type="gem" data-id="${g.id}" title="${g.name}">
+                ${getCutIconSvg(g.id, getStone(gemStyle.stone).color)}
               </button>
             `).join('')}
           </div>
-        ` : `
+
+          <h4 style="margin-top: 16px;">Charms</h4>
           <div class="bling-grid">
-            ${GEM_TYPES.map(g => `
-              <button class="shape-btn bling-btn" data-type="gem" data-id="${g.id}">
+            ${gemCharms.map(g => `
+              <button class="shape-btn bling-btn ${this.gemTool?.selectedGem === g.id ? 'active' : ''}" data-type="gem" data-id="${g.id}">
                 ${g.emoji}
               </button>
             `).join('')}
           </div>
+
+          <h4 style="margin-top: 16px;">Stone</h4>
+          <div class="color-grid pen-colors">
+            ${GEM_STONES.map(stone => `
+              <button
+                class="color-swatch gem-stone-btn ${gemStyle.stone === stone.id ? 'active' : ''}"
+                data-stone="${stone.id}"
+                style="background-color: ${stone.color}"
+                title="${stone.name}"
+              ></button>
+            `).join('')}
+          </div>
+
+          <h4 style="margin-top: 16px;">Setting</h4>
+          <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+            ${GEM_SETTINGS.map(setting => `
+              <button
+                class="shape-btn gem-setting-btn ${gemStyle.setting === setting.id ? 'active' : ''}"
+                data-setting="${setting.id}"
+                style="flex: 1; min-width: 70px; font-size: 0.7rem;"
+              >
+                ${setting.name}
+              </button>
+            `).join('')}
+          </div>
+          ${gemStyle.setting !== 'none' ? `
+            <div class="color-grid pen-colors" style="margin-top: 10px;">
+              ${GEM_METALS.map(metal => `
+                <button
+                  class="color-swatch gem-metal-btn ${gemStyle.metal === metal.id ? 'active' : ''}"
+                  data-metal="${metal.id}"
+                  style="background-color: ${metal.color}"
+                  title="${metal.name}"
+                ></button>
+              `).join('')}
+            </div>
+          ` : ''}
+          <p style="font-size: 0.7rem; color: var(--text-muted); margin-top: 12px; text-align: center;">
+            Tap a gem on the nail to select it, then drag it to slide it around (or pinch and twist)!
+          </p>
+          <div class="polish-actions">
+            <button class="polish-action-btn gem-edit-btn" data-action="rotate-left" title="Rotate left" disabled>⟲</button>
+            <button class="polish-action-btn gem-edit-btn" data-action="rotate-right" title="Rotate right" disabled>⟳</button>
+            <button class="polish-action-btn gem-edit-btn" data-action="shrink" title="Smaller" disabled>➖</button>
+            <button class="polish-action-btn gem-edit-btn" data-action="grow" title="Bigger" disabled>➕</button>
+          </div>
+          <div class="polish-actions">
+            <button class="polish-action-btn undo-btn gem-edit-btn" data-action="delete" disabled>
+              <span>🗑️ Remove Gem</span>
+            </button>
+          </div>
+          ${this.renderMirrorOptions()}
         `}
       </div>
+
+      ${this.renderBulkOptions()}
     `;
+    this.updateMirrorUI();
+    this.updateBulkUI();
 
     // Tab switching
     panel.querySelectorAll('.bling-tab').forEach(tab => {
@@ -710,25 +1388,106 @@ class NailArtistApp {
         // Deselect items when switching tabs
         this.stickerTool?.selectSticker(null);
         this.gemTool?.selectGem(null);
+        this.activateBlingTool();
         this.renderBlingOptions();
         soundManager.playClick();
       });
     });
 
-    // Item selection
-    panel.querySelectorAll('.bling-btn').forEach(btn => {
+    // Sticker pack categories
+    panel.querySelectorAll('.sticker-category-btn').forEach(btn => {
       btn.addEventListener('click', () => {
-        // Update active state
-        panel.querySelectorAll('.bling-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+        this.stickerCategory = btn.dataset.category;
+        this.renderBlingOptions();
+        soundManager.playClick();
+      });
+    });
 
-        const type = btn.dataset.type;
-        const id = btn.dataset.id;
+    // Fall back to the emoji if a thumbnail can't load
+    panel.querySelectorAll('.sticker-thumb').forEach(img => {
+      img.addEventListener('error', () => {
+        img.replaceWith(img.dataset.emoji || '❔');
+      }, { once: true });
+    });
 
-        if (type === 'sticker') {
-          this.stickerTool?.selectSticker(id);
-          this.gemTool?.selectGem(null); // Deselect gem
-        } else {
+    document.getElementById('sticker-delete-btn')?.addEventListener('click', () => {
+      this.stickerTool?.deleteSelected();
+    });
+    this.updateStickerActionsUI(this.stickerTool?.getSelectedSticker());
+
+    // Stone, setting and metal for cut gems (also restyles a selected gem)
+    panel.querySelectorAll('.gem-stone-btn, .gem-setting-btn, .gem-metal-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const { stone, setting, metal } = btn.dataset;
+        this.gemTool?.setGemStyle({
+          ...(stone && { stone }),
+          ...(setting && { setting }),
+          ...(metal && { metal }),
+        });
+        soundManager.playClick();
+        this.renderBlingOptions();
+      });
+    });
+
+    panel.querySelectorAll('.gem-edit-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        switch (btn.dataset.action) {
+          case 'rotate-left': this.gemTool?.rotateSelected(-1); break;
+          case 'rotate-right': this.gemTool?.rotateSelected(1); break;
+          case 'shrink': this.gemTool?.resizeSelected(-1); break;
+          case 'grow': this.gemTool?.resizeSelected(1); break;
+          case 'delete': this.gemTool?.deleteSelected(); break;
+        }
+      });
+    });
+    this.updateGemActionsUI(this.gemTool?.getSelectedGem());
+
+    // Glitter mix: flake shapes and colors toggle in and out
+    panel.querySelectorAll('.glitter-shape-btn, .glitter-color-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.shape) {
+          this.glitterTool?.toggleShape(btn.dataset.shape);
+        } else {
+          this.glitterTool?.toggleColor(btn.dataset.color);
+        }
+        soundManager.playClick();
+        this.renderBlingOptions();
+      });
+    });
+
+    document.getElementById('glitter-density')?.addEventListener('input', (e) => {
+      this.glitterTool?.setDensity(Number(e.target.value));
+    });
+    document.getElementById('glitter-size')?.addEventListener('input', (e) => {
+      this.glitterTool?.setSize(e.target.value / 100);
+    });
+
+    document.getElementById('glitter-coat-btn')?.addEventListener('click', (e) => {
+      if (this.glitterTool?.coatNail()) {
+        const btn = e.currentTarget;
+        btn.style.animation = 'none';
+        btn.offsetHeight;
+        btn.style.animation = 'bounce 0.3s ease';
+      }
+    });
+    document.getElementById('glitter-clear-btn')?.addEventListener('click', () => {
+      this.glitterTool?.clearActiveNail();
+    });
+
+    // Item selection
+    panel.querySelectorAll('.bling-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        // Update active state
+        panel.querySelectorAll('.bling-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+
+        const type = btn.dataset.type;
+        const id = btn.dataset.id;
+
+        if (type === 'sticker') {
+          this.stickerTool?.selectSticker(id);
+          this.gemTool?.selectGem(null); // Deselect gem
+        } else {
           this.gemTool?.selectGem(id);
           this.stickerTool?.selectSticker(null); // Deselect sticker
         }
@@ -741,6 +1500,199 @@ class NailArtistApp {
     });
   }
 
+  /**
+   * Glitter tab of the bling panel (flake mix, density and size)
+   */
+  renderGlitterOptions() {
+    const shapes = this.glitterTool?.getShapes() || [];
+    const colors = this.glitterTool?.getColors() || [];
+
+    return `
+      <h4>Flakes</h4>
+      <div class="glitter-shapes">
+        ${FLAKE_SHAPES.map(shape => `
+          <button class="shape-btn glitter-shape-btn ${shapes.includes(shape.id) ? 'active' : ''}" data-shape="${shape.id}">
+            <span class="shape-icon">${shape.icon}</span>
+            <span class="shape-label">${shape.name}</span>
+          </button>
+        `).join('')}
+      </div>
+
+      <h4 style="margin-top: 16px;">Color Mix</h4>
+      <div class="color-grid pen-colors">
+        ${GLITTER_COLORS.map(c => `
+          <button
+            class="color-swatch glitter-color-btn ${colors.includes(c.color) ? 'active' : ''}"
+            data-color="${c.color}"
+            style="background-color: ${c.color}"
+            title="${c.name}"
+          ></button>
+        `).join('')}
+      </div>
+
+      <h4 style="margin-top: 16px;">Density</h4>
+      <input type="range" id="glitter-density" min="1" max="10" value="${this.glitterTool?.getDensity() ?? 5}" style="width: 100%;">
+
+      <h4 style="margin-top: 16px;">Flake Size</h4>
+      <input type="range" id="glitter-size" min="50" max="250" value="${Math.round((this.glitterTool?.getSize() ?? 1) * 100)}" style="width: 100%;">
+
+      <p style="font-size: 0.7rem; color: var(--text-muted); margin-top: 12px; text-align: center;">
+        Hold on the nail to spray glitter, or coat the whole nail at once!
+      </p>
+      <div class="polish-actions">
+        <button class="polish-action-btn fill-btn" id="glitter-coat-btn">
+          <span>✨ Glitter Coat</span>
+        </button>
+        <button class="polish-action-btn undo-btn" id="glitter-clear-btn">
+          <span>🗑️ Clear Glitter</span>
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Only the tool of the open bling tab listens to the nail
+   */
+  activateBlingTool() {
+    if (this.currentTool !== 'bling') return;
+
+    const tools = { stickers: this.stickerTool, gems: this.gemTool, glitter: this.glitterTool };
+    const active = tools[this.blingCategory || 'stickers'];
+    for (const tool of Object.values(tools)) {
+      if (tool !== active) tool?.deactivate();
+    }
+    active?.activate();
+  }
+
+  /**
+   * Enable the Remove button while a placed sticker is selected
+   */
+  updateStickerActionsUI(sticker) {
+    document.getElementById('sticker-delete-btn')?.toggleAttribute('disabled', !sticker);
+  }
+
+  /**
+   * Enable the gem edit buttons while a placed gem is selected
+   */
+  updateGemActionsUI(gem) {
+    document.querySelectorAll('.gem-edit-btn').forEach(btn => {
+      btn.toggleAttribute('disabled', !gem);
+    });
+  }
+
+  renderPatternOptions() {
+    const panel = document.getElementById('options-panel');
+    if (!panel) return;
+
+    const pattern = this.patternTool.getSelectedPattern();
+    const { colors, proportion } = this.patternTool.getSettings();
+    const layerName = this.polishTool?.getState().getActiveLayer().name || 'active';
+    this.patternSlot = Math.min(this.patternSlot, colors.length - 1);
+
+    panel.innerHTML = `
+      <h3>Patterns</h3>
+      <p style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 12px;">
+        Pick a pattern and its colors, then paint it on!
+      </p>
+
+      <div class="pattern-grid">
+        ${Object.values(PATTERNS).map(p => `
+          <button class="shape-btn pattern-btn ${p.id === pattern.id ? 'active' : ''}" data-pattern="${p.id}">
+            <span class="shape-icon">${p.icon}</span>
+            <span class="shape-label">${p.name}</span>
+          </button>
+        `).join('')}
+      </div>
+
+      <h4 style="margin-top: 16px;">Colors</h4>
+      <div class="pattern-slots">
+        ${colors.map((c, i) => `
+          <button
+            class="color-swatch pattern-slot ${i === this.patternSlot ? 'active' : ''}"
+            data-slot="${i}"
+            style="background-color: ${c}"
+            title="Color ${i + 1}"
+          ></button>
+        `).join('')}
+        ${pattern.maxColors ? `
+          <button class="shape-btn pattern-color-count" id="pattern-color-count">
+            ${colors.length < pattern.maxColors ? '+ Color' : '− Color'}
+          </button>
+        ` : ''}
+      </div>
+      <div class="color-grid" style="margin-top: 8px;">
+        ${POLISH_COLORS.map(c => `
+          <button
+            class="color-swatch pattern-color-btn ${colors[this.patternSlot] === c ? 'active' : ''}"
+            data-color="${c}"
+            style="background-color: ${c}"
+            title="${c}"
+          ></button>
+        `).join('')}
+      </div>
+
+      <h4 style="margin-top: 16px;">${pattern.proportionLabel}</h4>
+      <input type="range" id="pattern-proportion" min="0" max="100" value="${Math.round(proportion * 100)}" style="width: 100%;">
+
+      <div class="polish-actions" style="margin-top: 12px;">
+        <button class="polish-action-btn fill-btn" id="apply-pattern-btn">
+          <span>✨ Paint Pattern</span>
+        </button>
+      </div>
+
+      <p style="font-size: 0.7rem; color: var(--text-muted); margin-top: 12px; text-align: center;">
+        Paints on the ${escapeHtml(layerName)} layer - pick another in Polish
+      </p>
+
+      ${this.renderBulkOptions()}
+    `;
+    this.updateBulkUI();
+
+    panel.querySelectorAll('.pattern-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.patternTool.selectPattern(btn.dataset.pattern);
+        this.patternSlot = 0;
+        soundManager.playClick();
+        this.renderPatternOptions();
+      });
+    });
+
+    panel.querySelectorAll('.pattern-slot').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.patternSlot = Number(btn.dataset.slot);
+        soundManager.playClick();
+        this.renderPatternOptions();
+      });
+    });
+
+    document.getElementById('pattern-color-count')?.addEventListener('click', () => {
+      this.patternTool.setColorCount(colors.length < pattern.maxColors ? pattern.maxColors : pattern.colors.length);
+      soundManager.playClick();
+      this.renderPatternOptions();
+    });
+
+    panel.querySelectorAll('.pattern-color-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.patternTool.setColor(this.patternSlot, btn.dataset.color);
+        soundManager.playClick();
+        this.renderPatternOptions();
+      });
+    });
+
+    document.getElementById('pattern-proportion')?.addEventListener('input', (e) => {
+      this.patternTool.setProportion(e.target.value / 100);
+    });
+
+    document.getElementById('apply-pattern-btn')?.addEventListener('click', (e) => {
+      if (this.patternTool.apply()) {
+        const btn = e.currentTarget;
+        btn.style.animation = 'none';
+        btn.offsetHeight;
+        btn.style.animation = 'bounce 0.3s ease';
+      }
+    });
+  }
+
   renderBrushOptions() {
     const panel = document.getElementById('options-panel');
     if (!panel) return;
@@ -748,6 +1700,7 @@ class NailArtistApp {
     const currentMaterial = this.brushTool?.getMaterial() || 'solid';
     const currentColor = this.brushTool?.getColor() || '#FFFFFF';
     const currentSize = this.brushTool?.getSize() || 6;
+    const isErasing = this.brushTool?.isErasing() ?? false;
 
     // Get materials as array
     const materials = Object.values(PEN_MATERIALS);
@@ -762,7 +1715,7 @@ class NailArtistApp {
       <div class="material-grid">
         ${materials.map(m => `
           <button
-            class="material-btn ${currentMaterial === m.id ? 'active' : ''}"
+            class="material-btn ${currentMaterial === m.id && !isErasing ? 'active' : ''}"
             data-material="${m.id}"
             title="${m.description}"
           >
@@ -770,6 +1723,10 @@ class NailArtistApp {
             <span class="material-name">${m.name}</span>
           </button>
         `).join('')}
+        <button class="material-btn eraser-btn ${isErasing ? 'active' : ''}" title="Rub out pen strokes (polish stays)">
+          <span class="material-icon">🧽</span>
+          <span class="material-name">Eraser</span>
+        </button>
       </div>
 
       <h4 style="margin-top: 16px;">Color</h4>
@@ -789,15 +1746,34 @@ class NailArtistApp {
         <div class="size-preview" style="width: ${currentSize * 2}px; height: ${currentSize * 2}px; background: ${currentColor};"></div>
       </div>
       <input type="range" id="brush-size" min="1" max="20" value="${currentSize}" style="width: 100%;">
+
+      <h4 style="margin-top: 16px;">Strokes</h4>
+      <div class="stroke-list" id="stroke-list"></div>
+      <button class="shape-btn" id="stroke-export-btn" style="width: 100%; margin-top: 8px;">Export strokes</button>
+
+      ${this.renderMirrorOptions()}
     `;
+    this.updateStrokeListUI();
+    this.updateMirrorUI();
+
+    document.getElementById('stroke-export-btn')?.addEventListener('click', () => {
+      const hand = this.nail.getCurrentHand();
+      const finger = this.nail.getActiveNail();
+      downloadStrokes(this.brushTool.exportStrokes(hand, finger), `${hand}-${finger}-strokes`);
+      soundManager.playClick();
+    });
 
-    // Material selection
+    // Material selection (or the eraser)
     panel.querySelectorAll('.material-btn').forEach(btn => {
       btn.addEventListener('click', () => {
         panel.querySelectorAll('.material-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
 
-        this.brushTool?.setMaterial(btn.dataset.material);
+        if (btn.classList.contains('eraser-btn')) {
+          this.brushTool?.setEraser(true);
+        } else {
+          this.brushTool?.setMaterial(btn.dataset.material);
+        }
         soundManager.playClick();
 
         btn.style.animation = 'none';
@@ -844,15 +1820,362 @@ class NailArtistApp {
     });
   }
 
-  clearNail() {
-    // Clear polish tool layers
-    this.polishTool?.clear();
+  /**
+   * List the active nail's pen strokes (newest first) with recolor and
+   * delete buttons
+   */
+  updateStrokeListUI() {
+    const list = document.getElementById('stroke-list');
+    if (!list) return;
+
+    const strokes = this.brushTool?.getActiveStrokes().reverse() || [];
+    const materials = Object.values(PEN_MATERIALS);
+    list.innerHTML = strokes.length === 0
+      ? '<p class="stroke-empty">Nothing drawn on this nail yet</p>'
+      : strokes.map(stroke => `
+        <div class="layer-row">
+          <span class="layer-name">
+            <span class="layer-dot" style="background: ${stroke.color}"></span>
+            ${materials.find(m => m.id === stroke.material)?.icon || ''} ${stroke.points.length} pts
+          </span>
+          <button class="layer-icon-btn stroke-recolor" data-stroke="${stroke.id}" title="Recolor with the pen color">🎨</button>
+          <button class="layer-icon-btn stroke-delete" data-stroke="${stroke.id}" title="Delete stroke">✕</button>
+        </div>
+      `).join('');
+    document.getElementById('stroke-export-btn')?.toggleAttribute('disabled', strokes.length === 0);
+
+    list.querySelectorAll('.stroke-recolor').forEach(btn => {
+      btn.addEventListener('click', () => this.brushTool.recolorStroke(Number(btn.dataset.stroke)));
+    });
+    list.querySelectorAll('.stroke-delete').forEach(btn => {
+      btn.addEventListener('click', () => this.brushTool.deleteStroke(Number(btn.dataset.stroke)));
+    });
+  }
+
+  /**
+   * Rows of nail buttons (1-5) for both hands, for picking nails
+   * @param {function(string, string): boolean} isSelected - (hand, finger)
+   * @param {function(string, string): boolean} [isDisabled] - (hand, finger)
+   */
+  renderNailPicker(isSelected, isDisabled = () => false) {
+    return ['left', 'right'].map(hand => `
+      <div class="nail-picker-row">
+        <span class="nail-picker-hand">${hand === 'left' ? '✋' : '🤚'}</span>
+        ${Object.values(FINGERS).map((finger, i) => `
+          <button class="nail-pick ${isSelected(hand, finger) ? 'active' : ''}" data-hand="${hand}" data-finger="${finger}"
+                  title="${hand} ${finger}" ${isDisabled(hand, finger) ? 'disabled' : ''}>${i + 1}</button>
+        `).join('')}
+      </div>
+    `).join('');
+  }
 
-    // Clear polish on active nail
-    this.nail.clearPolish();
+  /**
+   * Mirror mode section shared by the draw and bling panels
+   * (filled in by updateMirrorUI)
+   */
+  renderMirrorOptions() {
+    return `
+      <h4 style="margin-top: 16px;">🪞 Mirror</h4>
+      <div class="nail-picker" id="mirror-options"></div>
+    `;
+  }
 
-    // Clear all decorations on active nail
-    this.nail.clearDrawing();
+  /**
+   * Show mirror mode, flip and target nails for the active nail
+   */
+  updateMirrorUI() {
+    const box = document.getElementById('mirror-options');
+    const mirror = this.mirrorTool;
+    if (!box || !mirror) return;
+
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+    const targets = mirror.getTargets(hand, finger);
+    const isTarget = (h, f) => targets.some(t => t.hand === h && t.finger === f);
+    const isOpposite = (h, f) => h !== hand && f === finger;
+
+    box.innerHTML = `
+      <div class="nail-picker-row">
+        <button class="shape-btn nail-picker-btn ${mirror.isEnabled() ? 'active' : ''}" data-toggle="live"
+                title="Copy new strokes, stickers and gems to the chosen nails as you add them">🪞 Live</button>
+        <button class="shape-btn nail-picker-btn ${mirror.isFlipped() ? 'active' : ''}" data-toggle="flip"
+                title="Flip designs left to right">↔️ Flip</button>
+        <button class="shape-btn nail-picker-btn ${targets.length === Object.values(FINGERS).length * 2 - 1 ? 'active' : ''}" data-toggle="all"
+                title="Every other nail">All</button>
+      </div>
+      ${this.renderNailPicker(isTarget, (h, f) => h === hand && f === finger)}
+      <button class="shape-btn" id="mirror-now-btn" style="width: 100%; margin-top: 8px;" ${targets.length === 0 ? 'disabled' : ''}>
+        Mirror this nail now
+      </button>
+    `;
+
+    box.querySelectorAll('.nail-picker-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const isActive = btn.classList.contains('active');
+        if (btn.dataset.toggle === 'live') {
+          mirror.setEnabled(!isActive);
+        } else if (btn.dataset.toggle === 'flip') {
+          mirror.setFlip(!isActive);
+        } else {
+          mirror.selectAll(!isActive);
+          mirror.setOppositeHand(!isActive);
+        }
+        soundManager.playClick();
+      });
+    });
+
+    // The matching finger on the other hand follows the active nail
+    box.querySelectorAll('.nail-pick').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const { hand: h, finger: f } = btn.dataset;
+        if (isOpposite(h, f)) {
+          const selected = !isTarget(h, f);
+          if (mirror.hasTarget(h, f)) mirror.toggleTarget(h, f);
+          mirror.setOppositeHand(selected);
+        } else {
+          mirror.toggleTarget(h, f);
+        }
+        soundManager.playClick();
+      });
+    });
+
+    document.getElementById('mirror-now-btn')?.addEventListener('click', () => {
+      mirror.mirrorNail(this.nail.getCurrentHand(), this.nail.getActiveNail());
+    });
+  }
+
+  // =========================================
+  // Bulk actions (every nail at once)
+  // =========================================
+
+  /**
+   * Nails the bulk actions apply to, on both hands: every nail, every
+   * nail but the accent finger, or the picked ones
+   * @returns {Array<{hand: string, finger: string}>}
+   */
+  getBulkNails() {
+    const { mode, accent, picked } = this.bulkNails;
+    const nails = [];
+    for (const hand of ['left', 'right']) {
+      for (const finger of Object.keys(this.nail.hands[hand].nails)) {
+        if (mode === 'accent' && finger === accent) continue;
+        if (mode === 'pick' && !picked.has(`${hand}_${finger}`)) continue;
+        nails.push({ hand, finger });
+      }
+    }
+    return nails;
+  }
+
+  /**
+   * "All Nails" section of the polish, pattern and bling panels
+   * (filled in by updateBulkUI)
+   */
+  renderBulkOptions() {
+    return `
+      <h4 style="margin-top: 16px;">💅 All Nails</h4>
+      <div class="nail-picker" id="bulk-options"></div>
+    `;
+  }
+
+  /**
+   * Show which nails the bulk actions reach, and the actions for this panel
+   */
+  updateBulkUI() {
+    const box = document.getElementById('bulk-options');
+    if (!box) return;
+
+    const { mode, accent, picked } = this.bulkNails;
+    const nails = this.getBulkNails();
+    const actions = BULK_ACTIONS[this.currentTool] || [];
+
+    box.innerHTML = `
+      <div class="nail-picker-row">
+        ${BULK_MODES.map(m => `
+          <button class="shape-btn nail-picker-btn bulk-mode ${mode === m.id ? 'active' : ''}" data-mode="${m.id}">${m.name}</button>
+        `).join('')}
+      </div>
+      ${mode === 'accent' ? `
+        <div class="nail-picker-row">
+          <span class="nail-picker-hand" title="Accent finger">⭐</span>
+          ${Object.values(FINGERS).map((finger, i) => `
+            <button class="nail-pick bulk-accent ${finger === accent ? 'active' : ''}" data-finger="${finger}" title="${finger}">${i + 1}</button>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${mode === 'pick' ? this.renderNailPicker((hand, finger) => picked.has(`${hand}_${finger}`)) : ''}
+      <div class="nail-picker-row">
+        ${actions.map(action => `
+          <button class="shape-btn nail-picker-btn bulk-action" data-action="${action.id}" title="${action.title}"
+                  ${nails.length === 0 ? 'disabled' : ''}>${action.name}</button>
+        `).join('')}
+      </div>
+    `;
+
+    box.querySelectorAll('.bulk-mode').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.bulkNails.mode = btn.dataset.mode;
+        soundManager.playClick();
+        this.updateBulkUI();
+      });
+    });
+
+    box.querySelectorAll('.bulk-accent').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.bulkNails.accent = btn.dataset.finger;
+        soundManager.playClick();
+        this.updateBulkUI();
+      });
+    });
+
+    box.querySelectorAll('.nail-pick:not(.bulk-accent)').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const key = `${btn.dataset.hand}_${btn.dataset.finger}`;
+        if (!picked.delete(key)) picked.add(key);
+        soundManager.playClick();
+        this.updateBulkUI();
+      });
+    });
+
+    box.querySelectorAll('.bulk-action').forEach(btn => {
+      btn.addEventListener('click', () => this.runBulkAction(btn.dataset.action));
+    });
+  }
+
+  /**
+   * Apply the current color, finish, pattern or bling to the bulk nails,
+   * one undo step per nail
+   */
+  runBulkAction(action) {
+    const nails = this.getBulkNails();
+    switch (action) {
+      case 'color':
+        this.polishTool.fillNails(nails);
+        break;
+      case 'finish':
+        if (this.polishTool.setFinishOnNails(nails) > 0) {
+          this.updateFinishUI();
+          soundManager.playSparkle();
+        }
+        break;
+      case 'pattern':
+        this.patternTool.applyToNails(nails);
+        break;
+      case 'bling':
+        this.mirrorTool.copyBling(this.nail.getCurrentHand(), this.nail.getActiveNail(), nails);
+        break;
+    }
+  }
+
+  renderStampOptions() {
+    const panel = document.getElementById('options-panel');
+    if (!panel) return;
+
+    const design = this.stampTool.getSelectedDesign();
+    const color = this.stampTool.getColor();
+    const { min, max } = this.stampTool.getSizeRange();
+
+    panel.innerHTML = `
+      <h3>Stamping</h3>
+      <p style="font-size: 0.75rem; color: var(--text-muted); margin-bottom: 12px;">
+        Pick a stamp and an ink color, then press it onto the nail!
+      </p>
+
+      <div class="stamp-grid">
+        ${STAMP_DESIGNS.map(d => `
+          <button class="shape-btn stamp-btn ${d.id === design.id ? 'active' : ''}" data-stamp="${d.id}" title="${d.name}">
+            ${getStampIconSvg(d)}
+          </button>
+        `).join('')}
+      </div>
+
+      <h4 style="margin-top: 16px;">Ink</h4>
+      <div class="color-grid pen-colors">
+        ${PEN_COLORS.map(c => `
+          <button
+            class="color-swatch stamp-color-btn ${color === c.color ? 'active' : ''}"
+            data-color="${c.color}"
+            style="background-color: ${c.color}"
+            title="${c.name}"
+          ></button>
+        `).join('')}
+      </div>
+
+      <h4 style="margin-top: 16px;">Size</h4>
+      <input type="range" id="stamp-size" min="${min}" max="${max}" value="${this.stampTool.getSize()}" style="width: 100%;">
+
+      <h4 style="margin-top: 16px;">Turn</h4>
+      <input type="range" id="stamp-rotation" min="-180" max="180" step="5" value="${this.stampTool.getRotation()}" style="width: 100%;">
+    `;
+
+    panel.querySelectorAll('.stamp-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        panel.querySelectorAll('.stamp-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+
+        this.stampTool.selectDesign(btn.dataset.stamp);
+        soundManager.playClick();
+
+        btn.style.animation = 'none';
+        btn.offsetHeight;
+        btn.style.animation = 'bounce 0.3s ease';
+      });
+    });
+
+    panel.querySelectorAll('.stamp-color-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        panel.querySelectorAll('.stamp-color-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+
+        this.stampTool.setColor(btn.dataset.color);
+        soundManager.playClick();
+
+        btn.style.animation = 'none';
+        btn.offsetHeight;
+        btn.style.animation = 'bounce 0.3s ease';
+      });
+    });
+
+    document.getElementById('stamp-size')?.addEventListener('input', (e) => {
+      this.stampTool.setSize(Number(e.target.value));
+    });
+
+    document.getElementById('stamp-rotation')?.addEventListener('input', (e) => {
+      this.stampTool.setRotation(Number(e.target.value));
+    });
+  }
+
+  /**
+   * Wipe the active nail, or just one kind of thing on it
+   * @param {string} [target] - CLEAR_TARGETS id
+   */
+  clearNail(target = 'all') {
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+
+    const clears = {
+      polish: () => {
+        // Polish tool layers, the nail color and the painted canvas,
+        // plus any polish that slipped onto the skin
+        this.polishTool?.clear();
+        this.nail.clearPolish();
+        this.nail.clearDrawing();
+        this.skinPolishTool?.clearNail(hand, finger);
+      },
+      art: () => {
+        // Pen strokes and stamps (each on its own overlay, so polish stays)
+        this.brushTool?.clearNail(hand, finger);
+        this.stampTool?.clearNail(hand, finger);
+      },
+      stickers: () => this.stickerTool?.clearNail(hand, finger),
+      gems: () => this.gemTool?.clearNail(hand, finger),
+      glitter: () => this.glitterTool?.clearNail(hand, finger),
+    };
+    const targets = target === 'all' ? Object.keys(clears) : [target];
+    const name = CLEAR_TARGETS.find(t => t.id === target)?.name.toLowerCase();
+
+    commandHistory.record(target === 'all' ? 'Clear' : `Clear ${name}`, hand, finger, () => {
+      targets.forEach(key => clears[key]?.());
+    });
 
     // Play sound
     soundManager.playClick();
@@ -860,6 +2183,187 @@ class NailArtistApp {
     this.updateOptionsPanel();
   }
 
+  // =========================================
+  // Copy / Paste
+  // =========================================
+
+  /**
+   * Copy the active nail's whole design: polish layers with their
+   * coverage, the painted drawing and finish, pen strokes, stamps,
+   * stickers, gems and glitter
+   */
+  copyNail() {
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+
+    this.clipboard = {
+      hand,
+      finger,
+      nail: this.nail.saveNailStateOf(hand, finger),
+      polish: this.polishTool?.snapshotNail(hand, finger) ?? null,
+      strokes: this.brushTool?.captureNail(hand, finger) ?? [],
+      stamps: this.stampTool?.captureNail(hand, finger) ?? [],
+      stickers: this.stickerTool?.captureNail(hand, finger) ?? [],
+      gems: this.gemTool?.captureNail(hand, finger) ?? [],
+      glitter: this.glitterTool?.captureNail(hand, finger) ?? [],
+    };
+    document.getElementById('btn-paste')?.removeAttribute('disabled');
+    soundManager.playClick();
+  }
+
+  /**
+   * Replace the active nail's design with the copied one (one undo step),
+   * fitted to the nail's layout and optionally mirrored
+   */
+  async pasteNail(mirrored = false) {
+    const copied = this.clipboard;
+    if (!copied) return;
+
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+    const mapping = this.mirrorTool.createMapping(copied.hand, copied.finger, hand, finger, mirrored);
+    const designs = this.mirrorTool.mapDesigns(copied, mapping);
+
+    const historyStep = commandHistory.begin(mirrored ? 'Paste mirrored' : 'Paste', hand, finger);
+    await this.nail.pasteNailState(hand, finger, copied.nail, mapping.transform);
+    await this.polishTool?.pasteNail(hand, finger, copied.polish, mapping.transform);
+
+    this.gemTool?.clearNail(hand, finger);
+    this.gemTool?.restoreNail(hand, finger, designs.gems);
+    this.glitterTool?.restoreNail(hand, finger, designs.glitter);
+    this.stickerTool?.restoreNail(hand, finger, designs.stickers);
+    this.brushTool?.restoreNail(hand, finger, designs.strokes);
+    this.stampTool?.restoreNail(hand, finger, designs.stamps);
+    historyStep?.commit();
+
+    this.refreshNailUI(hand, finger);
+    soundManager.playSparkle();
+  }
+
+  // =========================================
+  // Undo / Redo
+  // =========================================
+
+  /**
+   * Undo the last change on the active nail
+   */
+  async undo() {
+    const command = await commandHistory.undo(this.nail.getCurrentHand(), this.nail.getActiveNail());
+    if (command) {
+      soundManager.playClick();
+    }
+  }
+
+  /**
+   * Redo the last undone change on the active nail
+   */
+  async redo() {
+    const command = await commandHistory.redo(this.nail.getCurrentHand(), this.nail.getActiveNail());
+    if (command) {
+      soundManager.playClick();
+    }
+  }
+
+  /**
+   * Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo,
+   * Ctrl/Cmd+C and Ctrl/Cmd+V to copy and paste the nail design,
+   * Delete to remove the selected sticker or gem
+   */
+  setupHistoryShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+
+      // Delete/Backspace removes the selected sticker or gem
+      if ((e.key === 'Delete' || e.key === 'Backspace') && this.currentTool === 'bling') {
+        if (this.stickerTool?.deleteSelected() || this.gemTool?.deleteSelected()) {
+          e.preventDefault();
+        }
+        return;
+      }
+
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redo();
+      } else if (key === 'c' && !window.getSelection()?.toString()) {
+        e.preventDefault();
+        this.copyNail();
+      } else if (key === 'v' && this.clipboard) {
+        e.preventDefault();
+        this.pasteNail();
+      }
+    });
+  }
+
+  /**
+   * Enable/disable undo and redo buttons for the active nail
+   */
+  updateHistoryUI() {
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+    const canUndo = commandHistory.canUndo(hand, finger);
+    const canRedo = commandHistory.canRedo(hand, finger);
+
+    document.getElementById('btn-undo')?.toggleAttribute('disabled', !canUndo);
+    document.getElementById('btn-redo')?.toggleAttribute('disabled', !canRedo);
+    document.getElementById('polish-undo-btn')?.toggleAttribute('disabled', !canUndo);
+  }
+
+  /**
+   * Copy everything on one nail, across all tools (for undo)
+   */
+  captureNailSnapshot(hand, finger) {
+    return {
+      nail: this.nail.snapshotNail(hand, finger),
+      polish: this.polishTool?.snapshotNail(hand, finger) ?? null,
+      gems: this.gemTool?.captureNail(hand, finger) ?? [],
+      glitter: this.glitterTool?.captureNail(hand, finger) ?? [],
+      stickers: this.stickerTool?.captureNail(hand, finger) ?? [],
+      strokes: this.brushTool?.captureNail(hand, finger) ?? [],
+      stamps: this.stampTool?.captureNail(hand, finger) ?? [],
+      skin: this.skinPolishTool?.captureNail(hand, finger) ?? [],
+    };
+  }
+
+  /**
+   * Put one nail back to a captureNailSnapshot() state
+   */
+  async restoreNailSnapshot(hand, finger, snapshot) {
+    await this.nail.restoreNailSnapshot(hand, finger, snapshot.nail);
+    await this.polishTool?.restoreNailSnapshot(hand, finger, snapshot.polish);
+
+    this.gemTool?.clearNail(hand, finger);
+    this.gemTool?.restoreNail(hand, finger, snapshot.gems);
+    this.glitterTool?.restoreNail(hand, finger, snapshot.glitter);
+    this.stickerTool?.restoreNail(hand, finger, snapshot.stickers);
+    this.brushTool?.restoreNail(hand, finger, snapshot.strokes);
+    this.stampTool?.restoreNail(hand, finger, snapshot.stamps);
+    this.skinPolishTool?.restoreNail(hand, finger, snapshot.skin);
+
+    this.refreshNailUI(hand, finger);
+  }
+
+  /**
+   * Bring the panels up to date after a nail's whole design changed
+   * (undo, redo, paste), if it is the active nail
+   */
+  refreshNailUI(hand, finger) {
+    if (hand !== this.nail.getCurrentHand() || finger !== this.nail.getActiveNail()) return;
+
+    // The layer stack can change, not just the finish
+    if (this.currentTool === 'polish') {
+      this.renderPolishOptions();
+    } else {
+      this.updateFinishUI();
+    }
+    this.updateStrokeListUI();
+  }
+
   toggleGallery(show) {
     const modal = document.getElementById('gallery-modal');
     if (!modal) return;
@@ -872,18 +2376,234 @@ class NailArtistApp {
     }
   }
 
-  loadGallery() {
+  setupGallery() {
     const grid = document.getElementById('gallery-grid');
     if (!grid) return;
 
-    // TODO: Load from localStorage
-    grid.innerHTML = `
-      <div class="gallery-empty">
-        <p style="font-size: 2rem">📸</p>
-        <p>No looks saved yet!</p>
-        <p style="font-size: 0.8rem">Create your first masterpiece!</p>
-      </div>
-    `;
+    this.gallery = new Gallery(grid);
+
+    this.gallery.onOpen = async (id) => {
+      await this.openLook(id);
+      this.toggleGallery(false);
+      soundManager.playSuccess();
+    };
+
+    this.gallery.onDuplicate = async (id) => {
+      await nailDesignStore.duplicateLook(id);
+      soundManager.playClick();
+      this.loadGallery();
+    };
+
+    document.getElementById('btn-export-project')?.addEventListener('click', () => {
+      soundManager.playClick();
+      this.exportProject();
+    });
+
+    const projectInput = document.getElementById('project-file-input');
+    document.getElementById('btn-import-project')?.addEventListener('click', () => {
+      soundManager.playClick();
+      projectInput?.click();
+    });
+    projectInput?.addEventListener('change', () => {
+      const file = projectInput.files[0];
+      projectInput.value = '';
+      if (file) {
+        this.importProject(file);
+      }
+    });
+
+    this.gallery.onDelete = async (id) => {
+      await nailDesignStore.deleteLook(id);
+      soundManager.playClick();
+      this.loadGallery();
+    };
+
+    // Surface failed saves (most often a full storage quota)
+    nailDesignStore.onStorageError = (error) => {
+      const message = error instanceof StorageQuotaError
+        ? 'Storage is full! Delete some looks from the gallery to save more.'
+        : 'Oops! Your look could not be saved.';
+      this.showToast(message);
+    };
+  }
+
+  async loadGallery() {
+    await nailDesignStore.ready;
+    this.gallery?.render(nailDesignStore.getLooks());
+  }
+
+  /**
+   * Copy every nail on both hands into the design store
+   * @returns {Promise<boolean>} Whether the designs were saved
+   */
+  async syncDesignStore() {
+    await nailDesignStore.ready;
+    const shape = this.nail.getShape();
+    const length = this.nail.getLength();
+    const acrylic = this.nail.isAcrylic();
+
+    for (const hand of ['left', 'right']) {
+      for (const [finger, nail] of Object.entries(this.nail.hands[hand].nails)) {
+        nailDesignStore.saveDesign(hand, finger, {
+          shape,
+          length,
+          acrylic,
+          polishColor: nail.polishColor ? `#${nail.polishColor.getHexString()}` : null,
+          finishType: nail.finish,
+          topCoatFinish: nail.topCoat,
+          magnet: nail.magnet,
+          canvasBlob: await canvasToBlob(nail.canvas),
+          polish: await this.polishTool?.captureNail(hand, finger) ?? null,
+          gems: this.gemTool?.captureNail(hand, finger) ?? [],
+          glitter: this.glitterTool?.captureNail(hand, finger) ?? [],
+          stickers: this.stickerTool?.captureNail(hand, finger) ?? [],
+          strokes: this.brushTool?.captureNail(hand, finger) ?? [],
+          stamps: this.stampTool?.captureNail(hand, finger) ?? [],
+          skin: this.skinPolishTool?.captureNail(hand, finger) ?? [],
+        });
+      }
+    }
+
+    nailDesignStore.setCurrentFinger(this.nail.getCurrentHand(), this.nail.getActiveNail());
+    return nailDesignStore.save();
+  }
+
+  /**
+   * Save the whole hand (all ten nails + thumbnail) to the gallery
+   */
+  async saveLook() {
+    // Keep selection handles out of the thumbnail
+    this.stickerTool?.select(null);
+    this.gemTool?.select(null);
+    const thumbnail = await captureThumbnail(this.scene.renderer, this.scene.scene, this.scene.camera);
+    const saved = await this.syncDesignStore();
+    if (!saved) return;
+
+    const look = await nailDesignStore.saveLook(thumbnail);
+    if (look) {
+      this.showCelebration();
+    }
+  }
+
+  /**
+   * Replace the current hand with a saved look
+   * @param {string} id - Look id
+   */
+  async openLook(id) {
+    const look = nailDesignStore.getLook(id);
+    if (!look) return;
+
+    await this.applyDesigns(structuredClone(look.designs));
+  }
+
+  /**
+   * Replace both hands with the given designs and make them current
+   * @param {Object} designs - { left: {finger: design}, right: {...} }
+   */
+  async applyDesigns(designs) {
+    nailDesignStore.importDesigns(designs);
+
+    // Pack stickers need the manifest to draw as themselves
+    await stickerLibrary.load();
+
+    // Start from clean nails so nothing from the current look leaks in
+    this.polishTool?.resetAll();
+    this.gemTool?.clearAll();
+    this.glitterTool?.clearAll();
+    this.stickerTool?.clearAll();
+    this.brushTool?.clearAll();
+    this.stampTool?.clearAll();
+    this.skinPolishTool?.clearAll();
+    this.nail.resetAllNails();
+
+    const state = { left: {}, right: {} };
+    let shape = null;
+    let length = null;
+    let acrylic = false;
+    for (const hand of ['left', 'right']) {
+      for (const [finger, design] of Object.entries(designs[hand] || {})) {
+        state[hand][finger] = {
+          polishColor: design.polishColor,
+          finish: design.finishType,
+          topCoat: design.topCoatFinish ?? null,
+          magnet: design.magnet,
+          canvasData: design.canvasBlob,
+        };
+        shape = shape || design.shape;
+        length = length || design.length;
+        acrylic = acrylic || !!design.acrylic;
+      }
+    }
+
+    // Looks saved before nail lengths existed are medium
+    this.changeLength(length || NAIL_LENGTHS.MEDIUM, acrylic);
+    if (shape) {
+      await this.changeShape(shape);
+    }
+    await this.nail.restoreNailState(state);
+
+    // Gems and glitter are anchored to the nail meshes, so place them after the shape is set
+    for (const hand of ['left', 'right']) {
+      for (const [finger, design] of Object.entries(designs[hand] || {})) {
+        await this.polishTool?.restoreNail(hand, finger, design.polish);
+        this.gemTool?.restoreNail(hand, finger, design.gems);
+        this.glitterTool?.restoreNail(hand, finger, design.glitter);
+        this.stickerTool?.restoreNail(hand, finger, design.stickers);
+        this.brushTool?.restoreNail(hand, finger, design.strokes);
+        this.stampTool?.restoreNail(hand, finger, design.stamps);
+        this.skinPolishTool?.restoreNail(hand, finger, design.skin);
+      }
+    }
+
+    // Undo steps belong to the previous look
+    commandHistory.clearAll();
+
+    this.updateOptionsPanel();
+  }
+
+  /**
+   * Download both hands as a .nailart project file
+   */
+  async exportProject() {
+    const saved = await this.syncDesignStore();
+    if (!saved) return;
+
+    await downloadProject(nailDesignStore.exportAllDesigns());
+    soundManager.playSuccess();
+  }
+
+  /**
+   * Load a .nailart project file picked by the user
+   * @param {File} file
+   */
+  async importProject(file) {
+    try {
+      const designs = await readProjectFile(file);
+      await this.applyDesigns(designs);
+    } catch (e) {
+      console.warn('Failed to open project file:', e);
+      this.showToast(e instanceof ProjectFileError
+        ? 'Oops! That file is not a nail art project.'
+        : 'Oops! That file could not be opened.');
+      return;
+    }
+
+    this.toggleGallery(false);
+    soundManager.playSuccess();
+  }
+
+  /**
+   * Show a short message bubble above the action bar
+   */
+  showToast(message, duration = 4000) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+
+    toast.textContent = message;
+    toast.classList.add('show');
+
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => toast.classList.remove('show'), duration);
   }
 
   showCelebration() {
@@ -6,6 +6,10 @@
 import * as THREE from 'three';
 import { MeshBVH, acceleratedRaycast } from 'three-mesh-bvh';
 import { modelLoader } from './ModelLoader.js';
+import { CanvasSnapshot } from '../utils/CanvasSnapshot.js';
+import { toPixelTransform } from '../utils/UVTransform.js';
+import { prepareNailShape, shapeNailGeometry, morphNailGeometry, getNailTip, getNailLayout, getNailCrossLine } from './NailShapes.js';
+import { applyFinish, createPolishOverlayMaterial, setMagnetLine } from './NailPolishMaterial.js';
 
 // Enable BVH-accelerated raycasting globally for all meshes
 THREE.Mesh.prototype.raycast = acceleratedRaycast;
@@ -19,6 +23,21 @@ export const NAIL_SHAPES = {
     COFFIN: 'coffin'
 };
 
+// Nail length options (see LENGTH_PROFILES in NailShapes.js)
+export const NAIL_LENGTHS = {
+    SHORT: 'short',
+    MEDIUM: 'medium',
+    LONG: 'long',
+    EXTRA_LONG: 'extra-long'
+};
+
+// Extra overlays stacked above the drawing overlay (render order 10)
+export const OVERLAY_LAYERS = {
+    stamps: 11,    // Stamping plate art (see StampTool)
+    strokes: 12,   // Vector pen strokes (see BrushTool)
+    stickers: 13,  // Editable stickers (see StickerTool)
+};
+
 // Finger identifiers
 export const FINGERS = {
     THUMB: 'thumb',
@@ -44,12 +63,14 @@ export class HandModel {
         // Dual-hand support
         this.currentHand = 'left';
         this.hands = {
-            left: { model: null, nails: {} },
-            right: { model: null, nails: {} }
+            left: { model: null, skin: null, nails: {} },
+            right: { model: null, skin: null, nails: {} }
         };
 
         this.activeNail = FINGERS.INDEX;  // Default to index finger
         this.currentShape = NAIL_SHAPES.ROUND;  // Default shape
+        this.currentLength = NAIL_LENGTHS.MEDIUM;  // As modelled
+        this.acrylic = false;  // Acrylic extensions on the free edge
 
         // Shared materials
         this.baseColor = new THREE.Color('#FFDDD2');
@@ -64,7 +85,7 @@ export class HandModel {
 
     /**
      * Load both hand models and set up nail overlays
-     * @param {string} shape - Nail shape to load (default: round)
+     * @param {string} shape - Nail shape to give the nails (default: round)
      * @returns {Promise<void>}
      */
     async load(shape = NAIL_SHAPES.ROUND) {
@@ -72,9 +93,8 @@ export class HandModel {
         console.log(`Loading hand models with shape: ${shape}...`);
 
         try {
-            // Load both hand models in parallel
-            // TODO: When shape-specific GLB files are available, use:
-            // modelLoader.load(`/models/hand-left-${shape}.glb`)
+            // Load both hand models in parallel (nails are modelled round;
+            // other shapes are made at runtime, see NailShapes.js)
             const [leftModel, rightModel] = await Promise.all([
                 modelLoader.load('/models/hand-left.glb'),
                 modelLoader.load('/models/hand-right.glb')
@@ -97,6 +117,7 @@ export class HandModel {
             // Set up nails for both hands
             this.setupHandNails('left', leftModel);
             this.setupHandNails('right', rightModel);
+            this.applyShape(shape);
 
             // Position and orient the hand model
             this.setupOrientation();
@@ -129,6 +150,9 @@ export class HandModel {
                 console.warn(`[${hand}] Nail mesh not found: ${meshName}`);
             }
         }
+
+        // The finger skin, for polish that slips off the nail (see SkinPolishTool)
+        this.hands[hand].skin = this.findMeshByName(model, 'Hand', hand);
     }
 
     /**
@@ -157,33 +181,47 @@ export class HandModel {
     /**
      * Generate UV coordinates for a nail geometry based on bounding box projection
      * This allows canvas-based tools (stickers, glitter, brush) to work on GLB models
+     * @param {THREE.BufferGeometry} geometry
+     * @param {THREE.Box3} [bounds] - Box to project against. The first projection
+     *   remembers the nail's own box (geometry.userData.uvBounds) so reshaped nails
+     *   can be re-projected without moving what's painted on them.
      */
-    generateNailUVs(geometry) {
-        // Compute bounding box if not already computed
-        if (!geometry.boundingBox) {
-            geometry.computeBoundingBox();
+    generateNailUVs(geometry, bounds = null) {
+        if (!bounds) {
+            // Compute bounding box if not already computed
+            if (!geometry.boundingBox) {
+                geometry.computeBoundingBox();
+            }
+            bounds = geometry.boundingBox.clone();
+            geometry.userData.uvBounds = bounds;
         }
 
-        const bbox = geometry.boundingBox;
         const positions = geometry.attributes.position;
-        const uvs = new Float32Array(positions.count * 2);
+        const existing = geometry.attributes.uv;
+        const uvs = existing?.count === positions.count ? existing.array : new Float32Array(positions.count * 2);
 
         // Get extent of the nail in local space
         const size = new THREE.Vector3();
-        bbox.getSize(size);
+        bounds.getSize(size);
 
         // Avoid division by zero
         const sizeX = size.x || 1;
         const sizeY = size.y || 1;
 
-        // Map each vertex position to UV coordinates (0-1 range)
+        // Map each vertex position to UV coordinates (0-1 range over the bounds;
+        // lengthened nails run past 1 and pick up the canvas edge)
         for (let i = 0; i < positions.count; i++) {
             const x = positions.getX(i);
             const y = positions.getY(i);
 
             // Normalize to 0-1 based on bounding box
-            uvs[i * 2] = (x - bbox.min.x) / sizeX;
-            uvs[i * 2 + 1] = (y - bbox.min.y) / sizeY;
+            uvs[i * 2] = (x - bounds.min.x) / sizeX;
+            uvs[i * 2 + 1] = (y - bounds.min.y) / sizeY;
+        }
+
+        if (uvs === existing?.array) {
+            existing.needsUpdate = true;
+            return;
         }
 
         // Add UV attribute to geometry
@@ -207,9 +245,46 @@ export class HandModel {
             console.log(`[${hand}] BVH generated for ${finger} nail`);
         }
 
-        // Create overlay mesh for drawing
+        // Remember the modelled (round) nail so it can be reshaped
+        prepareNailShape(nailMesh);
+
+        // Overlay for the drawing canvas (lit, carries the polish finish),
+        // plus one per extra layer
+        const drawing = this.createOverlay(hand, finger, nailMesh, 'overlay', 10, createPolishOverlayMaterial());
+        const layers = {};
+        for (const [name, renderOrder] of Object.entries(OVERLAY_LAYERS)) {
+            layers[name] = this.createOverlay(hand, finger, nailMesh, name, renderOrder);
+        }
+
+        // Store nail state for this hand
+        this.hands[hand].nails[finger] = {
+            mesh: nailMesh,
+            overlay: drawing.overlay,
+            canvas: drawing.canvas,
+            ctx: drawing.ctx,
+            texture: drawing.texture,
+            layers,
+            polishColor: null,
+            finish: 'glossy',
+            topCoat: null,  // Top coat finish over the polish, if any
+            magnet: 0.5,  // Cat-eye line, cuticle (0) to tip (1)
+            originalMaterial: nailMesh.material.clone()
+        };
+
+        // Create proper nail material if needed
+        this.setupNailMaterialForHand(hand, finger);
+    }
+
+    /**
+     * Create a transparent canvas-textured mesh drawn on top of a nail
+     * @param {string} name - Overlay name (used in the mesh name)
+     * @param {number} renderOrder - Higher overlays render on top
+     * @param {THREE.Material} [material] - Defaults to an unlit transparent material
+     * @returns {{overlay: THREE.Mesh, canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, texture: THREE.CanvasTexture}}
+     */
+    createOverlay(hand, finger, nailMesh, name, renderOrder, material = null) {
         const overlayGeometry = nailMesh.geometry.clone();
-        const overlayMaterial = new THREE.MeshBasicMaterial({
+        const overlayMaterial = material || new THREE.MeshBasicMaterial({
             map: null,
             transparent: true,
             opacity: 1,
@@ -222,9 +297,9 @@ export class HandModel {
         });
 
         const overlayMesh = new THREE.Mesh(overlayGeometry, overlayMaterial);
-        overlayMesh.name = `${hand}_${finger}_overlay`;
+        overlayMesh.name = `${hand}_${finger}_${name}`;
         overlayMesh.visible = true;
-        overlayMesh.renderOrder = 10;  // Render after nail mesh
+        overlayMesh.renderOrder = renderOrder;  // Render after nail mesh
 
         // Copy local transforms from nail mesh
         overlayMesh.position.copy(nailMesh.position);
@@ -253,20 +328,15 @@ export class HandModel {
         texture.flipY = false;
         overlayMaterial.map = texture;
 
-        // Store nail state for this hand
-        this.hands[hand].nails[finger] = {
-            mesh: nailMesh,
-            overlay: overlayMesh,
-            canvas,
-            ctx,
-            texture,
-            polishColor: null,
-            finish: 'glossy',
-            originalMaterial: nailMesh.material.clone()
-        };
+        return { overlay: overlayMesh, canvas, ctx, texture };
+    }
 
-        // Create proper nail material if needed
-        this.setupNailMaterialForHand(hand, finger);
+    /**
+     * Get an extra overlay layer (see OVERLAY_LAYERS) of any nail
+     * @returns {Object|null} { overlay, canvas, ctx, texture }
+     */
+    getOverlayLayer(hand, finger, name) {
+        return this.hands[hand]?.nails[finger]?.layers[name] || null;
     }
 
     /**
@@ -379,6 +449,46 @@ export class HandModel {
         return Object.values(this.nails).map(n => n.mesh);
     }
 
+    /**
+     * Get a hand's skin as a plain mesh for raycasting. The skinned mesh is
+     * baked in its pose once (the hand never moves its bones) and
+     * given a BVH, so rays hit it as fast as they hit the nails.
+     * @param {string} [hand] - Defaults to the current hand
+     * @returns {THREE.Mesh|null} Collider sharing the skin's world matrix
+     */
+    getSkinCollider(hand = this.currentHand) {
+        const entry = this.hands[hand];
+        const skin = entry?.skin;
+        if (!skin) return null;
+
+        if (!entry.skinCollider) {
+            if (skin.isSkinnedMesh) {
+                entry.model.updateWorldMatrix(true, true);
+                skin.skeleton.update();
+            }
+
+            const source = skin.geometry;
+            const positions = new Float32Array(source.attributes.position.count * 3);
+            const vertex = new THREE.Vector3();
+            for (let i = 0; i < source.attributes.position.count; i++) {
+                (skin.isSkinnedMesh ? skin.getVertexPosition(i, vertex) : vertex.fromBufferAttribute(source.attributes.position, i))
+                    .toArray(positions, i * 3);
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            geometry.setIndex(source.index);
+            geometry.boundsTree = new MeshBVH(geometry);
+
+            entry.skinCollider = new THREE.Mesh(geometry);
+            entry.skinCollider.matrixAutoUpdate = false;
+        }
+
+        skin.updateWorldMatrix(true, false);
+        entry.skinCollider.matrixWorld.copy(skin.matrixWorld);
+        return entry.skinCollider;
+    }
+
     /**
      * Get the drawing context for the active nail
      */
@@ -568,51 +678,80 @@ export class HandModel {
     }
 
     /**
-     * Set finish type on the active nail
+     * Set finish type on the active nail (see FINISHES in NailPolishMaterial.js)
+     * @param {string} type - Finish of the polish
+     * @param {string|null} [topCoat] - Finish of a top coat over it, which
+     *   decides gloss or matte
      */
-    setFinish(type) {
-        const nail = this.nails[this.activeNail];
+    setFinish(type, topCoat = null) {
+        this.setNailFinish(this.currentHand, this.activeNail, type, topCoat);
+    }
+
+    /**
+     * Set finish type on any nail (see setFinish)
+     */
+    setNailFinish(hand, finger, type, topCoat = null) {
+        const nail = this.hands[hand]?.nails[finger];
         if (!nail || !nail.material) return;
 
         nail.finish = type;
+        nail.topCoat = topCoat;
+        applyFinish(nail.material, type, topCoat);
+        applyFinish(nail.overlay.material, type, topCoat);
+        this.updateMagnetLine(nail);
+    }
 
-        switch (type) {
-            case 'matte':
-                nail.material.roughness = 0.8;
-                nail.material.clearcoat = 0.0;
-                nail.material.metalness = 0.0;
-                break;
-
-            case 'shimmer':
-                nail.material.roughness = 0.2;
-                nail.material.clearcoat = 1.0;
-                nail.material.metalness = 0.3;
-                break;
-
-            case 'chrome':
-                nail.material.roughness = 0.05;
-                nail.material.clearcoat = 1.0;
-                nail.material.metalness = 0.9;
-                break;
-
-            case 'holographic':
-                nail.material.roughness = 0.1;
-                nail.material.clearcoat = 1.0;
-                nail.material.metalness = 0.4;
-                nail.material.iridescence = 1.0;
-                nail.material.iridescenceIOR = 1.5;
-                break;
-
-            case 'glossy':
-            default:
-                nail.material.roughness = 0.1;
-                nail.material.clearcoat = 1.0;
-                nail.material.clearcoatRoughness = 0.05;
-                nail.material.metalness = 0.0;
-                break;
-        }
+    /**
+     * Move the cat-eye magnet line on the active nail
+     * @param {number} position - Along the nail, cuticle (0) to tip (1)
+     */
+    setMagnet(position) {
+        const nail = this.nails[this.activeNail];
+        if (!nail) return;
 
-        nail.material.needsUpdate = true;
+        nail.magnet = THREE.MathUtils.clamp(position, 0, 1);
+        this.updateMagnetLine(nail);
+    }
+
+    /**
+     * Where a nail's cat-eye line lies, in world space
+     * @param {string} hand - 'left' or 'right'
+     * @param {string} finger - Finger name
+     * @param {number} [position] - Along the nail (defaults to the nail's magnet)
+     * @returns {{point: THREE.Vector3, across: THREE.Vector3, along: THREE.Vector3, up: THREE.Vector3, length: number}|null}
+     *   `up` is through the nail, either side; `length` is the nail length
+     */
+    getMagnetLine(hand, finger, position) {
+        const nail = this.hands[hand]?.nails[finger];
+        return nail ? this.computeMagnetLine(nail, position ?? nail.magnet) : null;
+    }
+
+    computeMagnetLine(nail, position) {
+        const line = getNailCrossLine(nail.mesh.geometry, position);
+        if (!line) return null;
+
+        nail.mesh.updateWorldMatrix(true, false);
+        const matrix = nail.mesh.matrixWorld;
+        const tip = line.point.clone().addScaledVector(line.along, line.length).applyMatrix4(matrix);
+        line.point.applyMatrix4(matrix);
+        line.length = tip.distanceTo(line.point);
+        line.across.transformDirection(matrix);
+        line.along.transformDirection(matrix);
+        line.up.transformDirection(matrix);
+        return line;
+    }
+
+    /**
+     * Point a nail's polish shader at its magnet line
+     */
+    updateMagnetLine(nail) {
+        if (nail.finish !== 'catEye') return;
+
+        const line = this.computeMagnetLine(nail, nail.magnet);
+        if (line) {
+            // Band half-width relative to the nail length
+            setMagnetLine(nail.overlay.material, line.point, line.across, line.length * 0.12);
+        }
     }
 
     // =========================================
@@ -626,50 +765,82 @@ export class HandModel {
     saveNailState() {
         const state = { left: {}, right: {} };
         for (const hand of ['left', 'right']) {
-            for (const [finger, nail] of Object.entries(this.hands[hand].nails)) {
-                state[hand][finger] = {
-                    polishColor: nail.polishColor?.clone(),
-                    finish: nail.finish,
-                    canvasData: nail.canvas.toDataURL()
-                };
+            for (const finger of Object.keys(this.hands[hand].nails)) {
+                state[hand][finger] = this.saveNailStateOf(hand, finger);
             }
         }
         return state;
     }
 
+    /**
+     * Save one nail's state (polish, finish, drawing), as saveNailState() does
+     * @returns {Object|null}
+     */
+    saveNailStateOf(hand, finger) {
+        const nail = this.hands[hand]?.nails[finger];
+        if (!nail) return null;
+
+        return {
+            polishColor: nail.polishColor?.clone(),
+            finish: nail.finish,
+            topCoat: nail.topCoat,
+            magnet: nail.magnet,
+            canvasData: nail.canvas.toDataURL()
+        };
+    }
+
+    /**
+     * Replace one nail's state with another nail's saveNailStateOf() output
+     * (copy and paste). The drawing can be laid on through a UV transform
+     * (see UVTransform.js), to fit the nail's layout or mirror it.
+     * @returns {Promise<void>} Resolves once the drawing has been redrawn
+     */
+    pasteNailState(hand, finger, saved, transform = null) {
+        const nail = this.hands[hand]?.nails[finger];
+        if (!nail || !saved) return Promise.resolve();
+
+        nail.ctx.clearRect(0, 0, 1024, 1024);
+        nail.texture.needsUpdate = true;
+        this.resetNailMaterial(nail);
+        this.restoreNailState({ [hand]: { [finger]: { ...saved, canvasData: null } } });
+
+        if (!saved.canvasData || saved.canvasData === 'data:,') return Promise.resolve();
+        return this.drawImageSource(nail, saved.canvasData, transform);
+    }
+
     /**
      * Restore nail state (polish, finish, drawings) to all nails
      * @param {Object} state - State object from saveNailState()
+     * @returns {Promise<void>} Resolves once all drawings have been redrawn
      */
     restoreNailState(state) {
         const originalHand = this.currentHand;
         const originalNail = this.activeNail;
+        const pending = [];
 
         for (const hand of ['left', 'right']) {
-            for (const [finger, saved] of Object.entries(state[hand])) {
+            for (const [finger, saved] of Object.entries(state[hand] || {})) {
                 const nail = this.hands[hand].nails[finger];
                 if (!nail) continue;
 
+                // Polish/finish setters act on the active nail
+                this.currentHand = hand;
+                this.activeNail = finger;
+
                 // Restore polish color
                 if (saved.polishColor) {
-                    this.currentHand = hand;
-                    this.activeNail = finger;
                     this.setPolishColor(saved.polishColor);
                 }
 
                 // Restore finish
+                nail.magnet = saved.magnet ?? 0.5;
                 if (saved.finish) {
-                    this.setFinish(saved.finish);
+                    this.setFinish(saved.finish, saved.topCoat ?? null);
                 }
 
                 // Restore canvas drawing
                 if (saved.canvasData && saved.canvasData !== 'data:,') {
-                    const img = new Image();
-                    img.onload = () => {
-                        nail.ctx.drawImage(img, 0, 0);
-                        nail.texture.needsUpdate = true;
-                    };
-                    img.src = saved.canvasData;
+                    pending.push(this.drawImageSource(nail, saved.canvasData));
                 }
             }
         }
@@ -677,77 +848,283 @@ export class HandModel {
         // Restore original selection
         this.currentHand = originalHand;
         this.activeNail = originalNail;
+
+        return Promise.all(pending).then(() => {});
+    }
+
+    /**
+     * Draw a saved drawing (data URL or Blob) onto a nail's canvas,
+     * optionally through a UV transform (see UVTransform.js)
+     * @returns {Promise<void>} Resolves when drawn (or on failure)
+     */
+    drawImageSource(nail, source, transform = null) {
+        const draw = (image) => {
+            nail.ctx.save();
+            if (transform) {
+                nail.ctx.setTransform(...toPixelTransform(transform, nail.canvas.width));
+            }
+            nail.ctx.drawImage(image, 0, 0);
+            nail.ctx.restore();
+            nail.texture.needsUpdate = true;
+        };
+
+        if (source instanceof Blob) {
+            return createImageBitmap(source)
+                .then((bitmap) => {
+                    draw(bitmap);
+                    bitmap.close();
+                })
+                .catch((error) => console.warn('Failed to restore nail drawing:', error));
+        }
+
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => {
+                draw(img);
+                resolve();
+            };
+            img.onerror = () => resolve();
+            img.src = source;
+        });
+    }
+
+    /**
+     * Clear drawings, overlay layers, polish and finish on every nail of both hands
+     */
+    resetAllNails() {
+        for (const hand of ['left', 'right']) {
+            for (const nail of Object.values(this.hands[hand].nails)) {
+                nail.ctx.clearRect(0, 0, 1024, 1024);
+                nail.texture.needsUpdate = true;
+                for (const layer of Object.values(nail.layers)) {
+                    layer.ctx.clearRect(0, 0, 1024, 1024);
+                    layer.texture.needsUpdate = true;
+                }
+                this.resetNailMaterial(nail);
+            }
+        }
+    }
+
+    /**
+     * Return a nail to bare (unpolished, glossy) material
+     */
+    resetNailMaterial(nail) {
+        nail.polishColor = null;
+        nail.finish = 'glossy';
+        nail.topCoat = null;
+        nail.magnet = 0.5;
+        applyFinish(nail.material, 'glossy');
+        applyFinish(nail.overlay.material, 'glossy');
+        nail.material.color = this.baseColor;
+        nail.material.roughness = 0.25;
+        nail.material.clearcoatRoughness = 0.1;
+        nail.material.needsUpdate = true;
+    }
+
+    /**
+     * Take an exact copy of one nail's drawing, polish and finish (for undo)
+     * @returns {Object|null} Snapshot for restoreNailSnapshot()
+     */
+    snapshotNail(hand, finger) {
+        const nail = this.hands[hand]?.nails[finger];
+        if (!nail) return null;
+
+        return {
+            drawing: new CanvasSnapshot(nail.canvas),
+            polishColor: nail.polishColor?.clone() ?? null,
+            finish: nail.finish,
+            topCoat: nail.topCoat,
+            magnet: nail.magnet,
+        };
+    }
+
+    /**
+     * Put a nail back to a snapshotNail() state
+     */
+    async restoreNailSnapshot(hand, finger, snapshot) {
+        const nail = this.hands[hand]?.nails[finger];
+        if (!nail || !snapshot) return;
+
+        await snapshot.drawing.drawTo(nail.ctx);
+        nail.texture.needsUpdate = true;
+
+        // Polish/finish setters act on the active nail
+        const originalHand = this.currentHand;
+        const originalNail = this.activeNail;
+        this.currentHand = hand;
+        this.activeNail = finger;
+
+        this.resetNailMaterial(nail);
+        nail.magnet = snapshot.magnet ?? 0.5;
+        if (snapshot.polishColor) {
+            this.setPolishColor(snapshot.polishColor);
+        }
+        if (snapshot.finish) {
+            this.setFinish(snapshot.finish, snapshot.topCoat);
+        }
+
+        this.currentHand = originalHand;
+        this.activeNail = originalNail;
     }
 
     /**
-     * Set nail shape by loading different GLB models
-     * Preserves polish colors and drawings across shape changes
+     * Set nail shape on both hands by reshaping the nail meshes in place.
+     * Polish, drawings and overlays stay on the nails (see syncNailGeometry).
      * @param {string} shape - One of NAIL_SHAPES values
      * @returns {boolean} Whether shape was changed
      */
     async setShape(shape) {
         if (shape === this.currentShape) return false;
-        if (!Object.values(NAIL_SHAPES).includes(shape)) {
+        if (!this.isShapeAvailable(shape)) {
             console.warn(`Invalid shape: ${shape}`);
             return false;
         }
 
-        // TODO: Enable when shape-specific GLB files are available
-        // For now, only 'round' shape is available (current model)
-        if (shape !== NAIL_SHAPES.ROUND) {
-            console.info(`Shape '${shape}' not yet available - needs GLB model`);
+        console.log(`Switching nail shape from ${this.currentShape} to ${shape}`);
+
+        this.applyShape(shape);
+        this.currentShape = shape;
+
+        console.log(`Shape changed to ${shape}`);
+        return true;
+    }
+
+    /**
+     * Set nail length on both hands, extending or trimming the free edge
+     * @param {string} length - One of NAIL_LENGTHS values
+     * @param {boolean} [acrylic] - Add an acrylic extension
+     * @returns {boolean} Whether anything changed
+     */
+    setLength(length, acrylic = this.acrylic) {
+        if (!Object.values(NAIL_LENGTHS).includes(length)) {
+            console.warn(`Invalid length: ${length}`);
             return false;
         }
+        if (length === this.currentLength && acrylic === this.acrylic) return false;
 
-        console.log(`Switching nail shape from ${this.currentShape} to ${shape}`);
+        this.currentLength = length;
+        this.acrylic = acrylic;
+        this.applyShape(this.currentShape);
+        return true;
+    }
 
-        // Save current state (polish colors, drawings)
-        const savedState = this.saveNailState();
-        const wasRightHand = this.currentHand === 'right';
+    /**
+     * Get current nail length
+     * @returns {string} One of NAIL_LENGTHS values
+     */
+    getLength() {
+        return this.currentLength;
+    }
 
-        // Clean up current models
-        if (this.hands.left.model) {
-            this.group.remove(this.hands.left.model);
-            this.disposeModel(this.hands.left.model);
-        }
-        if (this.hands.right.model) {
-            this.group.remove(this.hands.right.model);
-            this.disposeModel(this.hands.right.model);
+    /**
+     * Whether the nails have acrylic extensions
+     */
+    isAcrylic() {
+        return this.acrylic;
+    }
+
+    /**
+     * Length settings in the form NailShapes takes them
+     */
+    getNailSize() {
+        return { length: this.currentLength, acrylic: this.acrylic };
+    }
+
+    /**
+     * Reshape every nail of both hands, keeping overlays and raycasting in step
+     */
+    applyShape(shape) {
+        for (const hand of ['left', 'right']) {
+            for (const nail of Object.values(this.hands[hand].nails)) {
+                shapeNailGeometry(nail.mesh.geometry, shape, this.getNailSize());
+                this.syncNailGeometry(nail);
+            }
         }
+    }
+
+    /**
+     * Reshape one nail part way from the current shape toward another
+     * (filing). Amount 0 puts it back to the current shape.
+     * @param {string} hand - 'left' or 'right'
+     * @param {string} finger - Finger name
+     * @param {string} shape - Shape being filed toward
+     * @param {number} amount - 0-1
+     */
+    morphNail(hand, finger, shape, amount) {
+        const nail = this.hands[hand]?.nails[finger];
+        if (!nail) return;
 
-        // Reset nail references
-        this.hands.left.nails = {};
-        this.hands.right.nails = {};
+        morphNailGeometry(nail.mesh.geometry, this.currentShape, shape, amount, this.getNailSize());
+        this.syncNailGeometry(nail);
+    }
 
-        // Load new shape models
-        await this.load(shape);
+    /**
+     * World position of a nail's free-edge tip
+     * @param {string} hand - 'left' or 'right'
+     * @param {string} finger - Finger name
+     * @returns {THREE.Vector3|null}
+     */
+    getNailTipPosition(hand, finger) {
+        const nail = this.hands[hand]?.nails[finger];
+        if (!nail) return null;
 
-        // Restore which hand was visible
-        if (wasRightHand) {
-            this.hands.left.model.visible = false;
-            this.hands.right.model.visible = true;
-            this.currentHand = 'right';
-        }
+        const tip = getNailTip(nail.mesh.geometry);
+        if (!tip) return null;
 
-        // Restore state to new nails
-        this.restoreNailState(savedState);
+        nail.mesh.updateWorldMatrix(true, false);
+        return tip.applyMatrix4(nail.mesh.matrixWorld);
+    }
 
-        // Re-apply highlight to active nail
-        this.setNailHighlight(this.activeNail, true);
+    /**
+     * How a nail lies on its canvases, for drawing designs in nail space
+     * @param {string} hand - 'left' or 'right'
+     * @param {string} finger - Finger name
+     * @returns {{transform: number[], freeEdge: number, aspect: number}|null}
+     *   See getNailLayout in NailShapes.js
+     */
+    getNailLayout(hand, finger) {
+        const nail = this.hands[hand]?.nails[finger];
+        return nail ? getNailLayout(nail.mesh.geometry) : null;
+    }
 
-        console.log(`Shape changed to ${shape}`);
-        return true;
+    /**
+     * Copy a reshaped nail into its overlays and refit its BVH.
+     * Generated UVs are re-projected against the modelled nail's bounds, so the
+     * free edge isn't stretched and the rest of the nail keeps its mapping.
+     */
+    syncNailGeometry(nail) {
+        const geometry = nail.mesh.geometry;
+        geometry.boundsTree?.refit();
+        if (geometry.userData.uvBounds) {
+            this.generateNailUVs(geometry, geometry.userData.uvBounds);
+        }
+
+        // Overlays draw on copies of the nail geometry
+        const overlays = [nail.overlay, ...Object.values(nail.layers).map(layer => layer.overlay)];
+        for (const overlay of overlays) {
+            const target = overlay.geometry;
+            target.attributes.position.array.set(geometry.attributes.position.array);
+            target.attributes.position.needsUpdate = true;
+            target.attributes.uv.array.set(geometry.attributes.uv.array);
+            target.attributes.uv.needsUpdate = true;
+            if (target.attributes.normal && geometry.attributes.normal) {
+                target.attributes.normal.array.set(geometry.attributes.normal.array);
+                target.attributes.normal.needsUpdate = true;
+            }
+            target.computeBoundingBox();
+            target.computeBoundingSphere();
+        }
+
+        this.updateMagnetLine(nail);
     }
 
     /**
-     * Check if a shape is available (has GLB model)
+     * Check if a shape is available
      * @param {string} shape - Shape to check
      * @returns {boolean} Whether shape is available
      */
     isShapeAvailable(shape) {
-        // TODO: Update this list as shape GLB files become available
-        const availableShapes = [NAIL_SHAPES.ROUND];
-        return availableShapes.includes(shape);
+        return Object.values(NAIL_SHAPES).includes(shape);
     }
 
     /**
@@ -0,0 +1,312 @@
+/**
+ * NailPolishMaterial.js
+ * Polish finishes and the lit material that shows a nail's polish canvas.
+ *
+ * FINISHES is the one table of finish settings; applyFinish() puts a
+ * finish on any physical material (the nail itself or its polish
+ * overlay). A polished nail can mix two: its color coat's finish gives
+ * metallic flake and the shader effect, a top coat over it decides how
+ * glossy or matte the surface is.
+ *
+ * The overlay material adds the effects plain PBR settings can't give,
+ * in a shader patched into MeshPhysicalMaterial:
+ *  - holographic: a rainbow that shifts with the viewing angle
+ *  - cat eye: a band of light pulled into a line by a magnet
+ *  - jelly: see-through tint that gets richer toward the edges
+ *  - glow: pigment that glows in the dark (see NailScene.setLightsOff)
+ */
+import * as THREE from 'three';
+import { getStudioEnvironment } from '../tools/GemLibrary.js';
+
+// Shader effect ids (uPolishEffect)
+const EFFECTS = {
+    none: 0,
+    holographic: 1,
+    catEye: 2,
+    jelly: 3,
+    glow: 4,
+};
+
+/**
+ * Finish settings by id. `effect` picks the overlay shader effect;
+ * `topCoat` marks finishes offered for top coats; `dryTime` scales how
+ * long a coat of it takes to dry (pigment-heavy and sheer polish is slower).
+ */
+export const FINISHES = {
+    glossy: {
+        name: 'Glossy',
+        topCoat: true,
+        roughness: 0.1, metalness: 0.0, clearcoat: 1.0, clearcoatRoughness: 0.05, iridescence: 0,
+        effect: 'none',
+        dryTime: 1.0,
+    },
+    matte: {
+        name: 'Matte',
+        topCoat: true,
+        roughness: 0.75, metalness: 0.0, clearcoat: 0.0, clearcoatRoughness: 0.5, iridescence: 0,
+        effect: 'none',
+        dryTime: 0.7,
+    },
+    shimmer: {
+        name: 'Shimmer',
+        roughness: 0.2, metalness: 0.3, clearcoat: 1.0, clearcoatRoughness: 0.1, iridescence: 0,
+        effect: 'none',
+        dryTime: 1.1,
+    },
+    chrome: {
+        name: 'Chrome',
+        roughness: 0.05, metalness: 0.9, clearcoat: 1.0, clearcoatRoughness: 0.02, iridescence: 0,
+        effect: 'none',
+        dryTime: 1.2,
+    },
+    holographic: {
+        name: 'Holo',
+        roughness: 0.1, metalness: 0.4, clearcoat: 1.0, clearcoatRoughness: 0.05, iridescence: 1.0,
+        effect: 'holographic',
+        dryTime: 1.2,
+    },
+    catEye: {
+        name: 'Cat Eye',
+        roughness: 0.15, metalness: 0.2, clearcoat: 1.0, clearcoatRoughness: 0.05, iridescence: 0,
+        effect: 'catEye',
+        dryTime: 1.3,
+    },
+    jelly: {
+        name: 'Jelly',
+        roughness: 0.05, metalness: 0.0, clearcoat: 1.0, clearcoatRoughness: 0.02, iridescence: 0,
+        effect: 'jelly',
+        dryTime: 1.5,
+    },
+    glow: {
+        name: 'Glow',
+        roughness: 0.3, metalness: 0.0, clearcoat: 1.0, clearcoatRoughness: 0.1, iridescence: 0,
+        effect: 'glow',
+        dryTime: 1.25,
+    },
+};
+
+/**
+ * Get a finish by id (unknown ids are glossy)
+ */
+export function getFinish(id) {
+    return FINISHES[id] || FINISHES.glossy;
+}
+
+/**
+ * Settings for a finish under an optional top coat: the surface (gloss,
+ * clearcoat) comes from the top coat, the rest from the finish below
+ * @param {string} finishId - FINISHES key
+ * @param {string|null} [topCoatId] - FINISHES key of the top coat
+ */
+export function combineFinishes(finishId, topCoatId = null) {
+    const finish = getFinish(finishId);
+    if (!topCoatId) return finish;
+
+    const topCoat = getFinish(topCoatId);
+    return {
+        ...finish,
+        roughness: topCoat.roughness,
+        clearcoat: topCoat.clearcoat,
+        clearcoatRoughness: topCoat.clearcoatRoughness,
+    };
+}
+
+/**
+ * Put a finish on a physical material. Polish overlay materials also
+ * switch their shader effect.
+ * @param {THREE.MeshPhysicalMaterial} material
+ * @param {string} finishId - FINISHES key
+ * @param {string|null} [topCoatId] - Top coat finish over it (see combineFinishes)
+ */
+export function applyFinish(material, finishId, topCoatId = null) {
+    const finish = combineFinishes(finishId, topCoatId);
+
+    material.roughness = finish.roughness;
+    material.metalness = finish.metalness;
+    material.clearcoat = finish.clearcoat;
+    material.clearcoatRoughness = finish.clearcoatRoughness;
+    material.iridescence = finish.iridescence;
+    material.iridescenceIOR = 1.5;
+
+    const uniforms = material.userData.polishUniforms;
+    if (uniforms) {
+        uniforms.uPolishEffect.value = EFFECTS[finish.effect];
+    }
+    material.needsUpdate = true;
+}
+
+// =========================================
+// Shared Effect State
+// =========================================
+
+// How fast the glow fades in and out when the lights change (per second)
+const LIGHTS_FADE_RATE = 2.5;
+
+/**
+ * Uniforms shared by every polish overlay, advanced by NailScene each frame
+ */
+export const polishEffects = {
+    uniforms: {
+        uPolishTime: { value: 0 },
+        uLightsOff: { value: 0 },
+    },
+    lightsOff: false,
+    lastTime: null,
+
+    /**
+     * @param {number} time - Milliseconds (requestAnimationFrame time)
+     */
+    update(time) {
+        const delta = this.lastTime === null ? 0 : Math.min(0.1, (time - this.lastTime) / 1000);
+        this.lastTime = time;
+
+        this.uniforms.uPolishTime.value = time / 1000;
+
+        const lightsOff = this.uniforms.uLightsOff;
+        const target = this.lightsOff ? 1 : 0;
+        const step = LIGHTS_FADE_RATE * delta;
+        lightsOff.value += THREE.MathUtils.clamp(target - lightsOff.value, -step, step);
+    },
+
+    setLightsOff(off) {
+        this.lightsOff = off;
+    },
+};
+
+// =========================================
+// Overlay Material
+// =========================================
+
+// Share of the canvas color shown unlit, so swatches look true to color
+// under the studio lights (switched off with the lights)
+const BASE_LIGHT = 0.45;
+
+const VERTEX_DECLARATIONS = /* glsl */`
+varying vec3 vPolishWorldPosition;
+varying vec3 vPolishWorldNormal;
+`;
+
+const VERTEX_EFFECTS = /* glsl */`
+vPolishWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vPolishWorldNormal = normalize(mat3(modelMatrix) * objectNormal);
+`;
+
+const FRAGMENT_DECLARATIONS = /* glsl */`
+uniform int uPolishEffect;
+uniform float uPolishTime;
+uniform float uLightsOff;
+uniform vec3 uMagnetPoint;
+uniform vec3 uMagnetDirection;
+uniform float uMagnetWidth;
+varying vec3 vPolishWorldPosition;
+varying vec3 vPolishWorldNormal;
+
+float polishHash(vec3 p) {
+    return fract(sin(dot(p, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+}
+`;
+
+const FRAGMENT_EFFECTS = /* glsl */`
+{
+    vec3 polishView = normalize(cameraPosition - vPolishWorldPosition);
+    vec3 polishNormal = normalize(vPolishWorldNormal) * (gl_FrontFacing ? 1.0 : -1.0);
+    float facing = clamp(dot(polishNormal, polishView), 0.0, 1.0);
+
+    outgoingLight += diffuseColor.rgb * ${BASE_LIGHT.toFixed(2)} * (1.0 - uLightsOff);
+
+    if (uPolishEffect == 1) {
+        // Holographic: rainbow bands that slide with the viewing angle
+        float phase = facing * 2.5 + dot(vPolishWorldPosition, vec3(31.0, 17.0, 23.0));
+        vec3 rainbow = 0.5 + 0.5 * cos(6.2832 * (phase + vec3(0.0, 0.33, 0.67)));
+        float sheen = 0.35 + 0.65 * sqrt(1.0 - facing);
+        outgoingLight = mix(outgoingLight, outgoingLight * 0.5 + rainbow * 0.8, 0.55 * sheen);
+    } else if (uPolishEffect == 2) {
+        // Cat eye: metallic particles lined up under the magnet. The line
+        // drifts as the nail tilts, like the real thing.
+        vec3 offset = vPolishWorldPosition - uMagnetPoint;
+        offset -= uMagnetDirection * dot(offset, uMagnetDirection);
+        offset -= polishNormal * dot(offset, polishNormal);
+        vec3 drift = polishView - polishNormal * dot(polishView, polishNormal);
+        float dist = length(offset + drift * uMagnetWidth * 2.0) / uMagnetWidth;
+        float band = exp(-dist * dist);
+        float sparkle = step(0.85, polishHash(floor(vPolishWorldPosition * 6000.0)));
+        outgoingLight = outgoingLight * 0.55
+            + diffuseColor.rgb * band * (1.2 + sparkle * 1.5)
+            + vec3(band * 0.25);
+    } else if (uPolishEffect == 3) {
+        // Jelly: clear where you look straight through, richer toward the
+        // edges where light travels through more polish
+        float depth = pow(1.0 - facing, 1.5);
+        outgoingLight += diffuseColor.rgb * diffuseColor.rgb * 0.35 * (1.0 - uLightsOff);
+        outgoingLight += diffuseColor.rgb * 0.3 * depth;
+        diffuseColor.a *= mix(0.45, 0.9, depth);
+    } else if (uPolishEffect == 4) {
+        // Glow in the dark: a faint glow by day, bright once the lights go out
+        vec3 glow = mix(diffuseColor.rgb, vec3(0.7, 1.0, 0.6), 0.35);
+        float pulse = 0.92 + 0.08 * sin(uPolishTime * 2.0);
+        outgoingLight += glow * (0.08 + 1.1 * uLightsOff) * pulse;
+    }
+}
+`;
+
+/**
+ * Material for a nail's polish canvas: lit, reflective and transparent
+ * where nothing is painted. Its finish is set with applyFinish().
+ * @returns {THREE.MeshPhysicalMaterial} with userData.polishUniforms
+ */
+export function createPolishOverlayMaterial() {
+    const material = new THREE.MeshPhysicalMaterial({
+        map: null,
+        transparent: true,
+        opacity: 1,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+        depthTest: true,
+        polygonOffset: true,
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -1,
+        envMap: getStudioEnvironment(),
+        envMapIntensity: 0.8,
+    });
+
+    const uniforms = {
+        uPolishEffect: { value: EFFECTS.none },
+        uMagnetPoint: { value: new THREE.Vector3() },
+        uMagnetDirection: { value: new THREE.Vector3(1, 0, 0) },
+        uMagnetWidth: { value: 0.002 },
+        ...polishEffects.uniforms,
+    };
+    material.userData.polishUniforms = uniforms;
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${VERTEX_DECLARATIONS}`)
+            .replace('#include <project_vertex>', `#include <project_vertex>\n${VERTEX_EFFECTS}`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${FRAGMENT_DECLARATIONS}`)
+            .replace('#include <opaque_fragment>', `${FRAGMENT_EFFECTS}\n#include <opaque_fragment>`);
+    };
+    material.customProgramCacheKey = () => 'nail-polish';
+
+    applyFinish(material, 'glossy');
+    return material;
+}
+
+/**
+ * Place the cat-eye line of a polish overlay material
+ * @param {THREE.Material} material - From createPolishOverlayMaterial()
+ * @param {THREE.Vector3} point - World point on the line
+ * @param {THREE.Vector3} direction - World direction of the line
+ * @param {number} width - Band half-width, world units
+ */
+export function setMagnetLine(material, point, direction, width) {
+    const uniforms = material.userData.polishUniforms;
+    if (!uniforms) return;
+
+    uniforms.uMagnetPoint.value.copy(point);
+    uniforms.uMagnetDirection.value.copy(direction).normalize();
+    uniforms.uMagnetWidth.value = width;
+}
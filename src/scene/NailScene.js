@@ -4,6 +4,7 @@
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { polishEffects } from './NailPolishMaterial.js';
 
 export class NailScene {
     constructor(container) {
@@ -28,6 +29,9 @@ export class NailScene {
         this.isZoomedIn = false;
         this.zoomedFinger = null;
 
+        // Lights-off state (glow-in-the-dark polish)
+        this.lightsOff = false;
+
         this.init();
         this.setupLighting();
         this.setupControls();
@@ -41,19 +45,10 @@ export class NailScene {
         // Scene with gradient background
         this.scene = new THREE.Scene();
 
-        // Create gradient background
-        const canvas = document.createElement('canvas');
-        canvas.width = 2;
-        canvas.height = 512;
-        const ctx = canvas.getContext('2d');
-        const gradient = ctx.createLinearGradient(0, 0, 0, 512);
-        gradient.addColorStop(0, '#FFE5EC');
-        gradient.addColorStop(1, '#FFF0F5');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, 2, 512);
-
-        const texture = new THREE.CanvasTexture(canvas);
-        this.scene.background = texture;
+        // Gradient background, and a dark one for lights off
+        this.lightBackground = this.createBackground('#FFE5EC', '#FFF0F5');
+        this.darkBackground = this.createBackground('#1B1530', '#07050F');
+        this.scene.background = this.lightBackground;
 
         // Camera - frontal view looking straight down at nail
         this.camera = new THREE.PerspectiveCamera(
@@ -81,6 +76,23 @@ export class NailScene {
         this.container.appendChild(this.renderer.domElement);
     }
 
+    /**
+     * Vertical gradient background texture
+     */
+    createBackground(top, bottom) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 512;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, 0, 512);
+        gradient.addColorStop(0, top);
+        gradient.addColorStop(1, bottom);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 2, 512);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
     setupLighting() {
         // Soft ambient light for overall illumination
         const ambient = new THREE.AmbientLight(0xffffff, 0.6);
@@ -115,6 +127,26 @@ export class NailScene {
         const rimLight = new THREE.DirectionalLight(0xffb6c1, 0.3);
         rimLight.position.set(0, 1, -3);
         this.scene.add(rimLight);
+
+        this.lights = [ambient, keyLight, fillLight, fillLight2, frontLight, rimLight];
+        this.lightIntensities = this.lights.map(light => light.intensity);
+    }
+
+    /**
+     * Switch the studio lights off (dark scene, glow-in-the-dark polish
+     * lights up) or back on
+     */
+    setLightsOff(off) {
+        this.lightsOff = off;
+        this.lights.forEach((light, i) => {
+            light.intensity = this.lightIntensities[i] * (off ? 0.06 : 1);
+        });
+        this.scene.background = off ? this.darkBackground : this.lightBackground;
+        polishEffects.setLightsOff(off);
+    }
+
+    isLightsOff() {
+        return this.lightsOff;
     }
 
     setupControls() {
@@ -167,8 +199,11 @@ export class NailScene {
         this.renderer.setSize(this.width, this.height);
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    animate(time = 0) {
+        requestAnimationFrame((t) => this.animate(t));
+
+        // Animated polish effects (glow, lights fading)
+        polishEffects.update(time);
 
         // Update camera animation if active
         if (this.isAnimating) {
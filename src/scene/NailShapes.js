@@ -0,0 +1,507 @@
+/**
+ * NailShapes.js
+ * Runtime nail shapes for the GLB hand models.
+ *
+ * The GLB nails are modelled round. Other shapes are made by reshaping
+ * the free edge of the original geometry in place: each vertex gets
+ * nail coordinates (t along the nail from cuticle to tip, r across it
+ * relative to the nail's width there, h through its thickness), the
+ * free edge is stretched to the shape's length and its width follows
+ * the shape's profile. Nail length (short to extra-long, optionally an
+ * acrylic extension) stretches or trims the free edge the same way.
+ * Vertex order is untouched, so overlays follow the new shape; HandModel
+ * re-projects the UVs against the modelled nail's bounds so canvases keep
+ * their mapping.
+ */
+import * as THREE from 'three';
+
+// Bins along the nail used to measure its width profile
+const PROFILE_BINS = 24;
+
+// Where the free edge starts: the first point past the widest part where
+// the nail narrows below this fraction of its full width
+const FREE_EDGE_WIDTH = 0.95;
+
+/**
+ * Free-edge profile per shape.
+ * `length` scales the whole nail length by extending the free edge;
+ * `width(u)` is the free edge's half-width at u (0 where it starts,
+ * 1 at the tip) as a fraction of the nail width.
+ * Round is the modelled shape and has no profile.
+ */
+export const SHAPE_PROFILES = {
+    square: {
+        length: 1.05,
+        // Straight sides, flat tip with softened corners
+        width: (u) => 1 - 0.18 * Math.max(0, (u - 0.88) / 0.12) ** 2,
+    },
+    almond: {
+        length: 1.25,
+        // Slim taper to a soft point
+        width: (u) => Math.max(0.04, (1 - u ** 1.8) ** 0.7),
+    },
+    stiletto: {
+        length: 1.55,
+        // Long, sharp point
+        width: (u) => Math.max(0.02, (1 - u) ** 1.15),
+    },
+    coffin: {
+        length: 1.4,
+        // Straight taper to a flat, narrower tip
+        width: (u) => (1 - 0.42 * u) * (1 - 0.12 * Math.max(0, (u - 0.92) / 0.08) ** 2),
+    },
+};
+
+/**
+ * Nail length presets, as a fraction of the modelled nail's length.
+ * Medium is the length the nails are modelled at.
+ */
+export const LENGTH_PROFILES = {
+    short: 0.9,
+    medium: 1,
+    long: 1.2,
+    'extra-long': 1.45,
+};
+
+// Acrylic extensions add this much nail length on top of the preset...
+const ACRYLIC_EXTENSION = 0.2;
+// ...and a free edge this many times thicker than the natural nail
+const ACRYLIC_THICKNESS = 1.6;
+
+// Trimming never takes the free edge below this fraction of its length
+const MIN_FREE_EDGE = 0.2;
+
+/**
+ * Record a nail's original geometry and nail coordinates (once per geometry)
+ * @param {THREE.Mesh} mesh - Nail mesh; a parent bone gives the nail direction
+ */
+export function prepareNailShape(mesh) {
+    const geometry = mesh.geometry;
+    if (geometry.userData.shapeBase) return geometry.userData.shapeBase;
+
+    const positions = geometry.attributes.position;
+    const frame = getNailFrame(mesh);
+    const count = positions.count;
+
+    // Nail coordinates: a along the nail, b across it, h through it
+    const coords = new Float32Array(count * 3);
+    const p = new THREE.Vector3();
+    let aMin = Infinity;
+    let aMax = -Infinity;
+    for (let i = 0; i < count; i++) {
+        p.fromBufferAttribute(positions, i).sub(frame.origin);
+        const a = p.dot(frame.length);
+        coords[i * 3] = a;
+        coords[i * 3 + 1] = p.dot(frame.width);
+        coords[i * 3 + 2] = p.dot(frame.height);
+        aMin = Math.min(aMin, a);
+        aMax = Math.max(aMax, a);
+    }
+
+    const profile = measureProfile(coords, count, aMin, aMax);
+
+    const base = {
+        positions: positions.array.slice(),
+        normals: geometry.attributes.normal?.array.slice() || null,
+        frame,
+        coords,
+        aMin,
+        aMax,
+        profile,
+    };
+    geometry.userData.shapeBase = base;
+    return base;
+}
+
+/**
+ * Reshape a prepared nail geometry (round at medium length restores the original)
+ * @param {THREE.BufferGeometry} geometry
+ * @param {string} shape - NAIL_SHAPES value
+ * @param {{length?: string, acrylic?: boolean}} [size] - Length preset and extension
+ */
+export function shapeNailGeometry(geometry, shape, size = {}) {
+    const base = geometry.userData.shapeBase;
+    if (!base) return;
+
+    const positions = geometry.attributes.position;
+
+    if (isModelledShape(shape, size)) {
+        positions.array.set(base.positions);
+        positions.needsUpdate = true;
+        if (base.normals) {
+            geometry.attributes.normal.array.set(base.normals);
+            geometry.attributes.normal.needsUpdate = true;
+        }
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        return;
+    }
+
+    writeShapePositions(base, shape, size, positions.array);
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+}
+
+/**
+ * Reshape a prepared nail geometry part way between two shapes
+ * (used while filing a nail into its new shape)
+ * @param {THREE.BufferGeometry} geometry
+ * @param {string} fromShape - Shape at amount 0
+ * @param {string} toShape - Shape at amount 1
+ * @param {number} amount - 0-1
+ * @param {{length?: string, acrylic?: boolean}} [size] - Length preset and extension
+ */
+export function morphNailGeometry(geometry, fromShape, toShape, amount, size = {}) {
+    const base = geometry.userData.shapeBase;
+    if (!base) return;
+
+    if (amount <= 0 || fromShape === toShape) {
+        shapeNailGeometry(geometry, fromShape, size);
+        return;
+    }
+    if (amount >= 1) {
+        shapeNailGeometry(geometry, toShape, size);
+        return;
+    }
+
+    // Scratch buffers live with the base so repeated morphs don't allocate
+    const length = base.positions.length;
+    base.morphFrom ??= new Float32Array(length);
+    base.morphTo ??= new Float32Array(length);
+    writeShapePositions(base, fromShape, size, base.morphFrom);
+    writeShapePositions(base, toShape, size, base.morphTo);
+
+    const positions = geometry.attributes.position;
+    const array = positions.array;
+    for (let i = 0; i < length; i++) {
+        array[i] = base.morphFrom[i] + (base.morphTo[i] - base.morphFrom[i]) * amount;
+    }
+
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+}
+
+/**
+ * The tip of the free edge as the nail is shaped now
+ * @param {THREE.BufferGeometry} geometry - Prepared nail geometry
+ * @returns {THREE.Vector3|null} Local position
+ */
+export function getNailTip(geometry) {
+    const base = geometry.userData.shapeBase;
+    if (!base) return null;
+
+    const { frame } = base;
+    const positions = geometry.attributes.position;
+    const p = new THREE.Vector3();
+    const offset = new THREE.Vector3();
+
+    let aMax = -Infinity;
+    for (let i = 0; i < positions.count; i++) {
+        aMax = Math.max(aMax, p.fromBufferAttribute(positions, i).sub(frame.origin).dot(frame.length));
+    }
+
+    // Average the last sliver of the nail so square tips give their middle
+    const sliver = (base.aMax - base.aMin) * 0.04;
+    const tip = new THREE.Vector3();
+    let count = 0;
+    for (let i = 0; i < positions.count; i++) {
+        p.fromBufferAttribute(positions, i);
+        if (offset.subVectors(p, frame.origin).dot(frame.length) >= aMax - sliver) {
+            tip.add(p);
+            count++;
+        }
+    }
+    return count ? tip.divideScalar(count) : null;
+}
+
+/**
+ * A line across the nail at a point along it, as the nail is shaped now
+ * @param {THREE.BufferGeometry} geometry - Prepared nail geometry
+ * @param {number} t - Along the nail, cuticle (0) to tip (1)
+ * @returns {{point: THREE.Vector3, across: THREE.Vector3, along: THREE.Vector3, up: THREE.Vector3, length: number}|null}
+ *   Local space; `up` is through the nail's thickness, either side
+ */
+export function getNailCrossLine(geometry, t) {
+    const base = geometry.userData.shapeBase;
+    if (!base) return null;
+
+    const { frame } = base;
+    const positions = geometry.attributes.position;
+    const p = new THREE.Vector3();
+
+    let aMin = Infinity;
+    let aMax = -Infinity;
+    for (let i = 0; i < positions.count; i++) {
+        const a = p.fromBufferAttribute(positions, i).sub(frame.origin).dot(frame.length);
+        aMin = Math.min(aMin, a);
+        aMax = Math.max(aMax, a);
+    }
+
+    return {
+        point: frame.origin.clone().addScaledVector(frame.length, aMin + t * (aMax - aMin)),
+        across: frame.width.clone(),
+        along: frame.length.clone(),
+        up: frame.height.clone(),
+        length: aMax - aMin,
+    };
+}
+
+/**
+ * How the nail lies on its canvas, for drawing designs in nail space.
+ * Nail space runs across the nail from -1 to 1 (x) and along it from the
+ * cuticle (0) to the tip (1) as the nail is shaped now (y). The transform
+ * is an affine least-squares fit of the nail's UVs over nail space, in
+ * CanvasRenderingContext2D.setTransform() order and UV units.
+ * @param {THREE.BufferGeometry} geometry - Prepared nail geometry with UVs
+ * @returns {{transform: number[], freeEdge: number, aspect: number}|null}
+ *   freeEdge: where the free edge starts along the nail;
+ *   aspect: nail-space y units per x unit for round shapes (half-width / length)
+ */
+export function getNailLayout(geometry) {
+    const base = geometry.userData.shapeBase;
+    const uvs = geometry.attributes.uv;
+    if (!base || !uvs) return null;
+
+    const { frame, profile } = base;
+    const positions = geometry.attributes.position;
+    const count = positions.count;
+    const p = new THREE.Vector3();
+
+    // Nail coordinates of the nail as it is now
+    const along = new Float32Array(count);
+    const across = new Float32Array(count);
+    let aMin = Infinity;
+    let aMax = -Infinity;
+    for (let i = 0; i < count; i++) {
+        p.fromBufferAttribute(positions, i).sub(frame.origin);
+        along[i] = p.dot(frame.length);
+        across[i] = p.dot(frame.width);
+        aMin = Math.min(aMin, along[i]);
+        aMax = Math.max(aMax, along[i]);
+    }
+
+    const length = Math.max(1e-6, aMax - aMin);
+    const halfWidth = Math.max(...profile.half);
+    const center = profile.center[profile.half.indexOf(halfWidth)];
+
+    // Normal equations for u and v over (1, x, y)
+    const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const ru = [0, 0, 0];
+    const rv = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        const row = [1, (across[i] - center) / halfWidth, (along[i] - aMin) / length];
+        const u = uvs.getX(i);
+        const v = uvs.getY(i);
+        for (let j = 0; j < 3; j++) {
+            for (let k = 0; k < 3; k++) m[j][k] += row[j] * row[k];
+            ru[j] += row[j] * u;
+            rv[j] += row[j] * v;
+        }
+    }
+    const cu = solve3(m, ru);
+    const cv = solve3(m, rv);
+    if (!cu || !cv) return null;
+
+    return {
+        transform: [cu[1], cv[1], cu[2], cv[2], cu[0], cv[0]],
+        freeEdge: (base.aMin + profile.tFree * (base.aMax - base.aMin) - aMin) / length,
+        aspect: halfWidth / length,
+    };
+}
+
+// =========================================
+// Helpers
+// =========================================
+
+/**
+ * Solve a 3x3 linear system (Cramer's rule)
+ * @returns {number[]|null} Null if singular
+ */
+function solve3(m, r) {
+    const det = (a) => a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1])
+        - a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0])
+        + a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+    const d = det(m);
+    if (Math.abs(d) < 1e-12) return null;
+
+    return [0, 1, 2].map(col => det(m.map((row, i) => row.map((value, j) => (j === col ? r[i] : value)))) / d);
+}
+
+/**
+ * Whether a shape and size are exactly the modelled nail
+ */
+function isModelledShape(shape, size) {
+    return !SHAPE_PROFILES[shape] && (LENGTH_PROFILES[size.length] ?? 1) === 1 && !size.acrylic;
+}
+
+/**
+ * Write a shape's vertex positions for a prepared nail into `out`
+ */
+function writeShapePositions(base, shape, size, out) {
+    if (isModelledShape(shape, size)) {
+        out.set(base.positions);
+        return;
+    }
+
+    // Round keeps the modelled tip outline and only changes length
+    const shapeProfile = SHAPE_PROFILES[shape] || { length: 1, width: null };
+    const lengthFactor = LENGTH_PROFILES[size.length] ?? 1;
+    const extension = size.acrylic ? ACRYLIC_EXTENSION : 0;
+    const thickness = size.acrylic ? ACRYLIC_THICKNESS : 1;
+
+    const { frame, coords, aMin, aMax, profile } = base;
+    const nailLength = aMax - aMin;
+    const aFree = aMin + profile.tFree * nailLength;
+    const freeLength = Math.max(1e-6, aMax - aFree);
+    const extra = (shapeProfile.length - 1 + lengthFactor - 1 + extension) * nailLength;
+    const stretch = Math.max(MIN_FREE_EDGE, (freeLength + extra) / freeLength);
+    const freeHalfWidth = sampleProfile(profile, profile.tFree).half;
+
+    const p = new THREE.Vector3();
+    const count = coords.length / 3;
+    for (let i = 0; i < count; i++) {
+        let a = coords[i * 3];
+        let b = coords[i * 3 + 1];
+        let h = coords[i * 3 + 2];
+
+        if (a > aFree) {
+            const t = (a - aMin) / nailLength;
+            const u = Math.min(1, (a - aFree) / freeLength);
+            const { center, half, surface } = sampleProfile(profile, t);
+
+            a = aFree + (a - aFree) * stretch;
+            if (shapeProfile.width) {
+                const r = THREE.MathUtils.clamp((b - center) / half, -1.2, 1.2);
+                b = center + r * freeHalfWidth * shapeProfile.width(u);
+            }
+            // Thicken about the middle of the nail, blending in from the free edge
+            h = surface + (h - surface) * (1 + (thickness - 1) * Math.min(1, u * 4));
+        }
+
+        p.copy(frame.origin)
+            .addScaledVector(frame.length, a)
+            .addScaledVector(frame.width, b)
+            .addScaledVector(frame.height, h);
+        out[i * 3] = p.x;
+        out[i * 3 + 1] = p.y;
+        out[i * 3 + 2] = p.z;
+    }
+}
+
+/**
+ * Orthonormal nail axes in the mesh's local space.
+ * GLB nails hang off the distal finger bone, whose +Y points to the
+ * fingertip; without a bone the longest bounding box axis is used.
+ * The thickness axis is the flattest direction across the nail.
+ */
+function getNailFrame(mesh) {
+    const geometry = mesh.geometry;
+    geometry.computeBoundingBox();
+    const origin = geometry.boundingBox.getCenter(new THREE.Vector3());
+
+    let length;
+    if (mesh.parent?.isBone) {
+        length = new THREE.Vector3(0, 1, 0).applyQuaternion(mesh.quaternion.clone().invert());
+    } else {
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        const axis = size.x >= size.y && size.x >= size.z ? 0 : size.y >= size.z ? 1 : 2;
+        length = new THREE.Vector3().setComponent(axis, 1);
+    }
+    length.normalize();
+
+    // Any two axes across the nail, then find the flattest direction between them
+    const across = Math.abs(length.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    const e1 = across.sub(length.clone().multiplyScalar(across.dot(length))).normalize();
+    const e2 = new THREE.Vector3().crossVectors(length, e1);
+
+    const positions = geometry.attributes.position;
+    const p = new THREE.Vector3();
+    let sxx = 0, syy = 0, sxy = 0;
+    for (let i = 0; i < positions.count; i++) {
+        p.fromBufferAttribute(positions, i).sub(origin);
+        const x = p.dot(e1);
+        const y = p.dot(e2);
+        sxx += x * x;
+        syy += y * y;
+        sxy += x * y;
+    }
+
+    // Major axis of the 2x2 covariance is the width direction
+    const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    const width = e1.clone().multiplyScalar(Math.cos(angle)).addScaledVector(e2, Math.sin(angle)).normalize();
+    const height = new THREE.Vector3().crossVectors(length, width);
+
+    return { origin, length, width, height };
+}
+
+/**
+ * Centre and half-width across the nail, and the middle of its thickness,
+ * in bins along its length
+ */
+function measureProfile(coords, count, aMin, aMax) {
+    const min = new Array(PROFILE_BINS).fill(Infinity);
+    const max = new Array(PROFILE_BINS).fill(-Infinity);
+    const heightSum = new Array(PROFILE_BINS).fill(0);
+    const binCount = new Array(PROFILE_BINS).fill(0);
+    const nailLength = Math.max(1e-6, aMax - aMin);
+
+    for (let i = 0; i < count; i++) {
+        const t = (coords[i * 3] - aMin) / nailLength;
+        const bin = Math.min(PROFILE_BINS - 1, Math.floor(t * PROFILE_BINS));
+        min[bin] = Math.min(min[bin], coords[i * 3 + 1]);
+        max[bin] = Math.max(max[bin], coords[i * 3 + 1]);
+        heightSum[bin] += coords[i * 3 + 2];
+        binCount[bin]++;
+    }
+
+    // Fill empty bins from their neighbours
+    const center = [];
+    const surface = [];
+    let half = [];
+    for (let i = 0; i < PROFILE_BINS; i++) {
+        if (min[i] <= max[i]) {
+            center[i] = (min[i] + max[i]) / 2;
+            half[i] = (max[i] - min[i]) / 2;
+            surface[i] = heightSum[i] / binCount[i];
+        }
+    }
+    for (let i = 0; i < PROFILE_BINS; i++) {
+        if (half[i] === undefined) {
+            const j = half.findIndex((h, k) => k > i && h !== undefined);
+            const source = j >= 0 ? j : i - 1;
+            center[i] = center[source] ?? 0;
+            half[i] = half[source] ?? 0;
+            surface[i] = surface[source] ?? 0;
+        }
+    }
+
+    // Keep narrow tip bins from dividing by ~0
+    const widest = Math.max(...half);
+    half = half.map(h => Math.max(h, widest * 0.05));
+
+    const widestBin = half.indexOf(widest);
+    let freeBin = half.findIndex((h, i) => i > widestBin && h < widest * FREE_EDGE_WIDTH);
+    if (freeBin < 0) freeBin = PROFILE_BINS - 1;
+
+    return { center, half, surface, tFree: freeBin / PROFILE_BINS };
+}
+
+/**
+ * Profile centre, half-width and mid-thickness at t (0 cuticle, 1 tip)
+ */
+function sampleProfile(profile, t) {
+    const x = THREE.MathUtils.clamp(t * PROFILE_BINS - 0.5, 0, PROFILE_BINS - 1);
+    const i = Math.floor(x);
+    const j = Math.min(PROFILE_BINS - 1, i + 1);
+    const f = x - i;
+    return {
+        center: THREE.MathUtils.lerp(profile.center[i], profile.center[j], f),
+        half: THREE.MathUtils.lerp(profile.half[i], profile.half[j], f),
+        surface: THREE.MathUtils.lerp(profile.surface[i], profile.surface[j], f),
+    };
+}
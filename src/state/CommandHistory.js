@@ -0,0 +1,222 @@
+/**
+ * CommandHistory.js
+ * App-wide undo/redo.
+ * Every change to a nail (stroke, sticker, gem, fill, clear) is recorded
+ * as a command in that nail's own history, so undo always acts on the
+ * nail being decorated.
+ */
+
+// Maximum undo steps kept per nail
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Command restoring whole-nail snapshots taken before and after a change
+ */
+export class SnapshotCommand {
+  constructor(label, history, hand, finger, before, after) {
+    this.label = label;
+    this.history = history;
+    this.hand = hand;
+    this.finger = finger;
+    this.before = before;
+    this.after = after;
+  }
+
+  undo() {
+    return this.history.snapshotter.restore(this.hand, this.finger, this.before);
+  }
+
+  redo() {
+    return this.history.snapshotter.restore(this.hand, this.finger, this.after);
+  }
+}
+
+export class CommandHistory {
+  constructor(limit = HISTORY_LIMIT) {
+    this.limit = limit;
+
+    // Undo/redo stacks per nail (keyed by hand_finger)
+    this.histories = new Map();
+
+    // Captures and restores a nail's full state:
+    // { capture(hand, finger) => snapshot, restore(hand, finger, snapshot) => Promise }
+    this.snapshotter = null;
+
+    // Undo/redo being applied: { hand, finger, snapshot, done }, where
+    // snapshot is what the nail is being put back to and done a promise
+    // that resolves once it is
+    this.applying = null;
+
+    // UI callback (hand, finger) after any change to a history
+    this.onChange = null;
+  }
+
+  setSnapshotter(snapshotter) {
+    this.snapshotter = snapshotter;
+  }
+
+  getHistory(hand, finger) {
+    const key = `${hand}_${finger}`;
+    if (!this.histories.has(key)) {
+      // open: steps begun but not yet committed or cancelled
+      this.histories.set(key, { undo: [], redo: [], open: 0 });
+    }
+    return this.histories.get(key);
+  }
+
+  /**
+   * Record a command that has already been performed
+   * @param {Object} command - { label, undo(), redo() }; undo/redo may return promises
+   */
+  push(hand, finger, command) {
+    if (this.applying) return;
+
+    const history = this.getHistory(hand, finger);
+    history.undo.push(command);
+    history.redo = [];
+
+    if (history.undo.length > this.limit) {
+      history.undo.shift();
+    }
+
+    this.onChange?.(hand, finger);
+  }
+
+  /**
+   * Start recording a change to a nail.
+   * Call commit() on the returned step once the change is finished.
+   * A change begun or finished while an undo/redo is being applied is
+   * recorded once that has finished.
+   * @returns {{commit: Function, cancel: Function}|null} Null without a snapshotter
+   */
+  begin(label, hand, finger) {
+    if (!this.snapshotter) return null;
+
+    const history = this.getHistory(hand, finger);
+    const before = this.captureBefore(hand, finger, history);
+    history.open++;
+    let done = false;
+
+    const finish = () => {
+      const after = this.snapshotter.capture(hand, finger);
+      this.push(hand, finger, new SnapshotCommand(label, this, hand, finger, before, after));
+    };
+
+    return {
+      commit: () => {
+        if (done) return;
+        done = true;
+        history.open--;
+        // Don't capture a nail that is half put back
+        if (this.applying) {
+          this.applying.done.then(finish);
+        } else {
+          finish();
+        }
+      },
+      cancel: () => {
+        if (done) return;
+        done = true;
+        history.open--;
+      },
+    };
+  }
+
+  /**
+   * Snapshot of a nail before a change. The last step's `after` snapshot
+   * is the nail as it is now, so it is shared rather than captured again
+   * (each snapshot holds copies of the nail's canvases); a nail being
+   * put back by undo/redo is taken as it will be once that has finished.
+   */
+  captureBefore(hand, finger, history) {
+    const applying = this.applying;
+    if (applying?.snapshot && applying.hand === hand && applying.finger === finger) {
+      return applying.snapshot;
+    }
+
+    const last = history.undo[history.undo.length - 1];
+    if (history.open === 0 && last instanceof SnapshotCommand) {
+      return last.after;
+    }
+    return this.snapshotter.capture(hand, finger);
+  }
+
+  /**
+   * Record a change made synchronously by a callback
+   */
+  record(label, hand, finger, change) {
+    const step = this.begin(label, hand, finger);
+    change();
+    step?.commit();
+  }
+
+  /**
+   * Undo the last command on a nail
+   * @returns {Promise<Object|null>} The undone command
+   */
+  async undo(hand, finger) {
+    const history = this.getHistory(hand, finger);
+    if (this.applying || history.undo.length === 0) return null;
+
+    const command = history.undo.pop();
+    history.redo.push(command);
+    await this.apply(hand, finger, command.before, () => command.undo());
+
+    this.onChange?.(hand, finger);
+    return command;
+  }
+
+  /**
+   * Redo the last undone command on a nail
+   * @returns {Promise<Object|null>} The redone command
+   */
+  async redo(hand, finger) {
+    const history = this.getHistory(hand, finger);
+    if (this.applying || history.redo.length === 0) return null;
+
+    const command = history.redo.pop();
+    history.undo.push(command);
+    await this.apply(hand, finger, command.after, () => command.redo());
+
+    this.onChange?.(hand, finger);
+    return command;
+  }
+
+  /**
+   * Run an undo/redo of a nail, holding back steps of other changes
+   * until it has finished
+   * @param {Object} [snapshot] - What the nail is being put back to
+   */
+  async apply(hand, finger, snapshot, action) {
+    let finished;
+    const done = new Promise((resolve) => {
+      finished = resolve;
+    });
+    this.applying = { hand, finger, snapshot, done };
+    try {
+      await action();
+    } finally {
+      this.applying = null;
+      finished();
+    }
+  }
+
+  canUndo(hand, finger) {
+    return this.getHistory(hand, finger).undo.length > 0;
+  }
+
+  canRedo(hand, finger) {
+    return this.getHistory(hand, finger).redo.length > 0;
+  }
+
+  /**
+   * Forget every nail's history (e.g. when a different look is opened)
+   */
+  clearAll() {
+    this.histories.clear();
+    this.onChange?.(null, null);
+  }
+}
+
+// Singleton instance
+export const commandHistory = new CommandHistory();
@@ -0,0 +1,90 @@
+/**
+ * Undo steps recorded through begin()/commit() against a snapshotter,
+ * including changes that overlap an undo still being applied.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CommandHistory } from './CommandHistory.js';
+
+describe('CommandHistory', () => {
+  let history;
+  let nails;
+  let captures;
+
+  beforeEach(() => {
+    // Each nail is a number; restoring takes a moment, like canvases do
+    nails = { left_index: 0, left_thumb: 0 };
+    captures = 0;
+    history = new CommandHistory();
+    history.setSnapshotter({
+      capture: (hand, finger) => {
+        captures++;
+        return { value: nails[`${hand}_${finger}`] };
+      },
+      restore: async (hand, finger, snapshot) => {
+        await Promise.resolve();
+        nails[`${hand}_${finger}`] = snapshot.value;
+      },
+    });
+  });
+
+  const change = (finger, value) => {
+    history.record('Change', 'left', finger, () => {
+      nails[`left_${finger}`] = value;
+    });
+  };
+
+  it('undoes and redoes recorded changes', async () => {
+    change('index', 1);
+    change('index', 2);
+
+    await history.undo('left', 'index');
+    expect(nails.left_index).toBe(1);
+    await history.undo('left', 'index');
+    expect(nails.left_index).toBe(0);
+    await history.redo('left', 'index');
+    expect(nails.left_index).toBe(1);
+    expect(history.canRedo('left', 'index')).toBe(true);
+  });
+
+  it('starts each step from the last step\'s after snapshot', () => {
+    change('index', 1);
+    change('index', 2);
+    change('index', 3);
+
+    // One capture for the first before, then one after per step
+    expect(captures).toBe(4);
+    const [first, second] = history.getHistory('left', 'index').undo;
+    expect(second.before).toBe(first.after);
+  });
+
+  it('records a change made while an undo is being applied', async () => {
+    change('index', 1);
+    change('index', 2);
+
+    const undoing = history.undo('left', 'index');
+    const step = history.begin('Stroke', 'left', 'index');
+    expect(step).not.toBeNull();
+    step.commit();
+    expect(history.getHistory('left', 'index').undo).toHaveLength(1);
+    await undoing;
+
+    // Recorded on top of the undone nail, which also drops the redo
+    const { undo, redo } = history.getHistory('left', 'index');
+    expect(undo.map(command => command.label)).toEqual(['Change', 'Stroke']);
+    expect(undo[1].before.value).toBe(1);
+    expect(redo).toEqual([]);
+  });
+
+  it('records changes to other nails during an undo', async () => {
+    change('index', 1);
+
+    const undoing = history.undo('left', 'index');
+    change('thumb', 7);
+    await undoing;
+
+    expect(history.canUndo('left', 'thumb')).toBe(true);
+    await history.undo('left', 'thumb');
+    expect(nails.left_thumb).toBe(0);
+    expect(nails.left_index).toBe(0);
+  });
+});
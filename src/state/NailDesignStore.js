@@ -1,20 +1,34 @@
 /**
  * NailDesignStore.js
  * Manages nail designs for all 10 fingers (5 per hand)
+ * Persists designs and gallery looks to IndexedDB (see utils/Storage.js)
  */
 
 import { FINGER_ORDER, DEFAULT_FINGER, DEFAULT_HAND } from '../scene/FingerConfig.js';
+import {
+    designDatabase,
+    STORES,
+    canvasToBlob,
+    toDesignRecord,
+} from '../utils/Storage.js';
 
 export class NailDesignStore {
-    constructor() {
+    constructor(database = designDatabase) {
+        this.db = database;
         this.currentHand = DEFAULT_HAND;
         this.currentFinger = DEFAULT_FINGER;
 
         // Initialize designs for all fingers
         this.designs = this.createEmptyDesigns();
 
-        // Try to load from localStorage
-        this.loadFromLocalStorage();
+        // Saved whole-hand looks, newest first
+        this.looks = [];
+
+        // Called with the error when a save fails (e.g. StorageQuotaError)
+        this.onStorageError = null;
+
+        // Resolves once saved designs and looks have been loaded
+        this.ready = this.load();
     }
 
     createEmptyDesigns() {
@@ -34,9 +48,20 @@ export class NailDesignStore {
     createEmptyDesign() {
         return {
             shape: 'round',
+            length: 'medium',
+            acrylic: false,
             polishColor: null,
             finishType: 'glossy',
-            canvasDataUrl: null,
+            topCoatFinish: null, // Top coat finish over it (see HandModel.setFinish)
+            magnet: 0.5,      // Cat-eye line along the nail (see HandModel.setMagnet)
+            canvasBlob: null,
+            polish: null,     // PolishLayerState JSON (see PolishTool.captureNail)
+            gems: [],         // Gem placements (see GemTool.captureNail)
+            glitter: [],      // Glitter flakes (see GlitterTool.captureNail)
+            stickers: [],     // Sticker placements (see StickerTool.captureNail)
+            strokes: [],      // Vector pen strokes (see BrushTool.captureNail)
+            stamps: [],       // Stamping plate placements (see StampTool.captureNail)
+            skin: [],         // Polish slipped onto the skin (see SkinPolishTool.captureNail)
             timestamp: null,
         };
     }
@@ -63,38 +88,40 @@ export class NailDesignStore {
         Object.assign(design, designData, { timestamp: Date.now() });
     }
 
-    // Save canvas state as data URL before switching fingers
-    saveCanvasState(canvas) {
+    // Save design data for any finger (used when syncing the whole hand)
+    saveDesign(hand, finger, designData) {
+        const design = this.designs[hand]?.[finger];
+        if (!design) return;
+        Object.assign(design, designData, { timestamp: Date.now() });
+    }
+
+    // Save canvas state as a PNG Blob before switching fingers
+    async saveCanvasState(canvas) {
+        if (!canvas) return;
         const design = this.getCurrentDesign();
-        if (canvas) {
-            // Use JPEG with moderate quality to save space
-            design.canvasDataUrl = canvas.toDataURL('image/png');
-            design.timestamp = Date.now();
-        }
+        design.canvasBlob = await canvasToBlob(canvas);
+        design.timestamp = Date.now();
     }
 
-    // Get canvas data URL for current finger
-    getCanvasDataUrl() {
-        return this.getCurrentDesign().canvasDataUrl;
+    // Get canvas Blob for current finger
+    getCanvasBlob() {
+        return this.getCurrentDesign().canvasBlob;
     }
 
-    // Restore canvas from data URL
+    // Restore canvas from the stored Blob
     async restoreCanvas(canvas, ctx) {
-        const dataUrl = this.getCanvasDataUrl();
-        if (!dataUrl || !canvas || !ctx) return false;
-
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.drawImage(img, 0, 0);
-                resolve(true);
-            };
-            img.onerror = () => {
-                resolve(false);
-            };
-            img.src = dataUrl;
-        });
+        const blob = this.getCanvasBlob();
+        if (!blob || !canvas || !ctx) return false;
+
+        try {
+            const bitmap = await createImageBitmap(blob);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(bitmap, 0, 0);
+            bitmap.close();
+            return true;
+        } catch (e) {
+            return false;
+        }
     }
 
     // Check if any finger has been designed
@@ -111,65 +138,177 @@ export class NailDesignStore {
 
     // Clear design for current finger
     clearCurrentDesign() {
-        const design = this.getCurrentDesign();
-        design.shape = 'round';
-        design.polishColor = null;
-        design.finishType = 'glossy';
-        design.canvasDataUrl = null;
-        design.timestamp = null;
+        this.designs[this.currentHand][this.currentFinger] = this.createEmptyDesign();
     }
 
     // Clear all designs
     clearAll() {
         this.designs = this.createEmptyDesigns();
-        this.saveToLocalStorage();
+        return this.save();
     }
 
-    // Export all designs
+    // Export all designs (Blobs are kept, so this is a structured clone)
     exportAllDesigns() {
-        return JSON.parse(JSON.stringify(this.designs));
+        return structuredClone(this.designs);
     }
 
-    // Import designs
+    // Import designs (e.g. from a look or a .nailart file); missing fingers start empty
     importDesigns(designs) {
-        this.designs = designs;
-        this.saveToLocalStorage();
-    }
-
-    // LocalStorage persistence
-    saveToLocalStorage() {
-        try {
-            localStorage.setItem('nailDesigns', JSON.stringify(this.designs));
-            localStorage.setItem('nailDesignsHand', this.currentHand);
-            localStorage.setItem('nailDesignsFinger', this.currentFinger);
-        } catch (e) {
-            console.warn('Failed to save designs to localStorage:', e);
+        const imported = this.createEmptyDesigns();
+        for (const hand of ['left', 'right']) {
+            for (const finger of FINGER_ORDER) {
+                Object.assign(imported[hand][finger], designs?.[hand]?.[finger]);
+            }
         }
+        this.designs = imported;
+        return this.save();
     }
 
-    loadFromLocalStorage() {
+    // =========================================
+    // Persistence
+    // =========================================
+
+    /**
+     * Load designs, current selection and looks from IndexedDB
+     */
+    async load() {
         try {
-            const saved = localStorage.getItem('nailDesigns');
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                // Validate structure
-                if (parsed.left && parsed.right) {
-                    this.designs = parsed;
+            const [records, looks, meta] = await Promise.all([
+                this.db.getAll(STORES.DESIGNS),
+                this.db.getAll(STORES.LOOKS),
+                this.db.getAll(STORES.META),
+            ]);
+
+            for (const record of records) {
+                const { key, hand, finger, ...design } = record;
+                if (this.designs[hand]?.[finger]) {
+                    this.designs[hand][finger] = { ...this.createEmptyDesign(), ...design };
                 }
             }
 
-            const savedHand = localStorage.getItem('nailDesignsHand');
-            const savedFinger = localStorage.getItem('nailDesignsFinger');
-            if (savedHand && (savedHand === 'left' || savedHand === 'right')) {
-                this.currentHand = savedHand;
+            this.looks = looks
+                .filter(look => look && look.id && look.designs)
+                .sort((a, b) => b.createdAt - a.createdAt);
+
+            const settings = Object.fromEntries(meta.map(m => [m.key, m.value]));
+            if (settings.currentHand === 'left' || settings.currentHand === 'right') {
+                this.currentHand = settings.currentHand;
             }
-            if (savedFinger && FINGER_ORDER.includes(savedFinger)) {
-                this.currentFinger = savedFinger;
+            if (FINGER_ORDER.includes(settings.currentFinger)) {
+                this.currentFinger = settings.currentFinger;
+            }
+        } catch (e) {
+            console.warn('Failed to load designs from IndexedDB:', e);
+        }
+    }
+
+    /**
+     * Save all ten designs and the current selection
+     * @returns {Promise<boolean>} Whether the save succeeded
+     */
+    async save() {
+        const records = [];
+        for (const hand of ['left', 'right']) {
+            for (const [finger, design] of Object.entries(this.designs[hand])) {
+                records.push(toDesignRecord(hand, finger, design));
             }
+        }
+
+        try {
+            await this.db.transaction([STORES.DESIGNS, STORES.META], 'readwrite', (tx) => {
+                const designs = tx.objectStore(STORES.DESIGNS);
+                records.forEach(record => designs.put(record));
+
+                const meta = tx.objectStore(STORES.META);
+                meta.put({ key: 'currentHand', value: this.currentHand });
+                meta.put({ key: 'currentFinger', value: this.currentFinger });
+            });
+            return true;
         } catch (e) {
-            console.warn('Failed to load designs from localStorage:', e);
+            return this.handleStorageError('Failed to save designs:', e);
         }
     }
+
+    /**
+     * Report a failed write; quota errors are surfaced to the UI
+     * @returns {boolean} Always false, for use as a return value
+     */
+    handleStorageError(message, error) {
+        console.warn(message, error);
+        if (this.onStorageError) {
+            this.onStorageError(error);
+        }
+        return false;
+    }
+
+    // =========================================
+    // Gallery (saved whole-hand looks)
+    // =========================================
+
+    // Capture all ten designs plus a thumbnail Blob as a new look
+    async saveLook(thumbnail) {
+        const look = {
+            id: this.createLookId(),
+            createdAt: Date.now(),
+            thumbnail,
+            designs: this.exportAllDesigns(),
+        };
+
+        try {
+            await this.db.put(STORES.LOOKS, look);
+        } catch (e) {
+            this.handleStorageError('Failed to save look:', e);
+            return null;
+        }
+
+        this.looks.unshift(look);
+        return look;
+    }
+
+    getLooks() {
+        return this.looks;
+    }
+
+    getLook(id) {
+        return this.looks.find(look => look.id === id) || null;
+    }
+
+    // Copy a look; the copy is the newest look so it goes first
+    async duplicateLook(id) {
+        const original = this.getLook(id);
+        if (!original) return null;
+
+        const copy = structuredClone(original);
+        copy.id = this.createLookId();
+        copy.createdAt = Date.now();
+
+        try {
+            await this.db.put(STORES.LOOKS, copy);
+        } catch (e) {
+            this.handleStorageError('Failed to duplicate look:', e);
+            return null;
+        }
+
+        this.looks.unshift(copy);
+        return copy;
+    }
+
+    async deleteLook(id) {
+        if (!this.getLook(id)) return false;
+
+        try {
+            await this.db.delete(STORES.LOOKS, id);
+        } catch (e) {
+            return this.handleStorageError('Failed to delete look:', e);
+        }
+
+        this.looks = this.looks.filter(look => look.id !== id);
+        return true;
+    }
+
+    createLookId() {
+        return `look_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
 }
 
 // Singleton instance
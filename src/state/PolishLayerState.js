@@ -1,12 +1,21 @@
 /**
  * PolishLayerState.js
  * Manages polish layer state for realistic nail painting.
- * Tracks base coat, color coats, and top coat with coverage and drying state.
+ * Each nail has a stack of layers - base coat, color coats, art layers and
+ * top coat - with coverage and drying state. The stack starts as
+ * LAYER_ORDER and can be added to, trimmed and reordered; every layer has
+ * its own visibility, opacity and blend mode.
+ * Each layer has its own finish (see FINISHES in NailPolishMaterial.js):
+ * color coats give the nail its color and metallic flake, the top coat
+ * decides whether it ends up glossy or matte.
+ * Layers dry over time: thick coats (many brush passes) and slow finishes
+ * take longer, and a UV lamp or fan speeds things up (see QuickDryTool).
  */
 
 import { CoverageMap } from '../utils/CoverageMap.js';
+import { getFinish } from '../scene/NailPolishMaterial.js';
 
-// Layer types in order of application
+// Ids of the layers every nail starts with
 export const POLISH_LAYERS = {
   BASE_COAT: 'baseCoat',
   COLOR_1: 'colorCoat1',
@@ -14,6 +23,7 @@ export const POLISH_LAYERS = {
   TOP_COAT: 'topCoat',
 };
 
+// Starting stack, bottom to top
 export const LAYER_ORDER = [
   POLISH_LAYERS.BASE_COAT,
   POLISH_LAYERS.COLOR_1,
@@ -21,19 +31,88 @@ export const LAYER_ORDER = [
   POLISH_LAYERS.TOP_COAT,
 ];
 
-// Auto-dry time in milliseconds
+// What a layer holds: clear base/top coats, or polish/art in a color
+export const LAYER_KINDS = {
+  BASE: 'base',
+  COLOR: 'color',
+  ART: 'art',
+  TOP: 'top',
+};
+
+// Kind and name of the starting layers
+const DEFAULT_LAYERS = {
+  [POLISH_LAYERS.BASE_COAT]: { kind: LAYER_KINDS.BASE, name: 'Base Coat' },
+  [POLISH_LAYERS.COLOR_1]: { kind: LAYER_KINDS.COLOR, name: 'Color 1' },
+  [POLISH_LAYERS.COLOR_2]: { kind: LAYER_KINDS.COLOR, name: 'Color 2' },
+  [POLISH_LAYERS.TOP_COAT]: { kind: LAYER_KINDS.TOP, name: 'Top Coat' },
+};
+
+// Names for added layers (numbered)
+const KIND_NAMES = {
+  [LAYER_KINDS.BASE]: 'Base Coat',
+  [LAYER_KINDS.COLOR]: 'Color',
+  [LAYER_KINDS.ART]: 'Art',
+  [LAYER_KINDS.TOP]: 'Top Coat',
+};
+
+// Layer blend modes (canvas composite operations)
+export const BLEND_MODES = [
+  { id: 'source-over', name: 'Normal' },
+  { id: 'multiply', name: 'Multiply' },
+  { id: 'screen', name: 'Screen' },
+  { id: 'overlay', name: 'Overlay' },
+  { id: 'soft-light', name: 'Soft Light' },
+  { id: 'color-dodge', name: 'Glow' },
+  { id: 'difference', name: 'Difference' },
+];
+
+// Stacks are capped so each nail's canvases stay affordable
+export const MAX_LAYERS = 10;
+
+// Layer ids (starting layers and added ones like `color3`); ids end up in
+// markup, so layers read from files must match this
+export const LAYER_ID_PATTERN = /^[a-z][a-zA-Z0-9]{0,31}$/;
+
+// Time one thin pass of glossy color takes to dry, in milliseconds
 export const DRY_TIME = 4000;
 
+// Drying time by layer kind: clear base coats are thin, top coats thick
+const KIND_DRY_TIME = {
+  [LAYER_KINDS.BASE]: 0.6,
+  [LAYER_KINDS.COLOR]: 1,
+  [LAYER_KINDS.ART]: 0.8,
+  [LAYER_KINDS.TOP]: 1.3,
+};
+
+// Drying slows faster than thickness grows (solvent has to get out
+// through the polish above it)
+const THICKNESS_DRY_EXPONENT = 1.5;
+
 /**
  * State for a single polish layer
  */
 export class LayerState {
-  constructor(layerType) {
+  /**
+   * @param {string} layerType - Layer id, unique in its stack
+   * @param {string} [finish] - FINISHES key
+   * @param {Object} [options]
+   * @param {string} [options.kind] - LAYER_KINDS value
+   * @param {string} [options.name] - Shown in the layer panel
+   */
+  constructor(layerType, finish = 'glossy', { kind, name } = {}) {
     this.type = layerType;
+    this.kind = kind || DEFAULT_LAYERS[layerType]?.kind || LAYER_KINDS.COLOR;
+    this.name = name || DEFAULT_LAYERS[layerType]?.name || KIND_NAMES[this.kind];
     this.applied = false;
-    this.color = null; // Only for color coats
+    this.color = null; // Only for color coats and art
+    this.finish = finish;
+    this.visible = true;
+    this.opacity = 1;
+    this.blendMode = 'source-over';
     this.isDry = true;
-    this.dryStartTime = null;
+    this.isDrying = false;
+    this.dryProgress = 1; // 0 = just painted, 1 = dry
+    this.dryTime = DRY_TIME; // Set when drying starts
     this.coverage = new CoverageMap(64);
   }
 
@@ -45,7 +124,19 @@ export class LayerState {
     this.applied = true;
     this.color = color;
     this.isDry = false;
-    this.dryStartTime = null;
+    this.isDrying = false;
+    this.dryProgress = 0;
+  }
+
+  /**
+   * Another pass of wet polish over this layer: it stops drying until the
+   * stroke ends, and part-dry polish is softened again
+   */
+  addWetPass() {
+    if (!this.applied) return;
+    this.isDry = false;
+    this.isDrying = false;
+    this.dryProgress *= 0.5;
   }
 
   /**
@@ -53,31 +144,48 @@ export class LayerState {
    */
   startDrying() {
     if (!this.isDry && this.applied) {
-      this.dryStartTime = Date.now();
+      this.isDrying = true;
+      this.dryTime = this.getDryTime();
     }
   }
 
   /**
-   * Check if layer has finished drying (auto-dry)
-   * @returns {boolean}
+   * How long this layer takes to dry from wet at normal speed, given how
+   * thick it is and its kind and finish
+   * @returns {number} Milliseconds
    */
-  checkDry() {
-    if (this.isDry) return true;
-    if (!this.dryStartTime) return false;
+  getDryTime() {
+    const passes = Math.max(1, this.coverage.getAveragePasses());
+    return DRY_TIME
+      * (KIND_DRY_TIME[this.kind] ?? 1)
+      * getFinish(this.finish).dryTime
+      * Math.pow(passes, THICKNESS_DRY_EXPONENT);
+  }
+
+  /**
+   * Let the layer dry for a while
+   * @param {number} seconds - Time passed
+   * @param {number} [speed] - Drying speed (1 = air dry)
+   * @returns {boolean} Whether the layer just became dry
+   */
+  advanceDrying(seconds, speed = 1) {
+    if (this.isDry || !this.isDrying) return false;
 
-    if (Date.now() - this.dryStartTime >= DRY_TIME) {
+    this.dryProgress = Math.min(1, this.dryProgress + (seconds * 1000 * speed) / this.dryTime);
+    if (this.dryProgress >= 1) {
       this.isDry = true;
+      this.isDrying = false;
       return true;
     }
     return false;
   }
 
   /**
-   * Instantly dry this layer
+   * Check if layer has finished drying
+   * @returns {boolean}
    */
-  instantDry() {
-    this.isDry = true;
-    this.dryStartTime = null;
+  checkDry() {
+    return this.isDry;
   }
 
   /**
@@ -85,9 +193,15 @@ export class LayerState {
    * @returns {number}
    */
   getDryProgress() {
-    if (this.isDry) return 1;
-    if (!this.dryStartTime) return 0;
-    return Math.min(1, (Date.now() - this.dryStartTime) / DRY_TIME);
+    return this.isDry ? 1 : this.dryProgress;
+  }
+
+  /**
+   * How wet the layer is: 1 just painted, 0 dry or unpainted
+   * @returns {number}
+   */
+  getWetness() {
+    return this.applied && !this.isDry ? 1 - this.dryProgress : 0;
   }
 
   /**
@@ -98,14 +212,24 @@ export class LayerState {
     return this.coverage.getCoveragePercentage();
   }
 
+  /**
+   * Whether paint on this layer is in the chosen color (color coats and
+   * art) rather than a clear coat
+   */
+  isColored() {
+    return this.kind === LAYER_KINDS.COLOR || this.kind === LAYER_KINDS.ART;
+  }
+
   /**
    * Reset this layer
    */
   reset() {
     this.applied = false;
     this.color = null;
+    this.finish = 'glossy';
     this.isDry = true;
-    this.dryStartTime = null;
+    this.isDrying = false;
+    this.dryProgress = 1;
     this.coverage.clear();
   }
 
@@ -114,14 +238,56 @@ export class LayerState {
    * @returns {LayerState}
    */
   clone() {
-    const copy = new LayerState(this.type);
+    const copy = new LayerState(this.type, this.finish, { kind: this.kind, name: this.name });
     copy.applied = this.applied;
     copy.color = this.color;
+    copy.visible = this.visible;
+    copy.opacity = this.opacity;
+    copy.blendMode = this.blendMode;
     copy.isDry = this.isDry;
-    copy.dryStartTime = this.dryStartTime;
+    copy.isDrying = this.isDrying;
+    copy.dryProgress = this.dryProgress;
+    copy.dryTime = this.dryTime;
     copy.coverage = this.coverage.clone();
     return copy;
   }
+
+  /**
+   * Serialize to a JSON-safe object (drying state is not kept -
+   * a saved layer is always dry by the time it is reopened)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      kind: this.kind,
+      name: this.name,
+      applied: this.applied,
+      color: this.color,
+      finish: this.finish,
+      visible: this.visible,
+      opacity: this.opacity,
+      blendMode: this.blendMode,
+      coverage: this.coverage.toJSON(),
+    };
+  }
+
+  /**
+   * Create a layer from toJSON() output
+   * @param {Object} json
+   * @param {string} [defaultFinish] - For layers saved before they had a finish
+   * @returns {LayerState}
+   */
+  static fromJSON(json, defaultFinish = 'glossy') {
+    const layer = new LayerState(json.type, json.finish || defaultFinish, { kind: json.kind, name: json.name });
+    layer.applied = Boolean(json.applied);
+    layer.color = json.color ?? null;
+    layer.visible = json.visible ?? true;
+    layer.opacity = json.opacity ?? 1;
+    layer.blendMode = json.blendMode || 'source-over';
+    layer.coverage = CoverageMap.fromJSON(json.coverage);
+    return layer;
+  }
 }
 
 /**
@@ -134,13 +300,20 @@ export class PolishLayerState {
       this.layers[layerType] = new LayerState(layerType);
     }
 
+    // Layer ids, bottom to top
+    this.order = [...LAYER_ORDER];
+
     this.activeLayer = POLISH_LAYERS.COLOR_1; // Default to first color coat
     this.selectedColor = '#ff2a6d'; // Default color
-    this.finish = 'glossy';
+    this.finish = 'glossy'; // Whole-nail finish of older saves (layers have their own now)
+  }
 
-    // Undo stack - stores canvas data URLs per layer
-    this.undoStack = [];
-    this.maxUndoSteps = 10;
+  /**
+   * Layers bottom to top
+   * @returns {LayerState[]}
+   */
+  getLayers() {
+    return this.order.map(layerType => this.layers[layerType]);
   }
 
   /**
@@ -153,22 +326,116 @@ export class PolishLayerState {
 
   /**
    * Set the active layer
-   * @param {string} layerType - One of POLISH_LAYERS values
+   * @param {string} layerType - Id of a layer in the stack
    */
   setActiveLayer(layerType) {
-    if (LAYER_ORDER.includes(layerType)) {
+    if (this.layers[layerType]) {
       this.activeLayer = layerType;
     }
   }
 
+  /**
+   * Add a layer to the stack. Coats and art go just above the active
+   * layer (but under any top coat); base and top coats go to the bottom
+   * and top. The new layer becomes active.
+   * @param {string} kind - LAYER_KINDS value
+   * @returns {LayerState|null} Null if the stack is full
+   */
+  addLayer(kind) {
+    if (this.order.length >= MAX_LAYERS) return null;
+
+    let id = null;
+    for (let n = 1; !id || this.layers[id]; n++) {
+      id = `${kind}${n}`;
+    }
+    const count = this.getLayers().filter(layer => layer.kind === kind).length;
+    const name = kind === LAYER_KINDS.COLOR ? `Color ${count + 1}` : `${KIND_NAMES[kind]} ${count + 1}`;
+    const layer = new LayerState(id, 'glossy', { kind, name });
+
+    let index;
+    if (kind === LAYER_KINDS.BASE) {
+      index = 0;
+    } else if (kind === LAYER_KINDS.TOP) {
+      index = this.order.length;
+    } else {
+      const firstTop = this.getLayers().findIndex(l => l.kind === LAYER_KINDS.TOP);
+      index = this.order.indexOf(this.activeLayer) + 1;
+      if (firstTop !== -1) index = Math.min(index, firstTop);
+    }
+
+    this.layers[id] = layer;
+    this.order.splice(index, 0, id);
+    this.activeLayer = id;
+    return layer;
+  }
+
+  /**
+   * Remove a layer (the last layer always stays)
+   * @returns {boolean} Whether it was removed
+   */
+  removeLayer(layerType) {
+    const index = this.order.indexOf(layerType);
+    if (index === -1 || this.order.length <= 1) return false;
+
+    this.order.splice(index, 1);
+    delete this.layers[layerType];
+    if (this.activeLayer === layerType) {
+      this.activeLayer = this.order[Math.min(index, this.order.length - 1)];
+    }
+    return true;
+  }
+
+  /**
+   * Move a layer up (+1) or down (-1) the stack
+   * @returns {boolean} Whether it moved
+   */
+  moveLayer(layerType, direction) {
+    const index = this.order.indexOf(layerType);
+    const target = index + Math.sign(direction);
+    if (index === -1 || target < 0 || target >= this.order.length) return false;
+
+    [this.order[index], this.order[target]] = [this.order[target], this.order[index]];
+    return true;
+  }
+
+  /**
+   * Set a layer's finish
+   * @param {string} layerType - Id of a layer in the stack
+   * @param {string} finish - FINISHES key
+   */
+  setLayerFinish(layerType, finish) {
+    const layer = this.layers[layerType];
+    if (layer) {
+      layer.finish = finish;
+    }
+  }
+
+  /**
+   * Finish of the polish as a whole: the top visible color coat that is
+   * applied (or the lowest color coat, if none is painted yet) gives
+   * color and metallic flake, an applied top coat decides gloss or matte
+   * @returns {{finish: string, topCoat: string|null}}
+   */
+  getMaterialFinish() {
+    const shown = this.getLayers().filter(layer => layer.visible);
+    const colorCoats = shown.filter(layer => layer.kind === LAYER_KINDS.COLOR);
+    const colorCoat = colorCoats.reverse().find(layer => layer.applied) || colorCoats[colorCoats.length - 1];
+    const topCoat = shown.reverse().find(layer => layer.kind === LAYER_KINDS.TOP && layer.applied);
+
+    return {
+      finish: colorCoat?.finish || this.finish,
+      topCoat: topCoat ? topCoat.finish : null,
+    };
+  }
+
   /**
    * Get the next layer in sequence
-   * @returns {string|null} Next layer type or null if at end
+   * @returns {string|null} Next layer id or null if at the top
    */
   getNextLayer() {
-    const currentIndex = LAYER_ORDER.indexOf(this.activeLayer);
-    if (currentIndex < LAYER_ORDER.length - 1) {
-      return LAYER_ORDER[currentIndex + 1];
+    const currentIndex = this.order.indexOf(this.activeLayer);
+    if (currentIndex < this.order.length - 1) {
+      return this.order[currentIndex + 1];
     }
     return null;
   }
@@ -180,11 +447,11 @@ export class PolishLayerState {
    * @returns {boolean}
    */
   canPaintLayer(layerType) {
-    const targetIndex = LAYER_ORDER.indexOf(layerType);
+    const targetIndex = this.order.indexOf(layerType);
 
     // Check all previous layers are dry
     for (let i = 0; i < targetIndex; i++) {
-      const prevLayer = this.layers[LAYER_ORDER[i]];
+      const prevLayer = this.layers[this.order[i]];
       if (prevLayer.applied && !prevLayer.isDry) {
         return false;
       }
@@ -198,84 +465,145 @@ export class PolishLayerState {
    * @returns {boolean}
    */
   isPreviousLayerWet(layerType) {
-    const targetIndex = LAYER_ORDER.indexOf(layerType);
+    const targetIndex = this.order.indexOf(layerType);
     if (targetIndex <= 0) return false;
 
-    const prevLayer = this.layers[LAYER_ORDER[targetIndex - 1]];
+    const prevLayer = this.layers[this.order[targetIndex - 1]];
     return prevLayer.applied && !prevLayer.isDry;
   }
 
   /**
-   * Update drying state for all layers
+   * Wet layers under a layer, nearest first (painting over them drags
+   * their color along)
+   * @param {string} layerType
+   * @returns {LayerState[]}
    */
-  updateDrying() {
-    for (const layer of Object.values(this.layers)) {
-      layer.checkDry();
-    }
+  getWetLayersBelow(layerType) {
+    const index = this.order.indexOf(layerType);
+    return this.order.slice(0, Math.max(0, index))
+      .map(type => this.layers[type])
+      .filter(layer => layer.visible && layer.getWetness() > 0)
+      .reverse();
   }
 
   /**
-   * Save current state to undo stack
-   * @param {Object} canvasData - Map of layer type to canvas data URL
+   * Whether any layer is still wet
+   * @returns {boolean}
    */
-  saveUndoState(canvasData) {
-    this.undoStack.push({
-      activeLayer: this.activeLayer,
-      canvasData: { ...canvasData },
-      timestamp: Date.now(),
-    });
+  isWet() {
+    return Object.values(this.layers).some(layer => layer.getWetness() > 0);
+  }
 
-    // Trim stack
-    if (this.undoStack.length > this.maxUndoSteps) {
-      this.undoStack.shift();
+  /**
+   * Let all layers dry for a while
+   * @param {number} seconds - Time passed
+   * @param {number} [speed] - Drying speed (1 = air dry)
+   * @returns {boolean} Whether any layer just became dry
+   */
+  updateDrying(seconds, speed = 1) {
+    let changed = false;
+    for (const layer of Object.values(this.layers)) {
+      changed = layer.advanceDrying(seconds, speed) || changed;
     }
+    return changed;
   }
 
   /**
-   * Pop last undo state
-   * @returns {Object|null}
+   * Get overall polish completion status
+   * @returns {Object} Status summary
    */
-  popUndo() {
-    return this.undoStack.pop() || null;
+  getStatus() {
+    const layers = this.getLayers();
+    const covered = (layer) => layer.applied && layer.getCoveragePercent() > 50;
+    const ofKind = (kind) => layers.filter(layer => layer.kind === kind);
+    const colorCoats = ofKind(LAYER_KINDS.COLOR);
+
+    return {
+      hasBaseCoat: ofKind(LAYER_KINDS.BASE).some(covered),
+      hasColor: colorCoats.some(covered),
+      hasSecondCoat: colorCoats.filter(covered).length >= 2,
+      hasTopCoat: ofKind(LAYER_KINDS.TOP).some(covered),
+      allDry: layers.every(l => !l.applied || l.isDry),
+      color: colorCoats.find(layer => layer.color)?.color || null,
+    };
   }
 
   /**
-   * Check if undo is available
-   * @returns {boolean}
+   * How well the color is laid down, from the combined thickness of the
+   * visible color coats (see CoverageMap.measureQuality)
+   * @returns {Object|null} Null if no color coat is painted yet
    */
-  canUndo() {
-    return this.undoStack.length > 0;
+  getCoatQuality() {
+    const coats = this.getLayers()
+      .filter(layer => layer.kind === LAYER_KINDS.COLOR && layer.applied && layer.visible);
+    if (coats.length === 0) return null;
+    return CoverageMap.measureQuality(coats.map(layer => layer.coverage));
   }
 
   /**
-   * Get overall polish completion status
-   * @returns {Object} Status summary
+   * Clear all layers and go back to the starting stack
    */
-  getStatus() {
-    const baseCoat = this.layers[POLISH_LAYERS.BASE_COAT];
-    const color1 = this.layers[POLISH_LAYERS.COLOR_1];
-    const color2 = this.layers[POLISH_LAYERS.COLOR_2];
-    const topCoat = this.layers[POLISH_LAYERS.TOP_COAT];
+  clearAll() {
+    this.layers = {};
+    for (const layerType of LAYER_ORDER) {
+      this.layers[layerType] = new LayerState(layerType);
+    }
+    this.order = [...LAYER_ORDER];
+    this.activeLayer = POLISH_LAYERS.COLOR_1;
+  }
 
+  /**
+   * Serialize to a JSON-safe object
+   * @returns {Object}
+   */
+  toJSON() {
+    const layers = {};
+    for (const [layerType, layer] of Object.entries(this.layers)) {
+      layers[layerType] = layer.toJSON();
+    }
     return {
-      hasBaseCoat: baseCoat.applied && baseCoat.getCoveragePercent() > 50,
-      hasColor: color1.applied && color1.getCoveragePercent() > 50,
-      hasSecondCoat: color2.applied && color2.getCoveragePercent() > 50,
-      hasTopCoat: topCoat.applied && topCoat.getCoveragePercent() > 50,
-      allDry: Object.values(this.layers).every(l => !l.applied || l.isDry),
-      color: color1.color || color2.color,
+      activeLayer: this.activeLayer,
+      selectedColor: this.selectedColor,
+      finish: this.finish,
+      order: [...this.order],
+      layers,
     };
   }
 
   /**
-   * Clear all layers
+   * Create a polish state from toJSON() output (saves from before the
+   * stack could change have no `order` and keep the starting stack)
+   * @param {Object} json
+   * @returns {PolishLayerState}
    */
-  clearAll() {
-    for (const layer of Object.values(this.layers)) {
-      layer.reset();
+  static fromJSON(json) {
+    const state = new PolishLayerState();
+    const layersJson = json.layers || {};
+
+    if (Array.isArray(json.order)) {
+      state.layers = {};
+      state.order = [...new Set(json.order)]
+        .filter(layerType => LAYER_ID_PATTERN.test(layerType) && Object.hasOwn(layersJson, layerType))
+        .slice(0, MAX_LAYERS);
+      for (const layerType of state.order) {
+        state.layers[layerType] = LayerState.fromJSON({ ...layersJson[layerType], type: layerType }, json.finish);
+      }
+    } else {
+      for (const [layerType, layerJson] of Object.entries(layersJson)) {
+        if (state.layers[layerType]) {
+          state.layers[layerType] = LayerState.fromJSON({ ...layerJson, type: layerType }, json.finish);
+        }
+      }
     }
-    this.undoStack = [];
-    this.activeLayer = POLISH_LAYERS.COLOR_1;
+
+    if (state.order.length === 0) {
+      return new PolishLayerState();
+    }
+    state.activeLayer = state.order.includes(POLISH_LAYERS.COLOR_1) ? POLISH_LAYERS.COLOR_1 : state.order[0];
+    state.setActiveLayer(json.activeLayer);
+    state.selectedColor = json.selectedColor || state.selectedColor;
+    state.finish = json.finish || state.finish;
+    return state;
   }
 
   /**
@@ -2,9 +2,16 @@
  * BrushTool.js
  * Pen-like drawing tool with different materials and effects
  * Feels like a real art pen with smooth strokes and various finishes
+ *
+ * Every stroke is recorded as vector data (points with timestamps and
+ * pressure, plus pen size, material and color), smoothed with a
+ * Catmull-Rom curve and drawn into the nail's strokes overlay. Strokes
+ * are saved with the design and can be recolored or deleted one by one.
  */
 import * as THREE from 'three';
 import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+import { createRandom, randomSeed } from '../utils/Random.js';
 
 // Available pen materials with their rendering properties
 export const PEN_MATERIALS = {
@@ -79,6 +86,25 @@ export const PEN_COLORS = [
     { id: 'silver', color: '#C0C0C0', name: 'Silver' },
 ];
 
+// Input points closer than this (canvas pixels) are dropped, steadying the line
+const MIN_POINT_DISTANCE = 1.5;
+
+// Smoothed curves are drawn in steps of about this many canvas pixels
+const CURVE_STEP = 2;
+
+// Strokes one nail can hold
+const MAX_STROKES = 200;
+
+// Standalone stroke files (see exportStrokes)
+export const STROKES_FORMAT = 'nailart-strokes';
+export const STROKES_VERSION = 1;
+
+// Rainbow hue change per drawn segment (degrees)
+const RAINBOW_STEP = 3;
+
+// Eraser radius, in pen sizes
+const ERASER_SCALE = 2;
+
 export class BrushTool {
     constructor(scene, camera, nail) {
         this.scene = scene;
@@ -95,22 +121,36 @@ export class BrushTool {
         this.material = PEN_MATERIALS.SOLID.id;
         this.dim = 1024; // Canvas dimension
 
-        // Smoothing for pen-like feel
-        this.points = []; // Store points for smooth curves
-        this.smoothing = 0.3; // Bezier curve smoothing factor
+        // Pen-like feel: slower strokes draw thicker
         this.lastTime = 0;
         this.velocity = 0;
 
-        // Rainbow state
+        // Eraser mode: the pointer rubs out strokes instead of drawing
+        this.erasing = false;
+
+        // Rainbow state (carries on from one stroke to the next)
         this.rainbowHue = 0;
 
-        // Glitter particles cache
-        this.glitterCache = [];
+        // Strokes per nail (keyed by hand_finger), oldest first:
+        // { id, material, color, size, hue, seed, points: [{ u, v, t, p }] }
+        // size is in UV units; t is ms into the stroke; p scales the size
+        this.strokes = new Map();
+        this.nextStrokeId = 1;
+
+        // Stroke being drawn: { hand, finger, stroke, pen, startTime }
+        this.current = null;
+
+        // UI callbacks
+        this.onStrokesChange = null; // (hand, finger) - a nail's strokes were added, changed or removed
+        this.onStrokeEnd = null;     // (hand, finger, stroke) - a new stroke was finished
 
         // Sound throttling - don't play sounds too frequently
         this.lastSoundTime = 0;
         this.soundInterval = 80; // ms between sounds
 
+        // Undo history step for the stroke in progress
+        this.historyStep = null;
+
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.lastDrawPos = null;
@@ -166,16 +206,15 @@ export class BrushTool {
         event.preventDefault?.();
 
         this.isDrawing = true;
-        this.points = []; // Reset points for new stroke
         this.lastTime = performance.now();
         this.updateMousePosition(event);
 
         const uv = this.getUVIntersection();
-        if (uv) {
-            const pos = { x: uv.x * this.dim, y: uv.y * this.dim };
-            this.points.push(pos);
-            this.lastDrawPos = pos;
-            this.drawStrokeStart(pos.x, pos.y);
+        if (uv && this.erasing) {
+            this.eraseAt(uv);
+        } else if (uv) {
+            this.lastDrawPos = { x: uv.x * this.dim, y: uv.y * this.dim };
+            this.startStroke(uv);
             soundManager.init();
         }
     }
@@ -192,7 +231,9 @@ export class BrushTool {
         this.lastTime = now;
 
         const uv = this.getUVIntersection();
-        if (uv) {
+        if (uv && this.erasing) {
+            this.eraseAt(uv);
+        } else if (uv) {
             const currentPos = { x: uv.x * this.dim, y: uv.y * this.dim };
 
             if (this.lastDrawPos) {
@@ -202,29 +243,26 @@ export class BrushTool {
                 const distance = Math.sqrt(dx * dx + dy * dy);
                 this.velocity = deltaTime > 0 ? distance / deltaTime : 0;
 
-                // Add point for smooth curve
-                this.points.push(currentPos);
-
-                // Draw the stroke segment
-                this.drawStrokeSegment(this.lastDrawPos, currentPos);
+                this.addStrokePoint(uv);
+            } else {
+                // Back on the nail: carry on with a new stroke
+                this.startStroke(uv);
             }
 
             this.lastDrawPos = currentPos;
         } else {
             // Lifted off nail surface
+            this.endStroke();
             this.lastDrawPos = null;
-            this.points = [];
         }
     }
 
     onPointerUp() {
-        if (this.isDrawing && this.points.length > 0) {
-            // Final stroke completion
-            this.finalizeStroke();
-        }
+        this.endStroke();
+        this.historyStep?.commit();
+        this.historyStep = null;
         this.isDrawing = false;
         this.lastDrawPos = null;
-        this.points = [];
         this.velocity = 0;
     }
 
@@ -239,124 +277,312 @@ export class BrushTool {
         return this.size - (velocityFactor * sizeVariation);
     }
 
+    // =========================================
+    // Recording
+    // =========================================
+
     /**
-     * Draw the start of a stroke (initial dot)
+     * Start a new stroke on the active nail with the current pen
+     */
+    startStroke(uv) {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        const layer = this.nail.getOverlayLayer(hand, finger, 'strokes');
+        const strokes = this.getNailStrokes(hand, finger);
+        if (!layer || strokes.length >= MAX_STROKES) return;
+
+        this.beginHistoryStep();
+
+        const stroke = {
+            id: this.nextStrokeId++,
+            material: this.material,
+            color: this.color,
+            size: this.size / this.dim,
+            hue: this.rainbowHue,
+            seed: randomSeed(),
+            points: [{ u: uv.x, v: uv.y, t: 0, p: 1 }],
+        };
+        strokes.push(stroke);
+
+        const pen = this.createPen(stroke, this.dim);
+        this.current = { hand, finger, stroke, pen, startTime: performance.now() };
+
+        this.drawStrokeStart(layer.ctx, stroke, pen, this.dim);
+        layer.texture.needsUpdate = true;
+    }
+
+    /**
+     * Add a point to the stroke in progress and draw the curve behind it
+     */
+    addStrokePoint(uv) {
+        if (!this.current) return;
+
+        const { hand, finger, stroke, pen, startTime } = this.current;
+        const last = stroke.points[stroke.points.length - 1];
+        if (Math.hypot(uv.x - last.u, uv.y - last.v) * this.dim < MIN_POINT_DISTANCE) return;
+
+        stroke.points.push({
+            u: uv.x,
+            v: uv.y,
+            t: Math.round(performance.now() - startTime),
+            p: Number((this.getDynamicSize() / this.size).toFixed(3)),
+        });
+
+        // A curve segment bends toward the point after it, so it is
+        // drawn once that point arrives
+        if (stroke.points.length >= 3) {
+            const layer = this.nail.getOverlayLayer(hand, finger, 'strokes');
+            this.drawStrokeSegment(layer.ctx, stroke, pen, stroke.points.length - 3, this.dim);
+            layer.texture.needsUpdate = true;
+        }
+
+        // Play material-specific sound (throttled)
+        this.playDrawSound();
+    }
+
+    /**
+     * Draw the last segment of the stroke in progress and keep it
+     */
+    endStroke() {
+        if (!this.current) return;
+
+        const { hand, finger, stroke, pen } = this.current;
+        if (stroke.points.length >= 2) {
+            const layer = this.nail.getOverlayLayer(hand, finger, 'strokes');
+            this.drawStrokeSegment(layer.ctx, stroke, pen, stroke.points.length - 2, this.dim);
+            layer.texture.needsUpdate = true;
+        }
+
+        this.rainbowHue = pen.hue;
+        this.current = null;
+        this.onStrokesChange?.(hand, finger);
+        this.onStrokeEnd?.(hand, finger, stroke);
+    }
+
+    /**
+     * Snapshot the nail before the first mark of a stroke (for undo)
+     */
+    beginHistoryStep(label = 'Draw') {
+        if (this.historyStep) return;
+        this.historyStep = commandHistory.begin(label, this.nail.getCurrentHand(), this.nail.getActiveNail());
+    }
+
+    // =========================================
+    // Eraser
+    // =========================================
+
+    /**
+     * Rub out the parts of the active nail's strokes under the eraser.
+     * Only pen strokes are touched; polish underneath stays.
+     */
+    eraseAt(uv) {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        const strokes = this.getNailStrokes(hand, finger);
+        const radius = this.size * ERASER_SCALE / this.dim;
+
+        let changed = false;
+        const kept = [];
+        for (const stroke of strokes) {
+            const pieces = eraseFromStroke(stroke, uv.x, uv.y, radius);
+            if (pieces) {
+                changed = true;
+                kept.push(...pieces.map(piece => ({ ...piece, id: this.nextStrokeId++ })));
+            } else {
+                kept.push(stroke);
+            }
+        }
+        if (!changed) return;
+
+        this.beginHistoryStep('Erase');
+        this.strokes.set(`${hand}_${finger}`, kept);
+        this.renderNail(hand, finger);
+        this.onStrokesChange?.(hand, finger);
+
+        const now = performance.now();
+        if (now - this.lastSoundTime >= this.soundInterval) {
+            this.lastSoundTime = now;
+            soundManager.playDrawMarker();
+        }
+    }
+
+    /**
+     * Switch between drawing and erasing
      */
-    drawStrokeStart(x, y) {
-        const ctx = this.nail.getDrawingContext();
-        if (!ctx) return;
+    setEraser(erasing) {
+        this.endStroke();
+        this.erasing = erasing;
+    }
 
-        const size = this.size;
+    isErasing() {
+        return this.erasing;
+    }
+
+    /**
+     * Play the appropriate sound for the current material (throttled)
+     */
+    playDrawSound() {
+        const now = performance.now();
+        if (now - this.lastSoundTime < this.soundInterval) return;
+        this.lastSoundTime = now;
 
         switch (this.material) {
             case 'dotted':
-                this.drawDottedPoint(ctx, x, y, size);
+                soundManager.playDrawDotted();
                 break;
             case 'metallic':
-                this.drawMetallicPoint(ctx, x, y, size);
+                soundManager.playDrawMetallic();
                 break;
             case 'rainbow':
-                this.drawRainbowPoint(ctx, x, y, size);
+                soundManager.playDrawRainbow();
                 break;
             case 'glitter':
-                this.drawGlitterPoint(ctx, x, y, size);
+                soundManager.playSparkle();
                 break;
             case 'marker':
-                this.drawMarkerPoint(ctx, x, y, size);
+                soundManager.playDrawMarker();
                 break;
             default:
-                this.drawSolidPoint(ctx, x, y, size);
+                soundManager.playDrawSolid();
         }
+    }
 
-        this.nail.updateDrawingTexture();
+    // =========================================
+    // Rendering
+    // =========================================
+
+    /**
+     * Drawing state for one pass over a stroke. Rainbow hue, dot spacing
+     * and glitter scatter carry on from segment to segment, and glitter
+     * is seeded, so a stroke redraws exactly as it was first drawn.
+     * @param {number} dim - Size of the canvas it is drawn on
+     */
+    createPen(stroke, dim) {
+        return {
+            color: stroke.color,
+            hue: stroke.hue,
+            random: createRandom(stroke.seed),
+            dotCarry: 0,
+            scale: dim / this.dim,
+        };
     }
 
     /**
-     * Draw a stroke segment between two points
+     * Draw a whole stroke into a canvas of any size
      */
-    drawStrokeSegment(from, to) {
-        const ctx = this.nail.getDrawingContext();
-        if (!ctx) return;
+    drawStroke(ctx, stroke, dim) {
+        const pen = this.createPen(stroke, dim);
+        this.drawStrokeStart(ctx, stroke, pen, dim);
+        for (let i = 0; i < stroke.points.length - 1; i++) {
+            this.drawStrokeSegment(ctx, stroke, pen, i, dim);
+        }
+    }
 
-        const size = this.getDynamicSize();
+    /**
+     * Draw the start of a stroke (initial dot)
+     */
+    drawStrokeStart(ctx, stroke, pen, dim) {
+        const { u, v } = stroke.points[0];
+        const x = u * dim;
+        const y = v * dim;
+        const size = stroke.size * dim;
 
-        switch (this.material) {
+        switch (stroke.material) {
             case 'dotted':
-                this.drawDottedLine(ctx, from.x, from.y, to.x, to.y, size);
+                this.drawDottedPoint(ctx, pen, x, y, size);
                 break;
             case 'metallic':
-                this.drawMetallicLine(ctx, from.x, from.y, to.x, to.y, size);
+                this.drawMetallicPoint(ctx, pen, x, y, size);
                 break;
             case 'rainbow':
-                this.drawRainbowLine(ctx, from.x, from.y, to.x, to.y, size);
+                this.drawRainbowPoint(ctx, pen, x, y, size);
                 break;
             case 'glitter':
-                this.drawGlitterLine(ctx, from.x, from.y, to.x, to.y, size);
+                this.drawGlitterPoint(ctx, pen, x, y, size);
                 break;
             case 'marker':
-                this.drawMarkerLine(ctx, from.x, from.y, to.x, to.y, size);
+                this.drawMarkerPoint(ctx, pen, x, y, size);
                 break;
             default:
-                this.drawSolidLine(ctx, from.x, from.y, to.x, to.y, size);
+                this.drawSolidPoint(ctx, pen, x, y, size);
         }
-
-        // Play material-specific sound (throttled)
-        this.playDrawSound();
-
-        this.nail.updateDrawingTexture();
     }
 
     /**
-     * Play the appropriate sound for the current material (throttled)
+     * Draw the smoothed curve between two of a stroke's points
+     * @param {number} index - Segment from points[index] to points[index + 1]
      */
-    playDrawSound() {
-        const now = performance.now();
-        if (now - this.lastSoundTime < this.soundInterval) return;
-        this.lastSoundTime = now;
+    drawStrokeSegment(ctx, stroke, pen, index, dim) {
+        const path = getCurvePath(stroke.points, index, dim);
+        const size = stroke.size * dim * stroke.points[index + 1].p;
 
-        switch (this.material) {
+        switch (stroke.material) {
             case 'dotted':
-                soundManager.playDrawDotted();
+                this.drawDottedLine(ctx, pen, path, size);
                 break;
             case 'metallic':
-                soundManager.playDrawMetallic();
+                this.drawMetallicLine(ctx, pen, path, size);
                 break;
             case 'rainbow':
-                soundManager.playDrawRainbow();
+                this.drawRainbowLine(ctx, pen, path, size);
                 break;
             case 'glitter':
-                soundManager.playSparkle();
+                this.drawGlitterLine(ctx, pen, path, size);
                 break;
             case 'marker':
-                soundManager.playDrawMarker();
+                this.drawMarkerLine(ctx, pen, path, size);
                 break;
             default:
-                soundManager.playDrawSolid();
+                this.drawSolidLine(ctx, pen, path, size);
         }
     }
 
     /**
-     * Finalize the stroke (add any finishing effects)
+     * Redraw a nail's strokes overlay
+     */
+    renderNail(hand, finger) {
+        const layer = this.nail.getOverlayLayer(hand, finger, 'strokes');
+        if (!layer) return;
+
+        layer.ctx.clearRect(0, 0, this.dim, this.dim);
+        this.bakeNail(hand, finger, layer.ctx);
+        layer.texture.needsUpdate = true;
+    }
+
+    /**
+     * Redraw every nail
      */
-    finalizeStroke() {
-        // Could add stroke-end effects here if needed
+    renderAll() {
+        for (const hand of ['left', 'right']) {
+            for (const finger of Object.keys(this.nail.hands[hand].nails)) {
+                this.renderNail(hand, finger);
+            }
+        }
+    }
+
+    /**
+     * Draw a nail's strokes into any 2D context, at any resolution
+     * @param {number} [dim] - Size of the square canvas behind ctx
+     */
+    bakeNail(hand, finger, ctx, dim = this.dim) {
+        for (const stroke of this.getNailStrokes(hand, finger)) {
+            this.drawStroke(ctx, stroke, dim);
+        }
     }
 
     // =========================================
     // SOLID PEN
     // =========================================
-    drawSolidPoint(ctx, x, y, size) {
+    drawSolidPoint(ctx, pen, x, y, size) {
         ctx.beginPath();
         ctx.arc(x, y, size, 0, Math.PI * 2);
-        ctx.fillStyle = this.color;
+        ctx.fillStyle = pen.color;
         ctx.fill();
     }
 
-    drawSolidLine(ctx, x1, y1, x2, y2, size) {
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.strokeStyle = this.color;
+    drawSolidLine(ctx, pen, path, size) {
+        tracePath(ctx, path);
+        ctx.strokeStyle = pen.color;
         ctx.lineWidth = size * 2;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
@@ -366,42 +592,44 @@ export class BrushTool {
     // =========================================
     // DOTTED PEN (Polka dots)
     // =========================================
-    drawDottedPoint(ctx, x, y, size) {
+    drawDottedPoint(ctx, pen, x, y, size) {
         // Draw a nice polka dot
-        this.drawPolkaDot(ctx, x, y, size);
+        this.drawPolkaDot(ctx, pen, x, y, size);
     }
 
-    drawDottedLine(ctx, x1, y1, x2, y2, size) {
-        // Calculate distance and spacing
-        const dx = x2 - x1;
-        const dy = y2 - y1;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        // Space dots based on size (larger dots = more spacing)
+    drawDottedLine(ctx, pen, path, size) {
+        // Space dots based on size (larger dots = more spacing), evenly
+        // along the whole stroke
         const spacing = size * 2.5;
-        const dotCount = Math.max(1, Math.floor(distance / spacing));
-
-        // Draw dots along the line
-        for (let i = 0; i <= dotCount; i++) {
-            const t = dotCount > 0 ? i / dotCount : 0;
-            const px = x1 + dx * t;
-            const py = y1 + dy * t;
-            this.drawPolkaDot(ctx, px, py, size);
+        if (spacing <= 0) return;
+
+        for (let i = 1; i < path.length; i++) {
+            const from = path[i - 1];
+            const to = path[i];
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            for (let along = spacing - pen.dotCarry; along <= distance; along += spacing) {
+                const t = along / distance;
+                this.drawPolkaDot(ctx, pen, from.x + dx * t, from.y + dy * t, size);
+            }
+            pen.dotCarry = (pen.dotCarry + distance) % spacing;
         }
     }
 
-    drawPolkaDot(ctx, x, y, size) {
+    drawPolkaDot(ctx, pen, x, y, size) {
         // Main dot with gradient for 3D effect
         const gradient = ctx.createRadialGradient(
             x - size * 0.3, y - size * 0.3, 0,
             x, y, size
         );
 
-        const lightColor = this.lightenColor(this.color, 30);
+        const lightColor = this.lightenColor(pen.color, 30);
 
         gradient.addColorStop(0, lightColor);
-        gradient.addColorStop(0.7, this.color);
-        gradient.addColorStop(1, this.darkenColor(this.color, 20));
+        gradient.addColorStop(0.7, pen.color);
+        gradient.addColorStop(1, this.darkenColor(pen.color, 20));
 
         ctx.beginPath();
         ctx.arc(x, y, size, 0, Math.PI * 2);
@@ -418,14 +646,14 @@ export class BrushTool {
     // =========================================
     // METALLIC PEN
     // =========================================
-    drawMetallicPoint(ctx, x, y, size) {
+    drawMetallicPoint(ctx, pen, x, y, size) {
         // Create metallic gradient
         const gradient = ctx.createRadialGradient(
             x - size * 0.3, y - size * 0.3, 0,
             x, y, size
         );
 
-        const baseColor = this.color;
+        const baseColor = pen.color;
         const lightColor = this.lightenColor(baseColor, 60);
         const darkColor = this.darkenColor(baseColor, 30);
 
@@ -445,19 +673,19 @@ export class BrushTool {
         ctx.fill();
     }
 
-    drawMetallicLine(ctx, x1, y1, x2, y2, size) {
+    drawMetallicLine(ctx, pen, path, size) {
         // Base stroke
-        const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
-        const lightColor = this.lightenColor(this.color, 40);
-        const darkColor = this.darkenColor(this.color, 20);
+        const first = path[0];
+        const last = path[path.length - 1];
+        const gradient = ctx.createLinearGradient(first.x, first.y, last.x, last.y);
+        const lightColor = this.lightenColor(pen.color, 40);
+        const darkColor = this.darkenColor(pen.color, 20);
 
         gradient.addColorStop(0, lightColor);
-        gradient.addColorStop(0.5, this.color);
+        gradient.addColorStop(0.5, pen.color);
         gradient.addColorStop(1, darkColor);
 
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
+        tracePath(ctx, path);
         ctx.strokeStyle = gradient;
         ctx.lineWidth = size * 2;
         ctx.lineCap = 'round';
@@ -465,9 +693,7 @@ export class BrushTool {
         ctx.stroke();
 
         // Add edge highlight
-        ctx.beginPath();
-        ctx.moveTo(x1, y1 - size * 0.5);
-        ctx.lineTo(x2, y2 - size * 0.5);
+        tracePath(ctx, path, -size * 0.5);
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
         ctx.lineWidth = size * 0.5;
         ctx.stroke();
@@ -476,69 +702,68 @@ export class BrushTool {
     // =========================================
     // RAINBOW PEN
     // =========================================
-    drawRainbowPoint(ctx, x, y, size) {
-        const color = this.getCurrentRainbowColor();
+    drawRainbowPoint(ctx, pen, x, y, size) {
+        const color = this.getRainbowColor(pen);
         ctx.beginPath();
         ctx.arc(x, y, size, 0, Math.PI * 2);
         ctx.fillStyle = color;
         ctx.fill();
-        this.advanceRainbow();
+        this.advanceRainbow(pen);
     }
 
-    drawRainbowLine(ctx, x1, y1, x2, y2, size) {
-        const color = this.getCurrentRainbowColor();
+    drawRainbowLine(ctx, pen, path, size) {
+        const color = this.getRainbowColor(pen);
 
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
+        tracePath(ctx, path);
         ctx.strokeStyle = color;
         ctx.lineWidth = size * 2;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
         ctx.stroke();
 
-        this.advanceRainbow();
+        this.advanceRainbow(pen);
     }
 
-    getCurrentRainbowColor() {
-        return `hsl(${this.rainbowHue}, 100%, 50%)`;
+    getRainbowColor(pen) {
+        return `hsl(${pen.hue}, 100%, 50%)`;
     }
 
-    advanceRainbow() {
-        this.rainbowHue = (this.rainbowHue + 3) % 360;
+    advanceRainbow(pen) {
+        pen.hue = (pen.hue + RAINBOW_STEP) % 360;
     }
 
     // =========================================
     // GLITTER PEN (Sparkly glitter spray)
     // =========================================
-    drawGlitterPoint(ctx, x, y, size) {
+    drawGlitterPoint(ctx, pen, x, y, size) {
         // Spray glitter particles at click point
-        this.sprayGlitterParticles(ctx, x, y, size * 3);
+        this.sprayGlitterParticles(ctx, pen, x, y, size * 3);
     }
 
-    drawGlitterLine(ctx, x1, y1, x2, y2, size) {
-        // Spray glitter particles along the line
-        this.sprayGlitterParticles(ctx, x2, y2, size * 3);
+    drawGlitterLine(ctx, pen, path, size) {
+        // Spray glitter particles at the end of the segment
+        const end = path[path.length - 1];
+        this.sprayGlitterParticles(ctx, pen, end.x, end.y, size * 3);
     }
 
-    sprayGlitterParticles(ctx, baseX, baseY, radius) {
+    sprayGlitterParticles(ctx, pen, baseX, baseY, radius) {
         // Spray multiple glitter particles
-        const numToSpray = 6 + Math.floor(Math.random() * 6);
+        const numToSpray = 6 + Math.floor(pen.random() * 6);
 
         for (let i = 0; i < numToSpray; i++) {
             // Random position within spray radius
-            const angle = Math.random() * Math.PI * 2;
-            const dist = Math.random() * radius;
+            const angle = pen.random() * Math.PI * 2;
+            const dist = pen.random() * radius;
             const x = baseX + Math.cos(angle) * dist;
             const y = baseY + Math.sin(angle) * dist;
 
             // Random size for sparkle variation
-            const particleSize = 1 + Math.random() * 3;
+            const particleSize = (1 + pen.random() * 3) * pen.scale;
 
             // Draw glitter dot with the selected color
             ctx.beginPath();
             ctx.arc(x, y, particleSize, 0, Math.PI * 2);
-            ctx.fillStyle = this.color;
+            ctx.fillStyle = pen.color;
             ctx.fill();
         }
     }
@@ -546,21 +771,19 @@ export class BrushTool {
     // =========================================
     // MARKER PEN (Semi-transparent)
     // =========================================
-    drawMarkerPoint(ctx, x, y, size) {
+    drawMarkerPoint(ctx, pen, x, y, size) {
         ctx.globalAlpha = 0.5;
         ctx.beginPath();
         ctx.arc(x, y, size * 1.2, 0, Math.PI * 2);
-        ctx.fillStyle = this.color;
+        ctx.fillStyle = pen.color;
         ctx.fill();
         ctx.globalAlpha = 1;
     }
 
-    drawMarkerLine(ctx, x1, y1, x2, y2, size) {
+    drawMarkerLine(ctx, pen, path, size) {
         ctx.globalAlpha = 0.4;
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.strokeStyle = this.color;
+        tracePath(ctx, path);
+        ctx.strokeStyle = pen.color;
         ctx.lineWidth = size * 2.5;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
@@ -609,8 +832,10 @@ export class BrushTool {
     }
 
     setMaterial(materialId) {
-        if (Object.values(PEN_MATERIALS).find(m => m.id === materialId)) {
+        if (isPenMaterial(materialId)) {
             this.material = materialId;
+            // Picking a pen goes back to drawing
+            this.erasing = false;
             // Reset rainbow hue when switching to rainbow
             if (materialId === 'rainbow') {
                 this.rainbowHue = 0;
@@ -637,10 +862,241 @@ export class BrushTool {
     deactivate() {
         this.isActive = false;
         this.isDrawing = false;
-        this.points = [];
+        this.endStroke();
+        this.historyStep?.commit();
+        this.historyStep = null;
     }
 
     clear() {
         this.nail.clearDrawing();
+        this.clearNail(this.nail.getCurrentHand(), this.nail.getActiveNail());
+    }
+
+    // =========================================
+    // Strokes
+    // =========================================
+
+    getNailStrokes(hand, finger) {
+        const key = `${hand}_${finger}`;
+        if (!this.strokes.has(key)) {
+            this.strokes.set(key, []);
+        }
+        return this.strokes.get(key);
+    }
+
+    /**
+     * Strokes on the active nail, oldest first
+     */
+    getActiveStrokes() {
+        return [...this.getNailStrokes(this.nail.getCurrentHand(), this.nail.getActiveNail())];
+    }
+
+    /**
+     * Give one of the active nail's strokes a new color
+     * @param {number} id - Stroke id
+     * @param {string} [color] - Defaults to the pen color
+     * @returns {boolean} False if there is no such stroke
+     */
+    recolorStroke(id, color = this.color) {
+        return this.editStroke('Recolor stroke', id, (strokes, stroke) => {
+            stroke.color = color;
+        });
+    }
+
+    /**
+     * Remove one of the active nail's strokes
+     * @param {number} id - Stroke id
+     * @returns {boolean} False if there is no such stroke
+     */
+    deleteStroke(id) {
+        return this.editStroke('Delete stroke', id, (strokes, stroke) => {
+            strokes.splice(strokes.indexOf(stroke), 1);
+        });
+    }
+
+    editStroke(label, id, change) {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        const strokes = this.getNailStrokes(hand, finger);
+        const stroke = strokes.find(s => s.id === id);
+        if (!stroke) return false;
+
+        commandHistory.record(label, hand, finger, () => {
+            change(strokes, stroke);
+            this.renderNail(hand, finger);
+        });
+        soundManager.playClick();
+        this.onStrokesChange?.(hand, finger);
+        return true;
+    }
+
+    clearNail(hand, finger) {
+        this.strokes.set(`${hand}_${finger}`, []);
+        this.renderNail(hand, finger);
+    }
+
+    clearAll() {
+        for (const key of this.strokes.keys()) {
+            const [hand, finger] = key.split('_');
+            this.clearNail(hand, finger);
+        }
+    }
+
+    // =========================================
+    // Persistence
+    // =========================================
+
+    /**
+     * Capture a nail's strokes as vector data
+     * @returns {Array<Object>} { material, color, size, hue, seed, points: [{ u, v, t, p }] }
+     */
+    captureNail(hand, finger) {
+        const round = (value, digits) => Number(value.toFixed(digits));
+
+        return this.getNailStrokes(hand, finger).map(stroke => ({
+            material: stroke.material,
+            color: stroke.color,
+            size: round(stroke.size, 5),
+            hue: stroke.hue,
+            seed: stroke.seed,
+            points: stroke.points.map(point => ({
+                u: round(point.u, 4),
+                v: round(point.v, 4),
+                t: point.t,
+                p: point.p,
+            })),
+        }));
+    }
+
+    /**
+     * Replace a nail's strokes with captureNail() output
+     */
+    restoreNail(hand, finger, strokes) {
+        const restored = (strokes || [])
+            .filter(stroke => isPenMaterial(stroke.material) && stroke.points?.length > 0)
+            .slice(0, MAX_STROKES)
+            .map(stroke => ({
+                ...stroke,
+                id: this.nextStrokeId++,
+                points: stroke.points.map(point => ({ ...point })),
+            }));
+
+        this.strokes.set(`${hand}_${finger}`, restored);
+        this.renderNail(hand, finger);
+    }
+
+    /**
+     * A nail's strokes as a standalone file
+     * @returns {Object} { format: 'nailart-strokes', version, hand, finger, strokes }
+     */
+    exportStrokes(hand, finger) {
+        return {
+            format: STROKES_FORMAT,
+            version: STROKES_VERSION,
+            hand,
+            finger,
+            strokes: this.captureNail(hand, finger),
+        };
+    }
+}
+
+// =========================================
+// Helpers
+// =========================================
+
+function isPenMaterial(materialId) {
+    return Object.values(PEN_MATERIALS).some(m => m.id === materialId);
+}
+
+/**
+ * What is left of a stroke after erasing around a point (UV units)
+ * @returns {Array<Object>|null} The pieces still drawn (maybe none), or
+ *   null if the eraser missed the stroke
+ */
+function eraseFromStroke(stroke, u, v, radius) {
+    const points = stroke.points;
+    const reach = radius + stroke.size;
+
+    const erased = points.map(point => Math.hypot(point.u - u, point.v - v) <= reach);
+    const cut = points.slice(1).map((point, i) => distanceToSegment(u, v, points[i], point) <= reach);
+    if (!erased.includes(true) && !cut.includes(true)) return null;
+
+    // Split into the runs of points the eraser didn't touch. Runs left
+    // with a single point would leave a stray dot, so they go too.
+    const pieces = [];
+    let start = 0;
+    let run = [];
+    const endRun = () => {
+        if (run.length >= 2) {
+            pieces.push({
+                ...stroke,
+                hue: (stroke.hue + start * RAINBOW_STEP) % 360,
+                points: run,
+            });
+        }
+        run = [];
+    };
+
+    points.forEach((point, i) => {
+        if (erased[i]) {
+            endRun();
+            return;
+        }
+        if (run.length === 0) start = i;
+        run.push(point);
+        if (cut[i]) endRun();
+    });
+    endRun();
+
+    return pieces;
+}
+
+function distanceToSegment(u, v, a, b) {
+    const du = b.u - a.u;
+    const dv = b.v - a.v;
+    const lengthSq = du * du + dv * dv;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((u - a.u) * du + (v - a.v) * dv) / lengthSq)) : 0;
+    return Math.hypot(a.u + du * t - u, a.v + dv * t - v);
+}
+
+/**
+ * Points along the Catmull-Rom curve from points[index] to points[index + 1]
+ * (canvas pixels), passing through every recorded point
+ */
+function getCurvePath(points, index, dim) {
+    const p0 = points[Math.max(0, index - 1)];
+    const p1 = points[index];
+    const p2 = points[index + 1];
+    const p3 = points[Math.min(points.length - 1, index + 2)];
+
+    const length = Math.hypot(p2.u - p1.u, p2.v - p1.v) * dim;
+    const steps = Math.max(1, Math.ceil(length / CURVE_STEP));
+
+    const path = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        path.push({
+            x: catmullRom(p0.u, p1.u, p2.u, p3.u, t) * dim,
+            y: catmullRom(p0.v, p1.v, p2.v, p3.v, t) * dim,
+        });
+    }
+    return path;
+}
+
+function catmullRom(a, b, c, d, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+}
+
+/**
+ * Start a path through the given points
+ * @param {number} [offsetY] - Shift the whole path up or down
+ */
+function tracePath(ctx, path, offsetY = 0) {
+    ctx.beginPath();
+    ctx.moveTo(path[0].x, path[0].y + offsetY);
+    for (let i = 1; i < path.length; i++) {
+        ctx.lineTo(path[i].x, path[i].y + offsetY);
     }
 }
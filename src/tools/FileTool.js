@@ -1,20 +1,50 @@
 /**
  * FileTool.js
- * Satisfying filing mechanic with particle effects and sound
+ * Satisfying filing mechanic with particle effects and sound.
+ * Pick a target shape, then drag back and forth across the free edge of
+ * the active nail: it morphs toward the target as filing progresses and
+ * the whole set takes the new shape when it's done.
  */
 import * as THREE from 'three';
 import { soundManager } from '../audio/SoundManager.js';
 
+// Edge distance (screen px across the nail) to file a nail into shape
+const FILE_STROKE_LENGTH = 2400;
+
+// The file works within this many nail lengths of the tip (and never
+// less than MIN_ZONE_RADIUS px, so far-away nails can still be filed)
+const ZONE_NAIL_LENGTHS = 0.6;
+const MIN_ZONE_RADIUS = 36;
+
+// Edge speed (px/ms) that counts as filing flat out
+const FULL_SPEED = 1.5;
+
+// Below this intensity the file is resting rather than filing
+const MIN_INTENSITY = 0.1;
+
+// Filing sounds are 80ms bursts; don't stack them on every pointer move
+const SOUND_INTERVAL = 60;
+
+const RING_RADIUS = 26;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
 export class FileTool {
-    constructor(scene, nail) {
+    constructor(scene, camera, nail) {
         this.scene = scene;
+        this.camera = camera;
         this.nail = nail;
         this.isActive = false;
         this.isFiling = false;
 
-        // Filing progress (0-1)
+        // Filing progress (0-1) toward targetShape on one nail
         this.progress = 0;
         this.targetShape = null;
+        this.filingNail = null;        // { hand, finger } being morphed
+
+        // Callbacks
+        this.onGestureChange = null;   // (isFiling) - e.g. pause camera controls
+        this.onProgressChange = null;  // (progress, targetShape)
+        this.onShapeFiled = null;      // (shape) - filing finished
 
         // Particle system for filing dust
         this.particles = null;
@@ -23,11 +53,18 @@ export class FileTool {
         this.particleLifetimes = [];
         this.maxParticles = 100;
 
-        // Track mouse/touch for velocity calculation
+        // Track pointer for edge speed
         this.lastPosition = null;
+        this.lastTime = 0;
+        this.lastSoundTime = 0;
         this.velocity = 0;
+        this.filedThisStroke = false;
+
+        this.domElement = null;
+        this.ring = null;
 
         this.setupParticles();
+        this.setupProgressRing();
         this.setupEventListeners();
     }
 
@@ -71,9 +108,33 @@ export class FileTool {
         });
 
         this.particles = new THREE.Points(geometry, material);
+        this.particles.frustumCulled = false;
         this.scene.add(this.particles);
     }
 
+    /**
+     * Progress ring that follows the tip of the nail being filed
+     */
+    setupProgressRing() {
+        const ring = document.createElement('div');
+        ring.className = 'file-progress-ring';
+        ring.innerHTML = `
+            <svg viewBox="0 0 64 64" aria-hidden="true">
+                <circle class="ring-track" cx="32" cy="32" r="${RING_RADIUS}" />
+                <circle class="ring-fill" cx="32" cy="32" r="${RING_RADIUS}"
+                        stroke-dasharray="${RING_CIRCUMFERENCE}"
+                        stroke-dashoffset="${RING_CIRCUMFERENCE}" />
+            </svg>
+            <span class="ring-label">0%</span>
+        `;
+        this.ring = ring;
+        this.ringFill = ring.querySelector('.ring-fill');
+        this.ringLabel = ring.querySelector('.ring-label');
+
+        const container = document.getElementById('canvas-container') || document.body;
+        container.appendChild(ring);
+    }
+
     setupEventListeners() {
         const canvas = document.querySelector('#canvas-container canvas');
         if (!canvas) {
@@ -81,36 +142,33 @@ export class FileTool {
             setTimeout(() => this.setupEventListeners(), 100);
             return;
         }
+        this.domElement = canvas;
 
-        // Mouse events
-        canvas.addEventListener('mousedown', (e) => this.onPointerDown(e));
-        canvas.addEventListener('mousemove', (e) => this.onPointerMove(e));
-        canvas.addEventListener('mouseup', () => this.onPointerUp());
-        canvas.addEventListener('mouseleave', () => this.onPointerUp());
-
-        // Touch events
-        canvas.addEventListener('touchstart', (e) => this.onPointerDown(e), { passive: false });
-        canvas.addEventListener('touchmove', (e) => this.onPointerMove(e), { passive: false });
-        canvas.addEventListener('touchend', () => this.onPointerUp());
-        canvas.addEventListener('touchcancel', () => this.onPointerUp());
-    }
-
-    getPointerPosition(event) {
-        if (event.touches && event.touches.length > 0) {
-            return { x: event.touches[0].clientX, y: event.touches[0].clientY };
-        }
-        return { x: event.clientX, y: event.clientY };
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
     }
 
     onPointerDown(event) {
-        if (!this.isActive) return;
+        if (!this.isActive || this.isFiling) return;
 
-        const pos = this.getPointerPosition(event);
-        this.lastPosition = pos;
-        this.isFiling = true;
+        this.filedThisStroke = false;
+
+        // Only a stroke that starts at the free edge files; anything else orbits
+        const zone = this.getFileZone();
+        if (!zone || zone.tip.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > zone.radius) {
+            return;
+        }
 
         // Initialize sound manager on first interaction
         soundManager.init();
+
+        this.isFiling = true;
+        this.lastPosition = { x: event.clientX, y: event.clientY };
+        this.lastTime = event.timeStamp;
+        this.domElement?.setPointerCapture?.(event.pointerId);
+        this.onGestureChange?.(true);
     }
 
     onPointerMove(event) {
@@ -118,57 +176,130 @@ export class FileTool {
 
         event.preventDefault();
 
-        const pos = this.getPointerPosition(event);
+        const pos = { x: event.clientX, y: event.clientY };
+        const dt = Math.max(1, event.timeStamp - this.lastTime);
+        const zone = this.getFileZone();
 
-        if (this.lastPosition) {
-            // Calculate movement velocity
+        if (zone && zone.tip.distanceTo(new THREE.Vector2(pos.x, pos.y)) <= zone.radius) {
+            // Filing happens across the free edge, so only that part of the motion counts
             const dx = pos.x - this.lastPosition.x;
             const dy = pos.y - this.lastPosition.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+            const across = zone.axis
+                ? Math.abs(dx * -zone.axis.y + dy * zone.axis.x)
+                : Math.hypot(dx, dy);
 
-            this.velocity = Math.min(distance / 10, 1); // Normalize to 0-1
+            this.velocity = Math.min(across / dt / FULL_SPEED, 1);
 
-            if (this.velocity > 0.1) {
+            if (this.velocity > MIN_INTENSITY) {
                 // We're filing!
-                this.onFile(this.velocity);
+                this.onFile(this.velocity, across, event.timeStamp);
             }
+        } else {
+            this.velocity = 0;
         }
 
         this.lastPosition = pos;
+        this.lastTime = event.timeStamp;
     }
 
-    onPointerUp() {
+    onPointerUp(event) {
+        if (!this.isFiling) return;
+
+        this.domElement?.releasePointerCapture?.(event.pointerId);
         this.isFiling = false;
         this.lastPosition = null;
         this.velocity = 0;
+        this.onGestureChange?.(false);
     }
 
-    onFile(intensity) {
+    /**
+     * @param {number} intensity - Edge speed, 0-1
+     * @param {number} distance - Edge distance filed (px)
+     * @param {number} time - Event time (ms)
+     */
+    onFile(intensity, distance, time) {
+        this.filedThisStroke = true;
+
         // Play filing sound
-        soundManager.playFileSound(intensity);
+        if (time - this.lastSoundTime >= SOUND_INTERVAL) {
+            soundManager.playFileSound(intensity);
+            this.lastSoundTime = time;
+        }
 
         // Spawn particles
         this.spawnParticles(intensity);
 
         // If we have a target shape and haven't reached it yet
-        if (this.targetShape && this.progress < 1) {
-            this.progress += intensity * 0.02;
-
-            if (this.progress >= 1) {
-                this.progress = 1;
-                // Shape complete!
-                this.nail.setShape(this.targetShape);
-                soundManager.playSuccess();
-            }
+        if (!this.targetShape || this.progress >= 1) return;
+
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        if (this.filingNail && (this.filingNail.hand !== hand || this.filingNail.finger !== finger)) {
+            // Moved on to another nail: the half-filed one goes back to how it was
+            this.resetMorph();
         }
+        this.filingNail = { hand, finger };
+
+        // Quick strokes take off a little more per stroke
+        this.progress = Math.min(1, this.progress + distance / FILE_STROKE_LENGTH * (0.5 + intensity * 0.5));
+        this.nail.morphNail(hand, finger, this.targetShape, this.progress);
+        this.onProgressChange?.(this.progress, this.targetShape);
+
+        if (this.progress >= 1) {
+            // Shape complete!
+            const shape = this.targetShape;
+            this.targetShape = null;
+            this.filingNail = null;
+            soundManager.playSuccess();
+            this.onShapeFiled?.(shape);
+        }
+    }
+
+    /**
+     * Screen-space filing zone around the active nail's tip
+     * @returns {{tip: THREE.Vector2, radius: number, axis: THREE.Vector2|null}|null}
+     */
+    getFileZone() {
+        const mesh = this.nail.getNailMesh?.();
+        const tip = this.nail.getNailTipPosition?.(this.nail.getCurrentHand(), this.nail.getActiveNail());
+        if (!mesh || !tip || !this.domElement) return null;
+
+        mesh.geometry.computeBoundingBox();
+        const center = mesh.geometry.boundingBox.getCenter(new THREE.Vector3()).applyMatrix4(mesh.matrixWorld);
+
+        const tipScreen = this.toScreen(tip);
+        const centerScreen = this.toScreen(center);
+        const axis = tipScreen.clone().sub(centerScreen);
+        const halfLength = axis.length();
+
+        return {
+            tip: tipScreen,
+            radius: Math.max(MIN_ZONE_RADIUS, halfLength * 2 * ZONE_NAIL_LENGTHS),
+            axis: halfLength > 4 ? axis.normalize() : null,
+        };
+    }
+
+    toScreen(point) {
+        const rect = this.domElement.getBoundingClientRect();
+        const ndc = point.clone().project(this.camera);
+        return new THREE.Vector2(
+            rect.left + (ndc.x + 1) / 2 * rect.width,
+            rect.top + (1 - ndc.y) / 2 * rect.height
+        );
     }
 
     spawnParticles(intensity) {
         const numToSpawn = Math.floor(intensity * 5) + 1;
 
-        // Get nail tip position (approximate)
-        const nailPos = this.nail.getMesh().position;
-        const spawnY = 0.6; // Near tip of nail
+        // Dust comes off the nail tip, sized to the nail
+        const mesh = this.nail.getNailMesh?.();
+        const tip = this.nail.getNailTipPosition?.(this.nail.getCurrentHand(), this.nail.getActiveNail());
+        if (!mesh || !tip) return;
+
+        mesh.geometry.computeBoundingSphere();
+        const worldScale = mesh.getWorldScale(new THREE.Vector3()).x;
+        const size = mesh.geometry.boundingSphere.radius * worldScale;
+        this.particles.material.size = size * 0.12;
 
         for (let i = 0; i < numToSpawn; i++) {
             // Find an inactive particle
@@ -177,16 +308,16 @@ export class FileTool {
 
             // Spawn at nail tip with some randomness
             this.particlePositions[idx].set(
-                nailPos.x + (Math.random() - 0.5) * 0.3,
-                spawnY + Math.random() * 0.2,
-                nailPos.z + 0.3 + Math.random() * 0.1
+                tip.x + (Math.random() - 0.5) * size * 0.5,
+                tip.y + (Math.random() - 0.5) * size * 0.2,
+                tip.z + (Math.random() - 0.5) * size * 0.5
             );
 
             // Random velocity (mostly outward and down)
             this.particleVelocities[idx].set(
-                (Math.random() - 0.5) * 0.02,
-                -Math.random() * 0.01 - 0.005,
-                Math.random() * 0.02
+                (Math.random() - 0.5) * size * 0.04,
+                -Math.random() * size * 0.02 - size * 0.01,
+                (Math.random() - 0.5) * size * 0.04
             );
 
             this.particleLifetimes[idx] = 0.5 + Math.random() * 0.5; // 0.5-1 second lifetime
@@ -197,6 +328,7 @@ export class FileTool {
         if (!this.particles) return;
 
         const positions = this.particles.geometry.attributes.position.array;
+        const gravity = this.particles.material.size * 0.015;
 
         for (let i = 0; i < this.maxParticles; i++) {
             if (this.particleLifetimes[i] > 0) {
@@ -207,7 +339,7 @@ export class FileTool {
                 this.particlePositions[i].add(this.particleVelocities[i]);
 
                 // Add gravity
-                this.particleVelocities[i].y -= 0.0005;
+                this.particleVelocities[i].y -= gravity;
 
                 // Update buffer
                 positions[i * 3] = this.particlePositions[i].x;
@@ -220,6 +352,28 @@ export class FileTool {
         }
 
         this.particles.geometry.attributes.position.needsUpdate = true;
+
+        this.updateProgressRing();
+    }
+
+    /**
+     * Show the ring at the active nail's tip while a shape is being filed
+     */
+    updateProgressRing() {
+        if (!this.ring) return;
+
+        const zone = this.isActive && this.targetShape ? this.getFileZone() : null;
+        if (!zone) {
+            this.ring.classList.remove('visible');
+            return;
+        }
+
+        this.ring.style.left = `${zone.tip.x}px`;
+        this.ring.style.top = `${zone.tip.y}px`;
+        this.ringFill.setAttribute('stroke-dashoffset', RING_CIRCUMFERENCE * (1 - this.progress));
+        this.ringLabel.textContent = `${Math.round(this.progress * 100)}%`;
+        this.ring.classList.toggle('filing', this.isFiling);
+        this.ring.classList.add('visible');
     }
 
     activate() {
@@ -227,20 +381,57 @@ export class FileTool {
     }
 
     deactivate() {
+        if (this.isFiling) {
+            this.isFiling = false;
+            this.onGestureChange?.(false);
+        }
         this.isActive = false;
-        this.isFiling = false;
+        this.lastPosition = null;
+        this.ring?.classList.remove('visible');
     }
 
+    /**
+     * Choose the shape to file toward (null stops filing).
+     * A half-filed nail goes back to the current shape.
+     */
     setTargetShape(shape) {
-        this.targetShape = shape;
+        this.resetMorph();
+        this.targetShape = shape && shape !== this.nail.getShape() ? shape : null;
+        this.progress = 0;
+        this.onProgressChange?.(this.progress, this.targetShape);
+    }
+
+    getTargetShape() {
+        return this.targetShape;
+    }
+
+    /**
+     * Put a half-filed nail back to the current shape
+     */
+    resetMorph() {
+        if (this.filingNail && this.targetShape) {
+            const { hand, finger } = this.filingNail;
+            this.nail.morphNail(hand, finger, this.targetShape, 0);
+        }
+        this.filingNail = null;
         this.progress = 0;
     }
 
+    /**
+     * Whether the last pointer stroke filed the nail (so it isn't also a tap)
+     */
+    wasFiling() {
+        return this.filedThisStroke;
+    }
+
     // For immediate shape change (without filing animation)
-    applyShapeImmediately(shape) {
-        this.nail.setShape(shape);
+    async applyShapeImmediately(shape) {
+        this.resetMorph();
+        this.targetShape = null;
+        const changed = await this.nail.setShape(shape);
         this.progress = 1;
         soundManager.playClick();
+        return changed;
     }
 
     dispose() {
@@ -249,5 +440,6 @@ export class FileTool {
             this.particles.material.dispose();
             this.scene.remove(this.particles);
         }
+        this.ring?.remove();
     }
 }
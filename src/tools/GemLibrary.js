@@ -0,0 +1,426 @@
+/**
+ * GemLibrary.js
+ * Procedural faceted gem cuts, stones and metal settings.
+ *
+ * Every cut is a girdle outline (unit size, counter-clockwise seen from
+ * the top) plus a stack of rings that are the outline scaled and raised:
+ * table at the top, girdle at z = 0, pavilion below, closing in a point
+ * (culet) or a flat keel. Faces are flat-shaded so each facet catches
+ * the light on its own. +Z is the top of the stone.
+ */
+import * as THREE from 'three';
+
+// =========================================
+// Presets
+// =========================================
+
+export const GEM_CUTS = [
+    {
+        id: 'brilliant',
+        name: 'Brilliant',
+        outline: () => ellipseOutline(16, 1),
+        rings: [
+            { scale: 0.56, z: 0.3 },                // Table
+            { scale: 0.82, z: 0.17, offset: true }, // Star facets
+            { scale: 1, z: 0 },                     // Girdle
+            { scale: 1, z: -0.04 },
+        ],
+        bottom: { type: 'point', z: -0.62 },
+        studs: [0.0625, 0.3125, 0.5625, 0.8125],
+    },
+    {
+        id: 'princess',
+        name: 'Princess',
+        outline: () => rectangleOutline(1, 1, 2),
+        rings: [
+            { scale: 0.62, z: 0.22 },
+            { scale: 1, z: 0 },
+            { scale: 1, z: -0.04 },
+        ],
+        bottom: { type: 'point', z: -0.7 },
+        studs: [0, 0.25, 0.5, 0.75],
+    },
+    {
+        id: 'pear',
+        name: 'Pear',
+        outline: () => teardropOutline(20),
+        rings: [
+            { scale: 0.55, z: 0.26 },
+            { scale: 0.8, z: 0.15, offset: true },
+            { scale: 1, z: 0 },
+            { scale: 1, z: -0.04 },
+        ],
+        bottom: { type: 'point', z: -0.58 },
+        studs: [0, 0.4, 0.6],
+    },
+    {
+        id: 'marquise',
+        name: 'Marquise',
+        outline: () => navetteOutline(20),
+        rings: [
+            { scale: 0.5, z: 0.22 },
+            { scale: 0.78, z: 0.13, offset: true },
+            { scale: 1, z: 0 },
+            { scale: 1, z: -0.04 },
+        ],
+        bottom: { type: 'point', z: -0.55 },
+        studs: [0, 0.25, 0.5, 0.75],
+    },
+    {
+        id: 'baguette',
+        name: 'Baguette',
+        outline: () => rectangleOutline(0.45, 1, 1),
+        // Step cut: parallel rows of facets
+        rings: [
+            { scale: 0.72, z: 0.18 },
+            { scale: 0.87, z: 0.1 },
+            { scale: 1, z: 0 },
+            { scale: 1, z: -0.04 },
+            { scale: 0.78, z: -0.2 },
+        ],
+        bottom: { type: 'flat', scale: 0.45, z: -0.36 },
+        studs: [0, 0.25, 0.5, 0.75],
+    },
+];
+
+export const GEM_STONES = [
+    { id: 'diamond', name: 'Diamond', color: '#FFFFFF', ior: 2.42, dispersion: 5 },
+    { id: 'ruby', name: 'Ruby', color: '#E0115F', ior: 1.77, dispersion: 1.5 },
+    { id: 'sapphire', name: 'Sapphire', color: '#2A6BDB', ior: 1.77, dispersion: 1.5 },
+    { id: 'emerald', name: 'Emerald', color: '#3CC77A', ior: 1.58, dispersion: 1 },
+    { id: 'amethyst', name: 'Amethyst', color: '#A66BE0', ior: 1.54, dispersion: 1 },
+    { id: 'rose', name: 'Rose Quartz', color: '#FFB3C6', ior: 1.54, dispersion: 1 },
+    { id: 'aquamarine', name: 'Aquamarine', color: '#7FFFD4', ior: 1.58, dispersion: 1 },
+    { id: 'topaz', name: 'Topaz', color: '#FFC35C', ior: 1.62, dispersion: 1.2 },
+];
+
+export const GEM_SETTINGS = [
+    { id: 'none', name: 'None' },
+    { id: 'bezel', name: 'Bezel' },
+    { id: 'studs', name: 'Studs' },
+];
+
+export const GEM_METALS = [
+    { id: 'gold', name: 'Gold', color: '#FFD27A' },
+    { id: 'silver', name: 'Silver', color: '#E6E8EC' },
+    { id: 'rose-gold', name: 'Rose Gold', color: '#F4B6A3' },
+];
+
+export const DEFAULT_GEM_STYLE = { stone: 'diamond', setting: 'none', metal: 'gold' };
+
+export function getCut(id) {
+    return GEM_CUTS.find(c => c.id === id) || null;
+}
+
+export function getStone(id) {
+    return GEM_STONES.find(s => s.id === id) || GEM_STONES[0];
+}
+
+export function getMetal(id) {
+    return GEM_METALS.find(m => m.id === id) || GEM_METALS[0];
+}
+
+// =========================================
+// Outlines (unit size, counter-clockwise)
+// =========================================
+
+function ellipseOutline(segments, width) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const t = (i / segments) * Math.PI * 2;
+        points.push(new THREE.Vector2(Math.cos(t) * width, Math.sin(t)));
+    }
+    return points;
+}
+
+/**
+ * Rectangle with each side split into `subdivisions` segments, starting
+ * at the top-right corner
+ */
+function rectangleOutline(width, height, subdivisions) {
+    const corners = [
+        new THREE.Vector2(width, height),
+        new THREE.Vector2(-width, height),
+        new THREE.Vector2(-width, -height),
+        new THREE.Vector2(width, -height),
+    ];
+
+    const points = [];
+    for (let i = 0; i < 4; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 4];
+        for (let s = 0; s < subdivisions; s++) {
+            points.push(a.clone().lerp(b, s / subdivisions));
+        }
+    }
+    return points;
+}
+
+/**
+ * Pear: pointed at +Y, round at -Y
+ */
+function teardropOutline(segments) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const t = (i / segments) * Math.PI * 2;
+        points.push(new THREE.Vector2(-Math.sin(t) * Math.abs(Math.sin(t / 2)) * 0.8, Math.cos(t)));
+    }
+    return points;
+}
+
+/**
+ * Marquise: pointed at both ends of the Y axis
+ */
+function navetteOutline(segments) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const t = (i / segments) * Math.PI * 2;
+        points.push(new THREE.Vector2(-Math.sin(t) * Math.abs(Math.sin(t)) * 0.48, Math.cos(t)));
+    }
+    return points;
+}
+
+// =========================================
+// Geometry
+// =========================================
+
+/**
+ * Build a cut's faceted stone
+ * @param {string} cutId
+ * @param {number} size - Half the stone's length (girdle radius)
+ * @returns {THREE.BufferGeometry}
+ */
+export function createCutGeometry(cutId, size) {
+    const cut = getCut(cutId) || GEM_CUTS[0];
+    const outline = cut.outline();
+    const midpoints = outline.map((p, i) => p.clone().lerp(outline[(i + 1) % outline.length], 0.5));
+    const count = outline.length;
+
+    const rings = cut.rings.map(ring =>
+        (ring.offset ? midpoints : outline).map(p => new THREE.Vector3(p.x * ring.scale, p.y * ring.scale, ring.z))
+    );
+
+    const vertices = [];
+    const triangle = (a, b, c) => vertices.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+
+    // Table
+    const tableCenter = new THREE.Vector3(0, 0, cut.rings[0].z);
+    for (let i = 0; i < count; i++) {
+        triangle(tableCenter, rings[0][i], rings[0][(i + 1) % count]);
+    }
+
+    // Crown, girdle and pavilion bands
+    for (let r = 0; r < rings.length - 1; r++) {
+        const upper = rings[r];
+        const lower = rings[r + 1];
+        for (let i = 0; i < count; i++) {
+            const next = (i + 1) % count;
+            triangle(upper[i], lower[i], lower[next]);
+            triangle(upper[i], lower[next], upper[next]);
+        }
+    }
+
+    // Culet point or flat keel
+    const last = rings[rings.length - 1];
+    const { bottom } = cut;
+    if (bottom.type === 'point') {
+        const culet = new THREE.Vector3(0, 0, bottom.z);
+        for (let i = 0; i < count; i++) {
+            triangle(last[i], culet, last[(i + 1) % count]);
+        }
+    } else {
+        const keel = outline.map(p => new THREE.Vector3(p.x * bottom.scale, p.y * bottom.scale, bottom.z));
+        const keelCenter = new THREE.Vector3(0, 0, bottom.z);
+        for (let i = 0; i < count; i++) {
+            const next = (i + 1) % count;
+            triangle(last[i], keel[i], keel[next]);
+            triangle(last[i], keel[next], last[next]);
+            triangle(keelCenter, keel[next], keel[i]);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.scale(size, size, size);
+    geometry.computeVertexNormals(); // Non-indexed, so every facet is flat
+
+    return geometry;
+}
+
+/**
+ * Metal bezel rim or studs holding a cut stone
+ * @returns {Array<THREE.Mesh>}
+ */
+export function createSettingMeshes(cutId, size, settingId, metalId) {
+    const cut = getCut(cutId);
+    if (!cut || settingId === 'none') return [];
+
+    const outline = cut.outline();
+
+    if (settingId === 'bezel') {
+        const rim = new THREE.Shape(outline.map(p => p.clone().multiplyScalar(1.14)));
+        rim.holes.push(new THREE.Path(outline.map(p => p.clone().multiplyScalar(0.96)).reverse()));
+
+        const geometry = new THREE.ExtrudeGeometry(rim, {
+            depth: 0.16,
+            bevelEnabled: true,
+            bevelThickness: 0.04,
+            bevelSize: 0.03,
+            bevelSegments: 2,
+        });
+        geometry.translate(0, 0, -0.14);
+        geometry.scale(size, size, size);
+        return [new THREE.Mesh(geometry, createMetalMaterial(metalId))];
+    }
+
+    // Studs: metal beads gripping the girdle
+    return cut.studs.map((fraction) => {
+        const point = outline[Math.round(fraction * outline.length) % outline.length];
+        const geometry = new THREE.SphereGeometry(size * 0.14, 10, 8);
+        const stud = new THREE.Mesh(geometry, createMetalMaterial(metalId));
+        stud.position.set(point.x * size * 1.02, point.y * size * 1.02, size * 0.06);
+        return stud;
+    });
+}
+
+// =========================================
+// Materials
+// =========================================
+
+/**
+ * Refractive stone: transmission with the stone's IOR and a touch of
+ * dispersion for fire, reflecting a small studio environment
+ */
+export function createStoneMaterial(stoneId) {
+    const stone = getStone(stoneId);
+
+    return new THREE.MeshPhysicalMaterial({
+        color: stone.color,
+        metalness: 0.0,
+        roughness: 0.0,
+        transmission: 1.0,
+        thickness: 0.004,
+        ior: stone.ior,
+        dispersion: stone.dispersion,
+        attenuationColor: stone.color,
+        attenuationDistance: 0.01,
+        specularIntensity: 1.0,
+        clearcoat: 1.0,
+        clearcoatRoughness: 0.0,
+        envMap: getStudioEnvironment(),
+        envMapIntensity: 2.0,
+        side: THREE.DoubleSide,
+    });
+}
+
+export function createMetalMaterial(metalId) {
+    return new THREE.MeshStandardMaterial({
+        color: getMetal(metalId).color,
+        metalness: 1.0,
+        roughness: 0.22,
+        envMap: getStudioEnvironment(),
+        envMapIntensity: 1.4,
+    });
+}
+
+let studioEnvironment = null;
+
+/**
+ * Small cube map with bright soft boxes, so facets and metal have
+ * something to reflect (the scene itself has no environment)
+ */
+export function getStudioEnvironment() {
+    if (studioEnvironment) return studioEnvironment;
+
+    const faces = ['px', 'nx', 'py', 'ny', 'pz', 'nz'].map((face) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, 64);
+        gradient.addColorStop(0, face === 'ny' ? '#2a2340' : '#f4ecff');
+        gradient.addColorStop(1, face === 'py' ? '#f4ecff' : '#2a2340');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 64, 64);
+
+        // Soft boxes
+        ctx.fillStyle = '#ffffff';
+        if (face === 'py') ctx.fillRect(16, 16, 32, 32);
+        if (face === 'px' || face === 'pz') ctx.fillRect(8, 10, 14, 30);
+        if (face === 'nx') ctx.fillRect(40, 14, 12, 22);
+
+        return canvas;
+    });
+
+    studioEnvironment = new THREE.CubeTexture(faces);
+    studioEnvironment.colorSpace = THREE.SRGBColorSpace;
+    studioEnvironment.needsUpdate = true;
+    return studioEnvironment;
+}
+
+let sparkleTexture = null;
+
+/**
+ * Four-pointed glint drawn over a stone; GemTool twinkles it
+ * @returns {THREE.Sprite}
+ */
+export function createSparkle(size) {
+    if (!sparkleTexture) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        const glow = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        glow.addColorStop(0.2, 'rgba(255, 255, 255, 0.5)');
+        glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, 64, 64);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.moveTo(32, 0);
+        ctx.lineTo(35, 29);
+        ctx.lineTo(64, 32);
+        ctx.lineTo(35, 35);
+        ctx.lineTo(32, 64);
+        ctx.lineTo(29, 35);
+        ctx.lineTo(0, 32);
+        ctx.lineTo(29, 29);
+        ctx.closePath();
+        ctx.fill();
+
+        sparkleTexture = new THREE.CanvasTexture(canvas);
+        sparkleTexture.colorSpace = THREE.SRGBColorSpace;
+    }
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: sparkleTexture,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        transparent: true,
+        opacity: 0,
+    }));
+    sprite.scale.setScalar(size * 1.6);
+    sprite.userData.phase = Math.random() * Math.PI * 2;
+    sprite.userData.speed = 1.5 + Math.random() * 1.5;
+    return sprite;
+}
+
+/**
+ * Small SVG of a cut's outline and table, for the picker buttons
+ */
+export function getCutIconSvg(cutId, color = '#FFFFFF') {
+    const cut = getCut(cutId);
+    if (!cut) return '';
+
+    const outline = cut.outline();
+    const toPoints = (scale) => outline
+        .map(p => `${(p.x * scale).toFixed(3)},${(-p.y * scale).toFixed(3)}`)
+        .join(' ');
+
+    return `<svg viewBox="-1.15 -1.15 2.3 2.3" width="100%" height="100%" aria-hidden="true">
+        <polygon points="${toPoints(1)}" fill="${color}" stroke="#9b30ff" stroke-width="0.08" stroke-linejoin="round"/>
+        <polygon points="${toPoints(cut.rings[0].scale)}" fill="rgba(255,255,255,0.7)" stroke="#9b30ff" stroke-width="0.05" stroke-linejoin="round"/>
+    </svg>`;
+}
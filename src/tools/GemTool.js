@@ -1,20 +1,57 @@
 /**
  * GemTool.js
- * 3D gem/rhinestone placement on nail
+ * 3D gem/rhinestone placement on nail.
+ * Gems are children of their nail mesh, anchored by the UV and normal
+ * of the spot they sit on, so they follow the nail through hand and
+ * finger switches and find their place again after a reload or a
+ * shape change. Placed gems can be tapped to select, dragged along
+ * the surface, rotated, resized and deleted.
+ * Faceted cuts, stones and metal settings come from GemLibrary.
  */
 import * as THREE from 'three';
 import { soundManager } from '../audio/SoundManager.js';
-
-// Gem types with geometry and colors
+import { commandHistory } from '../state/CommandHistory.js';
+import { findSurfacePoint, findSurfaceAnchor } from '../utils/NailSurface.js';
+import {
+    GEM_CUTS,
+    DEFAULT_GEM_STYLE,
+    createCutGeometry,
+    createSettingMeshes,
+    createStoneMaterial,
+    createSparkle,
+} from './GemLibrary.js';
+
+// Gem types with geometry and colors.
+// Cuts take their color from the chosen stone; charms keep their own.
 export const GEM_TYPES = [
-    { id: 'diamond', emoji: '💎', color: '#00CED1', shape: 'octahedron' },
-    { id: 'crystal', emoji: '💠', color: '#87CEEB', shape: 'octahedron' },
+    ...GEM_CUTS.map(cut => ({ id: cut.id, name: cut.name, shape: 'cut' })),
+    // Superseded by the faceted cuts; kept so older designs still load
+    { id: 'diamond', emoji: '💎', color: '#00CED1', shape: 'octahedron', hidden: true },
+    { id: 'crystal', emoji: '💠', color: '#87CEEB', shape: 'octahedron', hidden: true },
     { id: 'star', emoji: '⭐', color: '#FFD700', shape: 'star' },
     { id: 'flower', emoji: '🌸', color: '#FF69B4', shape: 'flower' },
     { id: 'pearl', emoji: '⚪', color: '#FFFAFA', shape: 'sphere' },
     { id: 'heart', emoji: '❤️', color: '#FF69B4', shape: 'heart' },
 ];
 
+// Render layer for gems. Other tools raycast the nail mesh recursively,
+// so gems (nail children) must stay out of the default layer.
+export const GEM_LAYER = 2;
+
+// Height of the gem centre above the nail surface (world units)
+const GEM_OFFSET = 0.005;
+
+// Tap distance (screen pixels) that still selects a gem
+const GEM_HIT_RADIUS = 28;
+
+// Scale limits and button steps
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 2.5;
+const SCALE_STEP = 1.2;
+const ROTATE_STEP = Math.PI / 12;
+
+const SELECTION_COLOR = '#9b30ff';
+
 export class GemTool {
     constructor(scene, camera, nail) {
         this.scene = scene;
@@ -22,13 +59,31 @@ export class GemTool {
         this.nail = nail;
         this.isActive = false;
 
-        this.selectedGem = null;
-        this.placedGems = [];
+        this.selectedGem = null; // Gem type to place on tap
+        this.gemStyle = { ...DEFAULT_GEM_STYLE }; // Stone, setting and metal for new cut gems
+        this.placedGems = [];    // Gem meshes on every nail
         this.previewGem = null;
+        this.nextId = 1;
+
+        // Placed gem being edited (mesh)
+        this.selection = null;
+
+        // Drag/pinch in progress
+        this.gesture = null;
+        this.pointers = new Map(); // pointerId -> { x, y } in screen pixels
+        this.historyStep = null;
+
+        // UI callbacks
+        this.onSelectionChange = null; // (gem|null)
+        this.onGestureChange = null;   // (isEditing) - e.g. pause camera controls
+        this.onPlace = null;           // (hand, finger, gem) - a new gem was placed
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
 
+        // Gems live on their own layer; the camera must still see them
+        this.camera.layers.enable(GEM_LAYER);
+
         this.setupEventListeners();
     }
 
@@ -164,9 +219,20 @@ export class GemTool {
         return merged;
     }
 
-    createGemMesh(gemId, size = 0.008) {
+    /**
+     * Build a gem
+     * @param {string} gemId - GEM_TYPES id
+     * @param {number} size - World size (girdle radius for cuts)
+     * @param {Object} style - { stone, setting, metal } (cuts only)
+     * @param {boolean} sparkle - Add a twinkling glint
+     */
+    createGemMesh(gemId, size = 0.008, style = this.gemStyle, sparkle = true) {
         const gemData = GEM_TYPES.find(g => g.id === gemId) || GEM_TYPES[0];
 
+        if (gemData.shape === 'cut') {
+            return this.createCutGem(gemData, size * 0.8, style, sparkle);
+        }
+
         let geometry;
         switch (gemData.shape) {
             case 'sphere':
@@ -203,11 +269,40 @@ export class GemTool {
 
         const mesh = new THREE.Mesh(geometry, material);
         mesh.castShadow = true;
+        mesh.layers.set(GEM_LAYER);
         mesh.userData = { gemId, type: 'gem' };
 
         return mesh;
     }
 
+    /**
+     * Faceted stone with its metal setting and sparkle as children
+     */
+    createCutGem(gemData, size, style, sparkle) {
+        const { stone, setting, metal } = { ...DEFAULT_GEM_STYLE, ...style };
+
+        const mesh = new THREE.Mesh(createCutGeometry(gemData.id, size), createStoneMaterial(stone));
+        mesh.castShadow = true;
+
+        for (const part of createSettingMeshes(gemData.id, size, setting, metal)) {
+            part.castShadow = true;
+            mesh.add(part);
+        }
+
+        if (sparkle) {
+            const glint = createSparkle(size);
+            glint.position.set(size * 0.2, size * 0.25, size * 0.35);
+            glint.userData.type = 'sparkle';
+            mesh.add(glint);
+        }
+
+        // Layers aren't inherited
+        mesh.traverse(child => child.layers.set(GEM_LAYER));
+        mesh.userData = { gemId: gemData.id, type: 'gem', stone, setting, metal };
+
+        return mesh;
+    }
+
     setupEventListeners() {
         const canvas = document.querySelector('#canvas-container canvas');
         if (!canvas) {
@@ -215,9 +310,11 @@ export class GemTool {
             return;
         }
 
-        canvas.addEventListener('click', (e) => this.onClick(e));
-        canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
+        this.domElement = canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
     }
 
     updateMousePosition(event) {
@@ -238,7 +335,7 @@ export class GemTool {
         if (!nailMesh) return null;
 
         const intersects = this.raycaster.intersectObject(nailMesh, true);
-        return intersects.length > 0 ? intersects[0] : null;
+        return intersects.length > 0 && intersects[0].uv ? intersects[0] : null;
     }
 
     /**
@@ -255,76 +352,217 @@ export class GemTool {
         return intersection.face.normal.clone().applyMatrix3(normalMatrix).normalize();
     }
 
-    onMouseMove(event) {
-        if (!this.isActive || !this.selectedGem) return;
+    // =========================================
+    // Pointer & Gestures
+    // =========================================
 
-        this.updateMousePosition(event);
+    onPointerDown(event) {
+        if (!this.isActive) return;
 
-        const intersection = this.getNailIntersection();
-        if (intersection && this.previewGem) {
-            // Get world-space normal for proper positioning
-            const worldNormal = this.getWorldNormal(intersection);
-
-            // Position gem on nail surface
-            const offset = worldNormal.clone().multiplyScalar(0.005);
-            this.previewGem.position.copy(intersection.point).add(offset);
-            this.previewGem.visible = true;
-
-            // Rotate to face outward
-            this.previewGem.lookAt(
-                intersection.point.x + worldNormal.x,
-                intersection.point.y + worldNormal.y,
-                intersection.point.z + worldNormal.z
-            );
-        } else if (this.previewGem) {
-            this.previewGem.visible = false;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        // Second finger down: pinch to resize, twist to rotate
+        if (this.pointers.size === 2) {
+            if (this.selection) {
+                this.startGesture('pinch', this.selection, event);
+            }
+            return;
         }
-    }
+        if (this.pointers.size > 2) return;
 
-    onClick(event) {
-        if (!this.isActive || !this.selectedGem) return;
+        const gem = this.hitGem(event);
+        if (gem) {
+            event.preventDefault();
+            this.select(gem);
+            this.startGesture('move', gem, event);
+            soundManager.playClick();
+            return;
+        }
 
         this.updateMousePosition(event);
-
         const intersection = this.getNailIntersection();
-        if (intersection) {
+        if (!intersection) return;
+
+        if (this.selectedGem) {
+            event.preventDefault();
             this.placeGem(intersection);
+        } else {
+            this.select(null);
         }
     }
 
-    onTouchStart(event) {
-        if (!this.isActive || !this.selectedGem) return;
+    onPointerMove(event) {
+        if (this.pointers.has(event.pointerId)) {
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        }
 
-        event.preventDefault();
-        this.updateMousePosition(event);
+        const gesture = this.gesture;
+        if (!gesture) {
+            this.updatePreview(event);
+            return;
+        }
 
-        const intersection = this.getNailIntersection();
-        if (intersection) {
-            this.placeGem(intersection);
+        const gem = gesture.gem;
+        if (gesture.mode === 'pinch') {
+            const [a, b] = [...this.pointers.values()];
+            if (!b) return;
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            const angle = Math.atan2(b.y - a.y, b.x - a.x);
+            gem.userData.scale = this.clampScale(gesture.startScale * distance / gesture.startDistance);
+            // Screen angles grow clockwise; the gem faces the viewer
+            gem.userData.rotation = gesture.startRotation - (angle - gesture.startAngle);
+        } else {
+            // Slide along the nail surface under the pointer
+            this.updateMousePosition(event);
+            const intersection = this.getNailIntersection();
+            if (!intersection || intersection.object !== this.getNailMeshFor(gem)) return;
+
+            gem.userData.u = intersection.uv.x;
+            gem.userData.v = intersection.uv.y;
+            gem.userData.normal = intersection.face.normal.toArray();
         }
+
+        gesture.changed = true;
+        this.updateGemTransform(gem);
     }
 
-    placeGem(intersection) {
-        // Create gem mesh
-        const gem = this.createGemMesh(this.selectedGem);
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+
+        // Lifting one finger of a pinch ends the gesture
+        if (this.gesture && (this.gesture.mode === 'pinch' || this.pointers.size === 0)) {
+            this.endGesture();
+        }
+    }
+
+    /**
+     * Begin editing a placed gem
+     * @param {string} mode - 'move' | 'pinch'
+     */
+    startGesture(mode, gem, event) {
+        this.endGesture();
+
+        const gesture = {
+            mode,
+            gem,
+            startScale: gem.userData.scale,
+            startRotation: gem.userData.rotation,
+            changed: false,
+        };
+
+        if (mode === 'pinch') {
+            const [a, b] = [...this.pointers.values()];
+            gesture.startDistance = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+            gesture.startAngle = Math.atan2(b.y - a.y, b.x - a.x);
+        } else {
+            this.domElement?.setPointerCapture?.(event.pointerId);
+        }
+
+        const { hand, finger } = gem.userData;
+        this.historyStep = commandHistory.begin(mode === 'move' ? 'Move gem' : 'Resize gem', hand, finger);
+        this.gesture = gesture;
+        this.onGestureChange?.(true);
+    }
+
+    endGesture() {
+        if (!this.gesture) return;
+
+        if (this.gesture.changed) {
+            this.historyStep?.commit();
+        } else {
+            this.historyStep?.cancel();
+        }
+        this.historyStep = null;
+        this.gesture = null;
+        this.onGestureChange?.(false);
+    }
+
+    clampScale(scale) {
+        return THREE.MathUtils.clamp(scale, MIN_SCALE, MAX_SCALE);
+    }
+
+    /**
+     * Gem on the active nail closest to the pointer, within GEM_HIT_RADIUS.
+     * Gems are small, so this is more forgiving than a raycast.
+     */
+    hitGem(event) {
+        if (!this.domElement) return null;
+
+        const rect = this.domElement.getBoundingClientRect();
+        const center = new THREE.Vector3();
+        let best = null;
+        let bestDistance = GEM_HIT_RADIUS;
+
+        for (const gem of this.getNailGems(this.nail.getCurrentHand(), this.nail.getActiveNail())) {
+            gem.getWorldPosition(center).project(this.camera);
+            const x = rect.left + (center.x + 1) / 2 * rect.width;
+            const y = rect.top + (1 - center.y) / 2 * rect.height;
+            const distance = Math.hypot(event.clientX - x, event.clientY - y);
+            if (distance < bestDistance) {
+                best = gem;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Show the gem about to be placed under a hovering mouse
+     */
+    updatePreview(event) {
+        if (!this.previewGem) return;
+        if (!this.isActive || !this.selectedGem || event.pointerType === 'touch') {
+            this.previewGem.visible = false;
+            return;
+        }
+
+        this.updateMousePosition(event);
+        const intersection = this.getNailIntersection();
+        if (!intersection || this.hitGem(event)) {
+            this.previewGem.visible = false;
+            return;
+        }
 
         // Get world-space normal for proper positioning
         const worldNormal = this.getWorldNormal(intersection);
 
-        // Position on nail
-        const offset = worldNormal.clone().multiplyScalar(0.005);
-        gem.position.copy(intersection.point).add(offset);
+        // Position gem on nail surface
+        const offset = worldNormal.clone().multiplyScalar(GEM_OFFSET);
+        this.previewGem.position.copy(intersection.point).add(offset);
+        this.previewGem.visible = true;
 
         // Rotate to face outward
-        gem.lookAt(
+        this.previewGem.lookAt(
             intersection.point.x + worldNormal.x,
             intersection.point.y + worldNormal.y,
             intersection.point.z + worldNormal.z
         );
+    }
 
-        // Add to scene
-        this.scene.add(gem);
-        this.placedGems.push(gem);
+    // =========================================
+    // Placement
+    // =========================================
+
+    placeGem(intersection) {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+
+        let gem = null;
+        commandHistory.record('Gem', hand, finger, () => {
+            gem = this.addGem(hand, finger, {
+                gemId: this.selectedGem,
+                u: intersection.uv.x,
+                v: intersection.uv.y,
+                normal: intersection.face.normal.toArray(),
+                rotation: 0,
+                scale: 1,
+                ...this.gemStyle,
+            });
+        });
+        if (gem) {
+            this.select(gem);
+            this.onPlace?.(hand, finger, gem);
+        }
 
         // Play clink sound
         soundManager.playGemClink();
@@ -332,24 +570,242 @@ export class GemTool {
         console.log(`Placed gem: ${this.selectedGem}`);
     }
 
+    /**
+     * Create a gem on a nail from its anchor
+     * @param {Object} anchor - { gemId, u, v, normal: [x,y,z], rotation, scale }
+     *   plus { stone, setting, metal } for cut gems
+     * @returns {THREE.Mesh|null}
+     */
+    addGem(hand, finger, anchor) {
+        const nailMesh = this.nail.hands[hand]?.nails[finger]?.mesh;
+        if (!nailMesh) return null;
+
+        const gem = this.createGemMesh(anchor.gemId, undefined, anchor);
+        Object.assign(gem.userData, {
+            id: this.nextId++,
+            hand,
+            finger,
+            u: anchor.u,
+            v: anchor.v,
+            normal: anchor.normal,
+            rotation: anchor.rotation || 0,
+            scale: this.clampScale(anchor.scale ?? 1),
+        });
+
+        nailMesh.add(gem);
+        this.updateGemTransform(gem);
+        this.placedGems.push(gem);
+        return gem;
+    }
+
+    /**
+     * Position a gem on its nail from its anchor (UV, normal, rotation, scale)
+     */
+    updateGemTransform(gem) {
+        const nailMesh = gem.parent;
+        const { u, v, normal, rotation, scale } = gem.userData;
+        if (!nailMesh) return;
+
+        const hint = new THREE.Vector3().fromArray(normal);
+        const surface = findSurfacePoint(nailMesh.geometry, { x: u, y: v }, hint);
+        if (!surface) return;
+
+        // Offset and size are in world units; undo the nail's own scale
+        nailMesh.updateWorldMatrix(true, false);
+        const worldScale = nailMesh.getWorldScale(new THREE.Vector3());
+        const meshScale = (worldScale.x + worldScale.y + worldScale.z) / 3 || 1;
+
+        gem.position.copy(surface.position).addScaledVector(surface.normal, GEM_OFFSET / meshScale);
+
+        // Face outward along the normal, then twist around it
+        const facing = new THREE.Matrix4().lookAt(surface.normal, new THREE.Vector3(), gem.up);
+        gem.quaternion.setFromRotationMatrix(facing)
+            .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), rotation));
+
+        gem.scale.setScalar(scale / meshScale);
+    }
+
+    /**
+     * Re-place every gem on its nail (e.g. after the nail was reshaped)
+     */
+    reseatAll() {
+        this.placedGems.forEach(gem => this.updateGemTransform(gem));
+    }
+
     selectGem(gemId) {
         this.selectedGem = gemId;
+        this.updatePreviewGem();
 
+        if (gemId) {
+            soundManager.playClick();
+        }
+    }
+
+    /**
+     * Rebuild the see-through preview for the gem type and style about to be placed
+     */
+    updatePreviewGem() {
         // Clean up existing preview
         if (this.previewGem) {
             this.scene.remove(this.previewGem);
-            this.previewGem.geometry.dispose();
-            this.previewGem.material.dispose();
+            this.disposeGem(this.previewGem);
             this.previewGem = null;
         }
 
         // Create preview only if a gem is selected
-        if (gemId) {
-            this.previewGem = this.createGemMesh(gemId, 0.007);
-            this.previewGem.material.opacity = 0.5;
+        if (this.selectedGem) {
+            this.previewGem = this.createGemMesh(this.selectedGem, 0.007, this.gemStyle, false);
+            this.previewGem.traverse((child) => {
+                if (!child.material) return;
+                child.material.transparent = true;
+                child.material.opacity = 0.5;
+            });
             this.previewGem.visible = false;
             this.scene.add(this.previewGem);
-            soundManager.playClick();
+        }
+    }
+
+    /**
+     * Choose the stone, setting or metal for cut gems.
+     * A selected cut gem on the nail is restyled too.
+     * @param {Object} style - Any of { stone, setting, metal }
+     */
+    setGemStyle(style) {
+        this.gemStyle = { ...this.gemStyle, ...style };
+        this.updatePreviewGem();
+
+        const gem = this.selection;
+        if (!gem || !('stone' in gem.userData)) return;
+
+        const { hand, finger } = gem.userData;
+        const [anchor] = this.captureGems([gem]);
+        let restyled = null;
+        commandHistory.record('Restyle gem', hand, finger, () => {
+            this.removeGem(gem);
+            restyled = this.addGem(hand, finger, { ...anchor, ...style });
+        });
+        this.select(restyled);
+    }
+
+    getGemStyle() {
+        return this.gemStyle;
+    }
+
+    // =========================================
+    // Editing
+    // =========================================
+
+    /**
+     * Select a placed gem (null to deselect)
+     */
+    select(gem) {
+        if (this.selection === gem) return;
+
+        if (this.selection) {
+            this.setHighlight(this.selection, false);
+        }
+        this.selection = gem;
+        if (gem) {
+            this.setHighlight(gem, true);
+        }
+        this.onSelectionChange?.(gem);
+    }
+
+    getSelectedGem() {
+        return this.selection;
+    }
+
+    setHighlight(gem, highlighted) {
+        gem.material.emissive.set(highlighted ? SELECTION_COLOR : '#000000');
+        gem.material.emissiveIntensity = highlighted ? 0.6 : 1;
+    }
+
+    /**
+     * Rotate the selected gem around its normal
+     * @param {number} direction - 1 clockwise, -1 counter-clockwise
+     */
+    rotateSelected(direction) {
+        this.editSelected('Rotate gem', (data) => {
+            data.rotation -= direction * ROTATE_STEP;
+        });
+    }
+
+    /**
+     * Grow (1) or shrink (-1) the selected gem
+     */
+    resizeSelected(direction) {
+        this.editSelected('Resize gem', (data) => {
+            data.scale = this.clampScale(data.scale * SCALE_STEP ** direction);
+        });
+    }
+
+    editSelected(label, change) {
+        const gem = this.selection;
+        if (!gem) return false;
+
+        this.endGesture();
+        commandHistory.record(label, gem.userData.hand, gem.userData.finger, () => {
+            change(gem.userData);
+            this.updateGemTransform(gem);
+        });
+        soundManager.playClick();
+        return true;
+    }
+
+    /**
+     * Remove the selected gem
+     */
+    deleteSelected() {
+        const gem = this.selection;
+        if (!gem) return false;
+
+        this.endGesture();
+        commandHistory.record('Delete gem', gem.userData.hand, gem.userData.finger, () => {
+            this.select(null);
+            this.removeGem(gem);
+        });
+
+        soundManager.playClick();
+        return true;
+    }
+
+    removeGem(gem) {
+        if (this.selection === gem) {
+            this.select(null);
+        }
+        if (this.gesture?.gem === gem) {
+            this.endGesture();
+        }
+        gem.removeFromParent();
+        this.disposeGem(gem);
+        this.placedGems = this.placedGems.filter(g => g !== gem);
+    }
+
+    /**
+     * Free a gem and its setting (shared textures stay cached)
+     */
+    disposeGem(gem) {
+        gem.traverse((child) => {
+            child.geometry?.dispose();
+            child.material?.dispose();
+        });
+    }
+
+    /**
+     * Twinkle the sparkles on placed gems
+     * @param {number} time - Milliseconds
+     */
+    update(time) {
+        const seconds = time / 1000;
+        for (const gem of this.placedGems) {
+            for (const child of gem.children) {
+                if (child.userData.type !== 'sparkle') continue;
+
+                const { phase, speed } = child.userData;
+                const wave = Math.max(0, Math.sin(seconds * speed + phase));
+                child.material.opacity = wave ** 6;
+                child.material.rotation = seconds * 0.5 + phase;
+            }
         }
     }
 
@@ -359,36 +815,113 @@ export class GemTool {
 
     deactivate() {
         this.isActive = false;
+        this.endGesture();
+        this.pointers.clear();
+        this.select(null);
 
         if (this.previewGem) {
             this.previewGem.visible = false;
         }
     }
 
+    // =========================================
+    // Per-nail Gems
+    // =========================================
+
+    getNailGems(hand, finger) {
+        return this.placedGems.filter(gem => gem.userData.hand === hand && gem.userData.finger === finger);
+    }
+
+    getNailMeshFor(gem) {
+        return this.nail.hands[gem.userData.hand]?.nails[gem.userData.finger]?.mesh || null;
+    }
+
     clearAll() {
-        this.placedGems.forEach(gem => {
-            this.scene.remove(gem);
-            gem.geometry.dispose();
-            gem.material.dispose();
-        });
-        this.placedGems = [];
+        [...this.placedGems].forEach(gem => this.removeGem(gem));
+    }
+
+    /**
+     * Remove every gem placed on one nail
+     */
+    clearNail(hand, finger) {
+        this.getNailGems(hand, finger).forEach(gem => this.removeGem(gem));
     }
 
     removeLastGem() {
-        if (this.placedGems.length > 0) {
-            const lastGem = this.placedGems.pop();
-            this.scene.remove(lastGem);
-            lastGem.geometry.dispose();
-            lastGem.material.dispose();
+        const lastGem = this.placedGems[this.placedGems.length - 1];
+        if (lastGem) {
+            this.removeGem(lastGem);
+        }
+    }
+
+    /**
+     * Capture the gems on a nail as surface anchors
+     * @returns {Array<Object>} { gemId, u, v, normal, rotation, scale },
+     *   plus { stone, setting, metal } for cut gems
+     */
+    captureNail(hand, finger) {
+        return this.captureGems(this.getNailGems(hand, finger));
+    }
+
+    captureGems(gems) {
+        return gems.map(({ userData }) => ({
+            gemId: userData.gemId,
+            u: userData.u,
+            v: userData.v,
+            normal: [...userData.normal],
+            rotation: userData.rotation,
+            scale: userData.scale,
+            ...('stone' in userData && {
+                stone: userData.stone,
+                setting: userData.setting,
+                metal: userData.metal,
+            }),
+        }));
+    }
+
+    /**
+     * Place gems on a nail from captureNail() output.
+     * Older saves stored nail-local transforms; those are snapped to the
+     * closest surface point to recover an anchor.
+     */
+    restoreNail(hand, finger, gems) {
+        const nailMesh = this.nail.hands[hand]?.nails[finger]?.mesh;
+        if (!nailMesh || !gems) return;
+
+        for (const saved of gems) {
+            const anchor = Number.isFinite(saved.u) ? saved : this.anchorFromTransform(nailMesh, saved);
+            if (anchor) {
+                this.addGem(hand, finger, anchor);
+            }
         }
     }
 
+    anchorFromTransform(nailMesh, saved) {
+        if (!saved.position) return null;
+
+        const surface = findSurfaceAnchor(nailMesh.geometry, new THREE.Vector3().fromArray(saved.position));
+        if (!surface) return null;
+
+        return {
+            gemId: saved.gemId,
+            u: surface.uv.x,
+            v: surface.uv.y,
+            normal: surface.normal.toArray(),
+            rotation: 0,
+            scale: saved.scale ?? 1,
+            ...('stone' in saved && {
+                stone: saved.stone,
+                setting: saved.setting,
+                metal: saved.metal,
+            }),
+        };
+    }
+
     dispose() {
         this.clearAll();
         if (this.previewGem) {
             this.scene.remove(this.previewGem);
-            this.previewGem.geometry.dispose();
-            this.previewGem.material.dispose();
+            this.disposeGem(this.previewGem);
         }
     }
 }
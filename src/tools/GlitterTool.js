@@ -0,0 +1,620 @@
+/**
+ * GlitterTool.js
+ * Loose glitter sprayed onto the nail as real 3D flakes.
+ * Every flake is a tiny reflective instance (hex, star or holographic)
+ * lying on the nail surface with a slight random tilt, so flakes catch
+ * the scene lights at different angles as the camera orbits.
+ *
+ * Flakes are anchored by nail UV and normal like gems (see NailSurface.js)
+ * and drawn with one InstancedMesh per flake shape on each nail.
+ */
+import * as THREE from 'three';
+import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+import { findSurfaceFaces, getFacePoint } from '../utils/NailSurface.js';
+import { GEM_LAYER } from './GemTool.js';
+
+/**
+ * Flake shapes. Holographic flakes split the light into rainbows.
+ */
+export const FLAKE_SHAPES = [
+    { id: 'hex', name: 'Hex', icon: '⬢' },
+    { id: 'star', name: 'Star', icon: '✦' },
+    { id: 'holo', name: 'Holo', icon: '🌈' },
+];
+
+export const GLITTER_COLORS = [
+    { id: 'gold', color: '#FFD700', name: 'Gold' },
+    { id: 'silver', color: '#E8E8F0', name: 'Silver' },
+    { id: 'rose-gold', color: '#F4B6A6', name: 'Rose Gold' },
+    { id: 'pink', color: '#FF69B4', name: 'Pink' },
+    { id: 'red', color: '#FF2A4D', name: 'Red' },
+    { id: 'purple', color: '#B266FF', name: 'Purple' },
+    { id: 'blue', color: '#3FA9FF', name: 'Blue' },
+    { id: 'aqua', color: '#00F5D4', name: 'Aqua' },
+    { id: 'green', color: '#7CFC00', name: 'Green' },
+    { id: 'black', color: '#2A2A3A', name: 'Black' },
+];
+
+// Flake radius and height above the nail (world units) at size 1
+const FLAKE_RADIUS = 0.0007;
+const FLAKE_OFFSET = 0.0003;
+
+// Most a flake leans away from the nail normal (radians)
+const MAX_TILT = 0.35;
+
+// Flakes one nail can hold
+const MAX_FLAKES = 1500;
+
+// Spray: flakes per second at density 1, spread around the pointer (screen pixels)
+const SPRAY_RATE = 12;
+const SPRAY_RADIUS = 28;
+
+// Flakes in a full-nail coat at density 1
+const COAT_FLAKES = 60;
+
+// Density and size limits
+const MIN_DENSITY = 1;
+const MAX_DENSITY = 10;
+const MIN_SIZE = 0.5;
+const MAX_SIZE = 2.5;
+
+const SOUND_INTERVAL = 150;
+
+export class GlitterTool {
+    constructor(scene, camera, nail) {
+        this.scene = scene;
+        this.camera = camera;
+        this.nail = nail;
+        this.isActive = false;
+
+        // Mix for new flakes: shapes and colors are picked at random from these
+        this.shapes = ['hex'];
+        this.colors = [GLITTER_COLORS[0].color, GLITTER_COLORS[1].color];
+        this.density = 5;
+        this.size = 1;
+
+        // Flakes per nail (keyed by hand_finger):
+        // { u, v, normal, shape, color, size, tilt: [x, y], spin, face, bary }
+        this.flakes = new Map();
+        // Instanced meshes per nail: { shape: THREE.InstancedMesh }
+        this.meshes = new Map();
+
+        this.geometries = {
+            hex: new THREE.CircleGeometry(1, 6),
+            star: createStarGeometry(),
+            holo: new THREE.PlaneGeometry(1.5, 1.5),
+        };
+        this.materials = Object.fromEntries(FLAKE_SHAPES.map(shape => [shape.id, createFlakeMaterial(shape.id)]));
+
+        // Spray in progress: { pointerId, x, y, hand, finger, carry, added, lastTime }
+        this.spray = null;
+        this.historyStep = null;
+        this.lastSoundTime = 0;
+
+        // UI callbacks
+        this.onGestureChange = null; // (isSpraying) - e.g. pause camera controls
+
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        // Flakes share the gem layer, out of the way of nail raycasts
+        this.camera.layers.enable(GEM_LAYER);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (!canvas) {
+            setTimeout(() => this.setupEventListeners(), 100);
+            return;
+        }
+
+        this.domElement = canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+    }
+
+    updateMousePosition(event) {
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (!canvas) return;
+
+        const rect = canvas.getBoundingClientRect();
+        const clientX = event.touches ? event.touches[0].clientX : event.clientX;
+        const clientY = event.touches ? event.touches[0].clientY : event.clientY;
+
+        this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    }
+
+    getNailIntersection(nailMesh = this.nail.getNailMesh()) {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        if (!nailMesh) return null;
+
+        const intersects = this.raycaster.intersectObject(nailMesh, true);
+        return intersects.length > 0 && intersects[0].uv ? intersects[0] : null;
+    }
+
+    // =========================================
+    // Spraying
+    // =========================================
+
+    onPointerDown(event) {
+        if (!this.isActive || !event.isPrimary) return;
+
+        this.updateMousePosition(event);
+        if (!this.getNailIntersection()) return;
+
+        event.preventDefault();
+        this.endSpray();
+
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        this.spray = {
+            pointerId: event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            hand,
+            finger,
+            carry: 1, // First flake lands right away
+            added: 0,
+            lastTime: performance.now(),
+        };
+        this.historyStep = commandHistory.begin('Glitter', hand, finger);
+        this.domElement?.setPointerCapture?.(event.pointerId);
+        this.onGestureChange?.(true);
+
+        this.emitSpray(performance.now());
+    }
+
+    onPointerMove(event) {
+        if (this.spray?.pointerId !== event.pointerId) return;
+        this.spray.x = event.clientX;
+        this.spray.y = event.clientY;
+    }
+
+    onPointerUp(event) {
+        if (this.spray?.pointerId === event.pointerId) {
+            this.endSpray();
+        }
+    }
+
+    endSpray() {
+        if (!this.spray) return;
+
+        if (this.spray.added > 0) {
+            this.historyStep?.commit();
+        } else {
+            this.historyStep?.cancel();
+        }
+        this.historyStep = null;
+        this.spray = null;
+        this.onGestureChange?.(false);
+    }
+
+    /**
+     * Keep spraying while the pointer is held down
+     * @param {number} time - Milliseconds
+     */
+    update(time) {
+        if (this.spray) {
+            this.emitSpray(time);
+        }
+    }
+
+    emitSpray(time) {
+        const spray = this.spray;
+        const elapsed = Math.max(0, time - spray.lastTime) / 1000;
+        spray.lastTime = time;
+        spray.carry += elapsed * SPRAY_RATE * this.density;
+
+        const nailMesh = this.nail.hands[spray.hand]?.nails[spray.finger]?.mesh;
+        const rect = this.domElement?.getBoundingClientRect();
+        if (!nailMesh || !rect) return;
+
+        let added = 0;
+        while (spray.carry >= 1) {
+            spray.carry -= 1;
+
+            // Evenly spread radii crowd the middle of the spray, like a real can
+            const radius = SPRAY_RADIUS * Math.random();
+            const angle = Math.random() * Math.PI * 2;
+            this.mouse.x = ((spray.x + Math.cos(angle) * radius - rect.left) / rect.width) * 2 - 1;
+            this.mouse.y = -((spray.y + Math.sin(angle) * radius - rect.top) / rect.height) * 2 + 1;
+
+            const hit = this.getNailIntersection(nailMesh);
+            if (hit && this.addFlake(spray.hand, spray.finger, this.createFlake(hit))) {
+                added++;
+            }
+        }
+
+        if (added > 0) {
+            spray.added += added;
+            this.renderNail(spray.hand, spray.finger);
+            this.playSpraySound();
+        }
+    }
+
+    /**
+     * Cover the whole side of the active nail facing the camera
+     * @returns {boolean} Whether any flakes landed
+     */
+    coatNail() {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        const nailMesh = this.nail.getNailMesh();
+        if (!nailMesh) return false;
+
+        const bounds = this.getScreenBounds(nailMesh);
+        const target = COAT_FLAKES * this.density;
+        let added = 0;
+
+        commandHistory.record('Glitter coat', hand, finger, () => {
+            // Throw flakes at the nail's screen rectangle; misses fall off the nail
+            for (let attempt = 0; attempt < target * 4 && added < target; attempt++) {
+                this.mouse.set(
+                    THREE.MathUtils.lerp(bounds.min.x, bounds.max.x, Math.random()),
+                    THREE.MathUtils.lerp(bounds.min.y, bounds.max.y, Math.random()),
+                );
+                const hit = this.getNailIntersection(nailMesh);
+                if (hit && this.addFlake(hand, finger, this.createFlake(hit))) {
+                    added++;
+                }
+            }
+            this.renderNail(hand, finger);
+        });
+
+        if (added > 0) {
+            soundManager.playSparkle();
+        }
+        return added > 0;
+    }
+
+    /**
+     * Nail bounding box on screen (normalized device coordinates)
+     */
+    getScreenBounds(nailMesh) {
+        const geometry = nailMesh.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const { min, max } = geometry.boundingBox;
+
+        nailMesh.updateWorldMatrix(true, false);
+        const bounds = new THREE.Box2();
+        const corner = new THREE.Vector3();
+        for (let i = 0; i < 8; i++) {
+            corner.set(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z)
+                .applyMatrix4(nailMesh.matrixWorld)
+                .project(this.camera);
+            bounds.expandByPoint(new THREE.Vector2(corner.x, corner.y));
+        }
+        return bounds;
+    }
+
+    playSpraySound() {
+        const now = performance.now();
+        if (now - this.lastSoundTime < SOUND_INTERVAL) return;
+        this.lastSoundTime = now;
+        soundManager.playSparkle();
+    }
+
+    // =========================================
+    // Settings
+    // =========================================
+
+    /**
+     * Add or remove a flake shape from the mix (one always stays)
+     */
+    toggleShape(shapeId) {
+        if (!FLAKE_SHAPES.some(shape => shape.id === shapeId)) return;
+        this.shapes = toggleInMix(this.shapes, shapeId);
+    }
+
+    /**
+     * Add or remove a color from the mix (one always stays)
+     */
+    toggleColor(color) {
+        this.colors = toggleInMix(this.colors, color);
+    }
+
+    getShapes() {
+        return [...this.shapes];
+    }
+
+    getColors() {
+        return [...this.colors];
+    }
+
+    setDensity(density) {
+        this.density = THREE.MathUtils.clamp(density, MIN_DENSITY, MAX_DENSITY);
+    }
+
+    getDensity() {
+        return this.density;
+    }
+
+    setSize(size) {
+        this.size = THREE.MathUtils.clamp(size, MIN_SIZE, MAX_SIZE);
+    }
+
+    getSize() {
+        return this.size;
+    }
+
+    activate() {
+        this.isActive = true;
+    }
+
+    deactivate() {
+        this.isActive = false;
+        this.endSpray();
+    }
+
+    // =========================================
+    // Flakes
+    // =========================================
+
+    /**
+     * A new flake from the current mix where a ray hit the nail
+     */
+    createFlake(hit) {
+        const pick = (list) => list[Math.floor(Math.random() * list.length)];
+        const tilt = () => (Math.random() * 2 - 1) * MAX_TILT;
+
+        return {
+            u: hit.uv.x,
+            v: hit.uv.y,
+            normal: hit.face.normal.toArray(),
+            shape: pick(this.shapes),
+            color: pick(this.colors),
+            size: this.size * (0.8 + Math.random() * 0.4),
+            tilt: [tilt(), tilt()],
+            spin: Math.random() * Math.PI * 2,
+            face: hit.faceIndex,
+            bary: hit.barycoord.clone(),
+        };
+    }
+
+    /**
+     * @returns {boolean} False if the nail is full
+     */
+    addFlake(hand, finger, flake) {
+        const flakes = this.getNailFlakes(hand, finger);
+        if (flakes.length >= MAX_FLAKES) return false;
+        flakes.push(flake);
+        return true;
+    }
+
+    getNailFlakes(hand, finger) {
+        const key = `${hand}_${finger}`;
+        if (!this.flakes.has(key)) {
+            this.flakes.set(key, []);
+        }
+        return this.flakes.get(key);
+    }
+
+    hasFlakes(hand, finger) {
+        return this.getNailFlakes(hand, finger).length > 0;
+    }
+
+    /**
+     * Remove the glitter from the active nail
+     */
+    clearActiveNail() {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        if (!this.hasFlakes(hand, finger)) return false;
+
+        commandHistory.record('Clear glitter', hand, finger, () => this.clearNail(hand, finger));
+        soundManager.playClick();
+        return true;
+    }
+
+    clearNail(hand, finger) {
+        this.flakes.set(`${hand}_${finger}`, []);
+        this.renderNail(hand, finger);
+    }
+
+    clearAll() {
+        for (const key of this.flakes.keys()) {
+            const [hand, finger] = key.split('_');
+            this.clearNail(hand, finger);
+        }
+    }
+
+    /**
+     * Re-place every flake (e.g. after the nails were reshaped)
+     */
+    reseatAll() {
+        for (const key of this.flakes.keys()) {
+            const [hand, finger] = key.split('_');
+            this.renderNail(hand, finger);
+        }
+    }
+
+    // =========================================
+    // Rendering
+    // =========================================
+
+    /**
+     * Lay a nail's flakes out in its instanced meshes
+     */
+    renderNail(hand, finger) {
+        const nailMesh = this.nail.hands[hand]?.nails[finger]?.mesh;
+        if (!nailMesh) return;
+
+        const meshes = this.getNailMeshes(hand, finger, nailMesh);
+        const counts = Object.fromEntries(Object.keys(meshes).map(shape => [shape, 0]));
+
+        // Offset and size are in world units; undo the nail's own scale
+        nailMesh.updateWorldMatrix(true, false);
+        const worldScale = nailMesh.getWorldScale(new THREE.Vector3());
+        const meshScale = (worldScale.x + worldScale.y + worldScale.z) / 3 || 1;
+
+        const surface = { position: new THREE.Vector3(), normal: new THREE.Vector3() };
+        const up = new THREE.Vector3(0, 0, 1);
+        const quaternion = new THREE.Quaternion();
+        const lean = new THREE.Quaternion();
+        const euler = new THREE.Euler();
+        const scale = new THREE.Vector3();
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+
+        for (const flake of this.getNailFlakes(hand, finger)) {
+            const mesh = meshes[flake.shape];
+            if (!mesh) continue;
+
+            getFacePoint(nailMesh.geometry, flake.face, flake.bary, surface);
+            surface.position.addScaledVector(surface.normal, FLAKE_OFFSET / meshScale);
+
+            // Lie on the surface, lean a little and spin around the normal
+            quaternion.setFromUnitVectors(up, surface.normal)
+                .multiply(lean.setFromEuler(euler.set(flake.tilt[0], flake.tilt[1], flake.spin)));
+            scale.setScalar(FLAKE_RADIUS * flake.size / meshScale);
+
+            const index = counts[flake.shape]++;
+            mesh.setMatrixAt(index, matrix.compose(surface.position, quaternion, scale));
+            mesh.setColorAt(index, color.set(flake.color));
+        }
+
+        for (const [shape, mesh] of Object.entries(meshes)) {
+            mesh.count = counts[shape];
+            mesh.instanceMatrix.needsUpdate = true;
+            if (mesh.instanceColor) {
+                mesh.instanceColor.needsUpdate = true;
+            }
+        }
+    }
+
+    /**
+     * Instanced meshes for one nail, created on first use
+     */
+    getNailMeshes(hand, finger, nailMesh) {
+        const key = `${hand}_${finger}`;
+        let meshes = this.meshes.get(key);
+        if (!meshes) {
+            meshes = {};
+            for (const { id } of FLAKE_SHAPES) {
+                const mesh = new THREE.InstancedMesh(this.geometries[id], this.materials[id], MAX_FLAKES);
+                mesh.name = `${key}_glitter_${id}`;
+                mesh.count = 0;
+                mesh.frustumCulled = false; // Bounds would go stale as flakes are added
+                mesh.layers.set(GEM_LAYER);
+                nailMesh.add(mesh);
+                meshes[id] = mesh;
+            }
+            this.meshes.set(key, meshes);
+        }
+        return meshes;
+    }
+
+    // =========================================
+    // Persistence
+    // =========================================
+
+    /**
+     * Capture the flakes on a nail as surface anchors
+     * @returns {Array<Object>} { u, v, normal: [x,y,z], shape, color, size, tilt: [x,y], spin }
+     */
+    captureNail(hand, finger) {
+        const round = (value, digits) => Number(value.toFixed(digits));
+
+        return this.getNailFlakes(hand, finger).map(flake => ({
+            u: round(flake.u, 4),
+            v: round(flake.v, 4),
+            normal: flake.normal.map(value => round(value, 3)),
+            shape: flake.shape,
+            color: flake.color,
+            size: round(flake.size, 3),
+            tilt: flake.tilt.map(value => round(value, 3)),
+            spin: round(flake.spin, 3),
+        }));
+    }
+
+    /**
+     * Replace a nail's flakes with captureNail() output.
+     * Flakes whose UV is off this nail are dropped.
+     */
+    restoreNail(hand, finger, flakes) {
+        const nailMesh = this.nail.hands[hand]?.nails[finger]?.mesh;
+        if (!nailMesh) return;
+
+        const saved = (flakes || []).filter(flake => FLAKE_SHAPES.some(shape => shape.id === flake.shape));
+        const anchors = findSurfaceFaces(nailMesh.geometry, saved);
+
+        const restored = [];
+        saved.forEach((flake, i) => {
+            if (anchors[i] && restored.length < MAX_FLAKES) {
+                restored.push({
+                    ...flake,
+                    normal: [...flake.normal],
+                    tilt: [...flake.tilt],
+                    face: anchors[i].face,
+                    bary: anchors[i].bary,
+                });
+            }
+        });
+
+        this.flakes.set(`${hand}_${finger}`, restored);
+        this.renderNail(hand, finger);
+    }
+
+    dispose() {
+        this.endSpray();
+        for (const meshes of this.meshes.values()) {
+            Object.values(meshes).forEach(mesh => {
+                mesh.removeFromParent();
+                mesh.dispose();
+            });
+        }
+        this.meshes.clear();
+        this.flakes.clear();
+        Object.values(this.geometries).forEach(geometry => geometry.dispose());
+        Object.values(this.materials).forEach(material => material.dispose());
+    }
+}
+
+// =========================================
+// Helpers
+// =========================================
+
+function toggleInMix(list, item) {
+    if (!list.includes(item)) return [...list, item];
+    return list.length > 1 ? list.filter(entry => entry !== item) : list;
+}
+
+function createStarGeometry() {
+    const shape = new THREE.Shape();
+    for (let i = 0; i < 10; i++) {
+        const radius = i % 2 ? 0.45 : 1;
+        const angle = Math.PI / 2 + i * Math.PI / 5;
+        const x = Math.cos(angle) * radius;
+        const y = Math.sin(angle) * radius;
+        if (i === 0) shape.moveTo(x, y);
+        else shape.lineTo(x, y);
+    }
+    shape.closePath();
+    return new THREE.ShapeGeometry(shape);
+}
+
+/**
+ * Mirror-like flake material; instance colors tint it
+ */
+function createFlakeMaterial(shape) {
+    const material = new THREE.MeshPhysicalMaterial({
+        color: 0xffffff,
+        metalness: 0.85,
+        roughness: 0.18,
+        side: THREE.DoubleSide,
+    });
+
+    if (shape === 'holo') {
+        material.metalness = 0.6;
+        material.iridescence = 1;
+        material.iridescenceIOR = 1.8;
+        material.iridescenceThicknessRange = [200, 900];
+    }
+    return material;
+}
@@ -0,0 +1,198 @@
+/**
+ * MagnetTool.js
+ * The magnet for cat-eye polish. While the polish tool is out and the
+ * active nail has a cat-eye finish, a small bar magnet hovers over the
+ * nail; dragging it along the nail pulls the shimmering line after it
+ * (see HandModel.setMagnet and the cat-eye effect in NailPolishMaterial).
+ */
+import * as THREE from 'three';
+import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+
+// Magnet height above the nail, in nail lengths
+const HOVER_HEIGHT = 0.35;
+
+// Magnet bar length, in nail lengths
+const MAGNET_SIZE = 0.8;
+
+export class MagnetTool {
+    constructor(scene, camera, nail) {
+        this.scene = scene;
+        this.camera = camera;
+        this.nail = nail;
+        this.isActive = false;
+
+        // Magnet being dragged: { pointerId, hand, finger, start, historyStep }
+        this.drag = null;
+
+        // Called when a drag starts/ends (e.g. pause camera controls)
+        this.onGestureChange = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+        this.dragPlane = new THREE.Plane();
+        this.dragPoint = new THREE.Vector3();
+
+        this.createMagnet();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (!canvas) {
+            setTimeout(() => this.setupEventListeners(), 100);
+            return;
+        }
+
+        // Capture phase, so grabbing the magnet doesn't also paint or orbit
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e), { capture: true });
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e), { capture: true });
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e), { capture: true });
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e), { capture: true });
+    }
+
+    updateMousePosition(event) {
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (!canvas) return;
+
+        const rect = canvas.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+
+    /**
+     * Bar magnet: red north half, silver south half, lying across the nail
+     */
+    createMagnet() {
+        const half = new THREE.BoxGeometry(0.5, 0.22, 0.22);
+
+        const north = new THREE.Mesh(half, new THREE.MeshStandardMaterial({
+            color: 0xE53950,
+            roughness: 0.4,
+            metalness: 0.2,
+        }));
+        north.position.x = -0.25;
+
+        const south = new THREE.Mesh(half, new THREE.MeshStandardMaterial({
+            color: 0xC8C8D0,
+            roughness: 0.3,
+            metalness: 0.6,
+        }));
+        south.position.x = 0.25;
+
+        this.magnet = new THREE.Group();
+        this.magnet.name = 'cat_eye_magnet';
+        this.magnet.add(north, south);
+        this.magnet.visible = false;
+        this.scene.add(this.magnet);
+    }
+
+    activate() {
+        this.isActive = true;
+    }
+
+    deactivate() {
+        this.isActive = false;
+        this.endDrag();
+        this.magnet.visible = false;
+    }
+
+    /**
+     * Show the magnet over a cat-eye nail and keep it on the nail's line
+     * (call each frame)
+     */
+    update() {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        const nailData = this.nail.hands[hand]?.nails[finger];
+
+        this.magnet.visible = this.isActive && nailData?.finish === 'catEye';
+        if (!this.magnet.visible) return;
+
+        const line = this.nail.getMagnetLine(hand, finger);
+        if (line) {
+            this.placeMagnet(line);
+        }
+    }
+
+    placeMagnet(line) {
+        // Hover on the side of the nail facing the camera
+        const up = line.up.clone();
+        if (up.dot(this.dragPoint.subVectors(this.camera.position, line.point)) < 0) {
+            up.negate();
+        }
+
+        const depth = new THREE.Vector3().crossVectors(line.across, up);
+        this.magnet.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(line.across, up, depth));
+        this.magnet.position.copy(line.point).addScaledVector(up, line.length * HOVER_HEIGHT);
+        this.magnet.scale.setScalar(line.length * MAGNET_SIZE);
+
+        // Drag on a plane through the magnet, parallel to the nail
+        this.dragPlane.setFromNormalAndCoplanarPoint(up, this.magnet.position);
+    }
+
+    // =========================================
+    // Dragging
+    // =========================================
+
+    onPointerDown(event) {
+        if (!this.magnet.visible || !event.isPrimary || this.drag) return;
+
+        this.updateMousePosition(event);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        if (this.raycaster.intersectObject(this.magnet, true).length === 0) return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        event.target.setPointerCapture?.(event.pointerId);
+
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        this.drag = {
+            pointerId: event.pointerId,
+            hand,
+            finger,
+            start: this.nail.hands[hand].nails[finger].magnet,
+            historyStep: commandHistory.begin('Magnet', hand, finger),
+        };
+
+        soundManager.playClick();
+        this.onGestureChange?.(true);
+    }
+
+    onPointerMove(event) {
+        if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+        event.stopImmediatePropagation();
+
+        this.updateMousePosition(event);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        if (!this.raycaster.ray.intersectPlane(this.dragPlane, this.dragPoint)) return;
+
+        // How far along the nail the pointer is, cuticle (0) to tip (1)
+        const base = this.nail.getMagnetLine(this.drag.hand, this.drag.finger, 0);
+        if (!base) return;
+        const along = this.dragPoint.sub(base.point).dot(base.along) / base.length;
+
+        this.nail.setMagnet(along);
+    }
+
+    onPointerUp(event) {
+        if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+        event.stopImmediatePropagation();
+        this.endDrag();
+    }
+
+    endDrag() {
+        const drag = this.drag;
+        if (!drag) return;
+        this.drag = null;
+
+        const moved = this.nail.hands[drag.hand].nails[drag.finger].magnet !== drag.start;
+        if (moved) {
+            drag.historyStep?.commit();
+        } else {
+            drag.historyStep?.cancel();
+        }
+        this.onGestureChange?.(false);
+    }
+}
@@ -0,0 +1,353 @@
+/**
+ * MirrorTool.js
+ * Mirror mode - replays the pen strokes, stamps, stickers and gems on the
+ * active nail onto other nails, so a design can go on every finger or be
+ * mirrored onto the other hand. Also copies a nail's bling (stickers,
+ * gems and glitter) onto a set of nails.
+ *
+ * Designs are moved through nail space (see getNailLayout in NailShapes.js)
+ * rather than copied UV for UV, so they land in the same place on a nail
+ * whatever its UV layout. Flipping mirrors them across the nail's centre line.
+ */
+import * as THREE from 'three';
+import { FINGERS } from '../scene/HandModel.js';
+import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+import {
+    IDENTITY, applyTransform, multiplyTransforms, invertTransform, transformDeterminant,
+} from '../utils/UVTransform.js';
+
+export class MirrorTool {
+    constructor(nail, brushTool, stickerTool, gemTool, glitterTool, stampTool) {
+        this.nail = nail;
+        this.brushTool = brushTool;
+        this.stampTool = stampTool;
+        this.stickerTool = stickerTool;
+        this.gemTool = gemTool;
+        this.glitterTool = glitterTool;
+
+        // Live mode: new strokes, stickers and gems are replayed as they are made
+        this.enabled = false;
+        this.flip = false;
+
+        // Target nails (keyed by hand_finger), plus the matching finger on
+        // the other hand, which follows the active nail
+        this.targets = new Set();
+        this.oppositeHand = true;
+
+        // Called when the mode, flip or targets change
+        this.onChange = null;
+    }
+
+    // =========================================
+    // Settings
+    // =========================================
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.onChange?.();
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    setFlip(flip) {
+        this.flip = flip;
+        this.onChange?.();
+    }
+
+    isFlipped() {
+        return this.flip;
+    }
+
+    toggleTarget(hand, finger) {
+        const key = `${hand}_${finger}`;
+        if (!this.targets.delete(key)) {
+            this.targets.add(key);
+        }
+        this.onChange?.();
+    }
+
+    hasTarget(hand, finger) {
+        return this.targets.has(`${hand}_${finger}`);
+    }
+
+    setOppositeHand(enabled) {
+        this.oppositeHand = enabled;
+        this.onChange?.();
+    }
+
+    isOppositeHand() {
+        return this.oppositeHand;
+    }
+
+    /**
+     * Every chosen nail on both hands (or none)
+     */
+    selectAll(selected) {
+        this.targets.clear();
+        if (selected) {
+            for (const hand of ['left', 'right']) {
+                Object.values(FINGERS).forEach(finger => this.targets.add(`${hand}_${finger}`));
+            }
+        }
+        this.onChange?.();
+    }
+
+    /**
+     * Nails a design on the given nail is replayed onto (never the nail itself)
+     * @returns {Array<{hand: string, finger: string}>}
+     */
+    getTargets(hand, finger) {
+        const keys = new Set(this.targets);
+        if (this.oppositeHand) {
+            keys.add(`${hand === 'left' ? 'right' : 'left'}_${finger}`);
+        }
+        keys.delete(`${hand}_${finger}`);
+
+        return [...keys]
+            .map(key => {
+                const [targetHand, targetFinger] = key.split('_');
+                return { hand: targetHand, finger: targetFinger };
+            })
+            .filter(target => this.nail.hands[target.hand]?.nails[target.finger]);
+    }
+
+    // =========================================
+    // Live mirroring
+    // =========================================
+
+    /**
+     * Replay a stroke that was just drawn (live mode only)
+     */
+    mirrorStroke(hand, finger, stroke) {
+        if (!this.enabled) return;
+        this.replay(hand, finger, { strokes: [stroke] });
+    }
+
+    /**
+     * Replay a sticker that was just placed (live mode only)
+     */
+    mirrorSticker(hand, finger, sticker) {
+        if (!this.enabled) return;
+        this.replay(hand, finger, { stickers: [sticker] });
+    }
+
+    /**
+     * Replay a gem that was just placed (live mode only)
+     */
+    mirrorGem(hand, finger, gem) {
+        if (!this.enabled) return;
+        this.replay(hand, finger, { gems: this.gemTool.captureGems([gem]) });
+    }
+
+    /**
+     * Replay everything on a nail - strokes, stamps, stickers, gems and
+     * glitter as they are now - onto its targets
+     * @returns {number} How many nails were changed
+     */
+    mirrorNail(hand, finger) {
+        const count = this.replay(hand, finger, {
+            strokes: this.brushTool.captureNail(hand, finger),
+            stamps: this.stampTool.captureNail(hand, finger),
+            stickers: this.stickerTool.captureNail(hand, finger),
+            gems: this.gemTool.captureNail(hand, finger),
+            glitter: this.glitterTool.captureNail(hand, finger),
+        });
+        if (count > 0) {
+            soundManager.playSparkle();
+        }
+        return count;
+    }
+
+    /**
+     * Copy a nail's stickers, gems and glitter onto a set of nails
+     * (unflipped, whatever the mirror settings)
+     * @param {Array<{hand: string, finger: string}>} nails - May include the nail itself
+     * @returns {number} How many nails were changed
+     */
+    copyBling(hand, finger, nails) {
+        const count = this.replay(hand, finger, {
+            stickers: this.stickerTool.captureNail(hand, finger),
+            gems: this.gemTool.captureNail(hand, finger),
+            glitter: this.glitterTool.captureNail(hand, finger),
+        }, {
+            targets: nails.filter(target => target.hand !== hand || target.finger !== finger),
+            flip: false,
+            label: 'Copy Bling',
+        });
+        if (count > 0) {
+            soundManager.playSparkle();
+        }
+        return count;
+    }
+
+    /**
+     * Add designs from one nail to each of its targets, one undo step per nail
+     * @param {Object} designs - { strokes, stamps, stickers, gems, glitter } in captureNail() form
+     * @param {Object} [options] - { targets, flip, label }; mirror mode's by default
+     * @returns {number} How many nails were changed
+     */
+    replay(hand, finger, { strokes = [], stamps = [], stickers = [], gems = [], glitter = [] }, options = {}) {
+        if (strokes.length + stamps.length + stickers.length + gems.length + glitter.length === 0) return 0;
+
+        const { targets = this.getTargets(hand, finger), flip = this.flip, label = 'Mirror' } = options;
+        for (const target of targets) {
+            const mapping = this.createMapping(hand, finger, target.hand, target.finger, flip);
+            const mapped = this.mapDesigns({ strokes, stamps, stickers, gems, glitter }, mapping);
+
+            commandHistory.record(label, target.hand, target.finger, () => {
+                if (strokes.length > 0) {
+                    this.brushTool.restoreNail(target.hand, target.finger, [
+                        ...this.brushTool.captureNail(target.hand, target.finger),
+                        ...mapped.strokes,
+                    ]);
+                }
+                if (stamps.length > 0) {
+                    this.stampTool.restoreNail(target.hand, target.finger, [
+                        ...this.stampTool.captureNail(target.hand, target.finger),
+                        ...mapped.stamps,
+                    ]);
+                }
+                if (stickers.length > 0) {
+                    this.stickerTool.restoreNail(target.hand, target.finger, [
+                        ...this.stickerTool.captureNail(target.hand, target.finger),
+                        ...mapped.stickers,
+                    ]);
+                }
+                if (glitter.length > 0) {
+                    this.glitterTool.restoreNail(target.hand, target.finger, [
+                        ...this.glitterTool.captureNail(target.hand, target.finger),
+                        ...mapped.glitter,
+                    ]);
+                }
+                // Restoring gems adds to the ones already there
+                this.gemTool.restoreNail(target.hand, target.finger, mapped.gems);
+            });
+        }
+        return targets.length;
+    }
+
+    /**
+     * Move captured designs through a mapping (see createMapping)
+     * @param {Object} designs - { strokes, stamps, stickers, gems, glitter } in captureNail() form
+     * @returns {Object} The same lists, placed for the target nail
+     */
+    mapDesigns({ strokes = [], stamps = [], stickers = [], gems = [], glitter = [] }, mapping) {
+        return {
+            strokes: strokes.map(stroke => mapStroke(stroke, mapping)),
+            stamps: stamps.map(stamp => mapStamp(stamp, mapping)),
+            stickers: stickers.map(sticker => this.mapSticker(sticker, mapping)),
+            gems: gems.map(gem => mapGem(gem, mapping)),
+            glitter: glitter.map(flake => mapFlake(flake, mapping)),
+        };
+    }
+
+    mapSticker(sticker, mapping) {
+        const { u, v } = mapping.point(sticker.u, sticker.v);
+        return {
+            stickerId: sticker.stickerId,
+            u,
+            v,
+            scale: this.stickerTool.clampScale(sticker.scale * mapping.scale),
+            rotation: mapping.angle(sticker.rotation || 0),
+        };
+    }
+
+    // =========================================
+    // Mapping
+    // =========================================
+
+    /**
+     * How UVs on one nail map onto another: into the source nail's nail
+     * space, across its centre line if flipped, and out of the target's.
+     * Nails whose layout isn't known yet map UV for UV.
+     * @returns {{transform: number[], point: Function, angle: Function,
+     *   scale: number, mirrored: boolean, normal: Function}}
+     *   transform is UV to UV (see UVTransform.js)
+     */
+    createMapping(fromHand, fromFinger, toHand, toFinger, flipped = this.flip) {
+        const from = this.nail.getNailLayout(fromHand, fromFinger)?.transform;
+        const to = this.nail.getNailLayout(toHand, toFinger)?.transform;
+        const inverse = from && invertTransform(from);
+
+        let transform = IDENTITY;
+        if (inverse && to) {
+            const flip = flipped ? [-1, 0, 0, 1, 0, 0] : IDENTITY;
+            transform = multiplyTransforms(to, multiplyTransforms(flip, inverse));
+        }
+        const [a, b, c, d] = transform;
+
+        // Sizes follow the change in nail area on the canvas
+        const det = transformDeterminant(transform);
+
+        return {
+            transform,
+            point: (u, v) => applyTransform(transform, u, v),
+            angle: (rotation) => {
+                const du = Math.cos(rotation);
+                const dv = Math.sin(rotation);
+                return Math.atan2(b * du + d * dv, a * du + c * dv);
+            },
+            scale: Math.sqrt(Math.abs(det)) || 1,
+            mirrored: det < 0,
+            normal: (normal) => this.mapNormal(fromHand, fromFinger, toHand, toFinger, normal),
+        };
+    }
+
+    /**
+     * Carry a nail-local surface normal (which side of the nail a gem sits on)
+     * over to another nail through world space
+     */
+    mapNormal(fromHand, fromFinger, toHand, toFinger, normal) {
+        const from = this.nail.hands[fromHand]?.nails[fromFinger]?.mesh;
+        const to = this.nail.hands[toHand]?.nails[toFinger]?.mesh;
+        if (!from || !to) return [...normal];
+
+        from.updateWorldMatrix(true, false);
+        to.updateWorldMatrix(true, false);
+
+        const world = new THREE.Vector3().fromArray(normal)
+            .applyMatrix3(new THREE.Matrix3().getNormalMatrix(from.matrixWorld));
+        const toLocal = new THREE.Matrix4().copy(to.matrixWorld).invert();
+        return world.applyMatrix3(new THREE.Matrix3().getNormalMatrix(toLocal)).normalize().toArray();
+    }
+}
+
+function mapStroke(stroke, mapping) {
+    return {
+        ...stroke,
+        size: stroke.size * mapping.scale,
+        points: stroke.points.map(point => ({ ...point, ...mapping.point(point.u, point.v) })),
+    };
+}
+
+function mapStamp(stamp, mapping) {
+    return {
+        ...stamp,
+        ...mapping.point(stamp.u, stamp.v),
+        size: stamp.size * mapping.scale,
+        rotation: mapping.angle(stamp.rotation),
+        // A mirrored stamp is drawn flipped over its turned x axis
+        flipped: mapping.mirrored !== !!stamp.flipped,
+    };
+}
+
+function mapGem(gem, mapping) {
+    return {
+        ...gem,
+        ...mapping.point(gem.u, gem.v),
+        normal: mapping.normal(gem.normal),
+        // A mirrored gem twists the other way
+        rotation: mapping.mirrored ? -gem.rotation : gem.rotation,
+    };
+}
+
+function mapFlake(flake, mapping) {
+    return {
+        ...flake,
+        ...mapping.point(flake.u, flake.v),
+        normal: mapping.normal(flake.normal),
+    };
+}
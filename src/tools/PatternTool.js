@@ -0,0 +1,369 @@
+/**
+ * PatternTool.js
+ * Procedural polish patterns - french tips, ombré, chevrons, stripes,
+ * checkerboard, polka dots and half-moons - painted into the active
+ * polish layer of the active nail.
+ *
+ * Patterns are drawn in nail space (see getNailLayout in NailShapes.js):
+ * x runs across the nail from -1 to 1 and y along it from the cuticle (0)
+ * to the tip (1), whatever the nail's UV layout or shape.
+ */
+import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+
+// Nail space drawn into, with room to spare around the nail
+const AREA = { x: -1.5, y: -0.5, width: 3, height: 2 };
+
+/**
+ * Pattern definitions.
+ * `colors` are the defaults (ombré can take a third), `proportion` (0-1)
+ * scales the pattern's main feature, named by `proportionLabel`.
+ */
+export const PATTERNS = {
+  french: {
+    id: 'french',
+    name: 'French',
+    icon: '🤍',
+    colors: ['#ffffff'],
+    proportion: 0.4,
+    proportionLabel: 'Tip depth',
+    draw: drawFrench,
+  },
+  ombre: {
+    id: 'ombre',
+    name: 'Ombré',
+    icon: '🌅',
+    colors: ['#ff9ff3', '#9d4edd'],
+    maxColors: 3,
+    proportion: 0.6,
+    proportionLabel: 'Blend',
+    draw: drawOmbre,
+  },
+  chevron: {
+    id: 'chevron',
+    name: 'Chevron',
+    icon: '〰️',
+    colors: ['#ffd700', '#2d1f3d'],
+    proportion: 0.4,
+    proportionLabel: 'Stripe width',
+    draw: drawChevron,
+  },
+  stripes: {
+    id: 'stripes',
+    name: 'Stripes',
+    icon: '🦓',
+    colors: ['#ffffff', '#ff2a6d'],
+    proportion: 0.4,
+    proportionLabel: 'Stripe width',
+    draw: drawStripes,
+  },
+  checkerboard: {
+    id: 'checkerboard',
+    name: 'Checks',
+    icon: '🏁',
+    colors: ['#000000', '#ffffff'],
+    proportion: 0.4,
+    proportionLabel: 'Square size',
+    draw: drawCheckerboard,
+  },
+  dots: {
+    id: 'dots',
+    name: 'Polka Dots',
+    icon: '🔴',
+    colors: ['#ffffff', '#ff6b9d'],
+    proportion: 0.4,
+    proportionLabel: 'Dot size',
+    draw: drawDots,
+  },
+  halfMoon: {
+    id: 'halfMoon',
+    name: 'Half Moon',
+    icon: '🌙',
+    colors: ['#ffd700', '#9d4edd'],
+    proportion: 0.4,
+    proportionLabel: 'Moon size',
+    draw: drawHalfMoon,
+  },
+};
+
+export class PatternTool {
+  constructor(nail, polishTool) {
+    this.nail = nail;  // HandModel reference
+    this.polishTool = polishTool;  // Owns the polish layer canvases
+
+    this.selectedPattern = PATTERNS.french.id;
+
+    // Colors and proportion per pattern, starting from the defaults
+    this.settings = {};
+    for (const pattern of Object.values(PATTERNS)) {
+      this.settings[pattern.id] = { colors: [...pattern.colors], proportion: pattern.proportion };
+    }
+  }
+
+  selectPattern(patternId) {
+    if (PATTERNS[patternId]) {
+      this.selectedPattern = patternId;
+    }
+  }
+
+  getSelectedPattern() {
+    return PATTERNS[this.selectedPattern];
+  }
+
+  /**
+   * Colors and proportion for a pattern (defaults to the selected one)
+   * @returns {{colors: string[], proportion: number}}
+   */
+  getSettings(patternId = this.selectedPattern) {
+    return this.settings[patternId];
+  }
+
+  setColor(index, color, patternId = this.selectedPattern) {
+    const settings = this.settings[patternId];
+    if (settings && index < settings.colors.length) {
+      settings.colors[index] = color;
+    }
+  }
+
+  setProportion(proportion, patternId = this.selectedPattern) {
+    const settings = this.settings[patternId];
+    if (settings) {
+      settings.proportion = Math.min(1, Math.max(0, proportion));
+    }
+  }
+
+  /**
+   * Use more or fewer colors, for patterns that allow it (ombré)
+   */
+  setColorCount(count, patternId = this.selectedPattern) {
+    const pattern = PATTERNS[patternId];
+    const settings = this.settings[patternId];
+    if (!pattern || !settings) return;
+
+    const max = pattern.maxColors || pattern.colors.length;
+    count = Math.min(max, Math.max(pattern.colors.length, count));
+
+    while (settings.colors.length < count) {
+      settings.colors.splice(settings.colors.length - 1, 0, '#ffffff');
+    }
+    settings.colors.length = count;
+  }
+
+  /**
+   * Paint the selected pattern into the active nail's active polish layer
+   * @returns {boolean} Whether anything was painted
+   */
+  apply() {
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+    if (!this.paint(hand, finger, this.polishTool.getPolishState(hand, finger).activeLayer)) return false;
+
+    this.polishTool.notifyCoverageChange();
+    soundManager.playPolish();
+    return true;
+  }
+
+  /**
+   * Paint the selected pattern on each of a set of nails, into the
+   * counterpart of the active nail's active layer (the layer with the
+   * same id, or the nail's own active layer)
+   * @param {Array<{hand: string, finger: string}>} nails
+   * @returns {number} How many nails were painted
+   */
+  applyToNails(nails) {
+    const layerType = this.polishTool.getActivePolishState().activeLayer;
+    const count = nails.filter(({ hand, finger }) => {
+      const state = this.polishTool.getPolishState(hand, finger);
+      return this.paint(hand, finger, state.layers[layerType] ? layerType : state.activeLayer);
+    }).length;
+
+    if (count > 0) {
+      this.polishTool.notifyCoverageChange();
+      soundManager.playPolish();
+    }
+    return count;
+  }
+
+  /**
+   * Paint the selected pattern into one layer of a nail (one undo step)
+   * @returns {boolean} Whether anything was painted
+   */
+  paint(hand, finger, layerType) {
+    const pattern = this.getSelectedPattern();
+    const { colors, proportion } = this.getSettings();
+
+    const layout = this.nail.getNailLayout(hand, finger);
+    if (!layout) return false;
+
+    const state = this.polishTool.getPolishState(hand, finger);
+    const layer = state.layers[layerType];
+    const layerData = this.polishTool.getLayerCanvases(hand, finger)[layerType];
+    if (!layer || !layerData) return false;
+
+    const historyStep = commandHistory.begin('Pattern', hand, finger);
+
+    if (!layer.applied) {
+      layer.startApplying(layer.isColored() ? colors[0] : null);
+    }
+
+    // Nail space -> canvas pixels
+    const dim = layerData.canvas.width;
+    const ctx = layerData.ctx;
+    ctx.save();
+    ctx.setTransform(...layout.transform.map(value => value * dim));
+    pattern.draw(ctx, colors, proportion, layout);
+    ctx.restore();
+
+    layer.coverage.addFromCanvas(layerData.canvas);
+    layer.startDrying();
+    layerData.texture.needsUpdate = true;
+
+    this.polishTool.compositeLayers(hand, finger);
+    historyStep?.commit();
+    return true;
+  }
+}
+
+// =========================================
+// Pattern Drawing (nail space, see header)
+// =========================================
+
+function fillArea(ctx, color) {
+  ctx.fillStyle = color;
+  ctx.fillRect(AREA.x, AREA.y, AREA.width, AREA.height);
+}
+
+/**
+ * Tip color past a curved smile line
+ */
+function drawFrench(ctx, [tip], proportion, layout) {
+  // Just past where the nail leaves the finger, deeper with the proportion
+  const line = Math.min(0.95, layout.freeEdge + 0.1) - proportion * 0.3;
+  const smile = 0.12 + proportion * 0.06;  // How far the sides sweep back toward the cuticle
+
+  // Quadratic through (±1.2, line - smile * 1.44) and (0, line)
+  const side = line - smile * 1.44;
+  ctx.beginPath();
+  ctx.moveTo(AREA.x, AREA.y + AREA.height);
+  ctx.lineTo(AREA.x, side);
+  ctx.lineTo(-1.2, side);
+  ctx.quadraticCurveTo(0, line + smile * 1.44, 1.2, side);
+  ctx.lineTo(AREA.x + AREA.width, side);
+  ctx.lineTo(AREA.x + AREA.width, AREA.y + AREA.height);
+  ctx.closePath();
+
+  ctx.fillStyle = tip;
+  ctx.fill();
+}
+
+/**
+ * Colors blending from cuticle to tip; proportion is how soft the blends are
+ */
+function drawOmbre(ctx, colors, proportion) {
+  const gradient = ctx.createLinearGradient(0, 0, 0, 1);
+  const band = 1 / colors.length;
+  const blend = proportion * band / 2;
+
+  colors.forEach((color, i) => {
+    gradient.addColorStop(i === 0 ? 0 : i * band + blend, color);
+    gradient.addColorStop(i === colors.length - 1 ? 1 : (i + 1) * band - blend, color);
+  });
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(AREA.x, AREA.y, AREA.width, AREA.height);
+}
+
+/**
+ * V stripes pointing to the tip
+ */
+function drawChevron(ctx, [stripe, background], proportion, layout) {
+  fillArea(ctx, background);
+
+  const spacing = 0.22;
+  const thickness = spacing * (0.15 + proportion * 0.45);
+  const drop = 1.5 * layout.aspect;  // 45° arms in real nail proportions
+
+  ctx.fillStyle = stripe;
+  for (let y = 0.05; y < 1.3 + drop; y += spacing) {
+    ctx.beginPath();
+    ctx.moveTo(AREA.x, y - drop);
+    ctx.lineTo(0, y);
+    ctx.lineTo(-AREA.x, y - drop);
+    ctx.lineTo(-AREA.x, y - drop + thickness);
+    ctx.lineTo(0, y + thickness);
+    ctx.lineTo(AREA.x, y - drop + thickness);
+    ctx.closePath();
+    ctx.fill();
+  }
+}
+
+/**
+ * Stripes running along the nail
+ */
+function drawStripes(ctx, [stripe, background], proportion) {
+  fillArea(ctx, background);
+
+  const spacing = 0.4;
+  const width = spacing * (0.15 + proportion * 0.5);
+
+  ctx.fillStyle = stripe;
+  for (let x = -1.4; x < 1.5; x += spacing) {
+    ctx.fillRect(x - width / 2, AREA.y, width, AREA.height);
+  }
+}
+
+function drawCheckerboard(ctx, [color, background], proportion, layout) {
+  fillArea(ctx, background);
+
+  // Square on the nail, so shorter along y in nail space
+  const cellX = 0.2 + proportion * 0.4;
+  const cellY = cellX * layout.aspect;
+  const columns = Math.ceil(1.5 / cellX);
+  const rows = Math.ceil(1.5 / cellY);
+
+  ctx.fillStyle = color;
+  for (let row = -1; row < rows; row++) {
+    for (let col = -columns; col < columns; col++) {
+      if (Math.abs(row + col) % 2 === 0) {
+        ctx.fillRect(col * cellX, row * cellY, cellX, cellY);
+      }
+    }
+  }
+}
+
+function drawDots(ctx, [dot, background], proportion, layout) {
+  fillArea(ctx, background);
+
+  const spacing = 0.55;
+  const radius = spacing * (0.1 + proportion * 0.3);
+  const rowSpacing = spacing * layout.aspect * 0.87;  // Staggered rows pack evenly
+
+  ctx.fillStyle = dot;
+  let row = 0;
+  for (let y = 0.1; y < 1.3; y += rowSpacing, row++) {
+    const offset = row % 2 ? spacing / 2 : 0;
+    for (let x = -1.5 + offset; x < 1.5; x += spacing) {
+      ctx.beginPath();
+      ctx.ellipse(x, y, radius, radius * layout.aspect, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+/**
+ * Base color with a contrasting moon at the cuticle
+ */
+function drawHalfMoon(ctx, [moon, base], proportion) {
+  fillArea(ctx, base);
+
+  const height = 0.12 + proportion * 0.25;
+  ctx.fillStyle = moon;
+  ctx.beginPath();
+  ctx.ellipse(0, 0, 0.9, height, 0, 0, Math.PI);
+  ctx.lineTo(AREA.x, 0);
+  ctx.lineTo(AREA.x, AREA.y);
+  ctx.lineTo(-AREA.x, AREA.y);
+  ctx.lineTo(-AREA.x, 0);
+  ctx.closePath();
+  ctx.fill();
+}
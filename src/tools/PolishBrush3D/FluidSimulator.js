@@ -304,8 +304,9 @@ export class FluidSimulator {
 
   /**
    * Add paint splat at UV position with velocity
+   * @param {number} [opacity] - How much the paint covers what's under it (0-1)
    */
-  splat(u, v, velocityX, velocityY, color) {
+  splat(u, v, velocityX, velocityY, color, opacity = 1) {
     const point = new THREE.Vector2(u, v);
 
     // Parse color to RGB values (0-1 range)
@@ -355,7 +356,7 @@ export class FluidSimulator {
         uPoint: { value: point },
         uColor: { value: colorVec },
         uRadius: { value: this.config.splatRadius },
-        uStrength: { value: this.config.splatStrength }
+        uStrength: { value: this.config.splatStrength * opacity }
       }
     });
     this.renderPass(tempSplatMat, this.paint.write);
@@ -465,6 +466,24 @@ export class FluidSimulator {
     ctx.putImageData(imageData, 0, 0);
   }
 
+  /**
+   * Load existing paint from a 2D canvas into the simulation
+   * (inverse of copyToCanvas, so saved nails keep their polish)
+   */
+  loadFromCanvas(canvas) {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = false;
+
+    this.clear();
+
+    const copy = this.materials.copy;
+    copy.uniforms.uSource.value = texture;
+    this.renderPass(copy, this.paint.write);
+    this.paint.swap();
+
+    texture.dispose();
+  }
+
   /**
    * Clear the simulation
    */
@@ -1,7 +1,9 @@
 /**
  * PolishBrush3D.js
  * Main controller for 3D nail polish brush with bristle physics
- * Coordinates bristle system, input handling, and fluid paint simulation
+ * Coordinates bristle system, input handling, and fluid paint simulation.
+ * Paints into the active polish layer of the active nail (see PolishTool),
+ * so the layer stack stays the one record of the nail's polish.
  */
 import * as THREE from 'three';
 import { BristleSystem } from './BristleSystem.js';
@@ -11,12 +13,14 @@ import { BrushEffects } from './BrushEffects.js';
 import { WetPaintOverlay } from './WetPaintMaterial.js';
 import { FluidSimulator } from './FluidSimulator.js';
 import { soundManager } from '../../audio/SoundManager.js';
+import { commandHistory } from '../../state/CommandHistory.js';
 
 export class PolishBrush3D {
-  constructor(scene, camera, handModel, renderer = null) {
+  constructor(scene, camera, handModel, polishTool, renderer = null) {
     this.scene = scene;
     this.camera = camera;
     this.handModel = handModel;
+    this.polishTool = polishTool; // Owns the layer canvases painted into
     this.renderer = renderer;
 
     this.isActive = false;
@@ -46,13 +50,19 @@ export class PolishBrush3D {
     // Track UV position for velocity calculation
     this.lastUV = null;
 
+    // Undo history step for the stroke in progress
+    this.historyStep = null;
+
+    // Nail, layer canvas and paint of the stroke in progress
+    this.stroke = null;
+
     // Shared raycaster
     this.raycaster = new THREE.Raycaster();
 
     // UI callbacks
-    this.onCoverageChange = null;
     this.onPaintStart = null;
     this.onPaintEnd = null;
+    this.onSlip = null; // (raycaster, color) - stroke ran off the nail; true if it marked the skin
 
     // Sound throttling
     this.lastSoundTime = 0;
@@ -140,7 +150,9 @@ export class PolishBrush3D {
     if (!this.isActive) return;
 
     this.isActive = false;
-    this.isPainting = false;
+    if (this.isPainting) {
+      this.endStroke();
+    }
 
     // Detach input
     if (this.inputHandler) {
@@ -183,16 +195,6 @@ export class PolishBrush3D {
     return this.handModel?.getNailMesh?.();
   }
 
-  /**
-   * Get the active nail's canvas context
-   */
-  getNailCanvas() {
-    const hand = this.handModel.getCurrentHand();
-    const finger = this.handModel.getActiveNail();
-    const nail = this.handModel.hands[hand]?.nails[finger];
-    return nail ? { canvas: nail.canvas, ctx: nail.ctx, texture: nail.texture } : null;
-  }
-
   /**
    * Main update loop - call this from animation frame
    * @param {number} time - Current time in ms
@@ -228,22 +230,23 @@ export class PolishBrush3D {
         this.isPainting = this.inputHandler.isPainting();
 
         if (this.isPainting && !wasPainting) {
-          // Started painting
-          this.lastUV = null;  // Reset UV tracking for new stroke
-          this.paintApplicator.resetStroke();
-          this.onPaintStart?.();
+          this.startStroke();
         } else if (!this.isPainting && wasPainting) {
-          // Stopped painting
-          this.lastUV = null;
-          this.paintApplicator.resetStroke();
-          this.onPaintEnd?.();
+          this.endStroke();
         }
 
-        // Add paint to fluid simulation
-        if (this.isPainting && this.fluidSim && this.useFluidSim) {
-          const uv = transform.uv;
+        const uv = transform.uv;
+        if (this.isPainting && this.stroke && uv) {
+          const { hand, finger, color, opacity } = this.stroke;
+
+          // Smears wet polish below and records the coverage; a thin coat
+          // goes on patchy and evens out as coats build up
+          this.stroke.film = this.polishTool.continueBrushStroke(
+            hand, finger, this.lastUV, uv, this.getPaintRadius()
+          );
 
-          if (uv) {
+          // Add paint to fluid simulation
+          if (this.fluidSim && this.useFluidSim) {
             // Calculate velocity from UV movement
             let velX = 0, velY = 0;
             if (this.lastUV) {
@@ -252,20 +255,22 @@ export class PolishBrush3D {
             }
 
             // Add splat at current UV position
-            this.fluidSim.splat(uv.x, uv.y, velX, velY, this.color);
-            this.lastUV = uv.clone();
+            this.fluidSim.splat(uv.x, uv.y, velX, velY, color, opacity * this.stroke.film);
           }
+          this.lastUV = uv.clone();
         }
       } else {
         // Not over nail - just show brush, no painting
         this.bristleSystem.pressure = 0;
         this.bristleSystem.isContacting = false;
 
-        if (this.isPainting) {
+        if (this.isPainting && this.inputHandler.isPainting()
+          && this.onSlip?.(this.inputHandler.raycaster, this.color)) {
+          // Slipped off the edge onto the skin: the stroke (and its
+          // undo step) carries on until it comes back or lifts
           this.lastUV = null;
-          this.paintApplicator.resetStroke();
-          this.isPainting = false;
-          this.onPaintEnd?.();
+        } else if (this.isPainting) {
+          this.endStroke();
         }
       }
     }
@@ -277,27 +282,17 @@ export class PolishBrush3D {
     if (this.fluidSim && this.useFluidSim) {
       this.fluidSim.step(deltaTime);
 
-      // Copy fluid sim to canvas texture (slower but compatible)
-      const hand = this.handModel.getCurrentHand();
-      const finger = this.handModel.getActiveNail();
-      const nail = this.handModel.hands[hand]?.nails[finger];
-      if (nail && nail.canvas) {
-        this.fluidSim.copyToCanvas(nail.canvas);
-        nail.texture.needsUpdate = true;
+      // Only a stroke changes the layer; other tools edit it in between
+      if (this.isPainting) {
+        this.copyToLayer();
       }
-    } else if (this.isPainting && contacts.length > 0) {
+    } else if (this.isPainting && this.stroke && contacts.length > 0) {
       // Fallback to traditional painting if fluid sim is disabled
-      const nailCanvas = this.getNailCanvas();
-      if (nailCanvas) {
-        const painted = this.paintApplicator.paint(
-          nailCanvas.ctx,
-          contacts,
-          this.color,
-          1.0
-        );
-        if (painted) {
-          nailCanvas.texture.needsUpdate = true;
-        }
+      const { hand, finger, layerData, color, opacity, film } = this.stroke;
+      const painted = this.paintApplicator.paint(layerData.ctx, contacts, color, opacity * film);
+      if (painted) {
+        layerData.texture.needsUpdate = true;
+        this.polishTool.compositeLayers(hand, finger);
       }
     }
 
@@ -309,36 +304,87 @@ export class PolishBrush3D {
   }
 
   /**
-   * Play paint sound with throttling
+   * Start a stroke on the active nail's active layer, as one undo step
    */
-  playPaintSound() {
-    const now = performance.now();
-    if (now - this.lastSoundTime < this.soundInterval) return;
-    this.lastSoundTime = now;
+  startStroke() {
+    const hand = this.handModel.getCurrentHand();
+    const finger = this.handModel.getActiveNail();
 
-    // Use existing polish sound or fallback
-    soundManager.playPolish?.() || soundManager.playDrawSolid?.();
+    this.lastUV = null;  // Reset UV tracking for new stroke
+    this.paintApplicator.resetStroke();
+    this.historyStep = commandHistory.begin('Polish', hand, finger);
+
+    const paint = this.polishTool.beginBrushStroke(hand, finger, this.color);
+    this.stroke = paint && { hand, finger, ...paint, film: 0 };
+
+    // The layer may have changed since the last stroke (fills, undo,
+    // another nail or layer), so start the simulation from it
+    if (this.stroke && this.fluidSim) {
+      this.fluidSim.loadFromCanvas(this.stroke.layerData.canvas);
+    }
+    this.onPaintStart?.();
   }
 
   /**
-   * Clear the current nail's canvas
+   * Finish the stroke in progress and record it in the undo history
    */
-  clearNail() {
-    const nailCanvas = this.getNailCanvas();
-    if (!nailCanvas) return;
+  endStroke() {
+    if (this.stroke && this.fluidSim && this.useFluidSim) {
+      this.copyToLayer();
+    }
+    if (this.stroke) {
+      this.polishTool.endBrushStroke(this.stroke.hand, this.stroke.finger);
+    }
 
-    const { ctx, texture, canvas } = nailCanvas;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    texture.needsUpdate = true;
+    this.isPainting = false;
+    this.lastUV = null;
+    this.paintApplicator.resetStroke();
+    this.stroke = null;
+    this.endHistoryStep();
+    this.onPaintEnd?.();
+  }
 
-    // Clear fluid simulation as well
-    if (this.fluidSim) {
-      this.fluidSim.clear();
+  /**
+   * Radius of the paint the brush lays down, in UV space
+   */
+  getPaintRadius() {
+    if (this.fluidSim && this.useFluidSim) {
+      // Where the simulation's Gaussian splat falls to half strength
+      return Math.sqrt(this.fluidSim.config.splatRadius * Math.LN2);
     }
+    return 35 / this.dim; // Half the applicator's stroke width
+  }
 
-    this.paintApplicator.resetStroke();
-    this.lastUV = null;
-    this.onCoverageChange?.(0);
+  /**
+   * Copy the simulation into the stroke's layer and redraw the nail
+   */
+  copyToLayer() {
+    if (!this.stroke) return;
+
+    const { hand, finger, layerData } = this.stroke;
+    this.fluidSim.copyToCanvas(layerData.canvas);
+    layerData.texture.needsUpdate = true;
+    this.polishTool.compositeLayers(hand, finger);
+  }
+
+  /**
+   * Record the finished stroke in the undo history
+   */
+  endHistoryStep() {
+    this.historyStep?.commit();
+    this.historyStep = null;
+  }
+
+  /**
+   * Play paint sound with throttling
+   */
+  playPaintSound() {
+    const now = performance.now();
+    if (now - this.lastSoundTime < this.soundInterval) return;
+    this.lastSoundTime = now;
+
+    // Use existing polish sound or fallback
+    soundManager.playPolish?.() || soundManager.playDrawSolid?.();
   }
 
   /**
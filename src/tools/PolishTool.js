@@ -1,11 +1,22 @@
 /**
  * PolishTool.js
  * Realistic nail polish painting tool with layer support.
- * Allows painting base coat, color coats (1-2), and top coat.
+ * Allows painting base coat, color coats, art layers and top coat, and
+ * editing each nail's layer stack (see PolishLayerState).
  */
 import * as THREE from 'three';
 import { soundManager } from '../audio/SoundManager.js';
-import { PolishLayerState, POLISH_LAYERS, LAYER_ORDER } from '../state/PolishLayerState.js';
+import { PolishLayerState, LAYER_ORDER, LAYER_KINDS } from '../state/PolishLayerState.js';
+import { canvasToBlob } from '../utils/Storage.js';
+import { CanvasSnapshot } from '../utils/CanvasSnapshot.js';
+import { THICKNESS } from '../utils/CoverageMap.js';
+import { commandHistory } from '../state/CommandHistory.js';
+import { toPixelTransform } from '../utils/UVTransform.js';
+import { applyFinish, getFinish } from '../scene/NailPolishMaterial.js';
+
+// How strongly wet polish is dragged along by a brush or pushed aside by
+// a sticker (times the wetness)
+const SMEAR_STRENGTH = 0.5;
 
 // Polish brush configuration
 const BRUSH_CONFIG = {
@@ -38,6 +49,9 @@ export class PolishTool {
     this.lastPaintPos = null;
     this.lastUV = null;
 
+    // Undo history step for the stroke in progress
+    this.historyStep = null;
+
     // Polish state per nail (keyed by hand_finger)
     this.polishStates = new Map();
 
@@ -48,6 +62,7 @@ export class PolishTool {
     this.onCoverageChange = null;
     this.onLayerChange = null;
     this.onDryStateChange = null;
+    this.onSlip = null; // (raycaster, color) - a stroke ran off the nail
 
     this.setupEventListeners();
   }
@@ -73,26 +88,45 @@ export class PolishTool {
   }
 
   /**
-   * Get or create layer canvases for a nail
+   * Get or create layer canvases for a nail, one per layer in its stack
    */
   getLayerCanvases(hand, finger) {
     const key = `${hand}_${finger}`;
     if (!this.layerCanvases.has(key)) {
-      const layers = {};
-      for (const layerType of LAYER_ORDER) {
-        const canvas = document.createElement('canvas');
-        canvas.width = this.dim;
-        canvas.height = this.dim;
-        layers[layerType] = {
-          canvas,
-          ctx: canvas.getContext('2d', { willReadFrequently: true }),
-          texture: new THREE.CanvasTexture(canvas),
-        };
-        layers[layerType].texture.flipY = false;
+      this.layerCanvases.set(key, {});
+    }
+    const layers = this.layerCanvases.get(key);
+
+    // Follow the nail's layer stack (layers get added and removed)
+    const layerTypes = this.polishStates.get(key)?.order || LAYER_ORDER;
+    for (const layerType of layerTypes) {
+      if (!layers[layerType]) {
+        layers[layerType] = this.createLayerCanvas();
       }
-      this.layerCanvases.set(key, layers);
     }
-    return this.layerCanvases.get(key);
+    for (const [layerType, layerData] of Object.entries(layers)) {
+      if (!layerTypes.includes(layerType)) {
+        layerData.texture.dispose();
+        delete layers[layerType];
+      }
+    }
+    return layers;
+  }
+
+  /**
+   * Create a blank canvas for one polish layer
+   */
+  createLayerCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.dim;
+    canvas.height = this.dim;
+    const layerData = {
+      canvas,
+      ctx: canvas.getContext('2d', { willReadFrequently: true }),
+      texture: new THREE.CanvasTexture(canvas),
+    };
+    layerData.texture.flipY = false;
+    return layerData;
   }
 
   /**
@@ -166,14 +200,17 @@ export class PolishTool {
       const state = this.getActivePolishState();
       const layer = state.getActiveLayer();
 
-      // Save undo state before painting
-      this.saveUndoState();
+      // Record the stroke for undo
+      this.historyStep = commandHistory.begin('Polish', this.nail.getCurrentHand(), this.nail.getActiveNail());
 
       // Start applying if not already
       if (!layer.applied) {
-        const color = this.isColorLayer(state.activeLayer) ? this.color : null;
+        const color = layer.isColored() ? this.color : null;
         layer.startApplying(color);
+      } else {
+        layer.addWetPass();
       }
+      layer.coverage.beginPass();
 
       this.lastUV = uv.clone();
       this.lastPaintPos = { x: uv.x * this.dim, y: uv.y * this.dim };
@@ -206,6 +243,12 @@ export class PolishTool {
     } else {
       this.lastUV = null;
       this.lastPaintPos = null;
+
+      // A colored stroke that slips off the nail marks the skin
+      const layer = this.historyStep && this.getActivePolishState().getActiveLayer();
+      if (layer?.isColored()) {
+        this.onSlip?.(this.raycaster, layer.color || this.color);
+      }
     }
   }
 
@@ -223,6 +266,9 @@ export class PolishTool {
       this.notifyCoverageChange();
     }
 
+    this.historyStep?.commit();
+    this.historyStep = null;
+
     this.isPainting = false;
     this.lastPaintPos = null;
     this.lastUV = null;
@@ -252,14 +298,18 @@ export class PolishTool {
 
     // Determine color
     let strokeColor;
-    if (this.isColorLayer(state.activeLayer)) {
+    if (layer.isColored()) {
       strokeColor = layer.color || this.color;
-    } else if (state.activeLayer === POLISH_LAYERS.BASE_COAT) {
+    } else if (layer.kind === LAYER_KINDS.BASE) {
       strokeColor = 'rgba(255, 253, 250, 0.15)'; // Slight milky tint
     } else {
       strokeColor = 'rgba(255, 255, 255, 0.1)'; // Clear top coat
     }
 
+    // Wet polish underneath gets dragged along by the brush
+    const layers = this.getActiveLayerCanvases();
+    const wetBelow = state.getWetLayersBelow(state.activeLayer);
+
     // Interpolate points along the stroke for smooth coverage
     const steps = Math.max(1, Math.ceil(dist / 8));
 
@@ -268,11 +318,17 @@ export class PolishTool {
       const x = x1 + dx * t;
       const y = y1 + dy * t;
 
-      this.drawBrushDab(ctx, x, y, angle, strokeColor, state.activeLayer);
+      if (i > 0) {
+        for (const wetLayer of wetBelow) {
+          this.smearStroke(layers[wetLayer.type], x - dx / steps, y - dy / steps, x, y, wetLayer.getWetness());
+        }
+      }
 
-      // Update coverage map
+      // Update coverage map (the dab's look depends on the film under it)
       const u = x / this.dim;
       const v = y / this.dim;
+      const thickness = layer.coverage.getThicknessAt(u, v);
+      this.drawBrushDab(ctx, x, y, angle, strokeColor, state.activeLayer, thickness, layer.coverage);
       layer.coverage.addCoverage(u, v, BRUSH_CONFIG.width / this.dim, BRUSH_CONFIG.baseOpacity);
     }
 
@@ -284,16 +340,192 @@ export class PolishTool {
   }
 
   /**
-   * Draw a single brush dab (elongated ellipse with bristle texture)
+   * Drag a layer's paint from one point to the next under the brush
+   */
+  smearStroke(layerData, x1, y1, x2, y2, wetness) {
+    if (!layerData) return;
+
+    const r = BRUSH_CONFIG.width / 2;
+    const ctx = layerData.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x2, y2, r, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.globalAlpha = SMEAR_STRENGTH * wetness;
+    ctx.drawImage(layerData.canvas, x1 - r, y1 - r, r * 2, r * 2, x2 - r, y2 - r, r * 2, r * 2);
+    ctx.restore();
+    layerData.texture.needsUpdate = true;
+  }
+
+  /**
+   * Push wet polish aside around a point, as pressing something onto the
+   * nail does (e.g. a sticker placed before the polish is dry)
+   * @param {number} u - UV x of the center
+   * @param {number} v - UV y of the center
+   * @param {number} radius - UV radius of what was pressed on
+   * @returns {boolean} Whether any polish was wet enough to move
+   */
+  smearAt(hand, finger, u, v, radius) {
+    const key = `${hand}_${finger}`;
+    const state = this.polishStates.get(key);
+    if (!state?.isWet()) return false;
+
+    const layers = this.getLayerCanvases(hand, finger);
+    const cx = u * this.dim;
+    const cy = v * this.dim;
+    const r = radius * this.dim;
+    const spokes = 12;
+
+    for (const layer of state.getLayers()) {
+      const wetness = layer.getWetness();
+      const layerData = layers[layer.type];
+      if (!layer.visible || wetness === 0 || !layerData) continue;
+
+      // Copy the polish under the edge outward, then thin out the middle
+      for (let i = 0; i < spokes; i++) {
+        const angle = (i / spokes) * Math.PI * 2;
+        const ox = Math.cos(angle);
+        const oy = Math.sin(angle);
+        this.smearStroke(
+          layerData,
+          cx + ox * r * 0.6, cy + oy * r * 0.6,
+          cx + ox * r * 1.1, cy + oy * r * 1.1,
+          wetness
+        );
+      }
+
+      const ctx = layerData.ctx;
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-out';
+      const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+      gradient.addColorStop(0, `rgba(0, 0, 0, ${0.6 * wetness})`);
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+
+    if (hand === this.nail.getCurrentHand() && finger === this.nail.getActiveNail()) {
+      this.compositeLayers();
+    }
+    return true;
+  }
+
+  // =========================================
+  // 3D Brush
+  // =========================================
+
+  /**
+   * Start a stroke of the 3D polish brush (PolishBrush3D) on a nail's
+   * active layer, wetting it again if it was painted before. The brush
+   * paints straight into the layer's canvas and redraws the nail with
+   * compositeLayers().
+   * @param {string} color - Brush color, for color coats and art
+   * @returns {{layerData: Object, color: string, opacity: number}|null}
+   *   Canvas to paint into and the paint to lay down, or null if the
+   *   nail has no active layer canvas
+   */
+  beginBrushStroke(hand, finger, color) {
+    const state = this.getPolishState(hand, finger);
+    const layerData = this.getLayerCanvases(hand, finger)[state.activeLayer];
+    if (!layerData) return null;
+
+    const layer = state.getActiveLayer();
+    if (!layer.applied) {
+      layer.startApplying(layer.isColored() ? color : null);
+    } else {
+      layer.addWetPass();
+    }
+    layer.coverage.beginPass();
+
+    // Clear coats are a faint milky or clear film
+    if (layer.isColored()) {
+      return { layerData, color: layer.color || color, opacity: 1 };
+    }
+    return layer.kind === LAYER_KINDS.BASE
+      ? { layerData, color: '#fffdfa', opacity: 0.15 }
+      : { layerData, color: '#ffffff', opacity: 0.1 };
+  }
+
+  /**
+   * Move a 3D brush stroke on to a new UV. Wet polish on the layers under
+   * the active one is dragged along, and the polish laid down builds up
+   * the active layer's coverage map, with dabs as close together as the
+   * pointer brush's (about a coat per pass).
+   * @param {{x: number, y: number}|null} from - Last UV of the stroke,
+   *   or null where it starts
+   * @param {{x: number, y: number}} to
+   * @param {number} [radius] - Brush radius in UV space
+   * @returns {number} Opacity of the film under the brush (0-1) for color
+   *   coats, so the brush paints a thin coat patchy; 1 for clear coats
    */
-  drawBrushDab(ctx, x, y, angle, color, layerType) {
+  continueBrushStroke(hand, finger, from, to, radius = BRUSH_CONFIG.width / this.dim) {
+    const state = this.getPolishState(hand, finger);
+    const layer = state.getActiveLayer();
+    const wetBelow = state.getWetLayersBelow(state.activeLayer);
+    const layers = this.getLayerCanvases(hand, finger);
+
+    const start = from || to;
+    const du = to.x - start.x;
+    const dv = to.y - start.y;
+    const spacing = radius * 8 / BRUSH_CONFIG.width;
+    const steps = Math.ceil(Math.sqrt(du * du + dv * dv) / spacing);
+
+    for (let i = from ? 1 : 0; i <= steps; i++) {
+      const t = steps > 0 ? i / steps : 0;
+      const u = start.x + du * t;
+      const v = start.y + dv * t;
+
+      if (i > 0) {
+        const x = u * this.dim;
+        const y = v * this.dim;
+        for (const wetLayer of wetBelow) {
+          this.smearStroke(
+            layers[wetLayer.type],
+            x - du * this.dim / steps, y - dv * this.dim / steps, x, y,
+            wetLayer.getWetness()
+          );
+        }
+      }
+      layer.coverage.addCoverage(u, v, radius, BRUSH_CONFIG.baseOpacity);
+    }
+
+    return layer.isColored() ? layer.coverage.getCoverageAt(to.x, to.y) : 1;
+  }
+
+  /**
+   * End a 3D brush stroke: the active layer starts drying
+   */
+  endBrushStroke(hand, finger) {
+    const layer = this.getPolishState(hand, finger).getActiveLayer();
+    if (layer.applied && !layer.isDry) {
+      layer.startDrying();
+    }
+
+    this.notifyCoverageChange();
+    this.onDryStateChange?.(this.isLayerDry());
+  }
+
+  /**
+   * Draw a single brush dab (elongated ellipse with bristle texture).
+   * Thin film shows bristle streaks; thick film pools at the dab's edge
+   * and traps bubbles.
+   * @param {number} [thickness] - Film thickness under the dab, in coats
+   * @param {CoverageMap} [coverage] - Layer's coverage map, so the canvas
+   *   builds opacity the same way the map does
+   */
+  drawBrushDab(ctx, x, y, angle, color, layerType, thickness = THICKNESS.IDEAL, coverage = null) {
     ctx.save();
     ctx.translate(x, y);
     ctx.rotate(angle);
 
     // Parse color for manipulation
     const isColorCoat = this.isColorLayer(layerType);
-    const opacity = isColorCoat ? BRUSH_CONFIG.baseOpacity : BRUSH_CONFIG.baseOpacity * 0.5;
+    const opacity = isColorCoat
+      ? coverage?.dabOpacity(BRUSH_CONFIG.baseOpacity) ?? BRUSH_CONFIG.baseOpacity
+      : BRUSH_CONFIG.baseOpacity * 0.5;
 
     // Main brush shape - elongated ellipse
     ctx.beginPath();
@@ -316,11 +548,79 @@ export class PolishTool {
     // Add subtle bristle texture for realism
     if (isColorCoat) {
       this.drawBristleTexture(ctx, color, opacity);
+
+      // A thin coat leaves gaps between the bristles
+      if (thickness < THICKNESS.STREAKY) {
+        this.drawStreaks(ctx, 0.6 * (1 - thickness / THICKNESS.STREAKY));
+      }
+    }
+
+    // Too much polish collects in a ridge and traps air
+    if (thickness > THICKNESS.POOLING) {
+      const pool = Math.min(1, (thickness - THICKNESS.POOLING) / (THICKNESS.BUBBLING - THICKNESS.POOLING));
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.beginPath();
+      ctx.ellipse(0, 0, BRUSH_CONFIG.length / 2 * 0.9, BRUSH_CONFIG.width / 2 * 0.9, 0, 0, Math.PI * 2);
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = isColorCoat
+        ? this.shadeColor(color, 0.65, 0.25 * pool)
+        : `rgba(255, 255, 255, ${0.15 * pool})`;
+      ctx.stroke();
+
+      if (thickness > THICKNESS.BUBBLING && Math.random() < 0.2) {
+        this.drawBubble(
+          ctx,
+          (Math.random() - 0.5) * BRUSH_CONFIG.length * 0.7,
+          (Math.random() - 0.5) * BRUSH_CONFIG.width * 0.7,
+          2 + Math.random() * 3
+        );
+      }
     }
 
     ctx.restore();
   }
 
+  /**
+   * Thin the paint between the bristles (streaky single coat)
+   * @param {number} strength - 0-1
+   */
+  drawStreaks(ctx, strength) {
+    const bristleSpacing = BRUSH_CONFIG.width / (BRUSH_CONFIG.bristleCount + 1);
+
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.strokeStyle = `rgba(0, 0, 0, ${strength})`;
+    ctx.lineWidth = bristleSpacing * 0.4;
+
+    for (let i = 0; i <= BRUSH_CONFIG.bristleCount; i++) {
+      const offsetY = -BRUSH_CONFIG.width / 2 + bristleSpacing * (i + 0.5);
+
+      ctx.beginPath();
+      ctx.moveTo(-BRUSH_CONFIG.length / 2 * 0.7, offsetY);
+      ctx.lineTo(BRUSH_CONFIG.length / 2 * 0.7, offsetY);
+      ctx.stroke();
+    }
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  /**
+   * Air bubble trapped in thick polish: clear middle, dark rim, highlight
+   */
+  drawBubble(ctx, x, y, radius) {
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fill();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.arc(x - radius * 0.35, y - radius * 0.35, radius * 0.3, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.fill();
+  }
+
   /**
    * Draw subtle bristle lines within the brush shape
    */
@@ -341,10 +641,22 @@ export class PolishTool {
   }
 
   /**
-   * Check if layer type is a color layer
+   * Check if a layer of the active nail is painted in color (color coats
+   * and art layers)
    */
   isColorLayer(layerType) {
-    return layerType === POLISH_LAYERS.COLOR_1 || layerType === POLISH_LAYERS.COLOR_2;
+    return Boolean(this.getActivePolishState().layers[layerType]?.isColored());
+  }
+
+  /**
+   * Darken (factor < 1) or lighten a hex color, as an rgba string
+   */
+  shadeColor(hex, factor, alpha) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    if (!result) return this.hexToRgba(hex, alpha);
+
+    const [r, g, b] = result.slice(1).map(c => Math.min(255, Math.round(parseInt(c, 16) * factor)));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
   }
 
   /**
@@ -376,14 +688,15 @@ export class PolishTool {
   }
 
   /**
-   * Composite all polish layers onto the nail's overlay texture
+   * Composite all polish layers onto a nail's overlay texture
+   * (the active nail by default)
    */
-  compositeLayers() {
-    const nailData = this.nail.nails[this.nail.activeNail];
+  compositeLayers(hand = this.nail.getCurrentHand(), finger = this.nail.getActiveNail()) {
+    const nailData = this.nail.hands[hand]?.nails[finger];
     if (!nailData) return;
 
-    const layers = this.getActiveLayerCanvases();
-    const state = this.getActivePolishState();
+    const layers = this.getLayerCanvases(hand, finger);
+    const state = this.getPolishState(hand, finger);
 
     // Get the nail's drawing canvas/context (used for final composite)
     const finalCtx = nailData.ctx;
@@ -391,153 +704,118 @@ export class PolishTool {
     // Clear final canvas
     finalCtx.clearRect(0, 0, this.dim, this.dim);
 
-    // Composite layers in order (base -> color1 -> color2 -> top)
-    for (const layerType of LAYER_ORDER) {
-      const layerState = state.layers[layerType];
-      if (!layerState.applied) continue;
+    // Composite layers bottom to top
+    for (const layerState of state.getLayers()) {
+      if (!layerState.applied || !layerState.visible) continue;
 
-      const layerData = layers[layerType];
+      const layerData = layers[layerState.type];
       if (!layerData) continue;
 
       // Draw layer onto final canvas
-      finalCtx.globalCompositeOperation = 'source-over';
+      finalCtx.globalAlpha = layerState.opacity;
+      finalCtx.globalCompositeOperation = layerState.blendMode;
       finalCtx.drawImage(layerData.canvas, 0, 0);
     }
+    finalCtx.globalAlpha = 1;
+    finalCtx.globalCompositeOperation = 'source-over';
 
     // Update the nail's texture
     nailData.texture.needsUpdate = true;
 
     // Also update nail material based on layers applied
-    this.updateNailMaterial();
+    this.updateNailMaterial(hand, finger);
   }
 
   /**
-   * Update nail material properties based on polish layers
+   * Give a nail (the active one by default) the finish of its polish
+   * layers: color coats decide color and metallic flake, a top coat
+   * decides gloss or matte (see PolishLayerState.getMaterialFinish)
    */
-  updateNailMaterial() {
-    const state = this.getActivePolishState();
-    const status = state.getStatus();
-
-    // If color is applied, update material
-    if (status.hasColor && status.color) {
-      // Set a semi-transparent version of the color on the material
-      // The full color comes from the canvas texture
-      const nailData = this.nail.nails[this.nail.activeNail];
-      if (nailData && nailData.material) {
-        // Apply finish to material
-        this.applyFinishToMaterial(nailData.material, this.finish);
-      }
+  updateNailMaterial(hand = this.nail.getCurrentHand(), finger = this.nail.getActiveNail()) {
+    const nailData = this.nail.hands[hand]?.nails[finger];
+    if (!nailData) return;
+
+    const { finish, topCoat } = this.getPolishState(hand, finger).getMaterialFinish();
+    if (nailData.finish !== finish || nailData.topCoat !== topCoat) {
+      this.nail.setNailFinish(hand, finger, finish, topCoat);
     }
   }
 
   /**
-   * Apply finish properties to material
+   * Apply finish properties to material (see FINISHES in NailPolishMaterial.js)
    */
   applyFinishToMaterial(material, finish) {
-    switch (finish) {
-      case 'matte':
-        material.roughness = 0.7;
-        material.clearcoat = 0.1;
-        material.metalness = 0.0;
-        break;
-      case 'shimmer':
-        material.roughness = 0.15;
-        material.clearcoat = 1.0;
-        material.metalness = 0.25;
-        break;
-      case 'chrome':
-        material.roughness = 0.05;
-        material.clearcoat = 1.0;
-        material.metalness = 0.85;
-        break;
-      case 'glossy':
-      default:
-        material.roughness = 0.1;
-        material.clearcoat = 1.0;
-        material.clearcoatRoughness = 0.05;
-        material.metalness = 0.0;
-        break;
-    }
-    material.needsUpdate = true;
-  }
-
-  /**
-   * Save current state for undo
-   */
-  saveUndoState() {
-    const state = this.getActivePolishState();
-    const layers = this.getActiveLayerCanvases();
+    applyFinish(material, finish);
+  }
 
-    const canvasData = {};
-    for (const [layerType, layerData] of Object.entries(layers)) {
-      canvasData[layerType] = layerData.canvas.toDataURL('image/png');
+  /**
+   * Let every nail's polish dry for a while (call each frame)
+   * @param {number} seconds - Time passed
+   * @param {function(string, string): number} [getSpeed] - Drying speed
+   *   for a hand and finger (1 = air dry), e.g. under a UV lamp
+   */
+  updateDrying(seconds, getSpeed = null) {
+    const activeKey = `${this.nail.getCurrentHand()}_${this.nail.getActiveNail()}`;
+
+    for (const [key, state] of this.polishStates) {
+      const [hand, finger] = key.split('_');
+      const speed = getSpeed?.(hand, finger) ?? 1;
+      if (state.updateDrying(seconds, speed) && key === activeKey) {
+        this.onDryStateChange?.(this.isLayerDry());
+      }
     }
-
-    state.saveUndoState(canvasData);
   }
 
   /**
-   * Undo last stroke
+   * Quick fill the current layer
    */
-  undo() {
+  quickFill() {
     const state = this.getActivePolishState();
-    const undoState = state.popUndo();
-    if (!undoState) return;
-
-    const layers = this.getActiveLayerCanvases();
-
-    // Restore each layer canvas
-    for (const [layerType, dataUrl] of Object.entries(undoState.canvasData)) {
-      const layerData = layers[layerType];
-      if (!layerData) continue;
-
-      const img = new Image();
-      img.onload = () => {
-        layerData.ctx.clearRect(0, 0, this.dim, this.dim);
-        layerData.ctx.drawImage(img, 0, 0);
-        layerData.texture.needsUpdate = true;
-        this.compositeLayers();
-      };
-      img.src = dataUrl;
+    if (this.fillLayer(this.nail.getCurrentHand(), this.nail.getActiveNail(), state.activeLayer)) {
+      soundManager.playPolish();
     }
-
-    soundManager.playClick();
   }
 
   /**
-   * Instant dry the current layer
+   * Quick fill the active layer's counterpart on each of a set of nails
+   * (the layer with the same id, or the nail's own active layer)
+   * @param {Array<{hand: string, finger: string}>} nails
+   * @returns {number} How many nails were filled
    */
-  instantDry() {
-    const state = this.getActivePolishState();
-    const layer = state.getActiveLayer();
-    layer.instantDry();
-
-    this.onDryStateChange?.(true);
-    soundManager.playSparkle?.() || soundManager.playSuccess();
+  fillNails(nails) {
+    const layerType = this.getActivePolishState().activeLayer;
+    const count = nails.filter(({ hand, finger }) => {
+      const state = this.getPolishState(hand, finger);
+      return this.fillLayer(hand, finger, state.layers[layerType] ? layerType : state.activeLayer);
+    }).length;
+
+    if (count > 0) {
+      soundManager.playPolish();
+    }
+    return count;
   }
 
   /**
-   * Quick fill the current layer
+   * Fill one layer of a nail with the current color, animated
+   * @returns {boolean} False if the nail has no such layer
    */
-  quickFill() {
-    const state = this.getActivePolishState();
-    const layers = this.getActiveLayerCanvases();
-    const layerData = layers[state.activeLayer];
-
-    if (!layerData) return;
+  fillLayer(hand, finger, layerType) {
+    const state = this.getPolishState(hand, finger);
+    const layerData = this.getLayerCanvases(hand, finger)[layerType];
+    if (!layerData) return false;
 
-    // Save undo state
-    this.saveUndoState();
+    // Record the fill for undo once the animation has finished
+    const historyStep = commandHistory.begin('Fill', hand, finger);
 
     const ctx = layerData.ctx;
-    const layer = state.getActiveLayer();
+    const layer = state.layers[layerType];
 
     // Determine fill color
     let fillColor;
-    if (this.isColorLayer(state.activeLayer)) {
+    if (layer.isColored()) {
       fillColor = this.color;
       layer.startApplying(this.color);
-    } else if (state.activeLayer === POLISH_LAYERS.BASE_COAT) {
+    } else if (layer.kind === LAYER_KINDS.BASE) {
       fillColor = 'rgba(255, 253, 250, 0.2)';
       layer.startApplying(null);
     } else {
@@ -550,11 +828,11 @@ export class PolishTool {
       layer.coverage.fill(0.9);
       layer.startDrying();
       layerData.texture.needsUpdate = true;
-      this.compositeLayers();
+      this.compositeLayers(hand, finger);
       this.notifyCoverageChange();
+      historyStep?.commit();
     });
-
-    soundManager.playPolish();
+    return true;
   }
 
   /**
@@ -598,6 +876,94 @@ export class PolishTool {
     this.onLayerChange?.(layerType);
   }
 
+  // =========================================
+  // Layer Stack
+  // =========================================
+
+  /**
+   * Change the active nail's layer stack as one undo step, then redraw
+   * @param {string} label - Undo label
+   * @param {function(PolishLayerState): *} change - Return false for no change
+   */
+  editLayers(label, change) {
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+    const state = this.getPolishState(hand, finger);
+
+    const historyStep = commandHistory.begin(label, hand, finger);
+    if (change(state) === false) {
+      historyStep?.cancel();
+      return false;
+    }
+
+    this.getLayerCanvases(hand, finger);
+    this.compositeLayers();
+    historyStep?.commit();
+
+    this.onLayerChange?.(state.activeLayer);
+    soundManager.playClick();
+    return true;
+  }
+
+  /**
+   * Add a layer to the active nail and make it active
+   * @param {string} kind - LAYER_KINDS value
+   * @returns {boolean} False if the stack is full
+   */
+  addLayer(kind) {
+    return this.editLayers('Add Layer', state => state.addLayer(kind) !== null);
+  }
+
+  /**
+   * Remove a layer (and its paint) from the active nail
+   */
+  removeLayer(layerType) {
+    return this.editLayers('Remove Layer', state => state.removeLayer(layerType));
+  }
+
+  /**
+   * Move a layer up (+1) or down (-1) the active nail's stack
+   */
+  moveLayer(layerType, direction) {
+    return this.editLayers('Move Layer', state => state.moveLayer(layerType, direction));
+  }
+
+  /**
+   * Show or hide a layer of the active nail
+   */
+  toggleLayerVisible(layerType) {
+    return this.editLayers('Layer Visibility', (state) => {
+      const layer = state.layers[layerType];
+      if (!layer) return false;
+      layer.visible = !layer.visible;
+    });
+  }
+
+  /**
+   * Set the opacity of a layer of the active nail
+   * @param {number} opacity - 0 to 1
+   */
+  setLayerOpacity(layerType, opacity) {
+    return this.editLayers('Layer Opacity', (state) => {
+      const layer = state.layers[layerType];
+      const value = Math.min(1, Math.max(0, opacity));
+      if (!layer || layer.opacity === value) return false;
+      layer.opacity = value;
+    });
+  }
+
+  /**
+   * Set the blend mode of a layer of the active nail
+   * @param {string} blendMode - BLEND_MODES id
+   */
+  setLayerBlendMode(layerType, blendMode) {
+    return this.editLayers('Layer Blend', (state) => {
+      const layer = state.layers[layerType];
+      if (!layer || layer.blendMode === blendMode) return false;
+      layer.blendMode = blendMode;
+    });
+  }
+
   /**
    * Set polish color
    */
@@ -606,11 +972,54 @@ export class PolishTool {
   }
 
   /**
-   * Set finish type
+   * Set the finish of the active layer on the active nail (undoable)
    */
   setFinish(finish) {
     this.finish = finish;
-    this.updateNailMaterial();
+
+    const hand = this.nail.getCurrentHand();
+    const finger = this.nail.getActiveNail();
+    this.setLayerFinish(hand, finger, this.getPolishState(hand, finger).activeLayer, finish);
+  }
+
+  /**
+   * Give the active layer's counterpart on each of a set of nails the
+   * active layer's finish (see fillNails)
+   * @param {Array<{hand: string, finger: string}>} nails
+   * @returns {number} How many nails changed
+   */
+  setFinishOnNails(nails) {
+    const layerType = this.getActivePolishState().activeLayer;
+    const finish = this.getLayerFinish();
+    return nails.filter(({ hand, finger }) => {
+      const state = this.getPolishState(hand, finger);
+      return this.setLayerFinish(hand, finger, state.layers[layerType] ? layerType : state.activeLayer, finish);
+    }).length;
+  }
+
+  /**
+   * Set the finish of one layer of a nail (undoable). Top coats only
+   * take top coat finishes.
+   * @returns {boolean} Whether the finish changed
+   */
+  setLayerFinish(hand, finger, layerType, finish) {
+    const state = this.getPolishState(hand, finger);
+    const layer = state.layers[layerType];
+    if (!layer || layer.finish === finish) return false;
+    if (layer.kind === LAYER_KINDS.TOP && !getFinish(finish).topCoat) return false;
+
+    commandHistory.record('Finish', hand, finger, () => {
+      state.setLayerFinish(layerType, finish);
+      this.updateNailMaterial(hand, finger);
+    });
+    return true;
+  }
+
+  /**
+   * Finish of the active layer on the active nail
+   */
+  getLayerFinish() {
+    return this.getActivePolishState().getActiveLayer().finish;
   }
 
   /**
@@ -629,12 +1038,20 @@ export class PolishTool {
     return state.getActiveLayer().isDry;
   }
 
+  /**
+   * Coat quality of the active nail's color (see PolishLayerState.getCoatQuality)
+   * @returns {Object|null}
+   */
+  getCoatQuality() {
+    return this.getActivePolishState().getCoatQuality();
+  }
+
   /**
    * Notify UI of coverage change
    */
   notifyCoverageChange() {
     const coverage = this.getCoverage();
-    this.onCoverageChange?.(coverage);
+    this.onCoverageChange?.(coverage, this.getCoatQuality());
   }
 
   /**
@@ -660,6 +1077,147 @@ export class PolishTool {
     soundManager.playClick();
   }
 
+  /**
+   * Drop polish state and layer canvases for every nail
+   * (used when a saved look replaces the whole hand)
+   */
+  resetAll() {
+    for (const layers of this.layerCanvases.values()) {
+      for (const layerData of Object.values(layers)) {
+        layerData.texture.dispose();
+      }
+    }
+    this.layerCanvases.clear();
+    this.polishStates.clear();
+    this.notifyCoverageChange();
+  }
+
+  /**
+   * Take an exact copy of a nail's polish layers (for undo)
+   * @returns {Object|null} Null if the nail has no polish state yet
+   */
+  snapshotNail(hand, finger) {
+    const key = `${hand}_${finger}`;
+    if (!this.polishStates.has(key)) return null;
+
+    const layers = {};
+    for (const [layerType, layerData] of Object.entries(this.getLayerCanvases(hand, finger))) {
+      layers[layerType] = new CanvasSnapshot(layerData.canvas);
+    }
+    return { state: this.polishStates.get(key).toJSON(), layers };
+  }
+
+  /**
+   * Put a nail's polish layers back to a snapshotNail() state
+   */
+  async restoreNailSnapshot(hand, finger, snapshot) {
+    const key = `${hand}_${finger}`;
+    if (!snapshot && !this.layerCanvases.has(key)) {
+      this.polishStates.delete(key);
+      this.notifyCoverageChange();
+      return;
+    }
+
+    if (snapshot) {
+      this.polishStates.set(key, PolishLayerState.fromJSON(snapshot.state));
+    } else {
+      this.polishStates.delete(key);
+    }
+
+    const layers = this.getLayerCanvases(hand, finger);
+    for (const [layerType, layerData] of Object.entries(layers)) {
+      const layerSnapshot = snapshot?.layers[layerType];
+      if (layerSnapshot) {
+        await layerSnapshot.drawTo(layerData.ctx);
+      } else {
+        layerData.ctx.clearRect(0, 0, this.dim, this.dim);
+      }
+      layerData.texture.needsUpdate = true;
+    }
+
+    this.notifyCoverageChange();
+  }
+
+  /**
+   * Put a copy of another nail's polish layers (snapshotNail() output)
+   * on a nail, laid on through a UV transform (see UVTransform.js) to fit
+   * the nail's layout or mirror it. Coverage moves with the paint.
+   */
+  async pasteNail(hand, finger, snapshot, transform) {
+    if (!snapshot) {
+      await this.restoreNailSnapshot(hand, finger, null);
+      return;
+    }
+
+    const state = PolishLayerState.fromJSON(snapshot.state);
+    for (const layer of state.getLayers()) {
+      layer.coverage = layer.coverage.transformed(transform);
+    }
+    this.polishStates.set(`${hand}_${finger}`, state);
+
+    const layers = this.getLayerCanvases(hand, finger);
+    for (const [layerType, layerData] of Object.entries(layers)) {
+      const layerSnapshot = snapshot.layers[layerType];
+      if (layerSnapshot) {
+        await layerSnapshot.drawTo(layerData.ctx, toPixelTransform(transform, this.dim));
+      } else {
+        layerData.ctx.clearRect(0, 0, this.dim, this.dim);
+      }
+      layerData.texture.needsUpdate = true;
+    }
+
+    this.notifyCoverageChange();
+  }
+
+  /**
+   * Capture a nail's polish layers for saving
+   * @returns {Promise<Object|null>} PolishLayerState JSON with a canvasBlob
+   *   per layer, or null if the nail was never polished with this tool
+   */
+  async captureNail(hand, finger) {
+    const key = `${hand}_${finger}`;
+    if (!this.polishStates.has(key)) return null;
+
+    const json = this.getPolishState(hand, finger).toJSON();
+    const layers = this.getLayerCanvases(hand, finger);
+
+    for (const [layerType, layerJson] of Object.entries(json.layers)) {
+      layerJson.canvasBlob = layerJson.applied && layers[layerType]
+        ? await canvasToBlob(layers[layerType].canvas)
+        : null;
+    }
+    return json;
+  }
+
+  /**
+   * Restore a nail's polish layers from captureNail() output
+   */
+  async restoreNail(hand, finger, data) {
+    if (!data) return;
+
+    const key = `${hand}_${finger}`;
+    this.polishStates.set(key, PolishLayerState.fromJSON(data));
+
+    const layers = this.getLayerCanvases(hand, finger);
+    for (const [layerType, layerJson] of Object.entries(data.layers || {})) {
+      const layerData = layers[layerType];
+      if (!layerData) continue;
+
+      layerData.ctx.clearRect(0, 0, this.dim, this.dim);
+      if (layerJson.canvasBlob) {
+        // A broken image loses that layer's paint, not the whole nail
+        try {
+          const bitmap = await createImageBitmap(layerJson.canvasBlob);
+          layerData.ctx.drawImage(bitmap, 0, 0);
+          bitmap.close();
+        } catch (error) {
+          console.warn('Failed to restore polish layer:', error);
+        }
+      }
+      layerData.texture.needsUpdate = true;
+    }
+  }
+
   /**
    * Get the current polish state (for UI)
    */
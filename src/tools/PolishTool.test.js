@@ -0,0 +1,75 @@
+// @vitest-environment jsdom
+/**
+ * Strokes of the 3D polish brush, as PolishBrush3D drives them:
+ * beginBrushStroke → continueBrushStroke per frame → endBrushStroke.
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PolishTool } from './PolishTool.js';
+
+const HAND = 'left';
+const FINGER = 'index';
+
+// Just enough of HandModel for the layer state (no WebGL in jsdom)
+const nail = {
+  hands: {},
+  getCurrentHand: () => HAND,
+  getActiveNail: () => FINGER,
+};
+
+function paintStroke(tool, points) {
+  tool.beginBrushStroke(HAND, FINGER, '#ff69b4');
+  let last = null;
+  let film = 0;
+  for (const [x, y] of points) {
+    film = tool.continueBrushStroke(HAND, FINGER, last, { x, y });
+    last = { x, y };
+  }
+  tool.endBrushStroke(HAND, FINGER);
+  return film;
+}
+
+describe('3D brush strokes', () => {
+  let tool;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="canvas-container"><canvas></canvas></div>';
+    // jsdom has no 2D canvas; these strokes only touch the layer state
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    tool = new PolishTool(null, null, nail);
+  });
+
+  it('records a painted stroke in the active layer\'s coverage map', () => {
+    const layer = tool.getActivePolishState().getActiveLayer();
+    expect(layer.getCoveragePercent()).toBe(0);
+
+    paintStroke(tool, [[0.3, 0.5], [0.5, 0.5], [0.7, 0.5]]);
+
+    expect(layer.applied).toBe(true);
+    expect(layer.color).toBe('#ff69b4');
+    expect(layer.getCoveragePercent()).toBeGreaterThan(0);
+    expect(layer.coverage.getThicknessAt(0.5, 0.5)).toBeGreaterThan(0);
+    expect(layer.coverage.getCoverageAt(0.5, 0.05)).toBe(0);
+    expect(layer.coverage.getAveragePasses()).toBe(1);
+  });
+
+  it('builds the film up coat by coat and dries it after each stroke', () => {
+    const layer = tool.getActivePolishState().getActiveLayer();
+    const stroke = [[0.3, 0.5], [0.7, 0.5]];
+
+    const firstCoat = paintStroke(tool, stroke);
+    const thickness = layer.coverage.getThicknessAt(0.5, 0.5);
+    expect(layer.isDrying).toBe(true);
+
+    const secondCoat = paintStroke(tool, stroke);
+    expect(layer.coverage.getThicknessAt(0.5, 0.5)).toBeGreaterThan(thickness);
+    expect(secondCoat).toBeGreaterThan(firstCoat);
+    expect(layer.coverage.getAveragePasses()).toBeGreaterThan(1);
+    expect(layer.isDrying).toBe(true);
+  });
+
+  it('lays clear coats down at a fixed opacity', () => {
+    tool.setActiveLayer('topCoat');
+    expect(paintStroke(tool, [[0.5, 0.5]])).toBe(1);
+    expect(tool.getActivePolishState().getActiveLayer().getCoveragePercent()).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * QuickDryTool.js
+ * Speeds up polish drying (see PolishLayerState). The UV lamp cures the
+ * active nail in a few seconds under a violet glow; the fan dries every
+ * nail on the hand more gently for as long as it is switched on.
+ * Everything else air-dries at normal speed.
+ */
+import * as THREE from 'three';
+import { soundManager } from '../audio/SoundManager.js';
+
+// Drying speed under the lamp / in front of the fan (1 = air dry)
+const LAMP_SPEED = 12;
+const FAN_SPEED = 3;
+
+// How long one lamp session lasts, in seconds
+const LAMP_TIME = 3;
+
+// Lamp distance from the nail, in nail lengths
+const LAMP_DISTANCE = 1.2;
+
+export class QuickDryTool {
+    constructor(scene, camera, nail, polishTool) {
+        this.scene = scene;
+        this.camera = camera;
+        this.nail = nail;
+        this.polishTool = polishTool;
+
+        // Lamp session in progress: { hand, finger, remaining }
+        this.lamp = null;
+        this.fanOn = false;
+
+        // Called when the lamp or fan switches on or off
+        this.onChange = null;
+
+        this.createLamp();
+    }
+
+    /**
+     * Violet light with a glowing bar, held over the nail while curing
+     */
+    createLamp() {
+        this.lampLight = new THREE.PointLight(0x9B5CFF, 0, 0, 2);
+
+        this.lampBar = new THREE.Mesh(
+            new THREE.BoxGeometry(1, 0.12, 0.3),
+            new THREE.MeshBasicMaterial({
+                color: 0xB48CFF,
+                transparent: true,
+                opacity: 0.85,
+            })
+        );
+
+        this.lampGroup = new THREE.Group();
+        this.lampGroup.name = 'uv_lamp';
+        this.lampGroup.add(this.lampLight, this.lampBar);
+        this.lampBar.visible = false;
+        this.scene.add(this.lampGroup);
+    }
+
+    /**
+     * Cure the active nail under the UV lamp
+     */
+    startLamp() {
+        this.lamp = {
+            hand: this.nail.getCurrentHand(),
+            finger: this.nail.getActiveNail(),
+            remaining: LAMP_TIME,
+        };
+        soundManager.playSparkle();
+        this.onChange?.();
+    }
+
+    /**
+     * Switch the fan on or off
+     * @returns {boolean} Whether the fan is now on
+     */
+    toggleFan() {
+        this.fanOn = !this.fanOn;
+        soundManager.playClick();
+        this.onChange?.();
+        return this.fanOn;
+    }
+
+    isLampOn() {
+        return this.lamp !== null;
+    }
+
+    isFanOn() {
+        return this.fanOn;
+    }
+
+    /**
+     * Drying speed for a nail (1 = air dry)
+     */
+    getDrySpeed(hand, finger) {
+        let speed = 1;
+        if (this.fanOn && hand === this.nail.getCurrentHand()) {
+            speed *= FAN_SPEED;
+        }
+        if (this.lamp && this.lamp.hand === hand && this.lamp.finger === finger) {
+            speed *= LAMP_SPEED;
+        }
+        return speed;
+    }
+
+    /**
+     * Dry every nail's polish and run the lamp (call each frame)
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        const seconds = Number.isFinite(deltaTime) ? Math.min(0.1, Math.max(0, deltaTime)) : 0;
+
+        this.polishTool.updateDrying(seconds, (hand, finger) => this.getDrySpeed(hand, finger));
+
+        if (this.lamp) {
+            this.lamp.remaining -= seconds;
+            if (this.lamp.remaining <= 0) {
+                this.lamp = null;
+                soundManager.playSuccess();
+                this.onChange?.();
+            }
+        }
+        this.updateLamp();
+    }
+
+    updateLamp() {
+        const lamp = this.lamp;
+        const onScreen = lamp && lamp.hand === this.nail.getCurrentHand();
+        const line = onScreen ? this.nail.getMagnetLine(lamp.hand, lamp.finger, 0.5) : null;
+
+        // The light stays in the scene at zero intensity when off, so
+        // switching it doesn't recompile every material
+        this.lampBar.visible = Boolean(line);
+        if (!line) {
+            this.lampLight.intensity = 0;
+            return;
+        }
+
+        // Hover on the side of the nail facing the camera, facing the nail
+        const up = line.up.clone();
+        if (up.dot(new THREE.Vector3().subVectors(this.camera.position, line.point)) < 0) {
+            up.negate();
+        }
+        this.lampGroup.position.copy(line.point).addScaledVector(up, line.length * LAMP_DISTANCE);
+        this.lampGroup.quaternion.setFromRotationMatrix(
+            new THREE.Matrix4().makeBasis(line.across, up, new THREE.Vector3().crossVectors(line.across, up))
+        );
+        this.lampGroup.scale.setScalar(line.length * 1.5);
+
+        // Flicker on, fade out over the last half second. The light is as
+        // bright at the nail as a studio light, whatever the nail's size.
+        const fade = Math.min(1, lamp.remaining / 0.5, (LAMP_TIME - lamp.remaining) / 0.15);
+        const distance = line.length * LAMP_DISTANCE;
+        this.lampLight.intensity = 0.8 * distance * distance * fade;
+        this.lampLight.distance = distance * 4;
+        this.lampBar.material.opacity = 0.85 * fade;
+    }
+}
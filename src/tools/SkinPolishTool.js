@@ -0,0 +1,451 @@
+/**
+ * SkinPolishTool.js
+ * Polish that slips past the edge of the nail onto the finger, and the
+ * acetone pen that cleans it up.
+ *
+ * A polish stroke that runs off the nail keeps painting the skin close
+ * to it (see PolishBrush3D.onSlip and PolishTool.onSlip). Each mark is a
+ * glossy splodge anchored to the hand model; marks belong to the nail
+ * being painted, so they undo, save and clear with it. How much skin is
+ * marked around a nail is its cleanliness (see getCleanliness).
+ */
+import * as THREE from 'three';
+import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+import { GEM_LAYER } from './GemTool.js';
+
+// How far from the nail's center a slipping stroke still reaches the skin, in nail lengths
+const SLIP_REACH = 0.9;
+
+// Mark radius, in nail lengths, and marks laid per radius along a slip
+const MARK_RADIUS = 0.07;
+const MARK_SPACING = 0.6;
+
+// A slip ends when no mark was laid for this long (ms)
+const SLIP_GAP = 150;
+
+// Marks one nail can have
+const MAX_MARKS = 400;
+
+// Acetone pen tip radius, in nail lengths
+const PEN_RADIUS = 0.12;
+
+// Height of marks above the skin (world units)
+const MARK_OFFSET = 0.0002;
+
+// Marked skin (as a share of the nail's area) that scores no cleanliness at all
+const MESSY_AREA = 1;
+
+const SOUND_INTERVAL = 150;
+
+export class SkinPolishTool {
+    constructor(scene, camera, nail) {
+        this.scene = scene;
+        this.camera = camera;
+        this.nail = nail;
+
+        // Acetone pen on
+        this.isActive = false;
+
+        // Marks per nail (keyed by hand_finger), in hand model space:
+        // { position: [x,y,z], normal: [x,y,z], radius, color }
+        this.marks = new Map();
+        // Instanced mesh per nail
+        this.meshes = new Map();
+
+        this.geometry = new THREE.CircleGeometry(1, 16);
+        this.material = new THREE.MeshPhysicalMaterial({
+            color: 0xffffff,
+            roughness: 0.15,
+            clearcoat: 1,
+            clearcoatRoughness: 0.05,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -2,
+            polygonOffsetUnits: -2,
+        });
+
+        // Slip in progress: { hand, finger, point, time }
+        this.slip = null;
+
+        // Pen stroke in progress: { pointerId, hand, finger, removed }
+        this.pen = null;
+        this.historyStep = null;
+        this.lastSoundTime = 0;
+
+        // UI callbacks
+        this.onChange = null;        // (hand, finger) - a nail's marks changed
+        this.onGestureChange = null; // (isCleaning) - e.g. pause camera controls
+
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        // Marks share the gem layer, out of the way of nail raycasts
+        this.camera.layers.enable(GEM_LAYER);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (!canvas) {
+            setTimeout(() => this.setupEventListeners(), 100);
+            return;
+        }
+
+        this.domElement = canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+    }
+
+    updateMousePosition(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+
+    /**
+     * Where a ray first hits the current hand's skin
+     */
+    getSkinIntersection(raycaster) {
+        const skin = this.nail.getSkinCollider();
+        if (!skin) return null;
+
+        const intersects = raycaster.intersectObject(skin, false);
+        return intersects.length > 0 ? intersects[0] : null;
+    }
+
+    /**
+     * Center and length of a nail (world units)
+     */
+    getNailExtent(hand, finger) {
+        const line = this.nail.getMagnetLine(hand, finger, 0.5);
+        return line ? { center: line.point, length: line.length } : null;
+    }
+
+    // =========================================
+    // Slips
+    // =========================================
+
+    /**
+     * Paint the skin where a polish stroke ran off the active nail
+     * @param {THREE.Raycaster} raycaster - Ray of the brush, set this frame
+     * @param {string} color - Polish color
+     * @returns {boolean} True if the stroke is on the skin near the nail
+     */
+    paintSlip(raycaster, color) {
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        const extent = this.getNailExtent(hand, finger);
+        const hit = extent && this.getSkinIntersection(raycaster);
+        if (!hit || hit.point.distanceTo(extent.center) > extent.length * SLIP_REACH) {
+            return false;
+        }
+
+        const now = performance.now();
+        const slip = this.slip;
+        const continues = slip && slip.hand === hand && slip.finger === finger && now - slip.time < SLIP_GAP;
+        const radius = extent.length * MARK_RADIUS;
+
+        if (continues && hit.point.distanceTo(slip.point) < radius * MARK_SPACING) {
+            slip.time = now;
+            return true;
+        }
+
+        const marks = this.getNailMarks(hand, finger);
+        if (marks.length < MAX_MARKS) {
+            marks.push(this.createMark(hand, hit, raycaster.ray.direction, radius, color));
+            this.renderNail(hand, finger);
+            this.onChange?.(hand, finger);
+        }
+        this.slip = { hand, finger, point: hit.point.clone(), time: now };
+        return true;
+    }
+
+    /**
+     * A mark where a ray hit the skin, in the hand model's space
+     * @param {number} radius - World units
+     */
+    createMark(hand, hit, direction, radius, color) {
+        const model = this.nail.hands[hand].model;
+        model.updateWorldMatrix(true, false);
+        const toModel = model.matrixWorld.clone().invert();
+
+        // Face the brush, whichever way the skin's triangle winds
+        const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+        if (normal.dot(direction) > 0) {
+            normal.negate();
+        }
+
+        const round = (value) => Number(value.toFixed(5));
+        return {
+            position: hit.point.clone().applyMatrix4(toModel).toArray().map(round),
+            normal: normal.transformDirection(toModel).toArray().map(round),
+            radius: round(radius * (0.7 + Math.random() * 0.6) / getModelScale(model)),
+            color,
+        };
+    }
+
+    // =========================================
+    // Acetone Pen
+    // =========================================
+
+    onPointerDown(event) {
+        if (!this.isActive || !event.isPrimary || !this.domElement) return;
+
+        this.updateMousePosition(event);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const hit = this.getSkinIntersection(this.raycaster);
+        if (!hit) return;
+
+        event.preventDefault();
+        this.endPen();
+
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        this.pen = { pointerId: event.pointerId, hand, finger, removed: 0 };
+        this.historyStep = commandHistory.begin('Clean up', hand, finger);
+        this.domElement.setPointerCapture?.(event.pointerId);
+        this.onGestureChange?.(true);
+
+        this.cleanAt(hit.point);
+    }
+
+    onPointerMove(event) {
+        if (this.pen?.pointerId !== event.pointerId) return;
+
+        this.updateMousePosition(event);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const hit = this.getSkinIntersection(this.raycaster);
+        if (hit) {
+            this.cleanAt(hit.point);
+        }
+    }
+
+    onPointerUp(event) {
+        if (this.pen?.pointerId === event.pointerId) {
+            this.endPen();
+        }
+    }
+
+    endPen() {
+        if (!this.pen) return;
+
+        if (this.pen.removed > 0) {
+            this.historyStep?.commit();
+        } else {
+            this.historyStep?.cancel();
+        }
+        this.historyStep = null;
+        this.pen = null;
+        this.onGestureChange?.(false);
+    }
+
+    /**
+     * Wipe the pen's nail's marks under the pen tip
+     * @param {THREE.Vector3} point - World point on the skin
+     */
+    cleanAt(point) {
+        const { hand, finger } = this.pen;
+        const extent = this.getNailExtent(hand, finger);
+        const marks = this.getNailMarks(hand, finger);
+        if (!extent || marks.length === 0) return;
+
+        const model = this.nail.hands[hand].model;
+        model.updateWorldMatrix(true, false);
+        const local = model.worldToLocal(point.clone());
+        const reach = extent.length * PEN_RADIUS / getModelScale(model);
+
+        const position = new THREE.Vector3();
+        const kept = marks.filter(mark => position.fromArray(mark.position).distanceTo(local) > reach + mark.radius * 0.5);
+        if (kept.length === marks.length) return;
+
+        this.pen.removed += marks.length - kept.length;
+        this.marks.set(`${hand}_${finger}`, kept);
+        this.renderNail(hand, finger);
+        this.onChange?.(hand, finger);
+        this.playCleanSound();
+    }
+
+    playCleanSound() {
+        const now = performance.now();
+        if (now - this.lastSoundTime < SOUND_INTERVAL) return;
+        this.lastSoundTime = now;
+        soundManager.playClick();
+    }
+
+    activate() {
+        this.isActive = true;
+        this.domElement?.classList.add('acetone-cursor');
+    }
+
+    deactivate() {
+        this.isActive = false;
+        this.domElement?.classList.remove('acetone-cursor');
+        this.endPen();
+    }
+
+    // =========================================
+    // Marks
+    // =========================================
+
+    getNailMarks(hand, finger) {
+        const key = `${hand}_${finger}`;
+        if (!this.marks.has(key)) {
+            this.marks.set(key, []);
+        }
+        return this.marks.get(key);
+    }
+
+    hasMarks(hand, finger) {
+        return this.getNailMarks(hand, finger).length > 0;
+    }
+
+    /**
+     * How clean the skin around a nail is
+     * @returns {number} 100 with no polish on the skin, down to 0 when the
+     *   marks add up to MESSY_AREA of the nail's area
+     */
+    getCleanliness(hand, finger) {
+        const marks = this.getNailMarks(hand, finger);
+        const extent = marks.length > 0 && this.getNailExtent(hand, finger);
+        if (!extent) return 100;
+
+        // Nails are about half as wide as they are long
+        const scale = getModelScale(this.nail.hands[hand].model);
+        const nailArea = extent.length * extent.length * 0.5;
+        const markedArea = marks.reduce((sum, mark) => sum + Math.PI * (mark.radius * scale) ** 2, 0);
+        return Math.round(100 * Math.max(0, 1 - markedArea / nailArea / MESSY_AREA));
+    }
+
+    clearNail(hand, finger) {
+        this.marks.set(`${hand}_${finger}`, []);
+        this.renderNail(hand, finger);
+    }
+
+    clearAll() {
+        for (const key of this.marks.keys()) {
+            const [hand, finger] = key.split('_');
+            this.clearNail(hand, finger);
+        }
+    }
+
+    // =========================================
+    // Rendering
+    // =========================================
+
+    /**
+     * Lay a nail's marks out in its instanced mesh
+     */
+    renderNail(hand, finger) {
+        const mesh = this.getNailMesh(hand, finger);
+        if (!mesh) return;
+
+        const scale = getModelScale(this.nail.hands[hand].model);
+        const position = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 0, 1);
+        const quaternion = new THREE.Quaternion();
+        const size = new THREE.Vector3();
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+
+        const marks = this.getNailMarks(hand, finger);
+        marks.forEach((mark, i) => {
+            normal.fromArray(mark.normal).normalize();
+            position.fromArray(mark.position).addScaledVector(normal, MARK_OFFSET / scale);
+            quaternion.setFromUnitVectors(up, normal);
+            size.setScalar(mark.radius);
+
+            mesh.setMatrixAt(i, matrix.compose(position, quaternion, size));
+            mesh.setColorAt(i, color.set(mark.color));
+        });
+
+        mesh.count = marks.length;
+        mesh.instanceMatrix.needsUpdate = true;
+        if (mesh.instanceColor) {
+            mesh.instanceColor.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Instanced mesh for one nail's marks, created on first use
+     */
+    getNailMesh(hand, finger) {
+        const key = `${hand}_${finger}`;
+        let mesh = this.meshes.get(key);
+        if (!mesh) {
+            const model = this.nail.hands[hand]?.model;
+            if (!model) return null;
+
+            mesh = new THREE.InstancedMesh(this.geometry, this.material, MAX_MARKS);
+            mesh.name = `${key}_skin_polish`;
+            mesh.count = 0;
+            mesh.frustumCulled = false; // Bounds would go stale as marks are added
+            mesh.layers.set(GEM_LAYER);
+            model.add(mesh);
+            this.meshes.set(key, mesh);
+        }
+        return mesh;
+    }
+
+    // =========================================
+    // Persistence
+    // =========================================
+
+    /**
+     * Capture the marks a nail left on the skin
+     * @returns {Array<Object>} { position: [x,y,z], normal: [x,y,z], radius, color }
+     */
+    captureNail(hand, finger) {
+        return this.getNailMarks(hand, finger).map(mark => ({
+            position: [...mark.position],
+            normal: [...mark.normal],
+            radius: mark.radius,
+            color: mark.color,
+        }));
+    }
+
+    /**
+     * Replace a nail's marks with captureNail() output
+     */
+    restoreNail(hand, finger, marks) {
+        const restored = (marks || []).slice(0, MAX_MARKS).map(mark => ({
+            position: [...mark.position],
+            normal: [...mark.normal],
+            radius: mark.radius,
+            color: mark.color,
+        }));
+
+        this.marks.set(`${hand}_${finger}`, restored);
+        this.renderNail(hand, finger);
+    }
+
+    dispose() {
+        this.endPen();
+        for (const mesh of this.meshes.values()) {
+            mesh.removeFromParent();
+            mesh.dispose();
+        }
+        this.meshes.clear();
+        this.marks.clear();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+// =========================================
+// Helpers
+// =========================================
+
+/**
+ * Average world scale of a hand model (marks are sized in world units)
+ */
+function getModelScale(model) {
+    const scale = model.getWorldScale(new THREE.Vector3());
+    return (scale.x + scale.y + scale.z) / 3 || 1;
+}
@@ -0,0 +1,210 @@
+/**
+ * StampLibrary.js
+ * Line-art designs for the stamping plate tool.
+ * Each design is SVG path data in a 100x100 box, so the same data draws
+ * the stamp (Path2D) and its button icon (inline SVG).
+ */
+
+const BOX = 100;
+
+/**
+ * Stamp designs. `lineWidth` is in box units.
+ */
+export const STAMP_DESIGNS = [
+    { id: 'hearts', name: 'Heart', lineWidth: 4, path: heart(50, 52, 38) },
+    { id: 'star', name: 'Star', lineWidth: 4, path: star(50, 53, 42, 18, 5) },
+    { id: 'flower', name: 'Flower', lineWidth: 3.5, path: flower(50, 50, 42, 6) + circle(50, 50, 8) },
+    { id: 'butterfly', name: 'Butterfly', lineWidth: 3.5, path: butterfly() },
+    { id: 'swirl', name: 'Swirl', lineWidth: 3.5, path: spiral(50, 50, 44, 3.2) },
+    { id: 'snowflake', name: 'Snowflake', lineWidth: 4, path: snowflake(50, 50, 42) },
+    { id: 'waves', name: 'Waves', lineWidth: 3.5, path: waves() },
+    { id: 'lace', name: 'Lace', lineWidth: 3, path: lace() },
+    { id: 'vine', name: 'Vine', lineWidth: 3, path: vine() },
+    { id: 'starry', name: 'Starry', lineWidth: 3, path: starry() },
+    { id: 'moon', name: 'Moon', lineWidth: 4, path: moon() },
+];
+
+/**
+ * Get a stamp design by id
+ */
+export function getStampDesign(id) {
+    return STAMP_DESIGNS.find(d => d.id === id) || null;
+}
+
+/**
+ * Inline SVG icon for a design's button
+ * @param {Object} design - STAMP_DESIGNS entry
+ * @param {string} color - Stroke color
+ */
+export function getStampIconSvg(design, color = 'currentColor') {
+    return `<svg viewBox="0 0 ${BOX} ${BOX}" aria-hidden="true">`
+        + `<path d="${design.path}" fill="none" stroke="${color}" stroke-width="${design.lineWidth * 1.5}"`
+        + ' stroke-linecap="round" stroke-linejoin="round" /></svg>';
+}
+
+/**
+ * Draw a design into a square canvas (transparent margin kept clear so the
+ * image can be sampled with clamped edges)
+ * @param {Object} design - STAMP_DESIGNS entry
+ * @param {string} color - Ink color
+ * @param {number} size - Canvas size in pixels
+ * @returns {HTMLCanvasElement}
+ */
+export function renderStamp(design, color, size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    const margin = size * 0.04;
+    const scale = (size - margin * 2) / BOX;
+    ctx.translate(margin, margin);
+    ctx.scale(scale, scale);
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = design.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.stroke(new Path2D(design.path));
+
+    return canvas;
+}
+
+// =========================================
+// Path Builders (box units)
+// =========================================
+
+// Round coordinates to keep the path data short
+function n(value) {
+    return Number(value.toFixed(2));
+}
+
+function polyline(points, close = false) {
+    return points.map(([x, y], i) => `${i ? 'L' : 'M'}${n(x)} ${n(y)}`).join(' ') + (close ? ' Z ' : ' ');
+}
+
+function circle(cx, cy, r) {
+    return `M${n(cx - r)} ${n(cy)} A${n(r)} ${n(r)} 0 1 0 ${n(cx + r)} ${n(cy)} A${n(r)} ${n(r)} 0 1 0 ${n(cx - r)} ${n(cy)} `;
+}
+
+function heart(cx, cy, size) {
+    const s = size / 38;
+    const p = (x, y) => `${n(cx + x * s)} ${n(cy + y * s)}`;
+    return `M${p(0, 30)} C${p(-30, 8)} ${p(-42, -10)} ${p(-32, -24)} `
+        + `C${p(-22, -38)} ${p(-5, -34)} ${p(0, -20)} `
+        + `C${p(5, -34)} ${p(22, -38)} ${p(32, -24)} `
+        + `C${p(42, -10)} ${p(30, 8)} ${p(0, 30)} Z `;
+}
+
+function star(cx, cy, outer, inner, points) {
+    const corners = [];
+    for (let i = 0; i < points * 2; i++) {
+        const r = i % 2 ? inner : outer;
+        const a = -Math.PI / 2 + i * Math.PI / points;
+        corners.push([cx + Math.cos(a) * r, cy + Math.sin(a) * r]);
+    }
+    return polyline(corners, true);
+}
+
+function flower(cx, cy, radius, petals) {
+    let d = '';
+    for (let i = 0; i < petals; i++) {
+        const a = i * Math.PI * 2 / petals;
+        const c1 = [cx + Math.cos(a - 0.45) * radius * 1.1, cy + Math.sin(a - 0.45) * radius * 1.1];
+        const c2 = [cx + Math.cos(a + 0.45) * radius * 1.1, cy + Math.sin(a + 0.45) * radius * 1.1];
+        d += `M${cx} ${cy} C${n(c1[0])} ${n(c1[1])} ${n(c2[0])} ${n(c2[1])} ${cx} ${cy} `;
+    }
+    return d;
+}
+
+function butterfly() {
+    return 'M50 30 L50 78 '
+        + 'M50 36 C30 8 4 16 10 36 C14 50 36 50 50 44 '
+        + 'M50 36 C70 8 96 16 90 36 C86 50 64 50 50 44 '
+        + 'M50 48 C34 50 18 62 26 76 C32 84 46 72 50 58 '
+        + 'M50 48 C66 50 82 62 74 76 C68 84 54 72 50 58 '
+        + 'M50 30 C46 22 42 18 38 16 M50 30 C54 22 58 18 62 16 ';
+}
+
+function spiral(cx, cy, radius, turns) {
+    const points = [];
+    const steps = Math.round(turns * 48);
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const a = t * turns * Math.PI * 2;
+        points.push([cx + Math.cos(a) * radius * t, cy + Math.sin(a) * radius * t]);
+    }
+    return polyline(points);
+}
+
+function snowflake(cx, cy, radius) {
+    let d = '';
+    for (let i = 0; i < 6; i++) {
+        const a = i * Math.PI / 3;
+        const dir = [Math.cos(a), Math.sin(a)];
+        const at = (r) => [cx + dir[0] * r, cy + dir[1] * r];
+        d += polyline([at(0), at(radius)]);
+
+        // Two V branches per arm
+        for (const r of [radius * 0.45, radius * 0.72]) {
+            const base = at(r);
+            const len = radius * 0.22;
+            for (const side of [-1, 1]) {
+                const b = a + side * Math.PI / 4;
+                d += polyline([base, [base[0] + Math.cos(b) * len, base[1] + Math.sin(b) * len]]);
+            }
+        }
+    }
+    return d;
+}
+
+function waves() {
+    let d = '';
+    for (let row = 0; row < 5; row++) {
+        const y = 14 + row * 18;
+        const points = [];
+        for (let x = 0; x <= BOX; x += 2) {
+            points.push([x, y + Math.sin((x / BOX) * Math.PI * 4 + row) * 5]);
+        }
+        d += polyline(points);
+    }
+    return d;
+}
+
+function lace() {
+    let d = '';
+    // Scalloped rows with a dot in each scallop
+    for (let row = 0; row < 3; row++) {
+        const y = 26 + row * 28;
+        const r = 8;
+        const offset = row % 2 ? r : 0;
+        for (let x = offset; x < BOX; x += r * 2) {
+            d += `M${n(x)} ${n(y)} A${r} ${r} 0 0 0 ${n(x + r * 2)} ${n(y)} `;
+            d += circle(x + r, y + r * 0.45, 1.6);
+        }
+        d += polyline([[0, y - 6], [BOX, y - 6]]);
+    }
+    return d;
+}
+
+function vine() {
+    let d = 'M8 92 C30 70 24 48 48 40 C70 32 70 14 92 6 ';
+    const leaves = [[22, 74, -0.9], [32, 56, 0.6], [48, 40, -1.2], [62, 32, 0.4], [78, 14, -1.1]];
+    for (const [x, y, a] of leaves) {
+        const tip = [x + Math.cos(a) * 16, y + Math.sin(a) * 16];
+        const c1 = [x + Math.cos(a - 0.6) * 10, y + Math.sin(a - 0.6) * 10];
+        const c2 = [x + Math.cos(a + 0.6) * 10, y + Math.sin(a + 0.6) * 10];
+        d += `M${x} ${y} Q${n(c1[0])} ${n(c1[1])} ${n(tip[0])} ${n(tip[1])} Q${n(c2[0])} ${n(c2[1])} ${x} ${y} `;
+    }
+    return d;
+}
+
+function starry() {
+    const stars = [[20, 18, 12], [70, 22, 9], [46, 50, 14], [16, 76, 8], [78, 72, 12], [88, 44, 5], [34, 32, 4]];
+    return stars.map(([x, y, r]) => star(x, y, r, r * 0.42, 5)).join('');
+}
+
+function moon() {
+    return 'M62 12 A40 40 0 1 0 62 88 A46 46 0 0 1 62 12 Z '
+        + star(74, 34, 9, 4, 4) + star(82, 62, 6, 2.6, 4);
+}
@@ -0,0 +1,491 @@
+/**
+ * StampTool.js
+ * Stamping plates - pick a line-art design from StampLibrary, choose an
+ * ink color and press it onto the nail. A ghost of the stamp follows the
+ * pointer at the chosen size and angle; pressing transfers it onto the
+ * nail with the patchy, uneven look of a real stamper.
+ *
+ * Stamps are kept per nail as placements (design, ink, position, size,
+ * angle and a seed for the transfer) and drawn into the nail's stamps
+ * overlay, so repainting the polish underneath never wipes them.
+ */
+import * as THREE from 'three';
+import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+import { createRandom, randomSeed } from '../utils/Random.js';
+import { STAMP_DESIGNS, getStampDesign, renderStamp } from './StampLibrary.js';
+
+// Stamp image resolution (the nail canvas is 1024)
+const STAMP_RESOLUTION = 512;
+
+// Stamp size limits, in nail canvas pixels
+const MIN_SIZE = 160;
+const MAX_SIZE = 900;
+
+// Pointer travel (screen pixels) before a press becomes a camera drag
+const PRESS_SLOP = 8;
+
+// Ink left on the nail by a press
+const TRANSFER_OPACITY = 0.92;
+const PREVIEW_OPACITY = 0.5;
+
+// Most stamps kept on one nail
+const MAX_STAMPS = 60;
+
+export class StampTool {
+    constructor(scene, camera, nail) {
+        this.scene = scene;
+        this.camera = camera;
+        this.nail = nail;
+        this.isActive = false;
+
+        this.selectedDesign = STAMP_DESIGNS[0].id;
+        this.color = '#FFFFFF';
+        this.size = 420; // Canvas pixels
+        this.rotation = 0; // Radians
+        this.dim = 1024; // Canvas dimension (matches NailModel)
+
+        // Pointer press waiting to become a stamp: { pointerId, x, y }
+        this.press = null;
+
+        // Last UV under the pointer, where the preview is shown
+        this.hoverUV = null;
+
+        // Stamps per nail (keyed by hand_finger), oldest first:
+        // { designId, color, u, v, size, rotation, flipped, seed }
+        // size is in UV units; flipped stamps are mirrored top to bottom
+        this.stamps = new Map();
+
+        // Called after a stamp is pressed
+        this.onStamp = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        this.createPreview();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (!canvas) {
+            setTimeout(() => this.setupEventListeners(), 100);
+            return;
+        }
+
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', () => { this.press = null; });
+    }
+
+    updateMousePosition(event) {
+        const canvas = document.querySelector('#canvas-container canvas');
+        if (!canvas) return;
+
+        const rect = canvas.getBoundingClientRect();
+        const clientX = event.touches ? event.touches[0].clientX : event.clientX;
+        const clientY = event.touches ? event.touches[0].clientY : event.clientY;
+
+        this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    }
+
+    getUVIntersection() {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const nailMesh = this.nail.getNailMesh();
+        if (!nailMesh) return null;
+
+        const intersects = this.raycaster.intersectObject(nailMesh, true);
+        if (intersects.length > 0 && intersects[0].uv) {
+            return intersects[0].uv;
+        }
+        return null;
+    }
+
+    // =========================================
+    // Pointer
+    // =========================================
+
+    onPointerDown(event) {
+        if (!this.isActive || !event.isPrimary) return;
+
+        this.updateMousePosition(event);
+        const uv = this.getUVIntersection();
+        if (!uv) return;
+
+        // Touch has no hover, so show where the stamp will land
+        this.showPreview(uv);
+        this.press = { pointerId: event.pointerId, x: event.clientX, y: event.clientY };
+    }
+
+    onPointerMove(event) {
+        if (!this.isActive || !event.isPrimary) return;
+
+        // Dragging away turns the press into a camera orbit
+        if (this.press && Math.hypot(event.clientX - this.press.x, event.clientY - this.press.y) > PRESS_SLOP) {
+            this.press = null;
+        }
+
+        this.updateMousePosition(event);
+        const uv = this.getUVIntersection();
+        if (uv) {
+            this.showPreview(uv);
+        } else {
+            this.hidePreview();
+        }
+    }
+
+    onPointerUp(event) {
+        const press = this.press;
+        this.press = null;
+        if (!this.isActive || !press || press.pointerId !== event.pointerId) return;
+
+        this.updateMousePosition(event);
+        const uv = this.getUVIntersection();
+        if (uv) {
+            this.stamp(uv);
+        }
+    }
+
+    // =========================================
+    // Settings
+    // =========================================
+
+    selectDesign(designId) {
+        if (getStampDesign(designId)) {
+            this.selectedDesign = designId;
+            this.refreshPreviewImage();
+        }
+    }
+
+    getSelectedDesign() {
+        return getStampDesign(this.selectedDesign);
+    }
+
+    setColor(color) {
+        this.color = color;
+        this.refreshPreviewImage();
+    }
+
+    getColor() {
+        return this.color;
+    }
+
+    /**
+     * @param {number} size - Stamp width in nail canvas pixels
+     */
+    setSize(size) {
+        this.size = THREE.MathUtils.clamp(size, MIN_SIZE, MAX_SIZE);
+        this.updatePreviewTransform();
+    }
+
+    getSize() {
+        return this.size;
+    }
+
+    getSizeRange() {
+        return { min: MIN_SIZE, max: MAX_SIZE };
+    }
+
+    /**
+     * @param {number} degrees - Stamp angle, clockwise on the canvas
+     */
+    setRotation(degrees) {
+        this.rotation = THREE.MathUtils.degToRad(degrees);
+        this.updatePreviewTransform();
+    }
+
+    getRotation() {
+        return Math.round(THREE.MathUtils.radToDeg(this.rotation));
+    }
+
+    activate() {
+        this.isActive = true;
+    }
+
+    deactivate() {
+        this.isActive = false;
+        this.press = null;
+        this.hidePreview();
+    }
+
+    // =========================================
+    // Stamping
+    // =========================================
+
+    /**
+     * Press the selected design onto the active nail
+     * @param {THREE.Vector2} uv - Stamp center
+     */
+    stamp(uv) {
+        const design = this.getSelectedDesign();
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        if (!design || !this.nail.getOverlayLayer(hand, finger, 'stamps')) return false;
+
+        const stamps = this.getNailStamps(hand, finger);
+        if (stamps.length >= MAX_STAMPS) return false;
+
+        const stamp = {
+            designId: design.id,
+            color: this.color,
+            u: uv.x,
+            v: uv.y,
+            size: this.size / this.dim,
+            rotation: this.rotation,
+            flipped: false,
+            seed: randomSeed(),
+        };
+
+        commandHistory.record('Stamp', hand, finger, () => {
+            stamps.push(stamp);
+            this.renderNail(hand, finger);
+        });
+
+        soundManager.playStamp();
+        this.onStamp?.(design.id);
+        return true;
+    }
+
+    /**
+     * Draw one stamp placement into a 2D context
+     * @param {number} dim - Size of the square canvas behind ctx
+     */
+    drawStamp(ctx, stamp, dim) {
+        const design = getStampDesign(stamp.designId);
+        if (!design) return;
+
+        const size = stamp.size * dim;
+        const transfer = this.createTransfer(design, stamp.color, createRandom(stamp.seed));
+
+        ctx.save();
+        ctx.translate(stamp.u * dim, stamp.v * dim);
+        ctx.rotate(stamp.rotation);
+        if (stamp.flipped) {
+            ctx.scale(1, -1);
+        }
+        ctx.globalAlpha = TRANSFER_OPACITY;
+        ctx.drawImage(transfer, -size / 2, -size / 2, size, size);
+        ctx.restore();
+    }
+
+    /**
+     * Render a design as it comes off the stamper: pressure fades toward
+     * one side, and blotches and specks of ink fail to transfer
+     * @param {Function} random - Seeded (see createRandom), so a stamp
+     *   transfers the same way every time it is redrawn
+     * @returns {HTMLCanvasElement}
+     */
+    createTransfer(design, color, random) {
+        const canvas = renderStamp(design, color, STAMP_RESOLUTION);
+        const ctx = canvas.getContext('2d');
+        const size = STAMP_RESOLUTION;
+
+        ctx.globalCompositeOperation = 'destination-out';
+
+        // Uneven pressure: lighter toward a random edge
+        const angle = random() * Math.PI * 2;
+        const dx = Math.cos(angle) * size / 2;
+        const dy = Math.sin(angle) * size / 2;
+        const fade = ctx.createLinearGradient(size / 2 - dx, size / 2 - dy, size / 2 + dx, size / 2 + dy);
+        fade.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        fade.addColorStop(0.6, 'rgba(0, 0, 0, 0.05)');
+        fade.addColorStop(1, `rgba(0, 0, 0, ${0.3 + random() * 0.2})`);
+        ctx.fillStyle = fade;
+        ctx.fillRect(0, 0, size, size);
+
+        // Soft patches where the plate didn't pick up ink
+        for (let i = 0; i < 10; i++) {
+            const x = random() * size;
+            const y = random() * size;
+            const r = size * (0.03 + random() * 0.07);
+            const blotch = ctx.createRadialGradient(x, y, 0, x, y, r);
+            blotch.addColorStop(0, `rgba(0, 0, 0, ${0.35 + random() * 0.4})`);
+            blotch.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = blotch;
+            ctx.fillRect(x - r, y - r, r * 2, r * 2);
+        }
+
+        // Tiny gaps along the lines
+        ctx.fillStyle = '#000';
+        for (let i = 0; i < 60; i++) {
+            ctx.beginPath();
+            ctx.arc(random() * size, random() * size, 1 + random() * 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        return canvas;
+    }
+
+    // =========================================
+    // Rendering
+    // =========================================
+
+    getNailStamps(hand, finger) {
+        const key = `${hand}_${finger}`;
+        if (!this.stamps.has(key)) {
+            this.stamps.set(key, []);
+        }
+        return this.stamps.get(key);
+    }
+
+    /**
+     * Redraw a nail's stamps overlay
+     */
+    renderNail(hand, finger) {
+        const layer = this.nail.getOverlayLayer(hand, finger, 'stamps');
+        if (!layer) return;
+
+        layer.ctx.clearRect(0, 0, this.dim, this.dim);
+        this.bakeNail(hand, finger, layer.ctx);
+        layer.texture.needsUpdate = true;
+    }
+
+    /**
+     * Redraw every nail
+     */
+    renderAll() {
+        for (const hand of ['left', 'right']) {
+            for (const finger of Object.keys(this.nail.hands[hand].nails)) {
+                this.renderNail(hand, finger);
+            }
+        }
+    }
+
+    /**
+     * Draw a nail's stamps into any 2D context, at any resolution
+     * @param {number} [dim] - Size of the square canvas behind ctx
+     */
+    bakeNail(hand, finger, ctx, dim = this.dim) {
+        for (const stamp of this.getNailStamps(hand, finger)) {
+            this.drawStamp(ctx, stamp, dim);
+        }
+    }
+
+    // =========================================
+    // Saving
+    // =========================================
+
+    clearNail(hand, finger) {
+        this.stamps.set(`${hand}_${finger}`, []);
+        this.renderNail(hand, finger);
+    }
+
+    clearAll() {
+        for (const key of this.stamps.keys()) {
+            const [hand, finger] = key.split('_');
+            this.clearNail(hand, finger);
+        }
+    }
+
+    /**
+     * Capture the stamps on a nail
+     * @returns {Array<Object>} { designId, color, u, v, size, rotation, flipped, seed }
+     */
+    captureNail(hand, finger) {
+        return this.getNailStamps(hand, finger).map(stamp => ({ ...stamp }));
+    }
+
+    /**
+     * Replace a nail's stamps with captureNail() output
+     */
+    restoreNail(hand, finger, stamps) {
+        const restored = (stamps || [])
+            .filter(stamp => getStampDesign(stamp.designId))
+            .slice(0, MAX_STAMPS)
+            .map(stamp => ({
+                designId: stamp.designId,
+                color: stamp.color,
+                u: stamp.u,
+                v: stamp.v,
+                size: stamp.size,
+                rotation: stamp.rotation || 0,
+                flipped: !!stamp.flipped,
+                seed: stamp.seed,
+            }));
+
+        this.stamps.set(`${hand}_${finger}`, restored);
+        this.renderNail(hand, finger);
+    }
+
+    // =========================================
+    // Preview
+    // =========================================
+
+    /**
+     * Ghost stamp drawn over the hovered nail. It shares the nail's
+     * geometry and maps a small stamp texture onto it through the texture
+     * matrix, so it needs no canvas of its own per nail.
+     */
+    createPreview() {
+        this.previewTexture = new THREE.CanvasTexture(renderStamp(this.getSelectedDesign(), this.color, STAMP_RESOLUTION));
+        this.previewTexture.flipY = false;
+        this.previewTexture.matrixAutoUpdate = false;
+
+        const material = new THREE.MeshBasicMaterial({
+            map: this.previewTexture,
+            transparent: true,
+            opacity: PREVIEW_OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            depthTest: true,
+            polygonOffset: true,
+            polygonOffsetFactor: -2,
+            polygonOffsetUnits: -2,
+        });
+
+        this.preview = new THREE.Mesh(new THREE.BufferGeometry(), material);
+        this.preview.name = 'stamp_preview';
+        this.preview.renderOrder = 14; // Above the drawing and sticker overlays
+        this.preview.visible = false;
+
+        // Tools raycast the nail mesh recursively; the ghost is never a hit
+        this.preview.raycast = () => {};
+    }
+
+    showPreview(uv) {
+        const nailMesh = this.nail.getNailMesh();
+        if (!nailMesh) return;
+
+        // Ride along with the active nail (and whatever shape it has now)
+        if (this.preview.parent !== nailMesh) {
+            nailMesh.add(this.preview);
+        }
+        this.preview.geometry = nailMesh.geometry;
+
+        this.hoverUV = uv.clone();
+        this.preview.visible = true;
+        this.updatePreviewTransform();
+    }
+
+    hidePreview() {
+        this.hoverUV = null;
+        this.preview.visible = false;
+        this.preview.removeFromParent();
+    }
+
+    /**
+     * Map nail UVs into the stamp image: centered on the hovered point,
+     * turned by the stamp angle and scaled to the stamp size
+     */
+    updatePreviewTransform() {
+        if (!this.hoverUV) return;
+
+        const scale = this.dim / this.size;
+        this.previewTexture.matrix
+            .identity()
+            .translate(-this.hoverUV.x, -this.hoverUV.y)
+            .rotate(this.rotation)
+            .scale(scale, scale)
+            .translate(0.5, 0.5);
+    }
+
+    refreshPreviewImage() {
+        const design = this.getSelectedDesign();
+        if (!design) return;
+
+        this.previewTexture.image = renderStamp(design, this.color, STAMP_RESOLUTION);
+        this.previewTexture.needsUpdate = true;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * StickerLibrary.js
+ * Sticker packs loaded from a JSON manifest of PNG/SVG artwork under public/.
+ * Images load lazily on first use; the built-in emoji set is always
+ * available and is all that is shown if the manifest can't be loaded.
+ *
+ * Manifest format (public/stickers/manifest.json):
+ *   {
+ *     "version": 1,
+ *     "categories": [{ "id": "sky", "name": "Sky", "icon": "⭐" }],
+ *     "stickers": [
+ *       { "id": "sky-star", "name": "Star", "category": "sky",
+ *         "src": "sky/star.svg", "emoji": "⭐" }
+ *     ]
+ *   }
+ * `src` is relative to the manifest; `emoji` is drawn while the image
+ * loads or if it fails.
+ */
+
+export const STICKER_MANIFEST_URL = '/stickers/manifest.json';
+
+// Built-in emoji stickers (always available, and the fallback set)
+export const EMOJI_CATEGORY = { id: 'emoji', name: 'Emoji', icon: '😀' };
+
+export const EMOJI_STICKERS = [
+    { id: 'star', emoji: '⭐', color: '#FFD700' },
+    { id: 'heart', emoji: '❤️', color: '#FF6B6B' },
+    { id: 'flower', emoji: '🌸', color: '#FFB6C1' },
+    { id: 'butterfly', emoji: '🦋', color: '#87CEEB' },
+    { id: 'rainbow', emoji: '🌈', color: '#FF69B4' },
+    { id: 'bow', emoji: '🎀', color: '#FF69B4' },
+    { id: 'diamond', emoji: '💎', color: '#00CED1' },
+    { id: 'sparkle', emoji: '🌟', color: '#FFD700' },
+    { id: 'hibiscus', emoji: '🌺', color: '#FF6B6B' },
+    { id: 'hearts', emoji: '💕', color: '#FFB6C1' },
+    { id: 'sparkles', emoji: '✨', color: '#FFD700' },
+    { id: 'clover', emoji: '🍀', color: '#98FF98' },
+].map(sticker => ({ ...sticker, name: sticker.id, category: EMOJI_CATEGORY.id, src: null }));
+
+class StickerLibrary {
+    constructor(manifestUrl = STICKER_MANIFEST_URL) {
+        this.manifestUrl = manifestUrl;
+
+        this.categories = [EMOJI_CATEGORY];
+        this.stickers = new Map(EMOJI_STICKERS.map(s => [s.id, s]));
+
+        // Image loads by sticker id: Promise<HTMLImageElement|null>
+        this.imageLoads = new Map();
+        // Finished images by sticker id
+        this.images = new Map();
+
+        this.loadPromise = null;
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load the manifest (once). Never rejects: on failure only the
+     * emoji set is available.
+     * @returns {Promise<Array<Object>>} Categories
+     */
+    load() {
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = fetch(this.manifestUrl)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((manifest) => this.addManifest(manifest))
+            .catch((error) => {
+                console.warn('Sticker packs unavailable, using emoji stickers:', error);
+            })
+            .then(() => {
+                this.isLoaded = true;
+                return this.categories;
+            });
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Register categories and stickers from a parsed manifest
+     */
+    addManifest(manifest) {
+        if (!Array.isArray(manifest?.categories) || !Array.isArray(manifest?.stickers)) {
+            throw new Error('Sticker manifest needs categories and stickers lists');
+        }
+
+        const baseUrl = new URL(this.manifestUrl, window.location.href);
+        const categories = manifest.categories.filter(c => typeof c?.id === 'string' && c.id !== EMOJI_CATEGORY.id);
+        const categoryIds = new Set(categories.map(c => c.id));
+
+        for (const entry of manifest.stickers) {
+            if (typeof entry?.id !== 'string' || typeof entry.src !== 'string' || !categoryIds.has(entry.category)) {
+                console.warn('Skipping invalid sticker in manifest:', entry);
+                continue;
+            }
+            if (this.stickers.has(entry.id)) {
+                console.warn(`Skipping duplicate sticker id: ${entry.id}`);
+                continue;
+            }
+
+            this.stickers.set(entry.id, {
+                id: entry.id,
+                name: entry.name || entry.id,
+                category: entry.category,
+                src: new URL(entry.src, baseUrl).href,
+                emoji: entry.emoji || null,
+            });
+        }
+
+        // Packs first, built-in emoji last
+        this.categories = [
+            ...categories.map(c => ({ id: c.id, name: c.name || c.id, icon: c.icon || '' })),
+            EMOJI_CATEGORY,
+        ];
+    }
+
+    getCategories() {
+        return this.categories;
+    }
+
+    /**
+     * Stickers in a category, in manifest order
+     */
+    getStickers(categoryId) {
+        return [...this.stickers.values()].filter(s => s.category === categoryId);
+    }
+
+    /**
+     * Look up a sticker; unknown ids fall back to the first emoji sticker
+     */
+    getSticker(id) {
+        return this.stickers.get(id) || EMOJI_STICKERS[0];
+    }
+
+    /**
+     * The sticker's image if it has finished loading
+     * @returns {HTMLImageElement|null}
+     */
+    getImage(id) {
+        return this.images.get(id) || null;
+    }
+
+    /**
+     * Load a sticker's image on first use
+     * @returns {Promise<HTMLImageElement|null>} Null for emoji or failed images
+     */
+    loadImage(id) {
+        if (this.imageLoads.has(id)) return this.imageLoads.get(id);
+
+        const sticker = this.stickers.get(id);
+        if (!sticker?.src) return Promise.resolve(null);
+
+        const promise = new Promise((resolve) => {
+            const img = new Image();
+            img.decoding = 'async';
+            img.onload = () => {
+                this.images.set(id, img);
+                resolve(img);
+            };
+            img.onerror = () => {
+                console.warn(`Failed to load sticker image: ${sticker.src}`);
+                resolve(null);
+            };
+            img.src = sticker.src;
+        });
+
+        this.imageLoads.set(id, promise);
+        return promise;
+    }
+}
+
+// Export singleton instance
+export const stickerLibrary = new StickerLibrary();
+
+// Also export the class for custom instances
+export { StickerLibrary };
@@ -1,25 +1,24 @@
 /**
  * StickerTool.js
- * Sticker placement on nail surface using canvas-based drawing
+ * Editable stickers on the nail surface.
+ * Stickers are kept as objects (UV position, scale, rotation) and drawn
+ * into each nail's sticker overlay, so they can be moved, resized,
+ * rotated and deleted at any time. Designs come from StickerLibrary.
  */
 import * as THREE from 'three';
 import { soundManager } from '../audio/SoundManager.js';
+import { commandHistory } from '../state/CommandHistory.js';
+import { stickerLibrary } from './StickerLibrary.js';
 
-// Available sticker designs
-export const STICKERS = [
-    { id: 'star', emoji: '⭐', color: '#FFD700' },
-    { id: 'heart', emoji: '❤️', color: '#FF6B6B' },
-    { id: 'flower', emoji: '🌸', color: '#FFB6C1' },
-    { id: 'butterfly', emoji: '🦋', color: '#87CEEB' },
-    { id: 'rainbow', emoji: '🌈', color: '#FF69B4' },
-    { id: 'bow', emoji: '🎀', color: '#FF69B4' },
-    { id: 'diamond', emoji: '💎', color: '#00CED1' },
-    { id: 'sparkle', emoji: '🌟', color: '#FFD700' },
-    { id: 'hibiscus', emoji: '🌺', color: '#FF6B6B' },
-    { id: 'hearts', emoji: '💕', color: '#FFB6C1' },
-    { id: 'sparkles', emoji: '✨', color: '#FFD700' },
-    { id: 'clover', emoji: '🍀', color: '#98FF98' },
-];
+// Selection handles, in nail canvas pixels
+const HANDLE_RADIUS = 36;
+const HANDLE_HIT_RADIUS = 50;
+const HANDLE_PADDING = 10;
+const ROTATE_HANDLE_OFFSET = 70;
+
+// Scale limits relative to the base sticker size
+const MIN_SCALE = 0.4;
+const MAX_SCALE = 3;
 
 export class StickerTool {
     constructor(scene, camera, nail) {
@@ -28,10 +27,31 @@ export class StickerTool {
         this.nail = nail;
         this.isActive = false;
 
-        this.selectedSticker = null;
-        this.stickerSize = 64; // Size of sticker in canvas pixels
+        this.selectedSticker = null; // Sticker design to place on tap
+        this.stickerSize = 64; // Size of sticker in canvas pixels at scale 1
         this.dim = 1024; // Canvas dimension (matches NailModel)
 
+        // Placed stickers per nail (keyed by hand_finger):
+        // { id, stickerId, u, v, scale, rotation }
+        this.stickers = new Map();
+        this.nextId = 1;
+
+        // Sticker images already requested from the library
+        this.pendingImages = new Set();
+
+        // Placed sticker being edited: { hand, finger, id }
+        this.selection = null;
+
+        // Drag/pinch/twist in progress
+        this.gesture = null;
+        this.pointers = new Map(); // pointerId -> { x, y } in screen pixels
+        this.historyStep = null;
+
+        // UI callbacks
+        this.onSelectionChange = null; // (sticker|null)
+        this.onGestureChange = null;   // (isEditing) - e.g. pause camera controls
+        this.onPlace = null;           // (hand, finger, sticker, uvRadius) - e.g. smear wet polish
+
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
 
@@ -45,8 +65,11 @@ export class StickerTool {
             return;
         }
 
-        canvas.addEventListener('click', (e) => this.onClick(e));
-        canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
+        this.domElement = canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
     }
 
     updateMousePosition(event) {
@@ -73,47 +96,275 @@ export class StickerTool {
         return null;
     }
 
-    onClick(event) {
-        if (!this.isActive || !this.selectedSticker) return;
-
+    /**
+     * Get the nail canvas pixel under the pointer, or null if off the nail
+     */
+    getCanvasHit(event) {
         this.updateMousePosition(event);
-
         const uv = this.getUVIntersection();
-        if (uv) {
-            this.placeSticker(uv);
+        return uv ? { x: uv.x * this.dim, y: uv.y * this.dim } : null;
+    }
+
+    // =========================================
+    // Pointer & Gestures
+    // =========================================
+
+    onPointerDown(event) {
+        if (!this.isActive) return;
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        // Second finger down: pinch to resize, twist to rotate
+        if (this.pointers.size === 2) {
+            const sticker = this.getSelectedSticker();
+            if (sticker) {
+                this.startGesture('pinch', sticker, null, event);
+            }
+            return;
+        }
+        if (this.pointers.size > 2) return;
+
+        const hit = this.getCanvasHit(event);
+        if (!hit) return;
+
+        const selected = this.getSelectedSticker();
+        const handle = selected ? this.hitHandle(selected, hit) : null;
+
+        if (handle === 'delete') {
+            this.deleteSelected();
+            return;
+        }
+        if (handle) {
+            this.startGesture(handle, selected, hit, event);
+            return;
+        }
+
+        const sticker = this.hitSticker(hit);
+        if (sticker) {
+            this.select(sticker.id);
+            this.startGesture('move', sticker, hit, event);
+            soundManager.playClick();
+            return;
+        }
+
+        if (this.selectedSticker) {
+            this.placeSticker({ x: hit.x / this.dim, y: hit.y / this.dim });
+        } else {
+            this.select(null);
         }
     }
 
-    onTouchStart(event) {
-        if (!this.isActive || !this.selectedSticker) return;
+    onPointerMove(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
 
-        event.preventDefault();
-        this.updateMousePosition(event);
+        const gesture = this.gesture;
+        if (!gesture) return;
 
-        const uv = this.getUVIntersection();
-        if (uv) {
-            this.placeSticker(uv);
+        const sticker = this.findSticker(gesture.hand, gesture.finger, gesture.id);
+        if (!sticker) return;
+
+        if (gesture.mode === 'pinch') {
+            const [a, b] = [...this.pointers.values()];
+            if (!b) return;
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            const angle = Math.atan2(b.y - a.y, b.x - a.x);
+            sticker.scale = this.clampScale(gesture.startScale * distance / gesture.startDistance);
+            sticker.rotation = gesture.startRotation + angle - gesture.startAngle;
+        } else {
+            const hit = this.getCanvasHit(event);
+            if (!hit) return;
+
+            const cx = sticker.u * this.dim;
+            const cy = sticker.v * this.dim;
+
+            switch (gesture.mode) {
+                case 'move':
+                    sticker.u = THREE.MathUtils.clamp((hit.x + gesture.offsetX) / this.dim, 0, 1);
+                    sticker.v = THREE.MathUtils.clamp((hit.y + gesture.offsetY) / this.dim, 0, 1);
+                    break;
+                case 'scale': {
+                    const distance = Math.max(1, Math.hypot(hit.x - cx, hit.y - cy));
+                    sticker.scale = this.clampScale(gesture.startScale * distance / gesture.startDistance);
+                    break;
+                }
+                case 'rotate': {
+                    const angle = Math.atan2(hit.y - cy, hit.x - cx);
+                    sticker.rotation = gesture.startRotation + angle - gesture.startAngle;
+                    break;
+                }
+            }
+        }
+
+        gesture.changed = true;
+        this.renderNail(gesture.hand, gesture.finger);
+    }
+
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+
+        // Lifting one finger of a pinch ends the gesture
+        if (this.gesture && (this.gesture.mode === 'pinch' || this.pointers.size === 0)) {
+            this.endGesture();
+        }
+    }
+
+    /**
+     * Begin editing a sticker
+     * @param {string} mode - 'move' | 'scale' | 'rotate' | 'pinch'
+     * @param {Object} hit - Canvas pixel under the pointer (null for pinch)
+     */
+    startGesture(mode, sticker, hit, event) {
+        this.endGesture();
+
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+        const cx = sticker.u * this.dim;
+        const cy = sticker.v * this.dim;
+
+        const gesture = {
+            mode,
+            hand,
+            finger,
+            id: sticker.id,
+            startScale: sticker.scale,
+            startRotation: sticker.rotation,
+            changed: false,
+        };
+
+        if (mode === 'pinch') {
+            const [a, b] = [...this.pointers.values()];
+            gesture.startDistance = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+            gesture.startAngle = Math.atan2(b.y - a.y, b.x - a.x);
+        } else {
+            gesture.offsetX = cx - hit.x;
+            gesture.offsetY = cy - hit.y;
+            gesture.startDistance = Math.max(1, Math.hypot(hit.x - cx, hit.y - cy));
+            gesture.startAngle = Math.atan2(hit.y - cy, hit.x - cx);
+            this.domElement?.setPointerCapture?.(event.pointerId);
+        }
+
+        const labels = { move: 'Move sticker', scale: 'Resize sticker', rotate: 'Rotate sticker', pinch: 'Resize sticker' };
+        this.historyStep = commandHistory.begin(labels[mode], hand, finger);
+        this.gesture = gesture;
+        this.onGestureChange?.(true);
+    }
+
+    endGesture() {
+        if (!this.gesture) return;
+
+        if (this.gesture.changed) {
+            this.historyStep?.commit();
+        } else {
+            this.historyStep?.cancel();
+        }
+        this.historyStep = null;
+        this.gesture = null;
+        this.onGestureChange?.(false);
+    }
+
+    clampScale(scale) {
+        return THREE.MathUtils.clamp(scale, MIN_SCALE, MAX_SCALE);
+    }
+
+    // =========================================
+    // Hit Testing
+    // =========================================
+
+    /**
+     * Topmost sticker on the active nail under a canvas pixel
+     */
+    hitSticker(hit) {
+        const list = this.getNailStickers(this.nail.getCurrentHand(), this.nail.getActiveNail());
+
+        for (let i = list.length - 1; i >= 0; i--) {
+            const sticker = list[i];
+            const local = this.toStickerSpace(sticker, hit);
+            const half = this.stickerSize * sticker.scale / 2;
+            if (Math.abs(local.x) <= half && Math.abs(local.y) <= half) {
+                return sticker;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Which handle of a selected sticker is under a canvas pixel
+     * @returns {string|null} 'delete' | 'scale' | 'rotate' | null
+     */
+    hitHandle(sticker, hit) {
+        for (const [name, position] of Object.entries(this.getHandlePositions(sticker))) {
+            if (Math.hypot(hit.x - position.x, hit.y - position.y) <= HANDLE_HIT_RADIUS) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Canvas pixel -> offset from the sticker centre in its unrotated frame
+     */
+    toStickerSpace(sticker, point) {
+        const dx = point.x - sticker.u * this.dim;
+        const dy = point.y - sticker.v * this.dim;
+        const cos = Math.cos(sticker.rotation);
+        const sin = Math.sin(sticker.rotation);
+        return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos };
+    }
+
+    /**
+     * Handle centres in canvas pixels (they rotate with the sticker)
+     */
+    getHandlePositions(sticker) {
+        const half = this.stickerSize * sticker.scale / 2 + HANDLE_PADDING;
+        const local = {
+            delete: { x: half, y: -half },
+            scale: { x: half, y: half },
+            rotate: { x: 0, y: -half - ROTATE_HANDLE_OFFSET },
+        };
+
+        const cx = sticker.u * this.dim;
+        const cy = sticker.v * this.dim;
+        const cos = Math.cos(sticker.rotation);
+        const sin = Math.sin(sticker.rotation);
+
+        const positions = {};
+        for (const [name, p] of Object.entries(local)) {
+            positions[name] = {
+                x: cx + p.x * cos - p.y * sin,
+                y: cy + p.x * sin + p.y * cos,
+            };
         }
+        return positions;
     }
 
+    // =========================================
+    // Editing
+    // =========================================
+
     placeSticker(uv) {
-        const ctx = this.nail.getDrawingContext();
-        if (!ctx) return;
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
 
         // Find sticker data
-        const stickerData = STICKERS.find(s => s.id === this.selectedSticker) || STICKERS[0];
-
-        // Convert UV to canvas coordinates
-        const x = uv.x * this.dim;
-        const y = uv.y * this.dim;
+        const stickerData = stickerLibrary.getSticker(this.selectedSticker);
 
-        // Draw sticker emoji on canvas
-        ctx.font = `${this.stickerSize}px serif`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(stickerData.emoji, x, y);
+        const sticker = {
+            id: this.nextId++,
+            stickerId: stickerData.id,
+            u: uv.x,
+            v: uv.y,
+            scale: 1,
+            rotation: 0,
+        };
 
-        this.nail.updateDrawingTexture();
+        commandHistory.record('Sticker', hand, finger, () => {
+            this.getNailStickers(hand, finger).push(sticker);
+            this.selection = { hand, finger, id: sticker.id };
+            this.onPlace?.(hand, finger, sticker, this.stickerSize / 2 / this.dim);
+            this.renderNail(hand, finger);
+        });
+        this.onSelectionChange?.(sticker);
 
         // Play pop sound
         soundManager.playStickerPop();
@@ -121,9 +372,58 @@ export class StickerTool {
         console.log(`Placed sticker: ${this.selectedSticker} at UV(${uv.x.toFixed(2)}, ${uv.y.toFixed(2)})`);
     }
 
+    /**
+     * Select a placed sticker on the active nail (null to deselect)
+     */
+    select(id) {
+        const previous = this.selection;
+        const hand = this.nail.getCurrentHand();
+        const finger = this.nail.getActiveNail();
+
+        this.selection = id !== null ? { hand, finger, id } : null;
+
+        if (previous) {
+            this.renderNail(previous.hand, previous.finger);
+        }
+        if (this.selection) {
+            this.renderNail(hand, finger);
+        }
+        this.onSelectionChange?.(this.getSelectedSticker());
+    }
+
+    getSelectedSticker() {
+        if (!this.selection) return null;
+        const { hand, finger, id } = this.selection;
+        return this.findSticker(hand, finger, id);
+    }
+
+    /**
+     * Remove the selected sticker
+     */
+    deleteSelected() {
+        const sticker = this.getSelectedSticker();
+        if (!sticker) return false;
+
+        this.endGesture();
+        const { hand, finger } = this.selection;
+
+        commandHistory.record('Delete sticker', hand, finger, () => {
+            const list = this.getNailStickers(hand, finger);
+            list.splice(list.indexOf(sticker), 1);
+            this.selection = null;
+            this.renderNail(hand, finger);
+        });
+        this.onSelectionChange?.(null);
+
+        soundManager.playClick();
+        return true;
+    }
+
     selectSticker(stickerId) {
         this.selectedSticker = stickerId;
         if (stickerId) {
+            // Start loading the artwork before the first tap on the nail
+            stickerLibrary.loadImage(stickerId);
             soundManager.playClick();
         }
     }
@@ -134,10 +434,201 @@ export class StickerTool {
 
     deactivate() {
         this.isActive = false;
+        this.endGesture();
+        this.pointers.clear();
+        this.select(null);
+    }
+
+    // =========================================
+    // Rendering
+    // =========================================
+
+    getNailStickers(hand, finger) {
+        const key = `${hand}_${finger}`;
+        if (!this.stickers.has(key)) {
+            this.stickers.set(key, []);
+        }
+        return this.stickers.get(key);
+    }
+
+    findSticker(hand, finger, id) {
+        return this.getNailStickers(hand, finger).find(s => s.id === id) || null;
+    }
+
+    /**
+     * Redraw a nail's sticker overlay (stickers plus selection handles)
+     */
+    renderNail(hand, finger) {
+        const layer = this.nail.getOverlayLayer(hand, finger, 'stickers');
+        if (!layer) return;
+
+        layer.ctx.clearRect(0, 0, this.dim, this.dim);
+        this.bakeNail(hand, finger, layer.ctx);
+
+        const selected = this.selection?.hand === hand && this.selection?.finger === finger
+            ? this.getSelectedSticker()
+            : null;
+        if (selected) {
+            this.drawHandles(layer.ctx, selected);
+        }
+
+        layer.texture.needsUpdate = true;
+    }
+
+    /**
+     * Redraw every nail (e.g. after the nail meshes were rebuilt)
+     */
+    renderAll() {
+        for (const hand of ['left', 'right']) {
+            for (const finger of Object.keys(this.nail.hands[hand].nails)) {
+                this.renderNail(hand, finger);
+            }
+        }
     }
 
+    /**
+     * Draw a nail's stickers (without handles) into any 2D context,
+     * e.g. to flatten them into an exported image
+     */
+    bakeNail(hand, finger, ctx) {
+        for (const sticker of this.getNailStickers(hand, finger)) {
+            this.drawSticker(ctx, sticker);
+        }
+    }
+
+    drawSticker(ctx, sticker) {
+        const stickerData = stickerLibrary.getSticker(sticker.stickerId);
+        const size = this.stickerSize * sticker.scale;
+        const image = stickerLibrary.getImage(stickerData.id);
+
+        // Artwork loads on first use; show the emoji until it arrives
+        if (stickerData.src && !image) {
+            this.requestImage(stickerData.id);
+        }
+
+        ctx.save();
+        ctx.translate(sticker.u * this.dim, sticker.v * this.dim);
+        ctx.rotate(sticker.rotation);
+
+        if (image) {
+            // Fit inside the sticker square, keeping the aspect ratio
+            const aspect = (image.naturalWidth || 1) / (image.naturalHeight || 1);
+            const width = aspect >= 1 ? size : size * aspect;
+            const height = aspect >= 1 ? size / aspect : size;
+            ctx.drawImage(image, -width / 2, -height / 2, width, height);
+        } else if (stickerData.emoji) {
+            ctx.font = `${size}px serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(stickerData.emoji, 0, 0);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Load a sticker image and redraw the nails once it is ready
+     */
+    requestImage(id) {
+        if (this.pendingImages.has(id)) return;
+        this.pendingImages.add(id);
+
+        stickerLibrary.loadImage(id).then((image) => {
+            if (image) {
+                this.renderAll();
+            }
+        });
+    }
+
+    drawHandles(ctx, sticker) {
+        const half = this.stickerSize * sticker.scale / 2 + HANDLE_PADDING;
+        const handles = this.getHandlePositions(sticker);
+
+        // Dashed selection box
+        ctx.save();
+        ctx.translate(sticker.u * this.dim, sticker.v * this.dim);
+        ctx.rotate(sticker.rotation);
+        ctx.lineWidth = 4;
+        ctx.setLineDash([12, 8]);
+        ctx.strokeStyle = '#9b30ff';
+        ctx.strokeRect(-half, -half, half * 2, half * 2);
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(0, -half);
+        ctx.lineTo(0, -half - ROTATE_HANDLE_OFFSET + HANDLE_RADIUS);
+        ctx.stroke();
+        ctx.restore();
+
+        this.drawHandle(ctx, handles.delete, '#ff2a6d', '✕');
+        this.drawHandle(ctx, handles.scale, '#9b30ff', '⤡');
+        this.drawHandle(ctx, handles.rotate, '#9b30ff', '↻');
+    }
+
+    drawHandle(ctx, position, color, icon) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, HANDLE_RADIUS, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.lineWidth = 5;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${HANDLE_RADIUS}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(icon, position.x, position.y);
+        ctx.restore();
+    }
+
+    // =========================================
+    // Saving
+    // =========================================
+
     clearAll() {
-        // Clearing is now handled by NailModel.clearDrawing()
-        // This method is kept for API compatibility
+        this.endGesture();
+        this.stickers.clear();
+        this.selection = null;
+        this.renderAll();
+        this.onSelectionChange?.(null);
+    }
+
+    /**
+     * Capture the stickers on a nail
+     * @returns {Array<Object>} { stickerId, u, v, scale, rotation }
+     */
+    captureNail(hand, finger) {
+        return this.getNailStickers(hand, finger).map(({ id, ...sticker }) => sticker);
+    }
+
+    /**
+     * Remove every sticker on one nail
+     */
+    clearNail(hand, finger) {
+        this.restoreNail(hand, finger, []);
+    }
+
+    /**
+     * Replace a nail's stickers with captureNail() output
+     */
+    restoreNail(hand, finger, stickers) {
+        // Older saves listed stickers already stamped into the drawing (no scale)
+        const editable = (stickers || []).filter(s => Number.isFinite(s.scale));
+
+        this.stickers.set(`${hand}_${finger}`, editable.map(s => ({
+            id: this.nextId++,
+            stickerId: s.stickerId,
+            u: s.u,
+            v: s.v,
+            scale: s.scale,
+            rotation: s.rotation || 0,
+        })));
+
+        if (this.selection?.hand === hand && this.selection?.finger === finger) {
+            this.selection = null;
+            this.onSelectionChange?.(null);
+        }
+        this.renderNail(hand, finger);
     }
 }
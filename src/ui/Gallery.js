@@ -0,0 +1,116 @@
+/**
+ * Gallery.js
+ * Grid of saved looks with open, duplicate and delete actions
+ */
+
+export class Gallery {
+  constructor(grid) {
+    this.grid = grid;
+
+    // Action callbacks (receive the look id)
+    this.onOpen = null;
+    this.onDuplicate = null;
+    this.onDelete = null;
+
+    // Delete needs a second tap so little fingers don't lose looks
+    this.pendingDeleteId = null;
+
+    // Object URLs for thumbnail Blobs, revoked on every re-render
+    this.thumbnailUrls = [];
+
+    this.grid.addEventListener('click', (e) => this.onGridClick(e));
+  }
+
+  /**
+   * Render the grid of looks
+   * @param {Array<Object>} looks - Looks from NailDesignStore.getLooks()
+   */
+  render(looks) {
+    this.pendingDeleteId = null;
+    this.revokeThumbnails();
+
+    if (!looks || looks.length === 0) {
+      this.grid.innerHTML = `
+        <div class="gallery-empty">
+          <p style="font-size: 2rem">📸</p>
+          <p>No looks saved yet!</p>
+          <p style="font-size: 0.8rem">Create your first masterpiece!</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.grid.innerHTML = looks.map(look => `
+      <div class="gallery-item" data-id="${look.id}">
+        <button class="gallery-open" data-action="open" title="Open this look">
+          <img src="${this.getThumbnailUrl(look.thumbnail)}" alt="Saved look">
+        </button>
+        <span class="gallery-date">${this.formatDate(look.createdAt)}</span>
+        <div class="gallery-actions">
+          <button class="gallery-action-btn" data-action="duplicate" title="Duplicate">📋</button>
+          <button class="gallery-action-btn delete" data-action="delete" title="Delete">🗑️</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Get an <img> src for a thumbnail Blob (or a legacy data URL)
+   */
+  getThumbnailUrl(thumbnail) {
+    if (thumbnail instanceof Blob) {
+      const url = URL.createObjectURL(thumbnail);
+      this.thumbnailUrls.push(url);
+      return url;
+    }
+    return thumbnail || '';
+  }
+
+  revokeThumbnails() {
+    this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    this.thumbnailUrls = [];
+  }
+
+  onGridClick(event) {
+    const button = event.target.closest('[data-action]');
+    const item = event.target.closest('.gallery-item');
+    if (!button || !item) return;
+
+    const id = item.dataset.id;
+
+    switch (button.dataset.action) {
+      case 'open':
+        this.onOpen?.(id);
+        break;
+      case 'duplicate':
+        this.onDuplicate?.(id);
+        break;
+      case 'delete':
+        if (this.pendingDeleteId === id) {
+          this.onDelete?.(id);
+        } else {
+          this.armDelete(id, button);
+        }
+        break;
+    }
+  }
+
+  /**
+   * First delete tap: ask for confirmation on the button itself
+   */
+  armDelete(id, button) {
+    this.grid.querySelectorAll('.gallery-action-btn.delete.confirm').forEach(btn => {
+      btn.classList.remove('confirm');
+      btn.textContent = '🗑️';
+    });
+
+    this.pendingDeleteId = id;
+    button.classList.add('confirm');
+    button.textContent = 'Sure?';
+  }
+
+  formatDate(timestamp) {
+    if (!timestamp) return '';
+    return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+}
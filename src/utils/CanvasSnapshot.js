@@ -0,0 +1,49 @@
+/**
+ * CanvasSnapshot.js
+ * Point-in-time copy of a canvas, used by the undo history.
+ * Pixels are copied synchronously so the snapshot is exact, then
+ * compressed to a PNG Blob in the background to keep memory low.
+ */
+
+import { canvasToBlob } from './Storage.js';
+
+export class CanvasSnapshot {
+  /**
+   * @param {HTMLCanvasElement} source - Canvas to copy
+   */
+  constructor(source) {
+    this.width = source.width;
+    this.height = source.height;
+
+    this.copy = document.createElement('canvas');
+    this.copy.width = this.width;
+    this.copy.height = this.height;
+    this.copy.getContext('2d').drawImage(source, 0, 0);
+
+    this.blob = null;
+    this.ready = canvasToBlob(this.copy).then((blob) => {
+      if (blob) {
+        this.blob = blob;
+        this.copy = null;
+      }
+    });
+  }
+
+  /**
+   * Replace a canvas's pixels with this snapshot
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number[]} [transform] - Pixel transform to draw it through,
+   *   in setTransform() order (e.g. to lay it onto another nail)
+   */
+  async drawTo(ctx, transform = null) {
+    const bitmap = this.copy ? null : await createImageBitmap(this.blob);
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.save();
+    if (transform) {
+      ctx.setTransform(...transform);
+    }
+    ctx.drawImage(bitmap || this.copy, 0, 0);
+    ctx.restore();
+    bitmap?.close();
+  }
+}
@@ -2,21 +2,90 @@
  * CoverageMap.js
  * Tracks painted coverage on a nail surface using a low-resolution grid.
  * Used to calculate coverage percentage and determine when a coat is complete.
+ *
+ * Each cell holds the polish film thickness, in coats (1 = one good
+ * stroke of a loaded brush). Opacity builds with thickness, so a single
+ * thin coat is patchy and a second evens it out, while too much polish
+ * pools and bubbles. Cells also count how many passes of the brush they
+ * have had, which is how slow the polish is to dry.
  */
 
+import { applyTransform, invertTransform } from './UVTransform.js';
+
+// Coverage below this doesn't count as painted
+const PAINTED_THRESHOLD = 0.05;
+
+// Thickness added per unit of dab opacity (one stroke ≈ one coat)
+const THICKNESS_PER_OPACITY = 0.5;
+
+// How fast opacity builds with thickness (1 - e^(-k·t))
+const OPACITY_BUILD = 1.4;
+
+// Film thickness bands, in coats
+export const THICKNESS = {
+  STREAKY: 1.2, // Thinner than this shows brush streaks
+  IDEAL: 2,     // Two even coats
+  POOLING: 3.2, // Thicker than this pools at the edges of strokes
+  BUBBLING: 4,  // Thicker than this traps air bubbles
+};
+
 export class CoverageMap {
   constructor(resolution = 64) {
     this.resolution = resolution;
     this.grid = new Float32Array(resolution * resolution);
     this.maxOpacity = 0.95; // Cap for realistic polish look
+
+    // Film thickness per cell, in coats (grid opacity follows from it)
+    this.thickness = new Float32Array(resolution * resolution);
+
+    // Brush passes per cell; a cell counts once per pass however many
+    // dabs of the stroke land on it
+    this.passes = new Uint8Array(resolution * resolution);
+    this.passMarks = new Uint32Array(resolution * resolution);
+    this.passId = 1;
+  }
+
+  /**
+   * Start a new pass of the brush (call at the start of each stroke)
+   */
+  beginPass() {
+    this.passId++;
+  }
+
+  /**
+   * Opacity of a polish film of the given thickness
+   * @param {number} thickness - In coats
+   * @returns {number} 0 to maxOpacity
+   */
+  opacityFor(thickness) {
+    return Math.min(this.maxOpacity, 1 - Math.exp(-OPACITY_BUILD * thickness));
+  }
+
+  /**
+   * Thickness that gives a film the given opacity
+   * @param {number} opacity - 0-1
+   * @returns {number} In coats
+   */
+  thicknessFor(opacity) {
+    return -Math.log(1 - Math.min(opacity, this.maxOpacity)) / OPACITY_BUILD;
+  }
+
+  /**
+   * Canvas opacity to draw a dab with, so that paint on a canvas builds
+   * up like the map's opacity does as dabs overlap
+   * @param {number} opacity - Dab opacity as passed to addCoverage()
+   * @returns {number} 0-1
+   */
+  dabOpacity(opacity) {
+    return 1 - Math.exp(-OPACITY_BUILD * THICKNESS_PER_OPACITY * opacity);
   }
 
   /**
-   * Add coverage at a UV position with given radius and opacity
+   * Add polish at a UV position with given radius and opacity
    * @param {number} u - UV x coordinate (0-1)
    * @param {number} v - UV y coordinate (0-1)
    * @param {number} radius - Brush radius in UV space (0-1)
-   * @param {number} opacity - Opacity to add (0-1)
+   * @param {number} opacity - Dab opacity; sets how much polish is laid down
    */
   addCoverage(u, v, radius, opacity) {
     const gridX = Math.floor(u * this.resolution);
@@ -43,8 +112,14 @@ export class CoverageMap {
         const addedOpacity = opacity * falloff;
 
         const idx = gy * this.resolution + gx;
-        // Additive blending with cap
-        this.grid[idx] = Math.min(this.maxOpacity, this.grid[idx] + addedOpacity);
+        // Polish builds up; opacity follows the film thickness
+        this.thickness[idx] += addedOpacity * THICKNESS_PER_OPACITY;
+        this.grid[idx] = this.opacityFor(this.thickness[idx]);
+
+        if (this.passMarks[idx] !== this.passId) {
+          this.passMarks[idx] = this.passId;
+          this.passes[idx] = Math.min(255, this.passes[idx] + 1);
+        }
       }
     }
   }
@@ -86,6 +161,40 @@ export class CoverageMap {
     return (totalCoverage / (totalCells * this.maxOpacity)) * 100;
   }
 
+  /**
+   * Average number of passes over the painted cells - roughly how many
+   * coats thick the polish is
+   * @returns {number} 0 if nothing is painted
+   */
+  getAveragePasses() {
+    let total = 0;
+    let painted = 0;
+    for (let i = 0; i < this.grid.length; i++) {
+      if (this.grid[i] > PAINTED_THRESHOLD) {
+        total += Math.max(1, this.passes[i]);
+        painted++;
+      }
+    }
+    return painted > 0 ? total / painted : 0;
+  }
+
+  /**
+   * Get film thickness at a UV position
+   * @param {number} u - UV x coordinate (0-1)
+   * @param {number} v - UV y coordinate (0-1)
+   * @returns {number} Thickness in coats (0 outside the map)
+   */
+  getThicknessAt(u, v) {
+    const gridX = Math.floor(u * this.resolution);
+    const gridY = Math.floor(v * this.resolution);
+
+    if (gridX < 0 || gridX >= this.resolution || gridY < 0 || gridY >= this.resolution) {
+      return 0;
+    }
+
+    return this.thickness[gridY * this.resolution + gridX];
+  }
+
   /**
    * Get coverage at a specific UV position
    * @param {number} u - UV x coordinate (0-1)
@@ -109,6 +218,36 @@ export class CoverageMap {
    */
   fill(opacity = 0.9) {
     this.grid.fill(Math.min(this.maxOpacity, opacity));
+    this.thickness.fill(this.thicknessFor(opacity));
+    this.beginPass();
+    for (let i = 0; i < this.passes.length; i++) {
+      this.passMarks[i] = this.passId;
+      this.passes[i] = Math.min(255, this.passes[i] + 1);
+    }
+  }
+
+  /**
+   * Raise coverage to match what's painted on a canvas laid out in UV
+   * space (for designs drawn straight onto a layer, e.g. patterns)
+   * @param {HTMLCanvasElement} canvas
+   */
+  addFromCanvas(canvas) {
+    // Let the browser average the canvas down to one pixel per cell
+    const sample = document.createElement('canvas');
+    sample.width = this.resolution;
+    sample.height = this.resolution;
+    const ctx = sample.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(canvas, 0, 0, this.resolution, this.resolution);
+    const pixels = ctx.getImageData(0, 0, this.resolution, this.resolution).data;
+
+    for (let i = 0; i < this.grid.length; i++) {
+      const alpha = pixels[i * 4 + 3] / 255;
+      this.grid[i] = Math.max(this.grid[i], Math.min(this.maxOpacity, alpha));
+      this.thickness[i] = Math.max(this.thickness[i], this.thicknessFor(alpha));
+      if (alpha > PAINTED_THRESHOLD) {
+        this.passes[i] = Math.max(1, this.passes[i]);
+      }
+    }
   }
 
   /**
@@ -116,6 +255,8 @@ export class CoverageMap {
    */
   clear() {
     this.grid.fill(0);
+    this.thickness.fill(0);
+    this.passes.fill(0);
   }
 
   /**
@@ -125,9 +266,84 @@ export class CoverageMap {
   clone() {
     const copy = new CoverageMap(this.resolution);
     copy.grid.set(this.grid);
+    copy.thickness.set(this.thickness);
+    copy.passes.set(this.passes);
+    return copy;
+  }
+
+  /**
+   * Copy of this map moved through a UV transform (see UVTransform.js),
+   * e.g. onto another nail's layout or mirrored. Cells that come from
+   * outside the map are bare.
+   * @param {number[]} transform - From this map's UVs to the copy's
+   * @returns {CoverageMap}
+   */
+  transformed(transform) {
+    const copy = new CoverageMap(this.resolution);
+    const inverse = invertTransform(transform);
+    if (!inverse) return copy;
+
+    const size = this.resolution;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        // Cell of this map that lands on the copy's cell centre
+        const { u, v } = applyTransform(inverse, (x + 0.5) / size, (y + 0.5) / size);
+        const sourceX = Math.floor(u * size);
+        const sourceY = Math.floor(v * size);
+        if (sourceX < 0 || sourceX >= size || sourceY < 0 || sourceY >= size) continue;
+
+        const from = sourceY * size + sourceX;
+        const to = y * size + x;
+        copy.grid[to] = this.grid[from];
+        copy.thickness[to] = this.thickness[from];
+        copy.passes[to] = this.passes[from];
+      }
+    }
     return copy;
   }
 
+  /**
+   * Serialize to a JSON-safe object (grid and thickness as base64-encoded
+   * float32 bytes, passes as base64-encoded bytes)
+   * @returns {{resolution: number, data: string, thickness: string, passes: string}}
+   */
+  toJSON() {
+    return {
+      resolution: this.resolution,
+      data: encodeBytes(new Uint8Array(this.grid.buffer, this.grid.byteOffset, this.grid.byteLength)),
+      thickness: encodeBytes(new Uint8Array(this.thickness.buffer, this.thickness.byteOffset, this.thickness.byteLength)),
+      passes: encodeBytes(this.passes),
+    };
+  }
+
+  /**
+   * Create a coverage map from toJSON() output (older saves have no
+   * thickness or passes; they are worked out from the opacity)
+   * @param {{resolution: number, data: string, thickness?: string, passes?: string}} json
+   * @returns {CoverageMap}
+   */
+  static fromJSON(json) {
+    const map = new CoverageMap(json.resolution);
+    decodeBytes(json.data, new Uint8Array(map.grid.buffer), 'Coverage data');
+
+    if (json.thickness) {
+      decodeBytes(json.thickness, new Uint8Array(map.thickness.buffer), 'Coverage thickness');
+    } else {
+      for (let i = 0; i < map.grid.length; i++) {
+        map.thickness[i] = map.thicknessFor(map.grid[i]);
+      }
+    }
+
+    if (json.passes) {
+      decodeBytes(json.passes, map.passes, 'Coverage passes');
+    } else {
+      for (let i = 0; i < map.grid.length; i++) {
+        map.passes[i] = map.grid[i] > PAINTED_THRESHOLD ? 1 : 0;
+      }
+    }
+    return map;
+  }
+
   /**
    * Restore from another coverage map
    * @param {CoverageMap} source
@@ -137,5 +353,71 @@ export class CoverageMap {
       throw new Error('Cannot restore from coverage map with different resolution');
     }
     this.grid.set(source.grid);
+    this.thickness.set(source.thickness);
+    this.passes.set(source.passes);
+  }
+
+  /**
+   * Score how well a set of coats was laid down, from their combined film
+   * thickness: full, even coverage scores high; bare, streaky or pooled
+   * areas cost points
+   * @param {CoverageMap[]} maps - Same resolution
+   * @returns {{score: number, covered: number, streaky: number, pooled: number, bubbled: number, thickness: number}}
+   *   score 0-100; the rest are shares of the nail (0-1) and the mean
+   *   painted thickness in coats
+   */
+  static measureQuality(maps) {
+    const cells = maps[0]?.thickness.length ?? 0;
+    let covered = 0;
+    let streaky = 0;
+    let pooled = 0;
+    let bubbled = 0;
+    let total = 0;
+
+    for (let i = 0; i < cells; i++) {
+      let t = 0;
+      for (const map of maps) t += map.thickness[i];
+      if (t < PAINTED_THRESHOLD) continue;
+
+      covered++;
+      total += t;
+      if (t < THICKNESS.STREAKY) streaky++;
+      else if (t > THICKNESS.BUBBLING) bubbled++;
+      else if (t > THICKNESS.POOLING) pooled++;
+    }
+
+    if (cells === 0) {
+      return { score: 0, covered: 0, streaky: 0, pooled: 0, bubbled: 0, thickness: 0 };
+    }
+
+    const share = (count) => count / cells;
+    const score = share(covered) - 0.6 * share(streaky) - 0.5 * share(pooled) - 0.9 * share(bubbled);
+    return {
+      score: Math.round(100 * Math.min(1, Math.max(0, score))),
+      covered: share(covered),
+      streaky: share(streaky),
+      pooled: share(pooled),
+      bubbled: share(bubbled),
+      thickness: covered > 0 ? total / covered : 0,
+    };
+  }
+}
+
+function encodeBytes(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function decodeBytes(base64, target, label) {
+  const binary = atob(base64);
+  if (binary.length !== target.byteLength) {
+    throw new Error(`${label} has ${binary.length} bytes, expected ${target.byteLength}`);
+  }
+  for (let i = 0; i < binary.length; i++) {
+    target[i] = binary.charCodeAt(i);
   }
 }
@@ -0,0 +1,230 @@
+/**
+ * NailSurface.js
+ * Lookups between a nail's UV space and points on its surface.
+ * Objects anchored to a nail by UV + normal (gems, glitter) use these to
+ * find their place again on any nail mesh, e.g. after a reload or a shape
+ * change rebuilt the geometry.
+ *
+ * Positions and normals are in the geometry's local space.
+ */
+
+import * as THREE from 'three';
+
+// How far outside a UV triangle still counts as inside (barycentric units)
+const UV_EPSILON = 1e-4;
+
+// UV buckets per side for batch lookups
+const FACE_GRID = 32;
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _uvA = new THREE.Vector2();
+const _uvB = new THREE.Vector2();
+const _uvC = new THREE.Vector2();
+const _bary = new THREE.Vector3();
+const _uvPoint = new THREE.Vector3();
+const _triangle = new THREE.Triangle();
+
+/**
+ * Find the surface point at a UV coordinate.
+ * Planar nail UVs map the top and underside to the same UV, so the
+ * normal hint picks the side the anchor was made on.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {{x: number, y: number}} uv
+ * @param {THREE.Vector3} [normalHint] - Local normal at the anchor
+ * @returns {{position: THREE.Vector3, normal: THREE.Vector3}|null}
+ */
+export function findSurfacePoint(geometry, uv, normalHint = null) {
+  const uvAttr = geometry.attributes.uv;
+  if (!uvAttr) return null;
+
+  _uvPoint.set(uv.x, uv.y, 0);
+
+  let best = null;
+  let bestScore = -Infinity;
+
+  forEachTriangle(geometry, (ia, ib, ic) => {
+    _uvA.fromBufferAttribute(uvAttr, ia);
+    _uvB.fromBufferAttribute(uvAttr, ib);
+    _uvC.fromBufferAttribute(uvAttr, ic);
+
+    _a.set(_uvA.x, _uvA.y, 0);
+    _b.set(_uvB.x, _uvB.y, 0);
+    _c.set(_uvC.x, _uvC.y, 0);
+    if (!THREE.Triangle.getBarycoord(_uvPoint, _a, _b, _c, _bary)) return; // Degenerate in UV
+
+    // Prefer triangles containing the UV, then the side facing the hint
+    const outside = Math.max(0, -Math.min(_bary.x, _bary.y, _bary.z) - UV_EPSILON);
+    const normal = triangleNormal(geometry, ia, ib, ic, _bary);
+    const facing = normalHint ? normal.dot(normalHint) : 0;
+    const score = -outside * 1000 + facing;
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = { ia, ib, ic, bary: clampBarycoord(_bary.clone()), normal };
+    }
+  });
+
+  if (!best) return null;
+
+  const position = new THREE.Vector3();
+  const positions = geometry.attributes.position;
+  position
+    .addScaledVector(_a.fromBufferAttribute(positions, best.ia), best.bary.x)
+    .addScaledVector(_b.fromBufferAttribute(positions, best.ib), best.bary.y)
+    .addScaledVector(_c.fromBufferAttribute(positions, best.ic), best.bary.z);
+
+  return { position, normal: triangleNormal(geometry, best.ia, best.ib, best.ic, best.bary) };
+}
+
+/**
+ * Find the UV and normal of the surface point closest to a local point
+ * (needs the geometry's BVH)
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Vector3} point
+ * @returns {{uv: THREE.Vector2, normal: THREE.Vector3}|null}
+ */
+export function findSurfaceAnchor(geometry, point) {
+  const bvh = geometry.boundsTree;
+  const uvAttr = geometry.attributes.uv;
+  if (!bvh || !uvAttr) return null;
+
+  const hit = bvh.closestPointToPoint(point);
+  if (!hit) return null;
+
+  const [ia, ib, ic] = triangleIndices(geometry, hit.faceIndex);
+  const positions = geometry.attributes.position;
+  _triangle.setFromAttributeAndIndices(positions, ia, ib, ic);
+  _triangle.getBarycoord(hit.point, _bary);
+
+  const uv = new THREE.Vector2()
+    .addScaledVector(_uvA.fromBufferAttribute(uvAttr, ia), _bary.x)
+    .addScaledVector(_uvB.fromBufferAttribute(uvAttr, ib), _bary.y)
+    .addScaledVector(_uvC.fromBufferAttribute(uvAttr, ic), _bary.z);
+
+  return { uv, normal: triangleNormal(geometry, ia, ib, ic, _bary) };
+}
+
+/**
+ * Find the triangle and barycentric weights for many UV anchors at once
+ * (same matching as findSurfacePoint). Anchors are bucketed by UV so each
+ * triangle is only tested against the anchors near it.
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Array<{u: number, v: number, normal: number[]}>} anchors
+ * @returns {Array<{face: number, bary: THREE.Vector3}|null>} Per anchor;
+ *   null where no triangle covers the UV
+ */
+export function findSurfaceFaces(geometry, anchors) {
+  const uvAttr = geometry.attributes.uv;
+  const results = anchors.map(() => null);
+  if (!uvAttr || anchors.length === 0) return results;
+
+  const cellOf = (value) => THREE.MathUtils.clamp(Math.floor(value * FACE_GRID), 0, FACE_GRID - 1);
+  const buckets = new Map();
+  anchors.forEach((anchor, i) => {
+    const key = cellOf(anchor.v) * FACE_GRID + cellOf(anchor.u);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  });
+
+  const scores = new Float64Array(anchors.length).fill(-Infinity);
+  const hint = new THREE.Vector3();
+
+  forEachTriangle(geometry, (ia, ib, ic, face) => {
+    _uvA.fromBufferAttribute(uvAttr, ia);
+    _uvB.fromBufferAttribute(uvAttr, ib);
+    _uvC.fromBufferAttribute(uvAttr, ic);
+    _a.set(_uvA.x, _uvA.y, 0);
+    _b.set(_uvB.x, _uvB.y, 0);
+    _c.set(_uvC.x, _uvC.y, 0);
+
+    const x0 = cellOf(Math.min(_uvA.x, _uvB.x, _uvC.x));
+    const x1 = cellOf(Math.max(_uvA.x, _uvB.x, _uvC.x));
+    const y0 = cellOf(Math.min(_uvA.y, _uvB.y, _uvC.y));
+    const y1 = cellOf(Math.max(_uvA.y, _uvB.y, _uvC.y));
+
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        for (const i of buckets.get(y * FACE_GRID + x) || []) {
+          _uvPoint.set(anchors[i].u, anchors[i].v, 0);
+          if (!THREE.Triangle.getBarycoord(_uvPoint, _a, _b, _c, _bary)) continue;
+          if (Math.min(_bary.x, _bary.y, _bary.z) < -UV_EPSILON) continue;
+
+          const normal = triangleNormal(geometry, ia, ib, ic, _bary);
+          const score = anchors[i].normal ? normal.dot(hint.fromArray(anchors[i].normal)) : 0;
+          if (score > scores[i]) {
+            scores[i] = score;
+            results[i] = { face, bary: clampBarycoord(_bary.clone()) };
+          }
+        }
+      }
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Position and smooth normal at barycentric weights on a triangle
+ * @param {THREE.BufferGeometry} geometry
+ * @param {number} face - Triangle index
+ * @param {THREE.Vector3} bary
+ * @param {{position: THREE.Vector3, normal: THREE.Vector3}} [target]
+ */
+export function getFacePoint(geometry, face, bary, target = { position: new THREE.Vector3(), normal: new THREE.Vector3() }) {
+  const [ia, ib, ic] = triangleIndices(geometry, face);
+  const positions = geometry.attributes.position;
+
+  target.position.set(0, 0, 0)
+    .addScaledVector(_a.fromBufferAttribute(positions, ia), bary.x)
+    .addScaledVector(_b.fromBufferAttribute(positions, ib), bary.y)
+    .addScaledVector(_c.fromBufferAttribute(positions, ic), bary.z);
+  target.normal.copy(triangleNormal(geometry, ia, ib, ic, bary));
+  return target;
+}
+
+// =========================================
+// Helpers
+// =========================================
+
+function forEachTriangle(geometry, callback) {
+  const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+  for (let face = 0; face < count / 3; face++) {
+    callback(...triangleIndices(geometry, face), face);
+  }
+}
+
+function triangleIndices(geometry, face) {
+  const index = geometry.index;
+  const i = face * 3;
+  return index
+    ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)]
+    : [i, i + 1, i + 2];
+}
+
+/**
+ * Smooth normal at a barycentric point (flat if the geometry has no normals)
+ */
+function triangleNormal(geometry, ia, ib, ic, bary) {
+  const normals = geometry.attributes.normal;
+  const normal = new THREE.Vector3();
+
+  if (normals) {
+    normal
+      .addScaledVector(_a.fromBufferAttribute(normals, ia), bary.x)
+      .addScaledVector(_b.fromBufferAttribute(normals, ib), bary.y)
+      .addScaledVector(_c.fromBufferAttribute(normals, ic), bary.z);
+  }
+  if (normal.lengthSq() === 0) {
+    _triangle.setFromAttributeAndIndices(geometry.attributes.position, ia, ib, ic);
+    _triangle.getNormal(normal);
+  }
+  return normal.normalize();
+}
+
+function clampBarycoord(bary) {
+  bary.set(Math.max(0, bary.x), Math.max(0, bary.y), Math.max(0, bary.z));
+  const sum = bary.x + bary.y + bary.z || 1;
+  return bary.divideScalar(sum);
+}
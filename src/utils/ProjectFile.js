@@ -0,0 +1,478 @@
+/**
+ * ProjectFile.js
+ * Portable .nailart project files, so a look can move between devices.
+ *
+ * A project is a single JSON document. Canvases are embedded as PNG data
+ * URLs; everything else is plain data:
+ *
+ *   {
+ *     format: 'nailart',
+ *     version: 3,
+ *     createdAt: 1700000000000,
+ *     shape: 'round',
+ *     length: 'medium',   // Optional (older files are medium)
+ *     acrylic: false,     // Optional
+ *     nails: {
+ *       left:  { thumb: NailDesign, index: NailDesign, ... },
+ *       right: { ... },
+ *     },
+ *   }
+ *
+ *   NailDesign = {
+ *     polishColor: '#ff69b4' | null,
+ *     finishType: 'glossy',
+ *     topCoatFinish: 'matte' | null,  // Optional
+ *     magnet: 0.5,        // Optional cat-eye line, cuticle (0) to tip (1)
+ *     canvas: 'data:image/png;base64,...' | null,  // Drawing/polish canvas
+ *     polish: PolishLayerState JSON | null,        // Layers carry `canvas` too
+ *     gems: [{ gemId, u, v, normal: [x,y,z], rotation, scale,
+ *              stone?, setting?, metal? }],         // Style for cut gems
+ *     glitter: [{ u, v, normal: [x,y,z], shape, color, size,
+ *                 tilt: [x,y], spin }],            // Optional (older files have none)
+ *     stickers: [{ stickerId, u, v, scale, rotation }],
+ *     strokes: [{ material, color, size, hue, seed,
+ *                 points: [{ u, v, t, p }] }],     // Optional vector pen strokes
+ *     stamps: [{ designId, color, u, v, size, rotation,
+ *                flipped, seed }],                 // Optional stamping plate art
+ *     skin: [{ position: [x,y,z], normal: [x,y,z],
+ *              radius, color }],                    // Optional polish on the skin
+ *   }
+ */
+
+import { FINGER_ORDER } from '../scene/FingerConfig.js';
+import { LAYER_ORDER, LAYER_KINDS, BLEND_MODES, MAX_LAYERS, LAYER_ID_PATTERN } from '../state/PolishLayerState.js';
+import { dataUrlToBlob } from './Storage.js';
+
+export const PROJECT_FORMAT = 'nailart';
+export const PROJECT_VERSION = 3;
+export const PROJECT_EXTENSION = '.nailart';
+export const PROJECT_MIME_TYPE = 'application/json';
+
+const HANDS = ['left', 'right'];
+
+/**
+ * Thrown when a project file cannot be read
+ */
+export class ProjectFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProjectFileError';
+  }
+}
+
+/**
+ * Upgrades from older file versions, keyed by the version they upgrade to.
+ * Each receives the parsed project and returns it in the next version's shape.
+ */
+const MIGRATIONS = {
+  // v2: stickers became editable objects. v1 stickers were already stamped
+  // into the drawing canvas, so their placements are dropped to avoid doubles.
+  2: (project) => {
+    for (const hand of HANDS) {
+      for (const nail of Object.values(project.nails?.[hand] || {})) {
+        if (nail) nail.stickers = [];
+      }
+    }
+    return project;
+  },
+  // v3: gems are anchored by nail UV and normal. v2 gems (nail-local
+  // position/quaternion) are kept and snapped to the nail when opened.
+};
+
+// =========================================
+// Export
+// =========================================
+
+/**
+ * Build a project document from the design store's designs
+ * @param {Object} designs - { left: {finger: design}, right: {...} } with Blobs
+ * @returns {Promise<Object>} JSON-safe project
+ */
+export async function createProject(designs) {
+  const nails = { left: {}, right: {} };
+  let shape = 'round';
+  let length = 'medium';
+  let acrylic = false;
+
+  for (const hand of HANDS) {
+    for (const finger of FINGER_ORDER) {
+      const design = designs[hand]?.[finger];
+      if (!design) continue;
+
+      shape = design.shape || shape;
+      length = design.length || length;
+      acrylic = acrylic || !!design.acrylic;
+      nails[hand][finger] = {
+        polishColor: design.polishColor ?? null,
+        finishType: design.finishType || 'glossy',
+        topCoatFinish: design.topCoatFinish ?? null,
+        magnet: design.magnet ?? 0.5,
+        canvas: await blobToDataUrl(design.canvasBlob),
+        polish: await exportPolish(design.polish),
+        gems: design.gems || [],
+        glitter: design.glitter || [],
+        stickers: design.stickers || [],
+        strokes: design.strokes || [],
+        stamps: design.stamps || [],
+        skin: design.skin || [],
+      };
+    }
+  }
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    createdAt: Date.now(),
+    shape,
+    length,
+    acrylic,
+    nails,
+  };
+}
+
+async function exportPolish(polish) {
+  if (!polish) return null;
+
+  const layers = {};
+  for (const [layerType, layer] of Object.entries(polish.layers || {})) {
+    const { canvasBlob, ...rest } = layer;
+    layers[layerType] = { ...rest, canvas: await blobToDataUrl(canvasBlob) };
+  }
+  return { ...polish, layers };
+}
+
+/**
+ * Serialize designs to the text of a .nailart file
+ */
+export async function stringifyProject(designs) {
+  return JSON.stringify(await createProject(designs));
+}
+
+/**
+ * Offer designs as a .nailart download
+ */
+export async function downloadProject(designs, filename = 'my-nails') {
+  downloadText(await stringifyProject(designs), `${filename}${PROJECT_EXTENSION}`);
+}
+
+/**
+ * Offer one nail's pen strokes (see BrushTool.exportStrokes) as a JSON download
+ */
+export function downloadStrokes(strokes, filename = 'my-strokes') {
+  downloadText(JSON.stringify(strokes), `${filename}.json`);
+}
+
+function downloadText(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: PROJECT_MIME_TYPE }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// =========================================
+// Import
+// =========================================
+
+/**
+ * Parse the text of a .nailart file into design store designs
+ * @param {string} text
+ * @returns {Object} { left: {finger: design}, right: {...} } with Blobs
+ * @throws {ProjectFileError} If the file is not a valid project
+ */
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new ProjectFileError('This is not a nail art file');
+  }
+
+  const project = migrateProject(data);
+  validateProject(project);
+  return toDesigns(project);
+}
+
+/**
+ * Read a File picked by the user
+ * @param {File} file
+ * @returns {Promise<Object>} Designs (see parseProject)
+ */
+export async function readProjectFile(file) {
+  return parseProject(await file.text());
+}
+
+function migrateProject(data) {
+  if (!isObject(data) || data.format !== PROJECT_FORMAT) {
+    throw new ProjectFileError('This is not a nail art file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new ProjectFileError('The file has no valid version');
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new ProjectFileError('This file was made with a newer version of the app');
+  }
+
+  let project = data;
+  for (let v = data.version + 1; v <= PROJECT_VERSION; v++) {
+    project = MIGRATIONS[v]?.(project) ?? project;
+    project.version = v;
+  }
+  return project;
+}
+
+/**
+ * Check a (migrated) project against the current schema
+ * @throws {ProjectFileError} Naming the first invalid field
+ */
+export function validateProject(project) {
+  const fail = (path, problem) => {
+    throw new ProjectFileError(`Invalid project: ${path} ${problem}`);
+  };
+
+  if (typeof project.shape !== 'string') fail('shape', 'must be a string');
+  if (project.length !== undefined && typeof project.length !== 'string') fail('length', 'must be a string');
+  if (project.acrylic !== undefined && typeof project.acrylic !== 'boolean') fail('acrylic', 'must be a boolean');
+  if (!isObject(project.nails)) fail('nails', 'is missing');
+
+  for (const hand of HANDS) {
+    const nails = project.nails[hand];
+    if (!isObject(nails)) fail(`nails.${hand}`, 'is missing');
+
+    for (const [finger, nail] of Object.entries(nails)) {
+      const path = `nails.${hand}.${finger}`;
+      if (!FINGER_ORDER.includes(finger)) fail(path, 'is not a finger');
+      if (!isObject(nail)) fail(path, 'must be an object');
+
+      if (nail.polishColor !== null && !isHexColor(nail.polishColor)) {
+        fail(`${path}.polishColor`, 'must be a hex color or null');
+      }
+      if (typeof nail.finishType !== 'string') fail(`${path}.finishType`, 'must be a string');
+      if (nail.topCoatFinish != null && typeof nail.topCoatFinish !== 'string') {
+        fail(`${path}.topCoatFinish`, 'must be a string or null');
+      }
+      if (nail.magnet !== undefined && !Number.isFinite(nail.magnet)) fail(`${path}.magnet`, 'must be a number');
+      if (nail.canvas !== null && !isPngDataUrl(nail.canvas)) {
+        fail(`${path}.canvas`, 'must be a PNG data URL or null');
+      }
+
+      validatePolish(nail.polish, `${path}.polish`, fail);
+
+      if (!Array.isArray(nail.gems)) fail(`${path}.gems`, 'must be a list');
+      nail.gems.forEach((gem, i) => {
+        const gemPath = `${path}.gems[${i}]`;
+        if (!isObject(gem) || typeof gem.gemId !== 'string') fail(gemPath, 'needs a gemId');
+        if ('position' in gem) {
+          // Pre-v3 placement
+          if (!isNumberArray(gem.position, 3)) fail(`${gemPath}.position`, 'must be 3 numbers');
+          if (!isNumberArray(gem.quaternion, 4)) fail(`${gemPath}.quaternion`, 'must be 4 numbers');
+        } else {
+          if (!Number.isFinite(gem.u) || !Number.isFinite(gem.v)) fail(gemPath, 'needs u and v numbers');
+          if (!isNumberArray(gem.normal, 3)) fail(`${gemPath}.normal`, 'must be 3 numbers');
+          if (!Number.isFinite(gem.rotation)) fail(`${gemPath}.rotation`, 'must be a number');
+        }
+        if (!Number.isFinite(gem.scale) || gem.scale <= 0) fail(`${gemPath}.scale`, 'must be a positive number');
+        for (const key of ['stone', 'setting', 'metal']) {
+          if (key in gem && typeof gem[key] !== 'string') fail(`${gemPath}.${key}`, 'must be a string');
+        }
+      });
+
+      if (nail.glitter !== undefined) {
+        if (!Array.isArray(nail.glitter)) fail(`${path}.glitter`, 'must be a list');
+        nail.glitter.forEach((flake, i) => {
+          const flakePath = `${path}.glitter[${i}]`;
+          if (!isObject(flake) || typeof flake.shape !== 'string') fail(flakePath, 'needs a shape');
+          if (!Number.isFinite(flake.u) || !Number.isFinite(flake.v)) fail(flakePath, 'needs u and v numbers');
+          if (!isNumberArray(flake.normal, 3)) fail(`${flakePath}.normal`, 'must be 3 numbers');
+          if (!isHexColor(flake.color)) fail(`${flakePath}.color`, 'must be a hex color');
+          if (!Number.isFinite(flake.size) || flake.size <= 0) fail(`${flakePath}.size`, 'must be a positive number');
+          if (!isNumberArray(flake.tilt, 2)) fail(`${flakePath}.tilt`, 'must be 2 numbers');
+          if (!Number.isFinite(flake.spin)) fail(`${flakePath}.spin`, 'must be a number');
+        });
+      }
+
+      if (!Array.isArray(nail.stickers)) fail(`${path}.stickers`, 'must be a list');
+      nail.stickers.forEach((sticker, i) => {
+        const stickerPath = `${path}.stickers[${i}]`;
+        if (!isObject(sticker) || typeof sticker.stickerId !== 'string') fail(stickerPath, 'needs a stickerId');
+        if (!Number.isFinite(sticker.u) || !Number.isFinite(sticker.v)) fail(stickerPath, 'needs u and v numbers');
+        if (!Number.isFinite(sticker.scale) || sticker.scale <= 0) fail(`${stickerPath}.scale`, 'must be a positive number');
+        if (!Number.isFinite(sticker.rotation)) fail(`${stickerPath}.rotation`, 'must be a number');
+      });
+
+      if (nail.strokes !== undefined) {
+        if (!Array.isArray(nail.strokes)) fail(`${path}.strokes`, 'must be a list');
+        nail.strokes.forEach((stroke, i) => {
+          const strokePath = `${path}.strokes[${i}]`;
+          if (!isObject(stroke) || typeof stroke.material !== 'string') fail(strokePath, 'needs a material');
+          if (!isHexColor(stroke.color)) fail(`${strokePath}.color`, 'must be a hex color');
+          if (!Number.isFinite(stroke.size) || stroke.size <= 0) fail(`${strokePath}.size`, 'must be a positive number');
+          if (!Number.isFinite(stroke.hue) || !Number.isFinite(stroke.seed)) fail(strokePath, 'needs hue and seed numbers');
+          if (!Array.isArray(stroke.points) || stroke.points.length === 0) fail(`${strokePath}.points`, 'must be a list of points');
+          stroke.points.forEach((point, j) => {
+            if (!isObject(point) || ![point.u, point.v, point.t, point.p].every(Number.isFinite)) {
+              fail(`${strokePath}.points[${j}]`, 'needs u, v, t and p numbers');
+            }
+          });
+        });
+      }
+
+      if (nail.stamps !== undefined) {
+        if (!Array.isArray(nail.stamps)) fail(`${path}.stamps`, 'must be a list');
+        nail.stamps.forEach((stamp, i) => {
+          const stampPath = `${path}.stamps[${i}]`;
+          if (!isObject(stamp) || typeof stamp.designId !== 'string') fail(stampPath, 'needs a designId');
+          if (!isHexColor(stamp.color)) fail(`${stampPath}.color`, 'must be a hex color');
+          if (!Number.isFinite(stamp.u) || !Number.isFinite(stamp.v)) fail(stampPath, 'needs u and v numbers');
+          if (!Number.isFinite(stamp.size) || stamp.size <= 0) fail(`${stampPath}.size`, 'must be a positive number');
+          if (!Number.isFinite(stamp.rotation)) fail(`${stampPath}.rotation`, 'must be a number');
+          if (stamp.flipped !== undefined && typeof stamp.flipped !== 'boolean') fail(`${stampPath}.flipped`, 'must be true or false');
+          if (!Number.isFinite(stamp.seed)) fail(`${stampPath}.seed`, 'must be a number');
+        });
+      }
+
+      if (nail.skin !== undefined) {
+        if (!Array.isArray(nail.skin)) fail(`${path}.skin`, 'must be a list');
+        nail.skin.forEach((mark, i) => {
+          const markPath = `${path}.skin[${i}]`;
+          if (!isObject(mark) || !isNumberArray(mark.position, 3)) fail(`${markPath}.position`, 'must be 3 numbers');
+          if (!isNumberArray(mark.normal, 3)) fail(`${markPath}.normal`, 'must be 3 numbers');
+          if (!Number.isFinite(mark.radius) || mark.radius <= 0) fail(`${markPath}.radius`, 'must be a positive number');
+          if (!isHexColor(mark.color)) fail(`${markPath}.color`, 'must be a hex color');
+        });
+      }
+    }
+  }
+}
+
+function validatePolish(polish, path, fail) {
+  if (polish === null) return;
+  if (!isObject(polish) || !isObject(polish.layers)) fail(path, 'must be polish layers or null');
+
+  // Older files have no `order` and only the starting layers
+  if (polish.order !== undefined) {
+    if (!Array.isArray(polish.order) || polish.order.length === 0
+      || polish.order.some(layerType => !isLayerId(layerType) || !isObject(polish.layers[layerType]))
+      || new Set(polish.order).size !== polish.order.length) {
+      fail(`${path}.order`, 'must list the polish layers');
+    }
+    if (polish.order.length > MAX_LAYERS) fail(`${path}.order`, `must have at most ${MAX_LAYERS} layers`);
+  }
+  const layerTypes = polish.order || LAYER_ORDER;
+
+  for (const [layerType, layer] of Object.entries(polish.layers)) {
+    const layerPath = `${path}.layers.${layerType}`;
+    if (!layerTypes.includes(layerType)) fail(layerPath, 'is not a polish layer');
+    if (!isObject(layer) || typeof layer.applied !== 'boolean') fail(`${layerPath}.applied`, 'must be true or false');
+    if (layer.color !== null && !isHexColor(layer.color)) fail(`${layerPath}.color`, 'must be a hex color or null');
+    if (layer.finish !== undefined && typeof layer.finish !== 'string') fail(`${layerPath}.finish`, 'must be a string');
+    if (layer.kind !== undefined && !Object.values(LAYER_KINDS).includes(layer.kind)) fail(`${layerPath}.kind`, 'is not a layer kind');
+    if (layer.name !== undefined && typeof layer.name !== 'string') fail(`${layerPath}.name`, 'must be a string');
+    if (layer.visible !== undefined && typeof layer.visible !== 'boolean') fail(`${layerPath}.visible`, 'must be true or false');
+    if (layer.opacity !== undefined && !(layer.opacity >= 0 && layer.opacity <= 1)) fail(`${layerPath}.opacity`, 'must be between 0 and 1');
+    if (layer.blendMode !== undefined && !BLEND_MODES.some(mode => mode.id === layer.blendMode)) {
+      fail(`${layerPath}.blendMode`, 'is not a blend mode');
+    }
+    if (layer.canvas !== null && !isPngDataUrl(layer.canvas)) fail(`${layerPath}.canvas`, 'must be a PNG data URL or null');
+
+    const coverage = layer.coverage;
+    if (!isObject(coverage) || !Number.isInteger(coverage.resolution) || coverage.resolution < 1
+      || typeof coverage.data !== 'string') {
+      fail(`${layerPath}.coverage`, 'must have a resolution and data');
+    }
+    // Float32 grid, base64 encoded
+    const expectedLength = Math.ceil((coverage.resolution * coverage.resolution * 4) / 3) * 4;
+    if (coverage.data.length !== expectedLength) fail(`${layerPath}.coverage.data`, 'has the wrong size');
+    // Optional film thickness per cell, float32 like the coverage
+    if (coverage.thickness !== undefined && (typeof coverage.thickness !== 'string'
+      || coverage.thickness.length !== expectedLength)) {
+      fail(`${layerPath}.coverage.thickness`, 'has the wrong size');
+    }
+    // Optional brush passes per cell, one byte each
+    if (coverage.passes !== undefined && (typeof coverage.passes !== 'string'
+      || coverage.passes.length !== Math.ceil((coverage.resolution * coverage.resolution) / 3) * 4)) {
+      fail(`${layerPath}.coverage.passes`, 'has the wrong size');
+    }
+  }
+}
+
+function toDesigns(project) {
+  const designs = { left: {}, right: {} };
+
+  for (const hand of HANDS) {
+    for (const [finger, nail] of Object.entries(project.nails[hand])) {
+      designs[hand][finger] = {
+        shape: project.shape,
+        length: project.length || 'medium',
+        acrylic: project.acrylic || false,
+        polishColor: nail.polishColor,
+        finishType: nail.finishType,
+        topCoatFinish: nail.topCoatFinish ?? null,
+        magnet: nail.magnet ?? 0.5,
+        canvasBlob: dataUrlToBlob(nail.canvas),
+        polish: importPolish(nail.polish),
+        gems: nail.gems,
+        glitter: nail.glitter || [],
+        stickers: nail.stickers,
+        strokes: nail.strokes || [],
+        stamps: nail.stamps || [],
+        skin: nail.skin || [],
+        timestamp: project.createdAt || Date.now(),
+      };
+    }
+  }
+
+  return designs;
+}
+
+function importPolish(polish) {
+  if (!polish) return null;
+
+  const layers = {};
+  for (const [layerType, layer] of Object.entries(polish.layers)) {
+    const { canvas, ...rest } = layer;
+    layers[layerType] = { ...rest, canvasBlob: dataUrlToBlob(canvas) };
+  }
+  return { ...polish, layers };
+}
+
+// =========================================
+// Helpers
+// =========================================
+
+function blobToDataUrl(blob) {
+  if (!blob) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isLayerId(value) {
+  return typeof value === 'string' && LAYER_ID_PATTERN.test(value);
+}
+
+function isHexColor(value) {
+  return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function isPngDataUrl(value) {
+  return typeof value === 'string' && value.startsWith('data:image/png;base64,');
+}
+
+function isNumberArray(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
@@ -0,0 +1,249 @@
+// @vitest-environment jsdom
+/**
+ * Round trips through the .nailart format: designs → createProject →
+ * JSON → parseProject (migrate + validateProject) → designs.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  createProject, parseProject, validateProject, ProjectFileError, PROJECT_FORMAT, PROJECT_VERSION,
+} from './ProjectFile.js';
+import { PolishLayerState } from '../state/PolishLayerState.js';
+import { dataUrlToBlob } from './Storage.js';
+
+// 1x1 transparent PNG
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function createPolish() {
+  const state = new PolishLayerState();
+  state.getActiveLayer().applied = true;
+  state.getActiveLayer().color = '#ff69b4';
+
+  const json = state.toJSON();
+  for (const layer of Object.values(json.layers)) {
+    layer.canvasBlob = layer.applied ? dataUrlToBlob(PNG) : null;
+  }
+  return json;
+}
+
+function createDesign(overrides = {}) {
+  return {
+    shape: 'almond',
+    length: 'long',
+    acrylic: true,
+    polishColor: '#ff69b4',
+    finishType: 'holographic',
+    topCoatFinish: 'matte',
+    magnet: 0.3,
+    canvasBlob: dataUrlToBlob(PNG),
+    polish: createPolish(),
+    gems: [{ gemId: 'diamond', u: 0.5, v: 0.4, normal: [0, 0, 1], rotation: 0.2, scale: 1, stone: 'ruby' }],
+    glitter: [{ u: 0.3, v: 0.6, normal: [0, 1, 0], shape: 'hex', color: '#ffd700', size: 0.02, tilt: [0.1, -0.1], spin: 1 }],
+    stickers: [{ stickerId: 'heart', u: 0.5, v: 0.5, scale: 1.2, rotation: 0.4 }],
+    strokes: [{ material: 'solid', color: '#ffffff', size: 0.006, hue: 0, seed: 42, points: [{ u: 0.1, v: 0.2, t: 0, p: 1 }] }],
+    stamps: [{ designId: 'star', color: '#000000', u: 0.5, v: 0.5, size: 0.4, rotation: 0, flipped: false, seed: 7 }],
+    skin: [{ position: [0, 1, 2], normal: [0, 0, 1], radius: 0.01, color: '#ff69b4' }],
+    timestamp: 1700000000000,
+    ...overrides,
+  };
+}
+
+function createDesigns(overrides) {
+  return {
+    left: { thumb: createDesign(overrides), index: createDesign(overrides) },
+    right: { pinky: createDesign(overrides) },
+  };
+}
+
+/**
+ * A valid current project, for tampering with
+ */
+async function createDocument() {
+  return JSON.parse(JSON.stringify(await createProject(createDesigns())));
+}
+
+function parse(project) {
+  return parseProject(JSON.stringify(project));
+}
+
+describe('createProject → parseProject', () => {
+  it('keeps every nail field of a current project', async () => {
+    const project = await createProject(createDesigns());
+    expect(project.format).toBe(PROJECT_FORMAT);
+    expect(project.version).toBe(PROJECT_VERSION);
+
+    const designs = parseProject(JSON.stringify(project));
+    expect(Object.keys(designs.left)).toEqual(['thumb', 'index']);
+    expect(Object.keys(designs.right)).toEqual(['pinky']);
+
+    const design = designs.left.index;
+    const original = createDesign();
+    for (const key of ['shape', 'length', 'acrylic', 'polishColor', 'finishType', 'topCoatFinish', 'magnet',
+      'gems', 'glitter', 'stickers', 'strokes', 'stamps', 'skin']) {
+      expect(design[key]).toEqual(original[key]);
+    }
+    expect(design.canvasBlob).toBeInstanceOf(Blob);
+    expect(design.polish.order).toEqual(original.polish.order);
+
+    // Exporting the imported designs gives the same nails back, canvases included
+    const again = await createProject(designs);
+    expect(again.nails).toEqual(JSON.parse(JSON.stringify(project.nails)));
+  });
+
+  it('round-trips empty nails', async () => {
+    const designs = parseProject(JSON.stringify(await createProject(createDesigns({
+      polishColor: null, topCoatFinish: null, canvasBlob: null, polish: null,
+      gems: [], glitter: [], stickers: [], strokes: [], stamps: [], skin: [],
+    }))));
+
+    expect(designs.left.thumb.canvasBlob).toBeNull();
+    expect(designs.left.thumb.polish).toBeNull();
+    expect(designs.left.thumb.stickers).toEqual([]);
+  });
+
+  it('upgrades a v2 project, keeping stickers and pre-v3 gem placements', async () => {
+    const project = await createDocument();
+    project.version = 2;
+    const nail = project.nails.left.thumb;
+    nail.gems = [{ gemId: 'pearl', position: [0, 0.1, 0], quaternion: [0, 0, 0, 1], scale: 1 }];
+    for (const key of ['glitter', 'strokes', 'stamps', 'skin', 'magnet', 'topCoatFinish']) {
+      delete nail[key];
+    }
+
+    const design = parse(project).left.thumb;
+    expect(design.stickers).toEqual(createDesign().stickers);
+    expect(design.gems).toEqual(nail.gems);
+    expect(design.glitter).toEqual([]);
+    expect(design.strokes).toEqual([]);
+    expect(design.stamps).toEqual([]);
+    expect(design.skin).toEqual([]);
+    expect(design.magnet).toBe(0.5);
+    expect(design.topCoatFinish).toBeNull();
+  });
+
+  it('upgrades a v1 project, dropping stickers already stamped into the canvas', async () => {
+    const project = await createDocument();
+    project.version = 1;
+    delete project.length;
+    delete project.acrylic;
+    for (const nail of [project.nails.left.thumb, project.nails.left.index, project.nails.right.pinky]) {
+      nail.stickers = [{ stickerId: 'heart', u: 0.5, v: 0.5, rotation: 0 }];
+      nail.gems = [{ gemId: 'pearl', position: [0, 0.1, 0], quaternion: [0, 0, 0, 1], scale: 1 }];
+    }
+
+    const designs = parse(project);
+    expect(designs.left.thumb.stickers).toEqual([]);
+    expect(designs.right.pinky.stickers).toEqual([]);
+    expect(designs.left.index.gems).toHaveLength(1);
+    expect(designs.left.index.length).toBe('medium');
+    expect(designs.left.index.acrylic).toBe(false);
+    expect(designs.left.index.canvasBlob).toBeInstanceOf(Blob);
+  });
+});
+
+describe('parseProject rejections', () => {
+  const rejects = (project, message) => {
+    expect(() => parse(project)).toThrow(ProjectFileError);
+    expect(() => parse(project)).toThrow(message);
+  };
+
+  it('rejects files that are not projects', async () => {
+    expect(() => parseProject('not json')).toThrow('This is not a nail art file');
+    expect(() => parse({ format: 'other', version: 1 })).toThrow('This is not a nail art file');
+    expect(() => parse({ format: PROJECT_FORMAT })).toThrow('The file has no valid version');
+
+    const project = await createDocument();
+    project.version = PROJECT_VERSION + 1;
+    rejects(project, 'newer version');
+  });
+
+  it('rejects malformed glitter', async () => {
+    const cases = [
+      [{ shape: 7 }, 'glitter[0] needs a shape'],
+      [{ color: 'gold' }, 'glitter[0].color must be a hex color'],
+      [{ normal: [0, 1] }, 'glitter[0].normal must be 3 numbers'],
+      [{ size: 0 }, 'glitter[0].size must be a positive number'],
+      [{ tilt: null }, 'glitter[0].tilt must be 2 numbers'],
+    ];
+    for (const [change, message] of cases) {
+      const project = await createDocument();
+      Object.assign(project.nails.left.thumb.glitter[0], change);
+      rejects(project, `nails.left.thumb.${message}`);
+    }
+
+    const project = await createDocument();
+    project.nails.right.pinky.glitter = {};
+    rejects(project, 'nails.right.pinky.glitter must be a list');
+  });
+
+  it('rejects malformed skin marks', async () => {
+    const cases = [
+      [{ position: [0, 1] }, 'skin[0].position must be 3 numbers'],
+      [{ normal: 'up' }, 'skin[0].normal must be 3 numbers'],
+      [{ radius: -1 }, 'skin[0].radius must be a positive number'],
+      [{ color: null }, 'skin[0].color must be a hex color'],
+    ];
+    for (const [change, message] of cases) {
+      const project = await createDocument();
+      Object.assign(project.nails.left.index.skin[0], change);
+      rejects(project, `nails.left.index.${message}`);
+    }
+  });
+
+  it('rejects malformed gems', async () => {
+    const cases = [
+      [{ gemId: undefined }, 'gems[0] needs a gemId'],
+      [{ u: 'middle' }, 'gems[0] needs u and v numbers'],
+      [{ normal: [0, 0] }, 'gems[0].normal must be 3 numbers'],
+      [{ rotation: null }, 'gems[0].rotation must be a number'],
+      [{ scale: 0 }, 'gems[0].scale must be a positive number'],
+      [{ stone: 3 }, 'gems[0].stone must be a string'],
+      // Pre-v3 placements need both halves
+      [{ position: [0, 0, 0] }, 'gems[0].quaternion must be 4 numbers'],
+    ];
+    for (const [change, message] of cases) {
+      const project = await createDocument();
+      Object.assign(project.nails.left.thumb.gems[0], change);
+      rejects(project, `nails.left.thumb.${message}`);
+    }
+
+    const project = await createDocument();
+    delete project.nails.left.thumb.gems;
+    rejects(project, 'nails.left.thumb.gems must be a list');
+  });
+
+  it('rejects malformed polish layers', async () => {
+    const cases = [
+      [polish => { polish.order = ['colorCoat1', 'missing']; }, 'order must list the polish layers'],
+      [polish => { polish.order = [...polish.order, 42]; }, 'order must list the polish layers'],
+      [polish => { polish.order = [...polish.order, 'colorCoat1']; }, 'order must list the polish layers'],
+      [polish => {
+        polish.layers['<img src=x>'] = polish.layers.colorCoat1;
+        polish.order.push('<img src=x>');
+      }, 'order must list the polish layers'],
+      [polish => { polish.layers.colorCoat1.coverage.data = 'AAAA'; }, 'layers.colorCoat1.coverage.data has the wrong size'],
+      [polish => { polish.layers.colorCoat1.coverage.thickness = 'AAAA'; }, 'layers.colorCoat1.coverage.thickness has the wrong size'],
+      [polish => { polish.layers.colorCoat1.coverage.passes = 'AAAA'; }, 'layers.colorCoat1.coverage.passes has the wrong size'],
+      [polish => { polish.layers.colorCoat1.blendMode = 'plus-lighter'; }, 'layers.colorCoat1.blendMode is not a blend mode'],
+      [polish => { polish.layers.colorCoat1.opacity = 1.5; }, 'layers.colorCoat1.opacity must be between 0 and 1'],
+      [polish => { polish.layers.colorCoat1.opacity = -0.1; }, 'layers.colorCoat1.opacity must be between 0 and 1'],
+      [polish => { polish.layers.colorCoat1.name = 7; }, 'layers.colorCoat1.name must be a string'],
+      [polish => {
+        for (let n = 1; n <= 7; n++) {
+          polish.layers[`color${n}`] = polish.layers.colorCoat1;
+          polish.order.push(`color${n}`);
+        }
+      }, 'order must have at most 10 layers'],
+    ];
+    for (const [change, message] of cases) {
+      const project = await createDocument();
+      change(project.nails.left.thumb.polish);
+      rejects(project, `nails.left.thumb.polish.${message}`);
+    }
+  });
+
+  it('names the first invalid field when validating directly', async () => {
+    const project = await createDocument();
+    project.nails.left.thumb.stamps[0].designId = null;
+    expect(() => validateProject(project)).toThrow('Invalid project: nails.left.thumb.stamps[0] needs a designId');
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Random.js
+ * Seeded random numbers, for art that has to redraw exactly the same way
+ * every time (glitter pen strokes, stamp transfers).
+ */
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32)
+ * @param {number} seed
+ * @returns {Function} Call for the next number
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A new seed for createRandom()
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
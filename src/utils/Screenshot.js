@@ -0,0 +1,36 @@
+/**
+ * Screenshot.js
+ * Captures the rendered 3D scene as a small square image for the gallery.
+ */
+
+/**
+ * Render the scene once and return a center-cropped, downscaled image.
+ * The WebGL canvas does not preserve its drawing buffer, so we render
+ * and read it back in the same tick.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {Object} options
+ * @param {number} options.size - Output width/height in pixels (default: 256)
+ * @param {string} options.type - Image MIME type (default: image/png)
+ * @returns {Promise<Blob>} Encoded image
+ */
+export function captureThumbnail(renderer, scene, camera, options = {}) {
+  const { size = 256, type = 'image/png' } = options;
+
+  renderer.render(scene, camera);
+  const source = renderer.domElement;
+
+  // Center crop to a square so thumbnails line up in the grid
+  const cropSize = Math.min(source.width, source.height);
+  const sx = (source.width - cropSize) / 2;
+  const sy = (source.height - cropSize) / 2;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, sx, sy, cropSize, cropSize, 0, 0, size, size);
+
+  return new Promise((resolve) => canvas.toBlob(resolve, type));
+}
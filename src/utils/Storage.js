@@ -0,0 +1,289 @@
+/**
+ * Storage.js
+ * IndexedDB persistence for nail designs and gallery looks.
+ * Canvases and thumbnails are stored as Blobs instead of data URLs,
+ * so a decorated hand no longer has to fit in the localStorage quota.
+ */
+
+export const DB_NAME = 'nail-icon';
+export const DB_VERSION = 2;
+
+// Object store names
+export const STORES = {
+  DESIGNS: 'designs', // One record per finger, keyed by `${hand}_${finger}`
+  LOOKS: 'looks',     // Saved gallery looks, keyed by id
+  META: 'meta',       // Small key/value settings (current hand, finger...)
+};
+
+// Legacy localStorage keys (pre-IndexedDB)
+const LEGACY_KEYS = {
+  designs: 'nailDesigns',
+  hand: 'nailDesignsHand',
+  finger: 'nailDesignsFinger',
+  looks: 'nailLooks',
+};
+
+/**
+ * Thrown when the browser refuses to store more data
+ */
+export class StorageQuotaError extends Error {
+  constructor(message = 'Storage is full', cause = null) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Schema migrations, keyed by the version they upgrade to.
+ * Each runs inside the versionchange transaction, so it must stay synchronous.
+ */
+const MIGRATIONS = {
+  // v1: initial object stores
+  1: (db) => {
+    db.createObjectStore(STORES.DESIGNS, { keyPath: 'key' });
+    const looks = db.createObjectStore(STORES.LOOKS, { keyPath: 'id' });
+    looks.createIndex('createdAt', 'createdAt');
+    db.createObjectStore(STORES.META, { keyPath: 'key' });
+  },
+
+  // v2: import designs and looks saved by the old localStorage version
+  2: (db, transaction) => {
+    migrateLegacyLocalStorage(transaction);
+  },
+};
+
+/**
+ * Copy legacy localStorage data into IndexedDB, converting data URLs to Blobs
+ */
+function migrateLegacyLocalStorage(transaction) {
+  let legacyDesigns = null;
+  let legacyLooks = null;
+
+  try {
+    legacyDesigns = JSON.parse(localStorage.getItem(LEGACY_KEYS.designs) || 'null');
+    legacyLooks = JSON.parse(localStorage.getItem(LEGACY_KEYS.looks) || 'null');
+  } catch (e) {
+    console.warn('Skipping unreadable legacy designs:', e);
+  }
+
+  if (legacyDesigns?.left && legacyDesigns?.right) {
+    const designs = transaction.objectStore(STORES.DESIGNS);
+    for (const hand of ['left', 'right']) {
+      for (const [finger, design] of Object.entries(legacyDesigns[hand])) {
+        designs.put(toDesignRecord(hand, finger, migrateLegacyDesign(design)));
+      }
+    }
+  }
+
+  if (Array.isArray(legacyLooks)) {
+    const looks = transaction.objectStore(STORES.LOOKS);
+    for (const look of legacyLooks) {
+      if (!look?.id || !look.designs) continue;
+      looks.put({
+        ...look,
+        thumbnail: dataUrlToBlob(look.thumbnail),
+        designs: migrateLegacyDesigns(look.designs),
+      });
+    }
+  }
+
+  const meta = transaction.objectStore(STORES.META);
+  const hand = localStorage.getItem(LEGACY_KEYS.hand);
+  const finger = localStorage.getItem(LEGACY_KEYS.finger);
+  if (hand) meta.put({ key: 'currentHand', value: hand });
+  if (finger) meta.put({ key: 'currentFinger', value: finger });
+
+  // Only forget the old copies once the upgrade has committed
+  transaction.addEventListener('complete', () => {
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+  });
+}
+
+function migrateLegacyDesigns(designs) {
+  const migrated = { left: {}, right: {} };
+  for (const hand of ['left', 'right']) {
+    for (const [finger, design] of Object.entries(designs[hand] || {})) {
+      migrated[hand][finger] = migrateLegacyDesign(design);
+    }
+  }
+  return migrated;
+}
+
+function migrateLegacyDesign(design) {
+  const { canvasDataUrl, ...rest } = design || {};
+  return { ...rest, canvasBlob: dataUrlToBlob(canvasDataUrl) };
+}
+
+/**
+ * Build the stored record for one finger
+ */
+export function toDesignRecord(hand, finger, design) {
+  return { key: `${hand}_${finger}`, hand, finger, ...design };
+}
+
+/**
+ * Convert a data URL to a Blob (synchronous, safe inside upgrades)
+ * @param {string|null} dataUrl
+ * @returns {Blob|null}
+ */
+export function dataUrlToBlob(dataUrl) {
+  if (!dataUrl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) return null;
+
+  const [header, data = ''] = dataUrl.split(',');
+  if (!data) return null;
+
+  const type = header.slice(5).split(';')[0] || 'application/octet-stream';
+  const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Encode a canvas as a PNG Blob
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob|null>}
+ */
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve) => canvas.toBlob(resolve, type));
+}
+
+/**
+ * Wrap a raw IndexedDB/DOM error, mapping quota failures to StorageQuotaError
+ */
+function wrapError(error) {
+  if (error?.name === 'QuotaExceededError') {
+    return new StorageQuotaError('Storage is full', error);
+  }
+  return error || new Error('IndexedDB request failed');
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(wrapError(request.error));
+  });
+}
+
+/**
+ * Small promise wrapper around the app's IndexedDB database
+ */
+export class DesignDatabase {
+  constructor(name = DB_NAME, version = DB_VERSION) {
+    this.name = name;
+    this.version = version;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and upgrade if needed) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        const transaction = request.transaction;
+        for (let v = event.oldVersion + 1; v <= this.version; v++) {
+          MIGRATIONS[v]?.(db, transaction);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema - let it proceed
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => reject(wrapError(request.error));
+      request.onblocked = () => console.warn('Design database upgrade blocked by another tab');
+    });
+
+    // Allow retrying after a failed open
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback inside a transaction and resolve when it commits
+   * @param {string|string[]} storeNames
+   * @param {IDBTransactionMode} mode
+   * @param {Function} callback - Receives the transaction, may return a value
+   */
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      let tx;
+      try {
+        tx = db.transaction(storeNames, mode);
+      } catch (e) {
+        reject(wrapError(e));
+        return;
+      }
+
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(wrapError(tx.error));
+      tx.onabort = () => reject(wrapError(tx.error));
+
+      try {
+        result = callback(tx);
+      } catch (e) {
+        tx.abort();
+        reject(wrapError(e));
+      }
+    });
+  }
+
+  async get(storeName, key) {
+    const db = await this.open();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).get(key));
+  }
+
+  async getAll(storeName) {
+    const db = await this.open();
+    return promisifyRequest(db.transaction(storeName).objectStore(storeName).getAll());
+  }
+
+  put(storeName, value) {
+    return this.putMany(storeName, [value]);
+  }
+
+  putMany(storeName, values) {
+    return this.transaction(storeName, 'readwrite', (tx) => {
+      const store = tx.objectStore(storeName);
+      values.forEach(value => store.put(value));
+    });
+  }
+
+  delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', (tx) => {
+      tx.objectStore(storeName).delete(key);
+    });
+  }
+
+  clear(storeName) {
+    return this.transaction(storeName, 'readwrite', (tx) => {
+      tx.objectStore(storeName).clear();
+    });
+  }
+}
+
+// Singleton instance
+export const designDatabase = new DesignDatabase();
@@ -0,0 +1,63 @@
+/**
+ * UVTransform.js
+ * Affine transforms between UV layouts, as six numbers in
+ * CanvasRenderingContext2D.setTransform() order [a, b, c, d, e, f]:
+ * u' = a·u + c·v + e, v' = b·u + d·v + f.
+ * Used to carry designs from one nail's canvas onto another's
+ * (see getNailLayout in NailShapes.js).
+ */
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Transform a point
+ * @returns {{u: number, v: number}}
+ */
+export function applyTransform([a, b, c, d, e, f], u, v) {
+  return { u: a * u + c * v + e, v: b * u + d * v + f };
+}
+
+/**
+ * The transform that applies `second` after `first`
+ */
+export function multiplyTransforms(second, first) {
+  const [a, b, c, d, e, f] = second;
+  const [a2, b2, c2, d2, e2, f2] = first;
+  return [
+    a * a2 + c * b2,
+    b * a2 + d * b2,
+    a * c2 + c * d2,
+    b * c2 + d * d2,
+    a * e2 + c * f2 + e,
+    b * e2 + d * f2 + f,
+  ];
+}
+
+/**
+ * Undo a transform
+ * @returns {number[]|null} Null if it flattens everything onto a line
+ */
+export function invertTransform([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  if (Math.abs(det) < 1e-12) return null;
+
+  return [
+    d / det, -b / det,
+    -c / det, a / det,
+    (c * f - d * e) / det, (b * e - a * f) / det,
+  ];
+}
+
+/**
+ * Area scale of a transform (negative if it mirrors)
+ */
+export function transformDeterminant([a, b, c, d]) {
+  return a * d - b * c;
+}
+
+/**
+ * The same transform for canvas pixels, for a canvas `dim` pixels square
+ */
+export function toPixelTransform([a, b, c, d, e, f], dim) {
+  return [a, b, c, d, e * dim, f * dim];
+}